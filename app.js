@@ -7,6 +7,69 @@ class HandSensorApp {
     constructor() {
         this.serialManager = null;
         this.isInitialized = false;
+        
+        // 设备列表：每只手套一个串口管理器，可同时连接左右手两只手套
+        this.devices = [];
+        this.activeDeviceIndex = 0;
+        
+        // 会话录制与回放
+        this.recorder = null;
+        this.player = null;
+        this.lastRecording = null;
+        
+        // 数据导出
+        this.exporter = null;
+        
+        // 信号滤波（面板默认显示滤波值）
+        this.filterPipeline = null;
+        this.displayFiltered = true;
+        
+        // 主机端校准：关节面板使用设备映射（device）或主机端映射（host）
+        this.hostCalibration = null;
+        this.hostCalibrationElements = null;
+        this.hostCalibrationCells = [];
+        this.hostCalibrationTimer = null;
+        this.hostComparison = [{}, {}];
+        this.jointSource = 'device';
+        
+        // 校准配置库：每只手当前使用的配置ID
+        this.profileStore = null;
+        this.profileElements = null;
+        this.profiles = [];
+        this.activeProfiles = [null, null];
+        
+        // 宏命令
+        this.macroRunner = null;
+        this.macroLibrary = null;
+        this.macroElements = null;
+        
+        // 命令控制台：来源设备 -> 未换行文本的显示定时器
+        this.commandConsole = null;
+        this.consoleElements = null;
+        this.consoleTextTimers = new Map();
+        
+        // 固件升级：选择的固件文件
+        this.firmwareUpdater = null;
+        this.firmwareElements = null;
+        this.firmwareImage = null;
+        
+        // 时间序列图表
+        this.chartPanel = null;
+        
+        // 3D手部模型
+        this.handView = null;
+        
+        // 协议帧检查器
+        this.frameInspector = null;
+        
+        // 链路质量刷新定时器
+        this.linkStatsTimer = null;
+        
+        // 关节/传感器面板和统计栏的渲染调度（每个动画帧最多绘制一次）
+        this.renderScheduler = null;
+        
+        // 校准向导
+        this.calibrationWizard = null;
         this.updateInterval = null;
         
         // UI元素引用
@@ -24,6 +87,17 @@ class HandSensorApp {
             statusBtn: document.getElementById('status-btn'),
             systemResponse: document.getElementById('system-response'),
             
+            // 设备状态面板
+            statusFlags: {
+                quickCalibrating: document.getElementById('status-quick-calibrating'),
+                anchorCalibrating: document.getElementById('status-anchor-calibrating'),
+                frameMode: document.getElementById('status-frame-mode'),
+                sensorPrint: document.getElementById('status-sensor-print'),
+                canEnabled: document.getElementById('status-can-enabled'),
+                sensorSend: document.getElementById('status-sensor-send'),
+                mappingSend: document.getElementById('status-mapping-send')
+            },
+            
             // 串口配置
             baudRate: document.getElementById('baud-rate'),
             dataBits: document.getElementById('data-bits'),
@@ -31,6 +105,16 @@ class HandSensorApp {
             parity: document.getElementById('parity'),
             flowControl: document.getElementById('flow-control'),
             timeout: document.getElementById('timeout'),
+            retries: document.getElementById('retries'),
+            autoReconnect: document.getElementById('auto-reconnect'),
+            parseInWorker: document.getElementById('parse-in-worker'),
+            transportType: document.getElementById('transport-type'),
+            wsUrl: document.getElementById('ws-url'),
+            simProfile: document.getElementById('sim-profile'),
+            simRate: document.getElementById('sim-rate'),
+            simSequence: document.getElementById('sim-sequence'),
+            simDropRate: document.getElementById('sim-drop-rate'),
+            simFirmware: document.getElementById('sim-firmware'),
             saveConfig: document.getElementById('save-config'),
             loadConfig: document.getElementById('load-config'),
             resetConfig: document.getElementById('reset-config'),
@@ -42,7 +126,16 @@ class HandSensorApp {
             portId: document.getElementById('port-id'),
             portManufacturer: document.getElementById('port-manufacturer'),
             portProductId: document.getElementById('port-product-id'),
-            portVendorId: document.getElementById('port-vendor-id')
+            portVendorId: document.getElementById('port-vendor-id'),
+            
+            // 设备信息（连接握手得到）
+            deviceInfoDetails: document.getElementById('device-info-details'),
+            deviceModel: document.getElementById('device-model'),
+            deviceFirmware: document.getElementById('device-firmware'),
+            deviceSerial: document.getElementById('device-serial'),
+            deviceProtocolRevision: document.getElementById('device-protocol-revision'),
+            deviceJointCount: document.getElementById('device-joint-count'),
+            deviceInfoIssues: document.getElementById('device-info-issues')
         };
         
         // 关节进度条元素
@@ -63,8 +156,42 @@ class HandSensorApp {
         try {
             console.log('初始化手部关节传感器应用程序...');
             
-            // 初始化串口管理器
-            this.serialManager = new SerialManager();
+            // 初始化设备和串口管理器，第一个设备的串口管理器同时保存共用的串口配置
+            this.devices = [this.createDevice(0), this.createDevice(1)];
+            this.serialManager = this.devices[0].serialManager;
+            
+            // 初始化录制与回放
+            this.recorder = new SessionRecorder(this.serialManager);
+            this.player = new SessionPlayer(this.serialManager);
+            
+            // 初始化数据导出
+            this.exporter = new DataExporter(this.serialManager.JOINT_NAMES);
+            
+            // 初始化信号滤波并加载保存的设置
+            this.filterPipeline = new FilterPipeline();
+            this.filterPipeline.load();
+            
+            // 初始化主机端校准并加载保存的模型
+            this.hostCalibration = new HostCalibration();
+            this.hostCalibration.load();
+            
+            // 初始化校准配置库
+            this.profileStore = new CalibrationProfileStore();
+            
+            // 初始化宏命令并加载保存的宏
+            this.macroRunner = new MacroRunner();
+            this.macroLibrary = new MacroLibrary();
+            this.macroLibrary.load();
+            
+            // 初始化命令控制台并加载历史和命令片段
+            this.commandConsole = new CommandConsole(this.serialManager.protocol);
+            this.commandConsole.load();
+            
+            // 初始化校准向导
+            this.calibrationWizard = new CalibrationWizard(this.serialManager);
+            
+            // 初始化固件升级
+            this.firmwareUpdater = new FirmwareUpdater(this.serialManager);
             
             // 初始化日志窗口
             this.initLogWindow();
@@ -77,6 +204,49 @@ class HandSensorApp {
             
             // 设置串口回调
             this.setupSerialCallbacks();
+            this.renderDeviceList();
+            
+            // 设置录制与回放控制
+            this.setupRecordingControls();
+            
+            // 设置数据导出控制
+            this.setupExportControls();
+            
+            // 设置校准向导控制
+            this.setupCalibrationWizard();
+            
+            // 初始化时间序列图表
+            this.setupCharts();
+            
+            // 初始化3D手部模型
+            this.setupHandModel();
+            
+            // 初始化协议帧检查器
+            this.setupFrameInspector();
+            
+            // 初始化渲染调度
+            this.setupRenderScheduler();
+            
+            // 初始化信号滤波控制
+            this.setupFilterControls();
+            
+            // 初始化主机端校准控制
+            this.setupHostCalibration();
+            
+            // 初始化校准配置库控制
+            this.setupCalibrationProfiles();
+            
+            // 初始化宏命令控制
+            this.setupMacroRunner();
+            
+            // 初始化命令控制台
+            this.setupCommandConsole();
+            
+            // 初始化固件升级控制
+            this.setupFirmwareUpdate();
+            
+            // 每秒刷新链路质量统计
+            this.linkStatsTimer = setInterval(() => this.renderLinkStatistics(), 1000);
             
             // 加载串口配置（在串口管理器完全初始化后）
             this.loadSerialConfig();
@@ -119,7 +289,8 @@ class HandSensorApp {
                         joints[hand][fingerName][jointType] = {
                             fill: fillElement,  // progress-fill 元素
                             bar: barContainer,  // progress-bar 容器
-                            value: valueElement
+                            value: valueElement,
+                            vertical: barContainer.classList.contains('vertical')  // 竖直进度条
                         };
                     } else {
                         // 调试：输出缺失的元素
@@ -493,6 +664,18 @@ class HandSensorApp {
                 console.warn('未找到 mapping-disable-btn 按钮');
             }
             
+            // 协议选项由协议描述生成
+            const protocolSelect = document.getElementById('protocol-select');
+            if (protocolSelect) {
+                protocolSelect.innerHTML = '';
+                this.serialManager.protocol.getEnumOptions('protocol').forEach(item => {
+                    const option = document.createElement('option');
+                    option.value = String(item.value);
+                    option.textContent = item.label;
+                    protocolSelect.appendChild(option);
+                });
+            }
+            
             // 协议设置按钮
             const setProtocolBtn = document.getElementById('set-protocol-btn');
             if (setProtocolBtn) {
@@ -547,6 +730,65 @@ class HandSensorApp {
             if (this.elements.timeout) {
                 this.elements.timeout.addEventListener('change', () => this.updateSerialConfigFromUI());
             }
+            if (this.elements.retries) {
+                this.elements.retries.addEventListener('change', () => this.updateSerialConfigFromUI());
+            }
+            if (this.elements.autoReconnect) {
+                this.elements.autoReconnect.addEventListener('change', () => this.updateSerialConfigFromUI());
+            }
+            if (this.elements.parseInWorker) {
+                this.elements.parseInWorker.addEventListener('change', () => this.updateSerialConfigFromUI());
+            }
+            if (this.elements.transportType) {
+                this.elements.transportType.addEventListener('change', () => this.updateSerialConfigFromUI());
+            }
+            if (this.elements.wsUrl) {
+                this.elements.wsUrl.addEventListener('change', () => this.updateSerialConfigFromUI());
+            }
+            
+            // 模拟器参数可在运行中调整
+            if (this.elements.simProfile) {
+                this.elements.simProfile.addEventListener('change', () => {
+                    this.devices.forEach(device => {
+                        if (device.simulator) {
+                            device.simulator.setProfile(this.elements.simProfile.value);
+                            this.log(`${device.name} 模拟动作已切换为: ${device.simulator.PROFILES[this.elements.simProfile.value]}`, 'info');
+                        }
+                    });
+                });
+            }
+            if (this.elements.simRate) {
+                this.elements.simRate.addEventListener('change', () => {
+                    this.devices.forEach(device => {
+                        if (device.simulator) {
+                            device.simulator.setRate(parseInt(this.elements.simRate.value) || 100);
+                        }
+                    });
+                });
+            }
+            [this.elements.simSequence, this.elements.simDropRate, this.elements.simFirmware].forEach(input => {
+                if (input) {
+                    input.addEventListener('change', () => {
+                        this.devices.forEach(device => {
+                            if (device.simulator) {
+                                Object.assign(device.simulator.options, this.getSimulatorDataOptions());
+                            }
+                        });
+                    });
+                }
+            });
+            
+            // 设备选择与命令目标
+            const deviceSelect = document.getElementById('device-select');
+            if (deviceSelect) {
+                deviceSelect.addEventListener('change', () => this.setActiveDevice(parseInt(deviceSelect.value)));
+            } else {
+                console.warn('未找到 device-select 选择器');
+            }
+            const commandTarget = document.getElementById('command-target');
+            if (commandTarget) {
+                commandTarget.addEventListener('change', () => this.updateControlButtonStates());
+            }
             
             // 键盘快捷键
             document.addEventListener('keydown', (event) => this.handleKeyboard(event));
@@ -557,325 +799,2601 @@ class HandSensorApp {
     }
 
     /**
-     * 设置串口回调函数
+     * 创建设备条目
+     * @param {number} index - 设备序号
+     * @returns {Object} 设备条目（串口管理器、模拟器和设备状态）
      */
-    setupSerialCallbacks() {
-        try {
-            if (!this.serialManager) {
-                console.warn('串口管理器未初始化，跳过回调设置');
-                return;
-            }
-            
-            // 数据接收回调
-            this.serialManager.setDataCallback((jointData) => {
-                // 区分传感器数据和映射数据
-                // 映射数据有 mappingData 字段，传感器数据有 sensorData 字段
-                if (jointData.mappingData && Array.isArray(jointData.mappingData)) {
-                    // 映射数据：更新手部关节映射数据监控
-                    this.updateJointDisplay(jointData);
-                } else if (jointData.sensorData && Array.isArray(jointData.sensorData)) {
-                    // 传感器数据：更新传感器数据可视化
-                    this.updateSensorDisplay(jointData);
-                }
-                
-                this.updateStatistics();
-                // 记录数据接收日志（降低频率，每10个数据包记录一次）
-                if (jointData.packetNumber % 10 === 0) {
-                    const dataType = jointData.mappingData ? '映射' : '传感器';
-                    this.log(`收到${jointData.hand === 0 ? '右手' : '左手'}${dataType}数据包 #${jointData.packetNumber}`, 'info');
-                }
-            });
-            
-            // 响应回调
-            this.serialManager.setResponseCallback((type, cmd, data) => {
-                this.handleResponse(type, cmd, data);
-            });
-            
-            // 错误回调
-            this.serialManager.setErrorCallback((error) => {
-                const errorMsg = '串口错误: ' + error.message;
-                this.log(errorMsg, 'error');
-                this.showError(errorMsg);
-                this.updateConnectionStatus(false);
-            });
-            
-            // 端口信息回调
-            this.serialManager.setPortInfoCallback((portInfo) => {
-                this.updatePortInfo(portInfo);
-            });
-        } catch (error) {
-            console.error('设置串口回调失败:', error);
-        }
+    createDevice(index) {
+        return {
+            index: index,
+            name: `设备${index + 1}`,
+            serialManager: new SerialManager(),
+            simulator: null,
+            deviceStatus: null,     // 查询状态后更新
+            connectionDetail: {},   // 最近一次连接状态附加信息（重连次数等）
+            hands: new Set()        // 收到过数据的手侧
+        };
     }
 
     /**
-     * 连接串口
+     * 获取当前设备（连接/断开、状态面板和统计栏针对的设备）
+     * @returns {Object} 设备条目
      */
-    async connectSerial() {
-        try {
-            this.log('正在连接串口...', 'info');
-            
-            const success = await this.serialManager.connect();
-            
-            if (success) {
-                this.updateConnectionStatus(true);
-                this.log('串口连接成功', 'success');
-                this.showSuccess('串口连接成功');
-                
-                // 开始读取数据
-                this.serialManager.startReading();
-                this.log('开始读取串口数据', 'info');
-                
-            } else {
-                this.updateConnectionStatus(false);
-                this.log('串口连接失败', 'error');
-                this.showError('串口连接失败');
-            }
-            
-        } catch (error) {
-            const errorMsg = '连接串口失败: ' + error.message;
-            this.log(errorMsg, 'error');
-            this.updateConnectionStatus(false);
-            this.showError(errorMsg);
-        }
+    getActiveDevice() {
+        return this.devices[this.activeDeviceIndex];
     }
 
     /**
-     * 断开串口连接
+     * 切换当前设备
+     * @param {number} index - 设备序号
      */
-    async disconnectSerial() {
-        try {
-            this.log('正在断开串口连接...', 'info');
-            await this.serialManager.disconnect();
-            this.updateConnectionStatus(false);
-            this.log('串口连接已断开', 'info');
-            this.showSuccess('串口连接已断开');
-            
-        } catch (error) {
-            const errorMsg = '断开连接失败: ' + error.message;
-            this.log(errorMsg, 'error');
-            this.showError(errorMsg);
+    setActiveDevice(index) {
+        if (!this.devices[index]) {
+            return;
+        }
+        this.activeDeviceIndex = index;
+        const deviceSelect = document.getElementById('device-select');
+        if (deviceSelect) {
+            deviceSelect.value = String(index);
         }
+        
+        const device = this.getActiveDevice();
+        this.updatePortInfo(device.serialManager.getPortInfo());
+        this.renderDeviceStatus();
+        this.updateStatistics();
+        this.renderLinkStatistics();
+        this.updateConnectionStatus();
     }
 
     /**
-     * 更新连接状态显示
-     * @param {boolean} isConnected - 是否已连接
+     * 获取命令目标中已连接的设备
+     * @returns {Array<Object>} 设备条目列表
      */
-    updateConnectionStatus(isConnected) {
-        if (isConnected) {
-            this.elements.connectionStatus.className = 'status-dot connected';
-            this.elements.connectionText.textContent = '已连接';
-            this.elements.connectBtn.disabled = true;
-            this.elements.disconnectBtn.disabled = false;
-            
-            // 启用所有命令按钮
-            this.enableAllButtons(true);
-        } else {
-            this.elements.connectionStatus.className = 'status-dot disconnected';
-            this.elements.connectionText.textContent = '未连接';
-            this.elements.connectBtn.disabled = false;
-            this.elements.disconnectBtn.disabled = true;
-            
-            // 禁用所有命令按钮
-            this.enableAllButtons(false);
-        }
+    getCommandTargets() {
+        const target = document.getElementById('command-target')?.value || 'current';
+        const devices = target === 'all' ? this.devices : [this.getActiveDevice()];
+        return devices.filter(device => device.serialManager.getConnectionStatus());
     }
 
     /**
-     * 启用或禁用所有命令按钮
-     * @param {boolean} enabled - 是否启用
+     * 向目标设备并行发送命令
+     * 任一设备失败时在全部完成后抛出异常，错误信息包含各失败设备的原因
+     * @param {string} description - 日志描述
+     * @param {Function} action - 对单个设备执行的操作 (device) => Promise
+     * @param {Array<Object>} targets - 目标设备，默认为命令目标
+     * @returns {Promise<Array>} 各设备操作的结果，无已连接目标时为空数组
      */
-    enableAllButtons(enabled) {
-        const commandButtonIds = [
-            'status-btn',
-            'quick-start-btn', 'quick-finish-btn',
-            'anchor-start-btn', 'anchor-record-btn', 'anchor-apply-btn',
-            'save-calibration-btn', 'load-calibration-btn', 'clear-calibration-btn', 'reset-calibration-btn',
-            'can-enable-btn', 'can-disable-btn',
-            'sensor-enable-btn', 'sensor-disable-btn',
-            'mapping-enable-btn', 'mapping-disable-btn', 'set-protocol-btn'
-        ];
+    async sendToTargets(description, action, targets = this.getCommandTargets()) {
+        if (targets.length === 0) {
+            this.log('错误: 请先连接串口', 'error');
+            this.showError('请先连接串口');
+            return [];
+        }
         
-        let enabledCount = 0;
-        let disabledCount = 0;
+        const results = await Promise.allSettled(targets.map(async (device) => {
+            this.log(`${device.name}: ${description}`, 'info');
+            return await action(device);
+        }));
         
-        commandButtonIds.forEach(id => {
-            const btn = document.getElementById(id);
-            if (btn) {
-                btn.disabled = !enabled;
-                if (enabled) {
-                    enabledCount++;
-                } else {
-                    disabledCount++;
-                }
-            } else {
-                console.warn(`未找到按钮: ${id}`);
+        const failures = [];
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                failures.push(`${targets[i].name}: ${result.reason.message}`);
             }
         });
-        
-        console.log(`按钮状态更新: ${enabled ? '启用' : '禁用'} - 已处理 ${enabled ? enabledCount : disabledCount} 个按钮`);
+        if (failures.length > 0) {
+            throw new Error(failures.join('; '));
+        }
+        return results.map(result => result.value);
     }
 
     /**
-     * 更新关节数据显示（使用映射数据0-1.0）
-     * @param {Object} jointData - 关节数据对象
+     * 渲染设备列表（连接状态、端口、手侧和数据频率）
      */
-    updateJointDisplay(jointData) {
-        const fingerNames = ['thumb', 'index', 'middle', 'ring', 'pinky'];
-        const jointTypes = ['yaw', 'pitch', 'tip'];
-        
-        // 确定是左手还是右手 (0=右手, 1=左手)
-        const hand = jointData.hand === 0 ? 'right' : 'left';
-        
-        // 调试信息
-        if (!this.jointElements[hand]) {
-            console.warn(`未找到手部元素: ${hand}, hand值=${jointData.hand}`);
+    renderDeviceList() {
+        const container = document.getElementById('device-list');
+        if (!container) {
             return;
         }
         
-        // 检查是否有映射数据（mappingData字段）
-        const useMappingData = jointData.mappingData && Array.isArray(jointData.mappingData);
-        
-        fingerNames.forEach(fingerName => {
-            jointTypes.forEach(jointType => {
-                const dataKey = `${fingerName}${jointType.charAt(0).toUpperCase() + jointType.slice(1)}`;
-                let value;
-                
-                if (useMappingData) {
-                    // 使用映射数据（0-1.0范围）
-                    const index = fingerNames.indexOf(fingerName) * 3 + jointTypes.indexOf(jointType);
-                    value = jointData.mappingData[index];
-                } else {
-                    // 如果没有映射数据，尝试使用原始数据（兼容性）
-                    value = jointData[dataKey];
-                    if (value !== undefined && value > 1.0) {
-                        // 如果是角度值，转换为0-1.0范围（假设最大255）
-                        value = value / 255.0;
-                    }
-                }
-                
-                if (this.jointElements[hand] && 
-                    this.jointElements[hand][fingerName] && 
-                    this.jointElements[hand][fingerName][jointType] && 
-                    value !== undefined) {
-                    const elements = this.jointElements[hand][fingerName][jointType];
-                    
-                    // 确保值在0-1.0范围内
-                    value = Math.max(0, Math.min(1.0, value));
-                    
-                    // 更新数值显示（显示为百分比或小数）
-                    if (elements.value) {
-                        elements.value.textContent = value.toFixed(3);
-                    } else {
-                        console.warn(`未找到数值元素: ${hand}-${fingerName}-${jointType}-value`);
-                    }
-                    
-                    // 更新进度条（0-1.0映射到0-100%）
-                    const percentage = value * 100;
-                    // 检查是否是竖直进度条（检查progress-bar是否有vertical类）
-                    if (elements.bar && elements.bar.classList.contains('vertical')) {
-                        // 竖直进度条：更新fill的高度
-                        if (elements.fill) {
-                            elements.fill.style.height = `${percentage}%`;
-                        } else {
-                            console.warn(`未找到填充元素: ${hand}-${fingerName}-${jointType}-bar`);
-                        }
-                    } else if (elements.fill) {
-                        // 水平进度条：更新fill的宽度
-                        elements.fill.style.width = `${percentage}%`;
-                    } else {
-                        console.warn(`未找到进度条容器或填充元素: ${hand}-${fingerName}-${jointType}`);
-                    }
-                } else {
-                    // 调试：输出缺失的元素信息
-                    if (!this.jointElements[hand]) {
-                        console.warn(`未找到手部元素: ${hand}`);
-                    } else if (!this.jointElements[hand][fingerName]) {
-                        console.warn(`未找到手指元素: ${hand}-${fingerName}`);
-                    } else if (!this.jointElements[hand][fingerName][jointType]) {
-                        console.warn(`未找到关节元素: ${hand}-${fingerName}-${jointType}`);
-                    }
-                }
-            });
+        this.devices.forEach(device => {
+            let row = container.querySelector(`[data-device="${device.index}"]`);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'device-row';
+                row.dataset.device = device.index;
+                row.innerHTML = '<span class="status-dot"></span><span class="device-name"></span>' +
+                    '<span class="device-port"></span><span class="device-hands"></span><span class="device-rate"></span>';
+                row.addEventListener('click', () => this.setActiveDevice(device.index));
+                container.appendChild(row);
+            }
+            
+            const stats = device.serialManager.getStatistics();
+            const hands = [...device.hands].sort().map(hand => (hand === 0 ? '右手' : '左手'));
+            row.classList.toggle('active', device === this.getActiveDevice());
+            row.querySelector('.status-dot').className = `status-dot ${device.serialManager.getConnectionState()}`;
+            row.querySelector('.device-name').textContent = device.name;
+            row.querySelector('.device-port').textContent = device.serialManager.getConnectionStatus()
+                ? device.serialManager.getPortInfo().name
+                : this.getConnectionStateText(device);
+            row.querySelector('.device-hands').textContent = hands.length > 0 ? hands.join('/') : '--';
+            row.querySelector('.device-rate').textContent = device.serialManager.getConnectionStatus()
+                ? `${stats.updateRate} Hz`
+                : '--';
         });
     }
 
     /**
-     * 更新传感器数据显示（0-65535范围）
-     * @param {Object} sensorData - 传感器数据对象
+     * 设置串口回调函数
      */
-    updateSensorDisplay(sensorData) {
-        const fingerNames = ['thumb', 'index', 'middle', 'ring', 'pinky'];
-        const jointTypes = ['yaw', 'pitch', 'tip'];
+    setupSerialCallbacks() {
+        try {
+            if (!this.serialManager) {
+                console.warn('串口管理器未初始化，跳过回调设置');
+                return;
+            }
+            
+            this.devices.forEach(device => this.setupDeviceCallbacks(device));
+        } catch (error) {
+            console.error('设置串口回调失败:', error);
+        }
+    }
+
+    /**
+     * 设置单个设备的串口回调
+     * @param {Object} device - 设备条目
+     */
+    setupDeviceCallbacks(device) {
+        const serialManager = device.serialManager;
         
-        // 确定是左手还是右手 (0=右手, 1=左手)
-        const hand = sensorData.hand === 0 ? 'right' : 'left';
+        // 数据接收回调
+        serialManager.setDataCallback((jointData) => {
+            this.handleJointData(jointData, device);
+        });
         
-        // 调试信息
-        if (!this.sensorElements[hand]) {
-            console.warn(`未找到传感器手部元素: ${hand}, hand值=${sensorData.hand}`);
-            return;
-        }
+        // 数据帧回调（原始帧录制）和帧追踪回调（帧检查器）按需注册
+        this.updateFrameCallbacks(device);
         
-        // 检查是否有传感器数据
-        const sensorDataArray = sensorData.sensorData;
-        if (!sensorDataArray || !Array.isArray(sensorDataArray)) {
-            console.warn('传感器数据格式错误');
-            return;
-        }
+        // 响应回调
+        serialManager.setResponseCallback((type, cmd, data) => {
+            this.handleResponse(type, cmd, data, device);
+        });
         
-        fingerNames.forEach(fingerName => {
-            jointTypes.forEach(jointType => {
-                const index = fingerNames.indexOf(fingerName) * 3 + jointTypes.indexOf(jointType);
-                const value = sensorDataArray[index];
-                
-                if (this.sensorElements[hand] && 
-                    this.sensorElements[hand][fingerName] && 
-                    this.sensorElements[hand][fingerName][jointType] && 
-                    value !== undefined) {
-                    const elements = this.sensorElements[hand][fingerName][jointType];
-                    
-                    // 确保值在0-65535范围内
-                    const clampedValue = Math.max(0, Math.min(65535, value));
-                    
-                    // 更新数值显示（显示为整数）
-                    if (elements.value) {
-                        elements.value.textContent = clampedValue.toString();
-                    } else {
-                        console.warn(`未找到传感器数值元素: ${hand}-sensor-${fingerName}-${jointType}-value`);
-                    }
-                } else {
-                    // 调试：输出缺失的元素信息
-                    if (!this.sensorElements[hand]) {
-                        console.warn(`未找到传感器手部元素: ${hand}`);
-                    } else if (!this.sensorElements[hand][fingerName]) {
-                        console.warn(`未找到传感器手指元素: ${hand}-${fingerName}`);
-                    } else if (!this.sensorElements[hand][fingerName][jointType]) {
-                        console.warn(`未找到传感器关节元素: ${hand}-${fingerName}-${jointType}`);
-                    }
-                }
-            });
+        // 错误回调
+        serialManager.setErrorCallback((error) => {
+            const errorMsg = `${device.name} 串口错误: ${error.message}`;
+            this.log(errorMsg, 'error');
+            this.showError(errorMsg);
+            this.updateConnectionStatus();
+        });
+        
+        // 端口信息回调
+        serialManager.setPortInfoCallback((portInfo) => {
+            if (device === this.getActiveDevice()) {
+                this.updatePortInfo(portInfo);
+            }
+            this.renderDeviceList();
+        });
+        
+        // 连接状态回调（意外断开、自动重连）
+        serialManager.setConnectionStateCallback((state, detail) => {
+            this.handleConnectionStateChange(device, state, detail);
         });
     }
 
     /**
-     * 更新统计信息
+     * 处理一条关节数据
+     * @param {Object} jointData - 关节数据对象
+     * @param {Object} device - 来源设备
      */
-    updateStatistics() {
-        const stats = this.serialManager.getStatistics();
+    handleJointData(jointData, device) {
+        device.hands.add(jointData.hand);
         
-        this.elements.packetCount.textContent = stats.packetCount;
-        this.elements.updateRate.textContent = `${stats.updateRate} Hz`;
+        // 滤波结果写入 jointData.filtered，原始值不变
+        this.filterPipeline.process(jointData);
         
-        if (stats.lastUpdateTime > 0) {
-            const lastUpdate = new Date(stats.lastUpdateTime);
-            this.elements.lastUpdate.textContent = lastUpdate.toLocaleTimeString();
+        // 录制、导出和校准只使用实时数据（回放的数据带 replayed 标记，只用于显示），录制和校准使用原始值，导出同时保留两者
+        if (!jointData.replayed) {
+            this.recorder.recordJointData(jointData);
+            this.exporter.addSample(jointData);
+            this.calibrationWizard.addSample(jointData);
+            this.hostCalibration.addSample(jointData);
+        }
+        
+        // 面板、图表和3D模型按设置显示滤波值或原始值
+        // 映射数据有 mappingData 字段，传感器数据有 sensorData 字段
+        const displayData = this.getDisplayData(jointData);
+        const isSensor = Array.isArray(jointData.sensorData);
+        
+        // 已校准的手把传感器数据在主机端映射为0-1.0，与设备映射对比
+        const hostData = isSensor
+            ? this.hostCalibration.apply(jointData, displayData.sensorData)
+            : null;
+        if (hostData || !isSensor) {
+            this.updateHostComparison(jointData.hand, displayData, hostData);
+        }
+        
+        // 关节面板、图表的映射曲线和3D模型使用所选的映射来源
+        const mappingData = this.jointSource === 'host' ? hostData : (isSensor ? null : displayData);
+        if (this.chartPanel) {
+            if (isSensor) {
+                this.chartPanel.addSample(displayData);
+            }
+            if (mappingData) {
+                this.chartPanel.addSample(mappingData);
+            }
+        }
+        
+        // 面板只记录每只手的最新数据，由渲染调度器在下一个动画帧统一绘制
+        if (mappingData) {
+            // 映射数据：更新手部关节映射数据监控
+            this.renderScheduler.update('joints', jointData.hand, mappingData);
+            if (this.handView) {
+                this.handView.setPose(jointData.hand, mappingData.mappingData);
+            }
+        }
+        if (isSensor) {
+            // 传感器数据：更新传感器数据可视化
+            this.renderScheduler.update('sensors', jointData.hand, displayData);
+        }
+        
+        this.renderScheduler.invalidate('statistics');
+        // 记录数据接收日志（降低频率，每10个数据包记录一次）
+        if (jointData.packetNumber % 10 === 0) {
+            const dataType = jointData.mappingData ? '映射' : '传感器';
+            this.log(`${device.name} 收到${jointData.hand === 0 ? '右手' : '左手'}${dataType}数据包 #${jointData.packetNumber}`, 'info');
         }
     }
 
     /**
-     * 重置关节数值
+     * 设置录制与回放控制
+     */
+    setupRecordingControls() {
+        const el = {
+            mode: document.getElementById('record-mode'),
+            startBtn: document.getElementById('record-start-btn'),
+            stopBtn: document.getElementById('record-stop-btn'),
+            saveBtn: document.getElementById('record-save-btn'),
+            loadBtn: document.getElementById('record-load-btn'),
+            fileInput: document.getElementById('record-file-input'),
+            seek: document.getElementById('playback-seek'),
+            time: document.getElementById('playback-time'),
+            playBtn: document.getElementById('playback-play-btn'),
+            pauseBtn: document.getElementById('playback-pause-btn'),
+            stopPlayBtn: document.getElementById('playback-stop-btn'),
+            speed: document.getElementById('playback-speed'),
+            loop: document.getElementById('playback-loop'),
+            status: document.getElementById('recording-status')
+        };
+        this.recordingElements = el;
+        
+        if (!el.startBtn || !el.playBtn) {
+            console.warn('未找到录制控制元素，跳过录制功能');
+            return;
+        }
+        
+        el.startBtn.addEventListener('click', () => this.startRecording());
+        el.stopBtn.addEventListener('click', () => this.stopRecording());
+        el.saveBtn.addEventListener('click', () => this.saveRecording());
+        el.loadBtn.addEventListener('click', () => el.fileInput.click());
+        el.fileInput.addEventListener('change', () => {
+            const file = el.fileInput.files[0];
+            el.fileInput.value = '';
+            if (file) {
+                this.loadRecordingFile(file);
+            }
+        });
+        
+        el.playBtn.addEventListener('click', () => {
+            try {
+                this.player.play();
+                this.log('开始回放录制', 'info');
+                this.updateRecordingControls();
+            } catch (error) {
+                this.showError('回放失败: ' + error.message);
+            }
+        });
+        el.pauseBtn.addEventListener('click', () => {
+            this.player.pause();
+            this.updateRecordingControls();
+        });
+        el.stopPlayBtn.addEventListener('click', () => {
+            this.player.stop();
+            this.updateRecordingControls();
+        });
+        el.seek.addEventListener('input', () => this.player.seek(parseFloat(el.seek.value)));
+        el.speed.addEventListener('change', () => this.player.setSpeed(parseFloat(el.speed.value)));
+        el.loop.addEventListener('change', () => this.player.setLoop(el.loop.checked));
+        
+        this.player.setProgressCallback((position, duration) => {
+            el.seek.max = Math.ceil(duration);
+            el.seek.value = position;
+            el.time.textContent = `${(position / 1000).toFixed(1)} / ${(duration / 1000).toFixed(1)} s`;
+        });
+        this.player.setEndCallback(() => {
+            this.log('录制回放结束', 'info');
+            this.updateRecordingControls();
+        });
+    }
+
+    /**
+     * 开始录制
+     */
+    startRecording() {
+        const mode = this.recordingElements.mode ? this.recordingElements.mode.value : 'parsed';
+        this.recorder.start(mode);
+        this.updateFrameCallbacks();
+        this.log(`开始录制${mode === 'frames' ? '原始数据帧' : '关节数据'}`, 'info');
+        this.updateRecordingControls();
+        
+        // 录制期间定时刷新事件计数
+        this.recordingStatusTimer = setInterval(() => this.updateRecordingControls(), 500);
+    }
+
+    /**
+     * 停止录制，录制结果可直接回放或保存
+     */
+    stopRecording() {
+        clearInterval(this.recordingStatusTimer);
+        this.recordingStatusTimer = null;
+        
+        this.lastRecording = this.recorder.stop();
+        this.updateFrameCallbacks();
+        this.player.load(this.lastRecording);
+        this.player.notifyProgress();
+        this.log(`录制结束: ${this.lastRecording.events.length} 个事件, ${(this.lastRecording.duration / 1000).toFixed(1)} 秒`, 'success');
+        this.updateRecordingControls();
+    }
+
+    /**
+     * 保存录制到文件
+     */
+    saveRecording() {
+        if (!this.lastRecording) {
+            this.showError('没有可保存的录制');
+            return;
+        }
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.downloadFile(`exhand-${stamp}.exhrec`, SessionRecorder.serialize(this.lastRecording), 'application/json');
+        this.log('录制文件已保存', 'success');
+    }
+
+    /**
+     * 从文件加载录制
+     * @param {File} file - 录制文件
+     */
+    async loadRecordingFile(file) {
+        try {
+            const recording = SessionRecorder.parse(await file.text());
+            this.lastRecording = recording;
+            this.player.load(recording);
+            this.player.notifyProgress();
+            this.showSuccess(`已加载录制: ${file.name} (${recording.events.length} 个事件)`);
+        } catch (error) {
+            this.showError('加载录制失败: ' + error.message);
+        }
+        this.updateRecordingControls();
+    }
+
+    /**
+     * 更新录制与回放按钮状态
+     */
+    updateRecordingControls() {
+        const el = this.recordingElements;
+        if (!el || !el.startBtn) {
+            return;
+        }
+        const recording = this.recorder.isRecording;
+        const playing = this.player.isPlaying;
+        const loaded = !!this.player.recording;
+        
+        el.startBtn.disabled = recording || playing;
+        el.stopBtn.disabled = !recording;
+        el.mode.disabled = recording;
+        el.saveBtn.disabled = recording || !this.lastRecording;
+        el.loadBtn.disabled = recording || playing;
+        el.playBtn.disabled = recording || playing || !loaded;
+        el.pauseBtn.disabled = !playing;
+        el.stopPlayBtn.disabled = !loaded || recording;
+        el.seek.disabled = !loaded || recording;
+        
+        if (recording) {
+            el.status.textContent = `● 录制中: ${this.recorder.getEventCount()} 个事件`;
+            el.status.className = 'recording-status recording';
+        } else if (playing) {
+            el.status.textContent = '▶ 回放中';
+            el.status.className = 'recording-status';
+        } else if (loaded) {
+            el.status.textContent = `已加载 ${this.player.recording.events.length} 个事件 (${this.player.recording.mode === 'frames' ? '原始帧' : '解析数据'})`;
+            el.status.className = 'recording-status';
+        } else {
+            el.status.textContent = '未录制';
+            el.status.className = 'recording-status';
+        }
+    }
+
+    /**
+     * 设置数据导出控制
+     */
+    setupExportControls() {
+        const windowBtn = document.getElementById('export-window-btn');
+        const captureStartBtn = document.getElementById('export-capture-start-btn');
+        const captureStopBtn = document.getElementById('export-capture-stop-btn');
+        const status = document.getElementById('export-status');
+        
+        if (!windowBtn || !captureStartBtn || !captureStopBtn) {
+            console.warn('未找到数据导出控制元素，跳过导出功能');
+            return;
+        }
+        
+        windowBtn.addEventListener('click', () => {
+            const seconds = parseFloat(document.getElementById('export-window')?.value) || 10;
+            this.exportSamples(this.exporter.getWindow(seconds * 1000), `window-${seconds}s`);
+        });
+        
+        captureStartBtn.addEventListener('click', () => {
+            this.exporter.startCapture();
+            captureStartBtn.disabled = true;
+            captureStopBtn.disabled = false;
+            this.log('开始采集导出数据', 'info');
+            this.exportStatusTimer = setInterval(() => {
+                status.textContent = `● 采集中: ${this.exporter.getCaptureCount()} 条`;
+            }, 500);
+        });
+        
+        captureStopBtn.addEventListener('click', () => {
+            clearInterval(this.exportStatusTimer);
+            this.exportStatusTimer = null;
+            const samples = this.exporter.stopCapture();
+            captureStartBtn.disabled = false;
+            captureStopBtn.disabled = true;
+            status.textContent = `上次采集: ${samples.length} 条`;
+            this.exportSamples(samples, 'capture');
+        });
+    }
+
+    /**
+     * 设置校准向导控制
+     */
+    setupCalibrationWizard() {
+        const startBtn = document.getElementById('wizard-start-btn');
+        if (!startBtn) {
+            console.warn('未找到 wizard-start-btn 按钮，跳过校准向导');
+            return;
+        }
+        
+        this.calibrationWizard.setUpdateCallback((wizard) => {
+            this.renderCalibrationWizard();
+            if (wizard.status === 'error') {
+                this.log(`校准向导: ${wizard.getCurrentStep().title} - ${wizard.message}`, 'warning');
+            } else if (wizard.status === 'done') {
+                this.log('校准向导: ' + wizard.message, 'success');
+                this.showSuccess(wizard.message);
+            } else if (wizard.status === 'aborted') {
+                this.log('校准向导: ' + wizard.message, 'warning');
+            }
+        });
+        
+        startBtn.addEventListener('click', () => {
+            const device = this.getActiveDevice();
+            if (!device.serialManager.getConnectionStatus()) {
+                this.showError('请先连接串口');
+                return;
+            }
+            const { hand, fingers } = this.getAnchorSelection();
+            const mode = document.getElementById('wizard-mode')?.value || 'full';
+            try {
+                // 向导对当前设备执行
+                this.calibrationWizard.serialManager = device.serialManager;
+                this.calibrationWizard.start({ mode, hand, fingers });
+                this.log(`校准向导开始: ${device.name}, ${hand === 0 ? '右手' : '左手'}, 共 ${this.calibrationWizard.steps.length} 步`, 'info');
+            } catch (error) {
+                this.log('启动校准向导失败: ' + error.message, 'error');
+                this.showError(error.message);
+            }
+        });
+        
+        document.getElementById('wizard-next-btn')?.addEventListener('click', async () => {
+            const step = this.calibrationWizard.getCurrentStep();
+            if (await this.calibrationWizard.next()) {
+                this.log(`校准向导: ${step.title} 完成`, 'info');
+            }
+        });
+        document.getElementById('wizard-retry-btn')?.addEventListener('click', () => this.calibrationWizard.retry());
+        document.getElementById('wizard-abort-btn')?.addEventListener('click', () => this.calibrationWizard.abort());
+        
+        this.renderCalibrationWizard();
+    }
+
+    /**
+     * 渲染校准向导的步骤列表、提示和按钮状态
+     */
+    renderCalibrationWizard() {
+        const wizard = this.calibrationWizard;
+        const stepList = document.getElementById('wizard-steps');
+        const instruction = document.getElementById('wizard-instruction');
+        const message = document.getElementById('wizard-message');
+        if (!wizard || !stepList) {
+            return;
+        }
+        
+        stepList.innerHTML = '';
+        wizard.steps.forEach((step, i) => {
+            const item = document.createElement('li');
+            item.textContent = step.title;
+            if (i < wizard.currentIndex) {
+                item.className = 'done';
+            } else if (i === wizard.currentIndex && wizard.isActive()) {
+                item.className = wizard.status === 'error' ? 'failed' : 'active';
+            }
+            stepList.appendChild(item);
+        });
+        
+        const step = wizard.getCurrentStep();
+        if (instruction) {
+            if (wizard.isActive() && step) {
+                instruction.textContent = `第 ${wizard.currentIndex + 1}/${wizard.steps.length} 步：${step.instruction}`;
+            } else if (wizard.status === 'idle') {
+                instruction.textContent = '点击“启动向导”开始分步校准';
+            } else {
+                instruction.textContent = '向导已结束，可重新启动';
+            }
+        }
+        if (message) {
+            message.textContent = wizard.message;
+            message.className = 'wizard-message' +
+                (wizard.status === 'error' || wizard.status === 'aborted' ? ' error' : wizard.status === 'done' ? ' success' : '');
+        }
+        
+        const connected = this.getActiveDevice().serialManager.getConnectionStatus();
+        const active = wizard.isActive();
+        const busy = wizard.status === 'busy';
+        const buttons = {
+            'wizard-start-btn': !connected || active,
+            'wizard-mode': active,
+            'wizard-next-btn': !active || busy,
+            'wizard-retry-btn': !active || busy,
+            'wizard-abort-btn': !active
+        };
+        Object.entries(buttons).forEach(([id, disabled]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.disabled = disabled;
+            }
+        });
+    }
+
+    /**
+     * 初始化时间序列图表
+     */
+    setupCharts() {
+        const rightCanvas = document.getElementById('right-chart-canvas');
+        const leftCanvas = document.getElementById('left-chart-canvas');
+        if (!rightCanvas || !leftCanvas) {
+            console.warn('未找到图表画布，跳过图表功能');
+            return;
+        }
+        
+        this.chartPanel = new JointChartPanel({
+            rightCanvas: rightCanvas,
+            leftCanvas: leftCanvas,
+            channelList: document.getElementById('chart-channels'),
+            readout: document.getElementById('chart-readout')
+        }, this.serialManager.JOINT_NAMES);
+        
+        const streamSelect = document.getElementById('chart-stream');
+        const windowSelect = document.getElementById('chart-window');
+        const pauseBtn = document.getElementById('chart-pause-btn');
+        
+        if (streamSelect) {
+            streamSelect.addEventListener('change', () => this.chartPanel.setStream(streamSelect.value));
+        }
+        if (windowSelect) {
+            windowSelect.addEventListener('change', () => this.chartPanel.setWindow(parseInt(windowSelect.value)));
+        }
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                const paused = !this.chartPanel.isPaused;
+                this.chartPanel.setPaused(paused);
+                pauseBtn.textContent = paused ? '继续' : '暂停';
+            });
+        }
+        document.getElementById('chart-clear-btn')?.addEventListener('click', () => this.chartPanel.clear());
+        document.getElementById('chart-all-btn')?.addEventListener('click', () => this.chartPanel.setAllChannels(true));
+        document.getElementById('chart-none-btn')?.addEventListener('click', () => this.chartPanel.setAllChannels(false));
+        
+        this.chartPanel.start();
+    }
+
+    /**
+     * 初始化3D手部模型
+     */
+    setupHandModel() {
+        const canvas = document.getElementById('hand3d-canvas');
+        if (!canvas) {
+            console.warn('未找到3D模型画布，跳过3D模型功能');
+            return;
+        }
+        
+        this.handView = new HandRenderer3D(canvas);
+        document.getElementById('hand3d-reset-btn')?.addEventListener('click', () => this.handView.resetCamera());
+        
+        this.handView.start();
+    }
+
+    /**
+     * 按需注册原始帧回调和帧追踪回调
+     * 只在帧检查器记录中、或按原始数据帧录制时注册：设置了这两个回调时串口层要为每一帧生成数据副本
+     * （Worker 解析时还要把副本回传主线程），不需要时应让解析器直接在环形缓冲区上解码
+     * @param {Object} device - 设备条目，为空时更新所有设备
+     */
+    updateFrameCallbacks(device = null) {
+        if (!device) {
+            this.devices.forEach(item => this.updateFrameCallbacks(item));
+            return;
+        }
+        
+        const tracing = this.frameInspector && !this.frameInspector.isPaused;
+        const recordingFrames = this.recorder && this.recorder.isRecording && this.recorder.mode === 'frames';
+        device.serialManager.setFrameTraceCallback(tracing ?
+            record => this.frameInspector.add(record, device.name) : null);
+        device.serialManager.setFrameCallback(recordingFrames ?
+            (cmdType, data) => this.recorder.recordFrame(cmdType, data) : null);
+    }
+
+    /**
+     * 初始化协议帧检查器
+     */
+    setupFrameInspector() {
+        const list = document.getElementById('inspector-list');
+        if (!list) {
+            console.warn('未找到帧检查器列表，跳过帧检查器功能');
+            return;
+        }
+        
+        this.frameInspector = new FrameInspector({
+            list: list,
+            summary: document.getElementById('inspector-summary')
+        }, cmd => this.getCommandName(cmd));
+        
+        // 所有设备的收发帧都进入同一个检查器，按设备名称区分
+        // 默认不记录，点击“记录”后才注册帧追踪回调，避免平时为每一帧生成追踪记录
+        this.frameInspector.setPaused(true);
+        this.updateFrameCallbacks();
+        
+        const filterSelect = document.getElementById('inspector-filter');
+        if (filterSelect) {
+            // 按命令码筛选的选项
+            Object.entries(this.serialManager.COMMANDS)
+                .filter(([key]) => key.startsWith('CMD_'))
+                .forEach(([, cmd]) => {
+                    const option = document.createElement('option');
+                    option.value = String(cmd);
+                    option.textContent = `0x${cmd.toString(16).padStart(2, '0')} ${this.getCommandName(cmd)}`;
+                    filterSelect.appendChild(option);
+                });
+            filterSelect.addEventListener('change', () => {
+                const value = filterSelect.value;
+                this.frameInspector.setFilter(/^\d+$/.test(value) ? parseInt(value) : value);
+            });
+        }
+        
+        const pauseBtn = document.getElementById('inspector-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                const paused = !this.frameInspector.isPaused;
+                this.frameInspector.setPaused(paused);
+                this.updateFrameCallbacks();
+                pauseBtn.textContent = paused ? '记录' : '暂停';
+            });
+        }
+        document.getElementById('inspector-clear-btn')?.addEventListener('click', () => this.frameInspector.clear());
+        document.getElementById('inspector-export-btn')?.addEventListener('click', () => {
+            const format = document.getElementById('inspector-format')?.value || 'csv';
+            const result = this.frameInspector.export(format);
+            if (result.count === 0) {
+                this.showError('没有可导出的帧');
+                return;
+            }
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            this.downloadFile(`exhand-frames-${stamp}.${result.extension}`, result.content, result.mimeType);
+            this.showSuccess(`已导出 ${result.count} 帧 (${format.toUpperCase()})`);
+        });
+        
+        this.frameInspector.start();
+    }
+
+    /**
+     * 初始化渲染调度
+     * 页面隐藏时停止图表、3D模型和帧检查器的渲染循环，只保留最新数据，重新可见后恢复
+     */
+    setupRenderScheduler() {
+        this.renderScheduler = new RenderScheduler();
+        this.renderScheduler.register('joints', jointData => this.updateJointDisplay(jointData));
+        this.renderScheduler.register('sensors', sensorData => this.updateSensorDisplay(sensorData));
+        this.renderScheduler.register('statistics', () => this.updateStatistics());
+        this.renderScheduler.register('hostCalibration', (comparison, hand) => this.updateHostComparisonDisplay(comparison, hand));
+        
+        this.renderScheduler.setVisibilityCallback(hidden => {
+            [this.chartPanel, this.handView, this.frameInspector].forEach(view => {
+                if (view) {
+                    if (hidden) {
+                        view.stop();
+                    } else {
+                        view.start();
+                    }
+                }
+            });
+            console.log(hidden ? '页面已隐藏，暂停界面刷新' : '页面已恢复显示，继续界面刷新');
+        });
+        
+        this.renderScheduler.start();
+    }
+
+    /**
+     * 设置信号滤波控制
+     * 选择数据流、手侧和关节后编辑滤波链，应用后立即生效并保存到本地存储
+     */
+    setupFilterControls() {
+        const el = {
+            stages: document.getElementById('filter-stages'),
+            stream: document.getElementById('filter-stream'),
+            hand: document.getElementById('filter-hand'),
+            joint: document.getElementById('filter-joint'),
+            display: document.getElementById('filter-display'),
+            applyBtn: document.getElementById('filter-apply-btn'),
+            clearBtn: document.getElementById('filter-clear-btn'),
+            summary: document.getElementById('filter-summary')
+        };
+        if (!el.stages || !el.stream || !el.hand || !el.joint) {
+            console.warn('未找到滤波设置元素，跳过滤波设置');
+            return;
+        }
+        const pipeline = this.filterPipeline;
+        
+        // 关节选项
+        this.serialManager.JOINT_NAMES.forEach((name, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = name;
+            el.joint.appendChild(option);
+        });
+        
+        // 每个滤波级一行：启用开关 + 参数
+        pipeline.STAGES.forEach(stage => {
+            const row = document.createElement('div');
+            row.className = 'filter-stage';
+            row.innerHTML = `<label class="checkbox-label"><input type="checkbox" id="filter-${stage.type}-enabled"> ${stage.name}</label>`;
+            stage.params.forEach(param => {
+                const label = document.createElement('label');
+                label.className = 'filter-param';
+                label.textContent = param.label;
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.id = `filter-${stage.type}-${param.key}`;
+                input.step = String(param.step);
+                input.min = String(param.min);
+                if (param.max !== undefined) {
+                    input.max = String(param.max);
+                }
+                label.appendChild(input);
+                row.appendChild(label);
+            });
+            el.stages.appendChild(row);
+        });
+        
+        const getTargets = () => ({
+            stream: el.stream.value,
+            hands: el.hand.value === 'both' ? [0, 1] : [parseInt(el.hand.value)],
+            joints: el.joint.value === 'all'
+                ? this.serialManager.JOINT_NAMES.map((name, index) => index)
+                : [parseInt(el.joint.value)]
+        });
+        
+        // 多个通道时显示第一个通道的设置
+        const loadForm = () => {
+            const { stream, hands, joints } = getTargets();
+            const settings = pipeline.getSettings(stream, hands[0], joints[0]);
+            pipeline.STAGES.forEach(stage => {
+                document.getElementById(`filter-${stage.type}-enabled`).checked = settings[stage.type].enabled;
+                stage.params.forEach(param => {
+                    document.getElementById(`filter-${stage.type}-${param.key}`).value = settings[stage.type][param.key];
+                });
+            });
+        };
+        
+        const readForm = (stream) => {
+            const settings = pipeline.getDefaultSettings(stream);
+            pipeline.STAGES.forEach(stage => {
+                settings[stage.type].enabled = document.getElementById(`filter-${stage.type}-enabled`).checked;
+                stage.params.forEach(param => {
+                    const value = parseFloat(document.getElementById(`filter-${stage.type}-${param.key}`).value);
+                    if (Number.isFinite(value)) {
+                        settings[stage.type][param.key] = value;
+                    }
+                });
+            });
+            return settings;
+        };
+        
+        const renderSummary = () => {
+            if (el.summary) {
+                el.summary.textContent = `已配置滤波: 映射数据 ${pipeline.getActiveCount('mapping')} 个通道, 传感器数据 ${pipeline.getActiveCount('sensor')} 个通道`;
+            }
+        };
+        
+        const applyToTargets = (settings) => {
+            const { stream, hands, joints } = getTargets();
+            hands.forEach(hand => {
+                joints.forEach(joint => pipeline.setSettings(stream, hand, joint, settings));
+            });
+            pipeline.save();
+            renderSummary();
+            return hands.length * joints.length;
+        };
+        
+        [el.stream, el.hand, el.joint].forEach(select => select.addEventListener('change', loadForm));
+        
+        if (el.applyBtn) {
+            el.applyBtn.addEventListener('click', () => {
+                const count = applyToTargets(readForm(el.stream.value));
+                this.log(`滤波设置已应用到 ${count} 个通道`, 'success');
+            });
+        }
+        if (el.clearBtn) {
+            el.clearBtn.addEventListener('click', () => {
+                const count = applyToTargets(null);
+                loadForm();
+                this.log(`已清除 ${count} 个通道的滤波`, 'info');
+            });
+        }
+        if (el.display) {
+            el.display.addEventListener('change', () => {
+                this.displayFiltered = el.display.value === 'filtered';
+            });
+        }
+        
+        loadForm();
+        renderSummary();
+    }
+
+    /**
+     * 设置主机端校准控制
+     * 采集一段原始传感器数据计算映射模型，逐通道调整参数，并与设备映射结果逐通道对比
+     */
+    setupHostCalibration() {
+        const el = {
+            source: document.getElementById('host-cal-source'),
+            hand: document.getElementById('host-cal-hand'),
+            captureBtn: document.getElementById('host-cal-capture-btn'),
+            cancelBtn: document.getElementById('host-cal-cancel-btn'),
+            clearBtn: document.getElementById('host-cal-clear-btn'),
+            status: document.getElementById('host-cal-status'),
+            table: document.getElementById('host-cal-table')
+        };
+        if (!el.hand || !el.table) {
+            console.warn('未找到主机端校准元素，跳过主机端校准功能');
+            return;
+        }
+        this.hostCalibrationElements = el;
+        
+        el.hand.addEventListener('change', () => this.renderHostCalibration());
+        if (el.source) {
+            el.source.value = this.jointSource;
+            el.source.addEventListener('change', () => {
+                this.jointSource = el.source.value;
+                this.log(`关节显示改为${this.jointSource === 'host' ? '主机端映射' : '设备映射'}`, 'info');
+            });
+        }
+        
+        el.captureBtn?.addEventListener('click', () => {
+            const calibration = this.hostCalibration;
+            const hand = parseInt(el.hand.value);
+            if (!calibration.isCapturing()) {
+                calibration.startCapture(hand);
+                this.log(`主机端校准开始采集: ${hand === 0 ? '右手' : '左手'}`, 'info');
+                this.renderHostCalibration();
+                return;
+            }
+            try {
+                const model = calibration.stopCapture();
+                calibration.save();
+                this.showSuccess(`主机端校准完成: ${model.sampleCount} 个样本`);
+            } catch (error) {
+                this.showError('主机端校准失败: ' + error.message);
+            }
+            this.renderHostCalibration();
+        });
+        el.cancelBtn?.addEventListener('click', () => {
+            this.hostCalibration.cancelCapture();
+            this.renderHostCalibration();
+        });
+        el.clearBtn?.addEventListener('click', () => {
+            this.hostCalibration.clear(parseInt(el.hand.value));
+            this.hostCalibration.save();
+            this.renderHostCalibration();
+        });
+        
+        // 采集进度每秒刷新一次
+        this.hostCalibrationTimer = setInterval(() => {
+            if (this.hostCalibration.isCapturing()) {
+                this.renderHostCalibrationStatus();
+            }
+        }, 1000);
+        
+        this.renderHostCalibration();
+    }
+
+    /**
+     * 渲染主机端校准参数表（切换手侧或模型变化时重建）
+     */
+    renderHostCalibration() {
+        const el = this.hostCalibrationElements;
+        if (!el) {
+            return;
+        }
+        const calibration = this.hostCalibration;
+        const hand = parseInt(el.hand.value);
+        const model = calibration.getModel(hand);
+        
+        el.table.innerHTML = '';
+        this.hostCalibrationCells = [];
+        this.serialManager.JOINT_NAMES.forEach((name, joint) => {
+            const channel = model ? model.channels[joint] : calibration.getDefaultChannel();
+            const row = document.createElement('tr');
+            if (model && model.warnings.includes(joint)) {
+                row.className = 'host-cal-warning';
+                row.title = '采集期间该通道运动范围过小';
+            }
+            
+            const nameCell = document.createElement('td');
+            nameCell.textContent = name;
+            row.appendChild(nameCell);
+            
+            // 参数输入：修改后立即生效并保存
+            const update = (params) => {
+                calibration.setChannel(hand, joint, params);
+                calibration.save();
+                this.renderHostCalibrationStatus();
+            };
+            const numberCell = (key, step, min, max) => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = String(step);
+                input.min = String(min);
+                input.max = String(max);
+                input.value = String(channel[key]);
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    if (Number.isFinite(value)) {
+                        update({ [key]: value });
+                    }
+                });
+                cell.appendChild(input);
+                return cell;
+            };
+            row.appendChild(numberCell('min', 1, 0, calibration.RAW_MAX));
+            row.appendChild(numberCell('max', 1, 0, calibration.RAW_MAX));
+            
+            const invertCell = document.createElement('td');
+            const invert = document.createElement('input');
+            invert.type = 'checkbox';
+            invert.checked = channel.invert;
+            invert.addEventListener('change', () => update({ invert: invert.checked }));
+            invertCell.appendChild(invert);
+            row.appendChild(invertCell);
+            
+            const curveCell = document.createElement('td');
+            const curve = document.createElement('select');
+            calibration.CURVES.forEach(item => {
+                const option = document.createElement('option');
+                option.value = item.type;
+                option.textContent = item.name;
+                curve.appendChild(option);
+            });
+            curve.value = channel.curve;
+            curve.addEventListener('change', () => update({ curve: curve.value }));
+            curveCell.appendChild(curve);
+            row.appendChild(curveCell);
+            
+            row.appendChild(numberCell('gamma', 0.05, 0.1, 5));
+            if (calibration.isTipJoint(joint)) {
+                row.appendChild(numberCell('coupling', 0.05, 0, 1));
+            } else {
+                row.appendChild(document.createElement('td'));
+            }
+            
+            // 实时对比：原始值、主机映射、设备映射、差值
+            const cells = {};
+            ['raw', 'host', 'device', 'diff'].forEach(key => {
+                const cell = document.createElement('td');
+                cell.className = 'host-cal-live';
+                cell.textContent = '--';
+                row.appendChild(cell);
+                cells[key] = cell;
+            });
+            this.hostCalibrationCells.push(cells);
+            
+            el.table.appendChild(row);
+        });
+        
+        this.renderHostCalibrationStatus();
+        const comparison = this.hostComparison[hand];
+        if (comparison.raw || comparison.device) {
+            this.updateHostComparisonDisplay(comparison, hand);
+        }
+    }
+
+    /**
+     * 渲染主机端校准状态和按钮
+     */
+    renderHostCalibrationStatus() {
+        const el = this.hostCalibrationElements;
+        if (!el) {
+            return;
+        }
+        const calibration = this.hostCalibration;
+        const capturing = calibration.isCapturing();
+        const hand = parseInt(el.hand.value);
+        const model = calibration.getModel(hand);
+        
+        if (el.captureBtn) {
+            el.captureBtn.textContent = capturing ? '完成采集' : '开始采集';
+        }
+        if (el.cancelBtn) {
+            el.cancelBtn.disabled = !capturing;
+        }
+        if (el.clearBtn) {
+            el.clearBtn.disabled = capturing || !model;
+        }
+        el.hand.disabled = capturing;
+        if (!el.status) {
+            return;
+        }
+        
+        if (capturing) {
+            const count = calibration.getCaptureCount();
+            el.status.textContent = `正在采集: ${count.samples} 个原始样本（${count.references} 个有设备映射参考）。` +
+                '请完整握拳、张开并左右摆动各手指，然后点击“完成采集”';
+        } else if (model) {
+            const sources = { reference: '按设备映射拟合', range: '按运动范围', manual: '手动设置' };
+            const parts = [`已校准（${sources[model.source] || model.source}）`];
+            if (model.sampleCount > 0) {
+                parts.push(`${model.sampleCount} 个样本`);
+            }
+            if (model.rmsError !== null) {
+                parts.push(`拟合误差 RMS ${model.rmsError.toFixed(3)}`);
+            }
+            if (model.warnings.length > 0) {
+                parts.push(`${model.warnings.length} 个通道运动范围过小`);
+            }
+            el.status.textContent = parts.join(', ');
+        } else {
+            el.status.textContent = '未校准：启用传感器数据发送后开始采集（同时启用映射数据发送可按设备映射拟合）';
+        }
+    }
+
+    /**
+     * 设置宏命令控制
+     */
+    setupMacroRunner() {
+        const el = {
+            list: document.getElementById('macro-list'),
+            name: document.getElementById('macro-name'),
+            editor: document.getElementById('macro-editor'),
+            runBtn: document.getElementById('macro-run-btn'),
+            abortBtn: document.getElementById('macro-abort-btn'),
+            checkBtn: document.getElementById('macro-check-btn'),
+            saveBtn: document.getElementById('macro-save-btn'),
+            deleteBtn: document.getElementById('macro-delete-btn'),
+            exportBtn: document.getElementById('macro-export-btn'),
+            importBtn: document.getElementById('macro-import-btn'),
+            fileInput: document.getElementById('macro-file-input'),
+            progress: document.getElementById('macro-progress'),
+            message: document.getElementById('macro-message')
+        };
+        if (!el.list || !el.editor || !el.runBtn) {
+            console.warn('未找到宏命令元素，跳过宏命令功能');
+            return;
+        }
+        this.macroElements = el;
+        const runner = this.macroRunner;
+        
+        runner.setUpdateCallback(() => this.renderMacroRunner());
+        runner.setLogCallback((message, type) => this.log(`宏: ${message}`, type));
+        
+        el.list.addEventListener('change', () => {
+            const macro = this.macroLibrary.get(el.list.value);
+            if (macro && !runner.isRunning()) {
+                el.name.value = macro.name;
+                el.editor.value = macro.source;
+                this.checkMacro();
+            }
+        });
+        el.runBtn.addEventListener('click', () => this.runMacro());
+        el.abortBtn?.addEventListener('click', () => runner.abort());
+        el.checkBtn?.addEventListener('click', () => this.checkMacro());
+        el.saveBtn?.addEventListener('click', () => this.saveMacro());
+        el.deleteBtn?.addEventListener('click', () => {
+            const name = el.list.value;
+            if (!name || !confirm(`确定删除宏“${name}”吗？`)) {
+                return;
+            }
+            this.macroLibrary.delete(name);
+            this.macroLibrary.save();
+            this.renderMacroList();
+        });
+        el.exportBtn?.addEventListener('click', () => {
+            if (this.macroLibrary.macros.length === 0) {
+                this.showError('没有可导出的宏');
+                return;
+            }
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            this.downloadFile(`exhand-macros-${stamp}.json`, MacroLibrary.serialize(this.macroLibrary.macros), 'application/json');
+            this.showSuccess(`已导出 ${this.macroLibrary.macros.length} 个宏`);
+        });
+        el.importBtn?.addEventListener('click', () => el.fileInput?.click());
+        el.fileInput?.addEventListener('change', async () => {
+            const file = el.fileInput.files[0];
+            el.fileInput.value = '';
+            if (!file) {
+                return;
+            }
+            try {
+                const macros = MacroLibrary.parse(await file.text());
+                macros.forEach(macro => this.macroLibrary.set(macro.name, macro.source));
+                this.macroLibrary.save();
+                this.renderMacroList();
+                this.showSuccess(`已导入 ${macros.length} 个宏: ${file.name}`);
+            } catch (error) {
+                this.showError('导入宏失败: ' + error.message);
+            }
+        });
+        
+        this.renderMacroList();
+        if (this.macroLibrary.macros.length > 0) {
+            el.list.value = this.macroLibrary.macros[0].name;
+            el.list.dispatchEvent(new Event('change'));
+        }
+        this.renderMacroRunner();
+    }
+
+    /**
+     * 渲染宏列表
+     */
+    renderMacroList() {
+        const el = this.macroElements;
+        const selected = el.list.value;
+        el.list.innerHTML = '';
+        this.macroLibrary.macros.forEach(macro => {
+            const option = document.createElement('option');
+            option.value = macro.name;
+            option.textContent = macro.name;
+            el.list.appendChild(option);
+        });
+        el.list.value = this.macroLibrary.get(selected) ? selected : (this.macroLibrary.macros[0]?.name || '');
+    }
+
+    /**
+     * 解析编辑器中的宏
+     * @returns {Object|null} 宏，解析失败时为null并显示错误
+     */
+    parseMacroEditor() {
+        const el = this.macroElements;
+        try {
+            return this.macroRunner.parse(el.editor.value, el.name.value.trim());
+        } catch (error) {
+            el.message.textContent = `解析失败: ${error.message}`;
+            el.message.className = 'wizard-message error';
+            return null;
+        }
+    }
+
+    /**
+     * 检查编辑器中的宏并预览步骤
+     */
+    checkMacro() {
+        if (this.macroRunner.isRunning()) {
+            return;
+        }
+        const macro = this.parseMacroEditor();
+        if (!macro) {
+            this.macroElements.progress.innerHTML = '';
+            return;
+        }
+        this.macroRunner.macro = macro;
+        this.macroRunner.stepStates = new Map();
+        this.macroRunner.status = 'idle';
+        this.macroRunner.message = '';
+        this.renderMacroRunner();
+        let count = 0;
+        this.macroRunner.forEachStep(macro.steps, () => count++);
+        this.macroElements.message.textContent = `语法正确，共 ${count} 个步骤`;
+        this.macroElements.message.className = 'wizard-message success';
+    }
+
+    /**
+     * 保存编辑器中的宏（同名覆盖）
+     */
+    saveMacro() {
+        const el = this.macroElements;
+        const name = el.name.value.trim();
+        if (!name) {
+            this.showError('请填写宏名称');
+            return;
+        }
+        if (!this.parseMacroEditor()) {
+            this.showError('宏有语法错误，未保存');
+            return;
+        }
+        this.macroLibrary.set(name, el.editor.value);
+        this.macroLibrary.save();
+        this.renderMacroList();
+        el.list.value = name;
+        this.showSuccess(`宏已保存: ${name}`);
+    }
+
+    /**
+     * 在当前设备上运行编辑器中的宏
+     */
+    async runMacro() {
+        const macro = this.parseMacroEditor();
+        if (!macro) {
+            return;
+        }
+        const device = this.getActiveDevice();
+        if (!device.serialManager.getConnectionStatus()) {
+            this.showError('请先连接串口');
+            return;
+        }
+        
+        // 宏中的命令成功后同步界面上的设备状态
+        const flags = {
+            'enable can': ['canEnabled', true],
+            'disable can': ['canEnabled', false],
+            'enable sensor': ['sensorSend', true],
+            'disable sensor': ['sensorSend', false],
+            'enable mapping': ['mappingSend', true],
+            'disable mapping': ['mappingSend', false]
+        };
+        this.macroRunner.setCommandCallback((command, result) => {
+            if (command === 'status') {
+                this.updateDeviceStatus(device, result);
+            } else if (flags[command]) {
+                this.setDeviceStatusFlag(device, ...flags[command]);
+            }
+        });
+        
+        const name = macro.name || '未命名宏';
+        this.log(`${device.name}: 开始运行宏“${name}”`, 'info');
+        const status = await this.macroRunner.run(macro, device.serialManager);
+        if (status === 'done') {
+            this.showSuccess(`宏“${name}”执行完成`);
+        } else if (status === 'aborted') {
+            this.log(`宏“${name}”已中止`, 'warning');
+        } else {
+            this.showError(`宏“${name}”执行失败: ${this.macroRunner.message}`);
+        }
+    }
+
+    /**
+     * 渲染宏的步骤进度、结果和按钮状态
+     */
+    renderMacroRunner() {
+        const el = this.macroElements;
+        if (!el) {
+            return;
+        }
+        const runner = this.macroRunner;
+        const running = runner.isRunning();
+        
+        el.progress.innerHTML = '';
+        if (runner.macro) {
+            runner.forEachStep(runner.macro.steps, (step, depth) => {
+                const item = document.createElement('li');
+                const state = runner.stepStates.get(step.id);
+                item.className = state ? state.state : 'pending';
+                item.style.paddingLeft = `${depth * 1.25}rem`;
+                item.textContent = runner.describeStep(step);
+                if (state && state.detail) {
+                    const detail = document.createElement('span');
+                    detail.className = 'macro-detail';
+                    detail.textContent = state.detail;
+                    item.appendChild(detail);
+                }
+                el.progress.appendChild(item);
+            });
+        }
+        
+        if (runner.status !== 'idle') {
+            el.message.textContent = running ? '运行中...' : runner.message;
+            el.message.className = 'wizard-message' +
+                (runner.status === 'failed' || runner.status === 'aborted' ? ' error' : runner.status === 'done' ? ' success' : '');
+        }
+        
+        const connected = this.getActiveDevice().serialManager.getConnectionStatus();
+        const buttons = {
+            'macro-run-btn': !connected || running,
+            'macro-abort-btn': !running,
+            'macro-list': running
+        };
+        Object.entries(buttons).forEach(([id, disabled]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.disabled = disabled;
+            }
+        });
+        el.editor.readOnly = running;
+    }
+
+    /**
+     * 设置命令控制台
+     */
+    setupCommandConsole() {
+        const el = {
+            input: document.getElementById('console-input'),
+            output: document.getElementById('console-output'),
+            sendBtn: document.getElementById('console-send-btn'),
+            wait: document.getElementById('console-wait'),
+            eol: document.getElementById('console-eol'),
+            snippets: document.getElementById('console-snippets'),
+            snippetName: document.getElementById('console-snippet-name'),
+            snippetSaveBtn: document.getElementById('console-snippet-save-btn'),
+            snippetDeleteBtn: document.getElementById('console-snippet-delete-btn'),
+            clearBtn: document.getElementById('console-clear-btn')
+        };
+        if (!el.input || !el.output || !el.sendBtn) {
+            console.warn('未找到命令控制台元素，跳过命令控制台功能');
+            return;
+        }
+        this.consoleElements = el;
+        const commandConsole = this.commandConsole;
+        
+        // 所有设备的帧外文本输出都显示在控制台中，按设备名称区分
+        this.devices.forEach(device => {
+            device.serialManager.setTextCallback(bytes => this.handleConsoleText(device, bytes));
+        });
+        
+        el.sendBtn.addEventListener('click', () => this.sendConsoleLine());
+        el.input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.sendConsoleLine();
+            } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+                const line = commandConsole.navigateHistory(event.key === 'ArrowUp' ? -1 : 1, el.input.value);
+                if (line !== null) {
+                    event.preventDefault();
+                    el.input.value = line;
+                }
+            } else if (event.key === 'Tab') {
+                event.preventDefault();
+                const completion = commandConsole.complete(el.input.value);
+                el.input.value = completion.line;
+                if (completion.candidates.length > 1) {
+                    this.appendConsoleLine(completion.candidates.join('  '), 'info');
+                }
+            }
+        });
+        
+        el.snippets?.addEventListener('change', () => {
+            const snippet = commandConsole.getSnippet(el.snippets.value);
+            if (snippet) {
+                el.input.value = snippet.line;
+                if (el.snippetName) {
+                    el.snippetName.value = snippet.name;
+                }
+                el.input.focus();
+            }
+        });
+        el.snippetSaveBtn?.addEventListener('click', () => {
+            const name = el.snippetName?.value.trim();
+            const line = el.input.value.trim();
+            if (!name || !line) {
+                this.showError('请填写片段名称和命令');
+                return;
+            }
+            try {
+                commandConsole.parse(line);
+            } catch (error) {
+                this.showError('命令有误，未保存: ' + error.message);
+                return;
+            }
+            commandConsole.setSnippet(name, line);
+            this.renderConsoleSnippets();
+            el.snippets.value = name;
+            this.showSuccess(`命令片段已保存: ${name}`);
+        });
+        el.snippetDeleteBtn?.addEventListener('click', () => {
+            const name = el.snippets?.value;
+            if (!name || !confirm(`确定删除命令片段“${name}”吗？`)) {
+                return;
+            }
+            commandConsole.deleteSnippet(name);
+            this.renderConsoleSnippets();
+        });
+        el.clearBtn?.addEventListener('click', () => {
+            el.output.innerHTML = '';
+        });
+        
+        this.renderConsoleSnippets();
+        this.renderCommandConsole();
+    }
+
+    /**
+     * 渲染命令片段列表
+     */
+    renderConsoleSnippets() {
+        const select = this.consoleElements.snippets;
+        if (!select) {
+            return;
+        }
+        const selected = select.value;
+        select.innerHTML = '<option value="">常用命令...</option>';
+        this.commandConsole.snippets.forEach(snippet => {
+            const option = document.createElement('option');
+            option.value = snippet.name;
+            option.textContent = snippet.name;
+            option.title = snippet.line;
+            select.appendChild(option);
+        });
+        select.value = this.commandConsole.getSnippet(selected) ? selected : '';
+    }
+
+    /**
+     * 根据当前设备的连接状态更新控制台发送按钮
+     */
+    renderCommandConsole() {
+        if (!this.consoleElements) {
+            return;
+        }
+        this.consoleElements.sendBtn.disabled = !this.getActiveDevice().serialManager.getConnectionStatus();
+    }
+
+    /**
+     * 在控制台输出中追加一行（最多保留 500 行）
+     * @param {string} text - 文本
+     * @param {string} type - tx / rx / text / error / info
+     */
+    appendConsoleLine(text, type) {
+        const output = this.consoleElements.output;
+        const time = new Date();
+        const line = document.createElement('div');
+        line.className = `console-line ${type}`;
+        line.textContent = `[${time.toLocaleTimeString()}.${String(time.getMilliseconds()).padStart(3, '0')}] ${text}`;
+        
+        const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 4;
+        output.appendChild(line);
+        while (output.childElementCount > 500) {
+            output.removeChild(output.firstChild);
+        }
+        if (atBottom) {
+            output.scrollTop = output.scrollHeight;
+        }
+    }
+
+    /**
+     * 解析并在当前设备上发送控制台输入
+     */
+    async sendConsoleLine() {
+        const el = this.consoleElements;
+        const line = el.input.value.trim();
+        if (!line) {
+            return;
+        }
+        
+        let parsed;
+        try {
+            parsed = this.commandConsole.parse(line);
+        } catch (error) {
+            this.appendConsoleLine(`${line}: ${error.message}`, 'error');
+            return;
+        }
+        this.commandConsole.addHistory(line);
+        el.input.value = '';
+        
+        const device = this.getActiveDevice();
+        if (!device.serialManager.getConnectionStatus()) {
+            this.appendConsoleLine('串口未连接', 'error');
+            return;
+        }
+        
+        const hex = CommandConsole.toHex;
+        try {
+            if (parsed.type === 'text') {
+                const eol = { lf: '\n', crlf: '\r\n', none: '' }[el.eol?.value || 'lf'];
+                await device.serialManager.sendText(parsed.text + eol);
+                this.appendConsoleLine(`${device.name} → 文本 ${JSON.stringify(parsed.text + eol)}`, 'tx');
+                return;
+            }
+            
+            const cmdLabel = `0x${hex([parsed.cmd])} ${this.getCommandName(parsed.cmd)}`;
+            this.appendConsoleLine(`${device.name} → ${cmdLabel} [${parsed.data.length}] ${hex(parsed.data)}`, 'tx');
+            const response = await device.serialManager.sendRawFrame(parsed.cmd, parsed.data, { wait: !el.wait || el.wait.checked });
+            if (!response) {
+                return;
+            }
+            const resultName = device.serialManager.getResultName(response.result);
+            const data = response.data.length > 0
+                ? ` [${response.data.length}] ${hex(response.data)}  |${CommandConsole.toAscii(response.data)}|`
+                : '';
+            this.appendConsoleLine(`${device.name} ← ${cmdLabel} ${resultName}${data}`,
+                response.result === device.serialManager.COMMANDS.RESULT_SUCCESS ? 'rx' : 'error');
+            const fields = this.formatResponseFields(parsed.cmd, response.data);
+            if (fields) {
+                this.appendConsoleLine(`    ${fields}`, 'rx');
+            }
+        } catch (error) {
+            this.appendConsoleLine(`${device.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 显示设备的帧外文本输出（按行显示，输出停顿后显示未换行的部分）
+     * @param {Object} device - 设备条目
+     * @param {Array<number>} bytes - 字节
+     */
+    handleConsoleText(device, bytes) {
+        const lines = this.commandConsole.receiveText(device.name, bytes);
+        lines.forEach(line => this.appendConsoleLine(`${device.name} ← ${line}`, 'text'));
+        
+        clearTimeout(this.consoleTextTimers.get(device.name));
+        this.consoleTextTimers.set(device.name, setTimeout(() => {
+            this.consoleTextTimers.delete(device.name);
+            const rest = this.commandConsole.flushText(device.name);
+            if (rest) {
+                this.appendConsoleLine(`${device.name} ← ${rest}`, 'text');
+            }
+        }, 300));
+    }
+
+    /**
+     * 设置固件升级控制
+     */
+    setupFirmwareUpdate() {
+        const el = {
+            selectBtn: document.getElementById('firmware-select-btn'),
+            fileInput: document.getElementById('firmware-file-input'),
+            imageInfo: document.getElementById('firmware-image-info'),
+            progressFill: document.getElementById('firmware-progress-fill'),
+            progressText: document.getElementById('firmware-progress-text'),
+            message: document.getElementById('firmware-message'),
+            startBtn: document.getElementById('firmware-start-btn'),
+            pauseBtn: document.getElementById('firmware-pause-btn'),
+            resumeBtn: document.getElementById('firmware-resume-btn'),
+            abortBtn: document.getElementById('firmware-abort-btn')
+        };
+        if (!el.fileInput || !el.startBtn || !el.progressFill) {
+            console.warn('未找到固件升级元素，跳过固件升级功能');
+            return;
+        }
+        this.firmwareElements = el;
+        const updater = this.firmwareUpdater;
+        
+        updater.setUpdateCallback(() => this.renderFirmwareUpdate());
+        updater.setLogCallback((message, type) => this.log(`固件升级: ${message}`, type));
+        
+        el.selectBtn?.addEventListener('click', () => el.fileInput.click());
+        el.fileInput.addEventListener('change', async () => {
+            const file = el.fileInput.files[0];
+            el.fileInput.value = '';
+            if (!file) {
+                return;
+            }
+            try {
+                this.firmwareImage = await FirmwareImage.fromFile(file);
+                this.log(`已选择固件: ${this.firmwareImage.describe()}`, 'info');
+            } catch (error) {
+                this.showError('读取固件失败: ' + error.message);
+            }
+            this.renderFirmwareUpdate();
+        });
+        el.startBtn.addEventListener('click', () => this.runFirmwareUpdate(false));
+        el.resumeBtn?.addEventListener('click', () => this.runFirmwareUpdate(true));
+        el.pauseBtn?.addEventListener('click', () => updater.pause());
+        el.abortBtn?.addEventListener('click', () => updater.abort());
+        
+        this.renderFirmwareUpdate();
+    }
+
+    /**
+     * 升级当前设备的固件，或继续暂停/出错的升级
+     * @param {boolean} resume - 是否继续上次的升级
+     */
+    async runFirmwareUpdate(resume) {
+        const updater = this.firmwareUpdater;
+        if (updater.isRunning()) {
+            return;
+        }
+        
+        let device;
+        if (resume) {
+            if (!updater.canResume()) {
+                return;
+            }
+            device = this.devices.find(d => d.serialManager === updater.serialManager);
+        } else {
+            device = this.getActiveDevice();
+            if (!this.firmwareImage) {
+                this.showError('请先选择固件文件');
+                return;
+            }
+            if (!confirm(`确定把 ${device.name} 的固件升级为 ${this.firmwareImage.describe()} 吗？升级期间设备不推送数据。`)) {
+                return;
+            }
+        }
+        if (!device || !device.serialManager.getConnectionStatus()) {
+            this.showError('请先连接串口');
+            return;
+        }
+        
+        // 升级期间设备重启，之前的状态不再有效
+        this.updateDeviceStatus(device, null);
+        let status;
+        if (resume) {
+            this.log(`${device.name}: 继续固件升级`, 'info');
+            status = await updater.resume();
+        } else {
+            updater.serialManager = device.serialManager;
+            this.log(`${device.name}: 开始固件升级 ${this.firmwareImage.describe()}`, 'info');
+            status = await updater.start(this.firmwareImage);
+        }
+        
+        if (status === 'done') {
+            this.showSuccess(`${device.name} ${updater.message}`);
+        } else if (status === 'paused' || status === 'aborted') {
+            this.log(`${device.name}: ${updater.message}`, 'warning');
+        } else {
+            this.showError(`${device.name} ${updater.message}`);
+        }
+        
+        // 设备回到应用固件后重新握手（固件版本和能力可能已变化）
+        if (status === 'done' || status === 'aborted') {
+            this.negotiateDevice(device).then(() => this.getStatus([device])).catch(error => {
+                this.log('查询设备状态失败: ' + error.message, 'warning');
+            });
+        }
+    }
+
+    /**
+     * 渲染固件升级的固件信息、进度和按钮状态
+     */
+    renderFirmwareUpdate() {
+        const el = this.firmwareElements;
+        if (!el) {
+            return;
+        }
+        const updater = this.firmwareUpdater;
+        const running = updater.isRunning();
+        const progress = updater.getProgress();
+        
+        el.imageInfo.textContent = this.firmwareImage ? `固件: ${this.firmwareImage.describe()}` : '未选择固件';
+        el.progressFill.style.width = `${progress.percent.toFixed(1)}%`;
+        if (progress.total > 0) {
+            const rate = progress.rate > 0 ? `，${(progress.rate / 1024).toFixed(1)} KB/s` : '';
+            el.progressText.textContent = `${progress.offset}/${progress.total} 字节 (${progress.percent.toFixed(1)}%)${rate}`;
+        } else {
+            el.progressText.textContent = '';
+        }
+        
+        if (updater.status !== 'idle') {
+            el.message.textContent = updater.message;
+            el.message.className = 'wizard-message' +
+                (updater.status === 'failed' || updater.status === 'aborted' ? ' error' : updater.status === 'done' ? ' success' : '');
+        }
+        
+        const connected = this.getActiveDevice().serialManager.getConnectionStatus();
+        const resumable = updater.canResume() && updater.serialManager.getConnectionStatus();
+        const buttons = {
+            'firmware-select-btn': running,
+            'firmware-start-btn': !connected || running || !this.firmwareImage,
+            'firmware-pause-btn': updater.status !== 'connecting' && updater.status !== 'transferring',
+            'firmware-resume-btn': !resumable,
+            'firmware-abort-btn': !running && !resumable
+        };
+        Object.entries(buttons).forEach(([id, disabled]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.disabled = disabled;
+            }
+        });
+    }
+
+    /**
+     * 设置校准配置库控制
+     */
+    setupCalibrationProfiles() {
+        const el = {
+            operator: document.getElementById('profile-operator'),
+            name: document.getElementById('profile-name'),
+            hand: document.getElementById('profile-hand'),
+            saveBtn: document.getElementById('profile-save-btn'),
+            operatorFilter: document.getElementById('profile-operator-filter'),
+            list: document.getElementById('profile-list'),
+            applyBtn: document.getElementById('profile-apply-btn'),
+            deleteBtn: document.getElementById('profile-delete-btn'),
+            exportBtn: document.getElementById('profile-export-btn'),
+            importBtn: document.getElementById('profile-import-btn'),
+            fileInput: document.getElementById('profile-file-input'),
+            compare: document.getElementById('profile-compare'),
+            active: document.getElementById('profile-active'),
+            output: document.getElementById('profile-output')
+        };
+        if (!el.list || !el.saveBtn || !el.operator || !el.name || !el.hand) {
+            console.warn('未找到校准配置库元素，跳过校准配置库功能');
+            return;
+        }
+        this.profileElements = el;
+        
+        // 记住上次的操作者和各手正在使用的配置
+        el.operator.value = localStorage.getItem('calibrationOperator') || '';
+        try {
+            const active = JSON.parse(localStorage.getItem('activeCalibrationProfiles'));
+            if (Array.isArray(active) && active.length === 2) {
+                this.activeProfiles = active;
+            }
+        } catch (error) {
+            console.warn('读取当前校准配置失败:', error);
+        }
+        
+        el.saveBtn.addEventListener('click', () => this.saveCalibrationProfile());
+        el.applyBtn?.addEventListener('click', () => this.applyCalibrationProfile());
+        el.deleteBtn?.addEventListener('click', () => this.deleteCalibrationProfile());
+        el.exportBtn?.addEventListener('click', () => this.exportCalibrationProfiles());
+        el.importBtn?.addEventListener('click', () => el.fileInput?.click());
+        el.fileInput?.addEventListener('change', async () => {
+            const file = el.fileInput.files[0];
+            el.fileInput.value = '';
+            if (file) {
+                await this.importCalibrationProfiles(file);
+            }
+        });
+        el.operatorFilter?.addEventListener('change', () => this.renderCalibrationProfiles());
+        el.list.addEventListener('change', () => {
+            this.updateProfileControls();
+            this.renderProfileDiff();
+        });
+        // 双击直接切换，便于操作者之间快速切换
+        el.list.addEventListener('dblclick', () => this.applyCalibrationProfile());
+        el.compare?.addEventListener('change', () => this.renderProfileDiff());
+        
+        this.refreshCalibrationProfiles();
+    }
+
+    /**
+     * 从配置库重新读取配置列表并渲染
+     */
+    async refreshCalibrationProfiles() {
+        try {
+            this.profiles = await this.profileStore.list();
+        } catch (error) {
+            this.profiles = [];
+            this.log('读取校准配置库失败: ' + error.message, 'error');
+        }
+        this.renderCalibrationProfiles();
+    }
+
+    /**
+     * 获取当前选中的配置
+     * @returns {Object|null} 配置
+     */
+    getSelectedProfile() {
+        const el = this.profileElements;
+        if (!el) {
+            return null;
+        }
+        return this.profiles.find(profile => profile.id === el.list.value) || null;
+    }
+
+    /**
+     * 获取配置的显示名称
+     * @param {Object} profile - 配置
+     * @returns {string} 显示名称
+     */
+    getProfileLabel(profile) {
+        const operator = profile.operator ? `${profile.operator} / ` : '';
+        return `${operator}${profile.name} (${profile.hand === 0 ? '右手' : '左手'})`;
+    }
+
+    /**
+     * 渲染配置列表、操作者筛选和对比选项
+     */
+    renderCalibrationProfiles() {
+        const el = this.profileElements;
+        if (!el) {
+            return;
+        }
+        const selectedId = el.list.value;
+        const compareId = el.compare ? el.compare.value : '';
+        
+        // 操作者筛选选项
+        if (el.operatorFilter) {
+            const current = el.operatorFilter.value;
+            const operators = [...new Set(this.profiles.map(profile => profile.operator))];
+            el.operatorFilter.innerHTML = '<option value="all">全部操作者</option>';
+            operators.forEach(operator => {
+                const option = document.createElement('option');
+                option.value = operator;
+                option.textContent = operator || '（未填写）';
+                el.operatorFilter.appendChild(option);
+            });
+            el.operatorFilter.value = current === 'all' || operators.includes(current) ? current : 'all';
+        }
+        const filter = el.operatorFilter ? el.operatorFilter.value : 'all';
+        
+        el.list.innerHTML = '';
+        this.profiles
+            .filter(profile => filter === 'all' || profile.operator === filter)
+            .forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                const active = this.activeProfiles[profile.hand] === profile.id ? ' ●' : '';
+                option.textContent = `${this.getProfileLabel(profile)}${profile.device ? ' [含设备参数]' : ''}${active}`;
+                el.list.appendChild(option);
+            });
+        el.list.value = selectedId;
+        
+        if (el.compare) {
+            el.compare.innerHTML = '<option value="">不对比</option><option value="current">当前主机端校准</option>';
+            this.profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = this.getProfileLabel(profile);
+                el.compare.appendChild(option);
+            });
+            el.compare.value = compareId === 'current' || this.profiles.some(profile => profile.id === compareId) ? compareId : '';
+        }
+        
+        if (el.active) {
+            const names = [0, 1].map(hand => {
+                const profile = this.profiles.find(item => item.id === this.activeProfiles[hand]);
+                return `${hand === 0 ? '右手' : '左手'}: ${profile ? this.getProfileLabel(profile) : '未选择'}`;
+            });
+            el.active.textContent = `当前配置 — ${names.join(', ')}`;
+        }
+        
+        this.updateProfileControls();
+        this.renderProfileDiff();
+    }
+
+    /**
+     * 更新配置库按钮状态
+     */
+    updateProfileControls() {
+        const el = this.profileElements;
+        if (!el) {
+            return;
+        }
+        const selected = this.getSelectedProfile();
+        
+        if (el.applyBtn) {
+            el.applyBtn.disabled = !selected;
+        }
+        if (el.deleteBtn) {
+            el.deleteBtn.disabled = !selected;
+        }
+    }
+
+    /**
+     * 把当前主机端校准保存为配置（同一操作者、名称和手侧的配置被覆盖）
+     */
+    async saveCalibrationProfile() {
+        const el = this.profileElements;
+        const name = el.name.value.trim();
+        const operator = el.operator.value.trim();
+        const hand = parseInt(el.hand.value);
+        if (!name) {
+            this.showError('请填写配置名称');
+            return;
+        }
+        const host = this.hostCalibration.getModel(hand);
+        if (!host) {
+            this.showError(`${hand === 0 ? '右手' : '左手'}还没有主机端校准，请先在“主机端校准”中采集`);
+            return;
+        }
+        
+        const existing = this.profiles.find(profile =>
+            profile.operator === operator && profile.name === name && profile.hand === hand);
+        const profile = existing
+            ? { ...existing, host: JSON.parse(JSON.stringify(host)) }
+            : CalibrationProfileStore.create({ name: name, operator: operator, hand: hand, host: host });
+        
+        try {
+            await this.profileStore.put(profile);
+            localStorage.setItem('calibrationOperator', operator);
+            this.setActiveProfile(hand, profile.id);
+            await this.refreshCalibrationProfiles();
+            el.list.value = profile.id;
+            this.updateProfileControls();
+            this.showSuccess(`校准配置已${existing ? '更新' : '保存'}: ${this.getProfileLabel(profile)}`);
+        } catch (error) {
+            this.showError('保存校准配置失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 切换到选中的配置：替换该手的主机端校准模型
+     */
+    applyCalibrationProfile() {
+        const profile = this.getSelectedProfile();
+        if (!profile) {
+            return;
+        }
+        this.hostCalibration.setModel(profile.hand, profile.host);
+        this.hostCalibration.save();
+        this.renderHostCalibration();
+        this.setActiveProfile(profile.hand, profile.id);
+        this.renderCalibrationProfiles();
+        this.showSuccess(`已切换到校准配置: ${this.getProfileLabel(profile)}`);
+    }
+
+    /**
+     * 记录该手正在使用的配置
+     * @param {number} hand - 手侧
+     * @param {string|null} id - 配置ID
+     */
+    setActiveProfile(hand, id) {
+        this.activeProfiles[hand] = id;
+        localStorage.setItem('activeCalibrationProfiles', JSON.stringify(this.activeProfiles));
+    }
+
+    /**
+     * 删除选中的配置
+     */
+    async deleteCalibrationProfile() {
+        const profile = this.getSelectedProfile();
+        if (!profile || !confirm(`确定删除校准配置“${this.getProfileLabel(profile)}”吗？`)) {
+            return;
+        }
+        try {
+            await this.profileStore.delete(profile.id);
+            if (this.activeProfiles[profile.hand] === profile.id) {
+                this.setActiveProfile(profile.hand, null);
+            }
+            await this.refreshCalibrationProfiles();
+            this.log(`已删除校准配置: ${this.getProfileLabel(profile)}`, 'info');
+        } catch (error) {
+            this.showError('删除校准配置失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 导出配置为JSON文件（有操作者筛选时只导出该操作者的配置）
+     */
+    exportCalibrationProfiles() {
+        const filter = this.profileElements.operatorFilter ? this.profileElements.operatorFilter.value : 'all';
+        const profiles = this.profiles.filter(profile => filter === 'all' || profile.operator === filter);
+        if (profiles.length === 0) {
+            this.showError('没有可导出的校准配置');
+            return;
+        }
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.downloadFile(`exhand-profiles-${stamp}.json`, CalibrationProfileStore.serialize(profiles), 'application/json');
+        this.showSuccess(`已导出 ${profiles.length} 个校准配置`);
+    }
+
+    /**
+     * 从JSON文件导入配置（同ID的配置被覆盖）
+     * @param {File} file - 配置文件
+     */
+    async importCalibrationProfiles(file) {
+        try {
+            const profiles = CalibrationProfileStore.parse(await file.text());
+            for (const profile of profiles) {
+                await this.profileStore.put(profile);
+            }
+            await this.refreshCalibrationProfiles();
+            this.showSuccess(`已导入 ${profiles.length} 个校准配置: ${file.name}`);
+        } catch (error) {
+            this.showError('导入校准配置失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 显示选中配置与对比对象的差异
+     */
+    renderProfileDiff() {
+        const el = this.profileElements;
+        if (!el || !el.output || !el.compare) {
+            return;
+        }
+        const profile = this.getSelectedProfile();
+        const compareId = el.compare.value;
+        if (!profile || !compareId) {
+            el.output.textContent = '';
+            el.output.className = 'response-display';
+            return;
+        }
+        
+        // 与当前主机端校准对比时，用当前模型构造一个临时配置
+        const other = compareId === 'current'
+            ? { ...profile, host: this.hostCalibration.getModel(profile.hand) }
+            : this.profiles.find(item => item.id === compareId);
+        const otherLabel = compareId === 'current' ? '当前主机端校准' : this.getProfileLabel(other);
+        const differences = CalibrationProfileStore.diff(profile, other, this.serialManager.JOINT_NAMES);
+        
+        el.output.className = 'response-display data';
+        if (differences.length === 0) {
+            el.output.textContent = `与 ${otherLabel} 相同`;
+            return;
+        }
+        el.output.textContent = [`${this.getProfileLabel(profile)} → ${otherLabel}（${differences.length} 处不同）`]
+            .concat(differences.map(item => `${item.label}: ${item.a} → ${item.b}`))
+            .join('\n');
+    }
+
+    /**
+     * 记录主机端映射与设备映射的对比数据，由渲染调度器在下一个动画帧绘制
+     * @param {number} hand - 手侧
+     * @param {Object} displayData - 显示用的关节数据
+     * @param {Object|null} hostData - 主机端映射数据（仅原始传感器数据有）
+     */
+    updateHostComparison(hand, displayData, hostData) {
+        const comparison = this.hostComparison[hand];
+        if (hostData) {
+            comparison.raw = displayData.sensorData;
+            comparison.host = hostData.mappingData;
+        } else {
+            comparison.device = displayData.mappingData;
+        }
+        this.renderScheduler.update('hostCalibration', hand, comparison);
+    }
+
+    /**
+     * 绘制主机端映射与设备映射的逐通道对比（只绘制当前选择的手）
+     * @param {Object} comparison - { raw, host, device }
+     * @param {number} hand - 手侧
+     */
+    updateHostComparisonDisplay(comparison, hand) {
+        const el = this.hostCalibrationElements;
+        if (!el || parseInt(el.hand.value) !== hand) {
+            return;
+        }
+        const format = (value, digits) => (value === undefined ? '--' : value.toFixed(digits));
+        this.hostCalibrationCells.forEach((cells, joint) => {
+            const host = comparison.host ? comparison.host[joint] : undefined;
+            const device = comparison.device ? comparison.device[joint] : undefined;
+            cells.raw.textContent = format(comparison.raw ? comparison.raw[joint] : undefined, 0);
+            cells.host.textContent = format(host, 3);
+            cells.device.textContent = format(device, 3);
+            cells.diff.textContent = host === undefined || device === undefined ? '--' : format(host - device, 3);
+        });
+    }
+
+    /**
+     * 获取用于面板、图表和3D模型显示的数据（按设置替换为滤波值）
+     * @param {Object} jointData - 关节数据对象（已经过滤波）
+     * @returns {Object} 显示用的关节数据对象
+     */
+    getDisplayData(jointData) {
+        if (!this.displayFiltered || !Array.isArray(jointData.filtered)) {
+            return jointData;
+        }
+        const field = Array.isArray(jointData.mappingData) ? 'mappingData' : 'sensorData';
+        return { ...jointData, [field]: jointData.filtered };
+    }
+
+    /**
+     * 按当前导出选项筛选并下载样本
+     * @param {Array<Object>} samples - 样本列表
+     * @param {string} label - 文件名标签
+     */
+    exportSamples(samples, label) {
+        const filter = {
+            stream: document.getElementById('export-stream')?.value || 'all',
+            hand: document.getElementById('export-hand')?.value || 'all'
+        };
+        const format = document.getElementById('export-format')?.value || 'csv';
+        const values = document.getElementById('export-values')?.value || 'raw';
+        const selected = this.exporter.filterSamples(samples, filter);
+        
+        if (selected.length === 0) {
+            this.showError('没有可导出的数据');
+            return;
+        }
+        
+        const result = this.exporter.export(selected, format, values);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.downloadFile(`exhand-${label}-${stamp}.${result.extension}`, result.content, result.mimeType);
+        this.showSuccess(`已导出 ${selected.length} 条数据 (${format.toUpperCase()})`);
+    }
+
+    /**
+     * 下载文本文件
+     * @param {string} filename - 文件名
+     * @param {string} content - 文件内容
+     * @param {string} mimeType - MIME类型
+     */
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * 连接串口
+     */
+    async connectSerial() {
+        try {
+            const device = this.getActiveDevice();
+            this.log(`正在连接${device.name}...`, 'info');
+            
+            device.hands.clear();
+            const success = await device.serialManager.connect(this.createTransport(device));
+            
+            if (success) {
+                this.updateConnectionStatus();
+                this.log(`${device.name} 串口连接成功`, 'success');
+                this.showSuccess(`${device.name} 串口连接成功`);
+                
+                // 开始读取数据
+                device.serialManager.startReading();
+                this.log('开始读取串口数据', 'info');
+                
+                // 握手查询设备信息，再查询设备状态以同步按钮状态
+                this.negotiateDevice(device).then(() => this.getStatus([device])).catch(error => {
+                    this.log('查询设备状态失败: ' + error.message, 'warning');
+                });
+                
+            } else {
+                this.updateConnectionStatus();
+                this.log(`${device.name} 串口连接失败`, 'error');
+                this.showError('串口连接失败');
+            }
+            
+        } catch (error) {
+            const errorMsg = '连接串口失败: ' + error.message;
+            this.log(errorMsg, 'error');
+            this.updateConnectionStatus();
+            this.showError(errorMsg);
+        }
+    }
+
+    /**
+     * 读取模拟器的序列号、丢包率和固件版本设置
+     * @returns {{sequence: boolean, dropRate: number, firmware: string}} 模拟器配置
+     */
+    getSimulatorDataOptions() {
+        const dropPercent = this.elements.simDropRate ? parseFloat(this.elements.simDropRate.value) || 0 : 0;
+        return {
+            sequence: this.elements.simSequence ? this.elements.simSequence.checked : false,
+            dropRate: Math.max(0, Math.min(100, dropPercent)) / 100,
+            firmware: this.elements.simFirmware ? this.elements.simFirmware.value : 'current'
+        };
+    }
+
+    /**
+     * 根据串口配置创建传输通道
+     * @param {Object} device - 设备条目
+     * @returns {Transport} 传输通道实例
+     */
+    createTransport(device) {
+        const config = device.serialManager.getSerialConfig();
+        device.simulator = null;
+        
+        switch (config.transport) {
+            case 'websocket':
+                this.log(`使用WebSocket桥接: ${config.wsUrl}`, 'info');
+                return new WebSocketTransport(config.wsUrl);
+            case 'simulator':
+                // 模拟器按设备序号模拟单只手套：设备1为右手，设备2为左手
+                device.simulator = new GloveSimulator({
+                    profile: this.elements.simProfile ? this.elements.simProfile.value : 'fist',
+                    rate: this.elements.simRate ? (parseInt(this.elements.simRate.value) || 100) : 100,
+                    hands: [device.index % 2],
+                    ...this.getSimulatorDataOptions()
+                });
+                this.log(`${device.name} 使用设备模拟器（${device.index % 2 === 0 ? '右手' : '左手'}）`, 'info');
+                return device.simulator.createTransport();
+            case 'webserial':
+            default:
+                return new WebSerialTransport();
+        }
+    }
+
+    /**
+     * 断开串口连接
+     */
+    async disconnectSerial() {
+        try {
+            const device = this.getActiveDevice();
+            this.log(`正在断开${device.name}...`, 'info');
+            await device.serialManager.disconnect();
+            this.handleDeviceDisconnected(device);
+            this.log(`${device.name} 串口连接已断开`, 'info');
+            this.showSuccess('串口连接已断开');
+            
+        } catch (error) {
+            const errorMsg = '断开连接失败: ' + error.message;
+            this.log(errorMsg, 'error');
+            this.showError(errorMsg);
+        }
+    }
+
+    /**
+     * 更新连接状态显示
+     * 指示灯和连接/断开按钮反映当前设备，命令按钮在任一设备已连接时可用
+     */
+    updateConnectionStatus() {
+        const device = this.getActiveDevice();
+        const state = device.serialManager.getConnectionState();
+        
+        this.elements.connectionStatus.className = `status-dot ${state}`;
+        this.elements.connectionText.textContent = `${device.name}: ${this.getConnectionStateText(device)}`;
+        
+        // 重连期间可点击“断开”停止重连
+        this.elements.connectBtn.disabled = state === 'connected' || state === 'reconnecting';
+        this.elements.disconnectBtn.disabled = state === 'disconnected' || state === 'lost';
+        
+        this.enableAllButtons(this.devices.some(d => d.serialManager.getConnectionStatus()));
+        this.updateControlButtonStates();
+        this.renderDeviceList();
+        this.renderDeviceInfo();
+        this.renderCalibrationWizard();
+        this.renderMacroRunner();
+        this.renderCommandConsole();
+        this.renderFirmwareUpdate();
+    }
+
+    /**
+     * 连接握手：查询设备信息，按设备能力更新命令按钮，版本不兼容时提示
+     * @param {Object} device - 设备条目
+     * @returns {Promise<Object|null>} 设备信息，握手失败时为null
+     */
+    async negotiateDevice(device) {
+        let info = null;
+        try {
+            info = await device.serialManager.negotiate();
+        } catch (error) {
+            this.log(`${device.name} 查询设备信息失败: ${error.message}`, 'warning');
+            return null;
+        }
+        
+        if (info.legacy) {
+            this.log(`${device.name} 固件不支持设备信息查询，按协议版本1处理`, 'warning');
+        } else {
+            this.log(`${device.name} 设备信息: 型号 ${info.model || '-'}, 固件 ${info.firmwareVersion}, ` +
+                `序列号 ${info.serialNumber || '-'}, 协议版本 ${info.protocolRevision}`, 'info');
+        }
+        
+        const protocol = device.serialManager.protocol;
+        const unsupported = protocol.definition.commands
+            .filter(command => !command.notify && !device.serialManager.supportsCommand(command.code))
+            .map(command => command.label);
+        if (unsupported.length > 0) {
+            this.log(`${device.name} 不支持的命令: ${unsupported.join(', ')}`, 'info');
+        }
+        
+        info.issues.forEach(issue => this.log(`${device.name} 兼容性问题: ${issue}`, 'warning'));
+        if (info.issues.length > 0) {
+            this.showError(`${device.name} 与上位机协议不完全兼容，详见日志`);
+        }
+        
+        this.updateConnectionStatus();
+        return info;
+    }
+
+    /**
+     * 渲染当前设备的设备信息（未连接或握手前隐藏）
+     */
+    renderDeviceInfo() {
+        const details = this.elements.deviceInfoDetails;
+        if (!details) {
+            return;
+        }
+        const serialManager = this.getActiveDevice().serialManager;
+        const info = serialManager.getConnectionStatus() ? serialManager.deviceInfo : null;
+        if (!info) {
+            details.style.display = 'none';
+            return;
+        }
+        
+        this.elements.deviceModel.textContent = info.model || '-';
+        this.elements.deviceFirmware.textContent = info.legacy ? '旧固件（不支持查询）' : info.firmwareVersion;
+        this.elements.deviceSerial.textContent = info.serialNumber || '-';
+        this.elements.deviceProtocolRevision.textContent = String(info.protocolRevision);
+        this.elements.deviceJointCount.textContent = String(info.jointCount);
+        
+        this.elements.deviceInfoIssues.innerHTML = '';
+        info.issues.forEach(issue => {
+            const item = document.createElement('div');
+            item.className = 'device-info-issue';
+            item.textContent = issue;
+            this.elements.deviceInfoIssues.appendChild(item);
+        });
+        details.style.display = 'block';
+    }
+
+    /**
+     * 获取设备连接状态文字
+     * @param {Object} device - 设备条目
+     * @returns {string} 状态文字
+     */
+    getConnectionStateText(device) {
+        const detail = device.connectionDetail;
+        switch (device.serialManager.getConnectionState()) {
+            case 'connected':
+                return '已连接';
+            case 'reconnecting':
+                return detail.attempt > 0 ? `重新连接中 (${detail.attempt}/${detail.maxAttempts})` : '重新连接中';
+            case 'lost':
+                return '连接丢失';
+            default:
+                return '未连接';
+        }
+    }
+
+    /**
+     * 设备断开后清理其状态
+     * @param {Object} device - 设备条目
+     */
+    handleDeviceDisconnected(device) {
+        // 断开后设备状态未知
+        this.updateDeviceStatus(device, null);
+        
+        // 断开后无法继续该设备上的校准
+        if (this.calibrationWizard.serialManager === device.serialManager) {
+            this.calibrationWizard.abort();
+        }
+        this.updateConnectionStatus();
+    }
+
+    /**
+     * 处理串口管理器报告的连接状态变化
+     * 主动连接/断开由 connectSerial/disconnectSerial 处理，这里只处理意外断开和自动重连
+     * @param {Object} device - 设备条目
+     * @param {string} state - connected / reconnecting / lost / disconnected
+     * @param {Object} detail - 附加信息
+     */
+    handleConnectionStateChange(device, state, detail) {
+        device.connectionDetail = detail;
+        
+        switch (state) {
+            case 'reconnecting':
+                if (detail.attempt === 0) {
+                    this.log(`${device.name} 连接丢失: ${detail.reason}，正在自动重连...`, 'warning');
+                    if (this.calibrationWizard.serialManager === device.serialManager) {
+                        this.calibrationWizard.abort();
+                    }
+                }
+                break;
+            case 'connected':
+                if (detail.reconnected) {
+                    this.log(`${device.name} 已重新连接，已恢复数据帧模式和启用状态`, 'success');
+                    this.showSuccess(`${device.name} 已重新连接`);
+                    // 重新插入的可能是另一只手套，重新握手
+                    this.negotiateDevice(device).then(() => this.getStatus([device])).catch(error => {
+                        this.log('查询设备状态失败: ' + error.message, 'warning');
+                    });
+                }
+                break;
+            case 'lost':
+                this.handleDeviceDisconnected(device);
+                this.log(`${device.name} 连接丢失: ${detail.reason}`, 'error');
+                this.showError(`${device.name} 连接丢失，请检查连接后重新连接`);
+                break;
+        }
+        
+        this.updateConnectionStatus();
+    }
+
+    /**
+     * 启用或禁用所有命令按钮
+     * @param {boolean} enabled - 是否启用
+     */
+    enableAllButtons(enabled) {
+        const commandButtonIds = [
+            'status-btn',
+            'quick-start-btn', 'quick-finish-btn',
+            'anchor-start-btn', 'anchor-record-btn', 'anchor-apply-btn',
+            'save-calibration-btn', 'load-calibration-btn', 'clear-calibration-btn', 'reset-calibration-btn',
+            'can-enable-btn', 'can-disable-btn',
+            'sensor-enable-btn', 'sensor-disable-btn',
+            'mapping-enable-btn', 'mapping-disable-btn', 'set-protocol-btn'
+        ];
+        
+        let enabledCount = 0;
+        let disabledCount = 0;
+        
+        commandButtonIds.forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) {
+                btn.disabled = !enabled;
+                if (enabled) {
+                    enabledCount++;
+                } else {
+                    disabledCount++;
+                }
+            } else {
+                console.warn(`未找到按钮: ${id}`);
+            }
+        });
+        
+        console.log(`按钮状态更新: ${enabled ? '启用' : '禁用'} - 已处理 ${enabled ? enabledCount : disabledCount} 个按钮`);
+    }
+
+    /**
+     * 更新关节数据显示（使用映射数据0-1.0）
+     * 由渲染调度器每帧对每只手最多调用一次；元素引用在启动时已缓存并校验，缺失的元素直接跳过
+     * @param {Object} jointData - 关节数据对象
+     */
+    updateJointDisplay(jointData) {
+        const fingerNames = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+        const jointTypes = ['yaw', 'pitch', 'tip'];
+        
+        // 确定是左手还是右手 (0=右手, 1=左手)
+        const hand = jointData.hand === 0 ? 'right' : 'left';
+        
+        // 检查是否有映射数据（mappingData字段）
+        const useMappingData = jointData.mappingData && Array.isArray(jointData.mappingData);
+        
+        fingerNames.forEach((fingerName, fingerIndex) => {
+            jointTypes.forEach((jointType, typeIndex) => {
+                const elements = this.jointElements[hand][fingerName][jointType];
+                if (!elements) {
+                    return;
+                }
+                
+                let value;
+                if (useMappingData) {
+                    // 使用映射数据（0-1.0范围）
+                    value = jointData.mappingData[fingerIndex * 3 + typeIndex];
+                } else {
+                    // 如果没有映射数据，尝试使用原始数据（兼容性）
+                    value = jointData[`${fingerName}${jointType.charAt(0).toUpperCase() + jointType.slice(1)}`];
+                    if (value !== undefined && value > 1.0) {
+                        // 原始传感器值为16位（0-65535），按完整范围换算；需要准确映射时使用主机端校准
+                        value = value / this.hostCalibration.RAW_MAX;
+                    }
+                }
+                if (value === undefined) {
+                    return;
+                }
+                
+                // 确保值在0-1.0范围内
+                value = Math.max(0, Math.min(1.0, value));
+                
+                // 更新数值显示和进度条（0-1.0映射到0-100%，竖直进度条更新高度，水平进度条更新宽度）
+                elements.value.textContent = value.toFixed(3);
+                elements.fill.style[elements.vertical ? 'height' : 'width'] = `${value * 100}%`;
+            });
+        });
+    }
+
+    /**
+     * 更新传感器数据显示（0-65535范围）
+     * 由渲染调度器每帧对每只手最多调用一次
+     * @param {Object} sensorData - 传感器数据对象
+     */
+    updateSensorDisplay(sensorData) {
+        const fingerNames = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+        const jointTypes = ['yaw', 'pitch', 'tip'];
+        
+        // 确定是左手还是右手 (0=右手, 1=左手)
+        const hand = sensorData.hand === 0 ? 'right' : 'left';
+        
+        const sensorDataArray = sensorData.sensorData;
+        if (!Array.isArray(sensorDataArray)) {
+            return;
+        }
+        
+        fingerNames.forEach((fingerName, fingerIndex) => {
+            jointTypes.forEach((jointType, typeIndex) => {
+                const elements = this.sensorElements[hand][fingerName][jointType];
+                const value = sensorDataArray[fingerIndex * 3 + typeIndex];
+                if (!elements || value === undefined) {
+                    return;
+                }
+                
+                // 确保值在0-65535范围内，显示为整数（滤波值四舍五入）
+                elements.value.textContent = Math.round(Math.max(0, Math.min(65535, value))).toString();
+            });
+        });
+    }
+
+    /**
+     * 更新统计信息（统计栏显示当前设备，设备列表显示全部设备）
+     */
+    updateStatistics() {
+        const stats = this.getActiveDevice().serialManager.getStatistics();
+        
+        this.elements.packetCount.textContent = stats.packetCount;
+        this.elements.updateRate.textContent = `${stats.updateRate} Hz`;
+        
+        if (stats.lastUpdateTime > 0) {
+            const lastUpdate = new Date(stats.lastUpdateTime);
+            this.elements.lastUpdate.textContent = lastUpdate.toLocaleTimeString();
+        }
+        
+        this.renderStreamStatistics(stats.streams);
+        this.renderDeviceList();
+    }
+
+    /**
+     * 渲染按手侧和数据流分别统计的计数、频率和序列号缺口
+     * @param {Array<Object>} streams - SerialManager.getStreamStatistics 返回的计数器列表
+     */
+    renderStreamStatistics(streams) {
+        [[0, 'right'], [1, 'left']].forEach(([hand, handName]) => {
+            ['sensor', 'mapping'].forEach(stream => {
+                const cell = document.getElementById(`stream-${handName}-${stream}`);
+                if (!cell) {
+                    return;
+                }
+                if (!cell.firstChild) {
+                    cell.innerHTML = '<span class="stream-stats-count"></span><span class="stream-stats-sequence"></span>';
+                }
+                
+                const counter = streams.find(item => item.hand === hand && item.stream === stream);
+                let sequenceText = '无序列号';
+                if (!counter) {
+                    sequenceText = '--';
+                } else if (counter.hasSequence) {
+                    sequenceText = `丢失 ${counter.lost} / 缺口 ${counter.gaps}`;
+                    if (counter.reordered > 0) {
+                        sequenceText += ` / 乱序 ${counter.reordered}`;
+                    }
+                }
+                cell.querySelector('.stream-stats-count').textContent = counter ? `${counter.count} · ${counter.rate} Hz` : '0';
+                cell.querySelector('.stream-stats-sequence').textContent = sequenceText;
+                cell.classList.toggle('gap', !!counter && counter.gaps > 0);
+            });
+        });
+    }
+
+    /**
+     * 渲染当前设备的链路质量统计
+     */
+    renderLinkStatistics() {
+        const diagnosis = document.getElementById('link-diagnosis');
+        if (!diagnosis) {
+            return;
+        }
+        
+        const serialManager = this.getActiveDevice().serialManager;
+        const C = serialManager.COMMANDS;
+        const link = serialManager.getLinkStatistics();
+        const set = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.textContent = text;
+            }
+        };
+        const formatInterval = (cmd) => {
+            const interval = link.intervals[cmd];
+            return interval
+                ? `${interval.p50.toFixed(1)} / ${interval.p95.toFixed(1)} / ${interval.p99.toFixed(1)} ms`
+                : '--';
+        };
+        
+        const sensorRate = link.frameRates[C.CMD_SENSOR_DATA] || 0;
+        const mappingRate = link.frameRates[C.CMD_MAPPING_DATA] || 0;
+        const totalRate = Object.values(link.frameRates).reduce((a, b) => a + b, 0);
+        
+        set('link-rate-sensor', `${sensorRate.toFixed(0)} Hz`);
+        set('link-rate-mapping', `${mappingRate.toFixed(0)} Hz`);
+        set('link-rate-response', `${(totalRate - sensorRate - mappingRate).toFixed(1)} Hz`);
+        set('link-throughput', `${(link.rxBytesPerSecond / 1024).toFixed(1)} KB/s · ${(link.utilization * 100).toFixed(1)}%`);
+        set('link-checksum-errors', `${link.errors['bad-checksum']} (累计 ${link.totals.errors['bad-checksum']})`);
+        set('link-frame-errors', `${link.errors['bad-tail'] + link.errors.overlong} (累计 ${link.totals.errors['bad-tail'] + link.totals.errors.overlong})`);
+        set('link-discarded', `${link.discardedBytes} (累计 ${link.totals.discardedBytes})`);
+        set('link-stalls', `${link.stalls} (累计 ${link.totals.stalls})`);
+        set('link-jitter-sensor', formatInterval(C.CMD_SENSOR_DATA));
+        set('link-jitter-mapping', formatInterval(C.CMD_MAPPING_DATA));
+        
+        const state = serialManager.getConnectionStatus() ? link.diagnosis : { level: 'ok', text: '未连接' };
+        diagnosis.textContent = state.text;
+        diagnosis.className = `link-diagnosis ${state.level}`;
+    }
+
+    /**
+     * 重置关节数值
      */
     resetValues() {
         const fingerNames = ['thumb', 'index', 'middle', 'ring', 'pinky'];
@@ -916,35 +3434,43 @@ class HandSensorApp {
      * @param {string} type - 响应类型 (ok, error, data)
      * @param {number} cmd - 命令码
      * @param {Array} data - 响应数据
+     * @param {Object} device - 来源设备
      */
-    handleResponse(type, cmd, data) {
+    handleResponse(type, cmd, data, device = this.getActiveDevice()) {
+        // 固件分块的应答（含重试）由升级进度显示，不逐条记录；设备仍在应用固件中时bootloader握手失败属于正常情况
+        const C = device.serialManager.COMMANDS;
+        if (cmd === C.CMD_DFU_DATA || (type === 'error' && cmd === C.CMD_DFU_START)) {
+            return;
+        }
+        
         const cmdName = this.getCommandName(cmd);
         const timestamp = new Date().toLocaleTimeString();
         
-        let responseText = `[${timestamp}] 命令: ${cmdName} (0x${cmd.toString(16).padStart(2, '0')})\n`;
+        let responseText = `[${timestamp}] ${device.name} 命令: ${cmdName} (0x${cmd.toString(16).padStart(2, '0')})\n`;
         let logMessage = '';
         
         if (type === 'ok') {
             responseText += `状态: 执行成功\n`;
-            logMessage = `命令执行成功: ${cmdName} (0x${cmd.toString(16).padStart(2, '0')})`;
+            
+            // 协议描述中定义了应答字段的命令（例如状态查询）显示解码后的字段
+            const responseFields = this.formatResponseFields(cmd, data);
+            if (responseFields) {
+                responseText += `${responseFields}\n`;
+            }
+            
+            logMessage = `${device.name}: 命令执行成功: ${cmdName} (0x${cmd.toString(16).padStart(2, '0')})`;
             this.log(logMessage, 'success');
             this.showResponse(this.elements.systemResponse, responseText, 'success');
         } else if (type === 'error') {
             responseText += `状态: 执行失败\n`;
-            logMessage = `命令执行失败: ${cmdName} (0x${cmd.toString(16).padStart(2, '0')})`;
+            logMessage = `${device.name}: 命令执行失败: ${cmdName} (0x${cmd.toString(16).padStart(2, '0')})`;
             this.log(logMessage, 'error');
             this.showResponse(this.elements.systemResponse, responseText, 'error');
         } else if (type === 'data') {
             responseText += `数据: ${data.map(b => b.toString(16).padStart(2, '0')).join(' ')}\n`;
-            logMessage = `收到数据响应: ${cmdName} (0x${cmd.toString(16).padStart(2, '0')}), 数据长度=${data.length}`;
+            logMessage = `${device.name}: 收到数据响应: ${cmdName} (0x${cmd.toString(16).padStart(2, '0')}), 数据长度=${data.length}`;
             this.log(logMessage, 'info');
             this.showResponse(this.elements.systemResponse, responseText, 'data');
-            
-            // 特殊处理某些命令的响应
-            if (cmd === this.serialManager.COMMANDS.CMD_STATUS && data.length >= 6) {
-                const statusInfo = `快速校准状态=${data[0]}, 锚定点状态=${data[1]}, 数据帧模式=${data[2]}, 传感器打印=${data[3]}, CAN控制=${data[4]}, 传感器发送=${data[5]}`;
-                this.log(statusInfo, 'info');
-            }
         }
     }
 
@@ -967,31 +3493,22 @@ class HandSensorApp {
      * @returns {string} 命令名称
      */
     getCommandName(cmd) {
-        const commandNames = {
-            0x01: '启用数据帧模式',
-            0x02: '禁用数据帧模式',
-            0x03: '开始快速校准',
-            0x04: '完成快速校准',
-            0x05: '开始锚定点校准',
-            0x06: '记录锚定点',
-            0x07: '应用锚定点',
-            0x08: '保存校准数据',
-            0x09: '加载校准数据',
-            0x0A: '清除校准数据',
-            0x0B: '查询状态',
-            0x0C: '重置校准',
-            0x0D: '启用CAN控制',
-            0x0E: '禁用CAN控制',
-            0x0F: '启用传感器数据推送',
-            0x10: '禁用传感器数据推送',
-            0x11: '启用映射数据推送',
-            0x12: '禁用映射数据推送',
-            0x13: '设置协议',
-            0x20: '传感器数据通知',
-            0x21: '映射数据通知'
-        };
-        
-        return commandNames[cmd] || `未知命令 (0x${cmd.toString(16).padStart(2, '0')})`;
+        return this.serialManager.protocol.getCommandName(cmd);
+    }
+
+    /**
+     * 按协议描述把命令应答的附加数据格式化为“名称=值”文本
+     * @param {number} cmd - 命令码
+     * @param {Array<number>} data - 结果码之后的数据
+     * @returns {string|null} 文本，命令没有应答字段或数据不足时为null
+     */
+    formatResponseFields(cmd, data) {
+        const protocol = this.serialManager.protocol;
+        const command = protocol.getCommand(cmd);
+        if (!command || !command.response || data.length < protocol.getMinLength(command.response)) {
+            return null;
+        }
+        return protocol.formatFields(command.response, protocol.decodeResponse(cmd, data));
     }
 
     /**
@@ -1024,7 +3541,7 @@ class HandSensorApp {
                 break;
             case 'c':
             case 'C':
-                if (this.serialManager.getConnectionStatus()) {
+                if (this.getActiveDevice().serialManager.getConnectionStatus()) {
                     this.disconnectSerial();
                 } else {
                     this.connectSerial();
@@ -1168,204 +3685,271 @@ class HandSensorApp {
     }
 
     // 系统命令方法
-    async getStatus() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
+    /**
+     * 查询设备状态
+     * @param {Array<Object>} targets - 目标设备，默认为命令目标
+     * @returns {Promise<DeviceStatus|undefined>} 第一个目标设备的状态
+     */
+    async getStatus(targets = this.getCommandTargets()) {
+        const statuses = await this.sendToTargets('发送查询状态命令', async (device) => {
+            const status = await device.serialManager.getStatus();
+            this.updateDeviceStatus(device, status);
+            return status;
+        }, targets);
+        return statuses[0];
+    }
+
+    /**
+     * 更新设备状态并刷新状态面板和控制按钮
+     * @param {Object} device - 设备条目
+     * @param {DeviceStatus|null} status - 设备状态，为空表示未知
+     */
+    updateDeviceStatus(device, status) {
+        device.deviceStatus = status;
+        this.renderDeviceStatus();
+        this.updateControlButtonStates();
+    }
+
+    /**
+     * 更新单个设备状态标志（命令执行成功后调用）
+     * 映射发送状态由 SerialManager 按命令结果记录，这里只需刷新界面
+     * @param {Object} device - 设备条目
+     * @param {string} flag - 状态字段名
+     * @param {boolean} value - 新值
+     */
+    setDeviceStatusFlag(device, flag, value) {
+        if (flag !== 'mappingSend' && device.deviceStatus) {
+            device.deviceStatus[flag] = value;
+        }
+        this.renderDeviceStatus();
+        this.updateControlButtonStates();
+    }
+
+    /**
+     * 获取设备的映射发送状态
+     * STATUS应答不含映射推送标志，使用本机按命令结果记录的状态（未连接或未发送过命令时为null）
+     * @param {Object} device - 设备条目
+     * @returns {boolean|null} 映射发送状态
+     */
+    getMappingSendState(device) {
+        const serialManager = device.serialManager;
+        return serialManager.getConnectionStatus() ? serialManager.enableState.mappingSend : null;
+    }
+
+    /**
+     * 渲染设备状态面板（显示当前设备）
+     */
+    renderDeviceStatus() {
+        const device = this.getActiveDevice();
+        const values = {
+            ...(device.deviceStatus || {}),
+            mappingSend: this.getMappingSendState(device)
+        };
+        
+        Object.entries(this.elements.statusFlags).forEach(([flag, element]) => {
+            if (!element) {
+                return;
+            }
+            const value = values[flag];
+            if (value === true) {
+                element.textContent = '开启';
+                element.className = 'status-flag-value on';
+            } else if (value === false) {
+                element.textContent = '关闭';
+                element.className = 'status-flag-value off';
+            } else {
+                element.textContent = '--';
+                element.className = 'status-flag-value unknown';
+            }
+        });
+    }
+
+    /**
+     * 根据设备状态更新CAN、传感器和映射的启用/禁用按钮
+     * 已处于开启状态时禁用“启用”按钮，反之亦然；状态未知时两个按钮都可用
+     */
+    updateControlButtonStates() {
+        const targets = this.getCommandTargets();
+        if (targets.length === 0) {
             return;
         }
-        this.log('发送查询状态命令', 'info');
-        await this.serialManager.getStatus();
+        
+        // 多个目标设备状态不一致时视为未知
+        const combine = (getValue) => {
+            const values = targets.map(getValue);
+            return values.every(value => value === values[0]) ? values[0] : null;
+        };
+        const pairs = [
+            ['can-enable-btn', 'can-disable-btn', combine(device => device.deviceStatus ? device.deviceStatus.canEnabled : null)],
+            ['sensor-enable-btn', 'sensor-disable-btn', combine(device => device.deviceStatus ? device.deviceStatus.sensorSend : null)],
+            ['mapping-enable-btn', 'mapping-disable-btn', combine(device => this.getMappingSendState(device))]
+        ];
+        
+        pairs.forEach(([enableId, disableId, enabled]) => {
+            const enableBtn = document.getElementById(enableId);
+            const disableBtn = document.getElementById(disableId);
+            if (enableBtn) {
+                enableBtn.disabled = enabled === true;
+            }
+            if (disableBtn) {
+                disableBtn.disabled = enabled === false;
+            }
+        });
+        
+        // 所有目标设备都不支持的命令（握手得到的设备能力）
+        const commandButtons = {
+            'status-btn': 'STATUS',
+            'quick-start-btn': 'QUICK_START', 'quick-finish-btn': 'QUICK_FINISH',
+            'anchor-start-btn': 'ANCHOR_START', 'anchor-record-btn': 'RECORD', 'anchor-apply-btn': 'APPLY',
+            'save-calibration-btn': 'SAVE', 'load-calibration-btn': 'LOAD',
+            'clear-calibration-btn': 'CLEAR', 'reset-calibration-btn': 'RESET',
+            'can-enable-btn': 'CAN_ENABLE', 'can-disable-btn': 'CAN_DISABLE',
+            'sensor-enable-btn': 'SENSOR_ENABLE', 'sensor-disable-btn': 'SENSOR_DISABLE',
+            'mapping-enable-btn': 'MAPPING_ENABLE', 'mapping-disable-btn': 'MAPPING_DISABLE',
+            'set-protocol-btn': 'SET_PROTOCOL'
+        };
+        Object.entries(commandButtons).forEach(([id, key]) => {
+            const btn = document.getElementById(id);
+            if (!btn) {
+                return;
+            }
+            const supported = targets.some(device => device.serialManager.supportsCommand(key));
+            if (!supported) {
+                btn.disabled = true;
+            }
+            btn.title = supported ? '' : '设备固件不支持该命令';
+        });
+        
+        // 设备未声明的手部协议不可选
+        const protocolSelect = document.getElementById('protocol-select');
+        if (protocolSelect) {
+            Array.from(protocolSelect.options).forEach(option => {
+                const value = parseInt(option.value, 10);
+                option.disabled = !targets.some(device => {
+                    const info = device.serialManager.deviceInfo;
+                    return !info || info.protocols.includes(value);
+                });
+            });
+        }
     }
 
     // 快速校准方法
     async startQuickCalibration() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送快速校准开始命令', 'info');
-        await this.serialManager.startQuickCalibration();
+        await this.sendToTargets('发送快速校准开始命令', device => device.serialManager.startQuickCalibration());
     }
 
     async finishQuickCalibration() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送快速校准完成命令', 'info');
-        await this.serialManager.finishQuickCalibration();
+        await this.sendToTargets('发送快速校准完成命令', device => device.serialManager.finishQuickCalibration());
     }
 
     // 锚定点校准方法
     async startAnchorCalibration() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
+        const { hand, fingers } = this.getAnchorSelection();
+        
+        if (fingers.length === 0) {
+            this.log('错误: 至少需要选择一根手指进行校准', 'error');
+            this.showError('至少需要选择一根手指进行校准');
             return;
         }
         
+        const fingerNames = { 1: '食指', 2: '中指', 3: '无名指', 4: '小指' };
+        await this.sendToTargets(`发送锚定点校准开始命令: 手侧=${hand === 0 ? '右手' : '左手'}, 手指=[${fingers.map(f => fingerNames[f]).join(', ')}]`,
+            device => device.serialManager.startAnchorCalibration(hand, fingers));
+    }
+
+    /**
+     * 读取锚定点校准的手侧和手指选择
+     * @returns {{hand: number, fingers: Array<number>}} 手侧（0=右手, 1=左手）和手指列表（1=食指 ... 4=小指）
+     */
+    getAnchorSelection() {
         const hand = parseInt(document.getElementById('anchor-hand')?.value || 0);
         
         // 收集所有选中的手指（排除"不校准"选项，即值为0的）
         const fingers = [];
-        const finger1 = parseInt(document.getElementById('anchor-finger1')?.value || 0);
-        const finger2 = parseInt(document.getElementById('anchor-finger2')?.value || 0);
-        const finger3 = parseInt(document.getElementById('anchor-finger3')?.value || 0);
-        const finger4 = parseInt(document.getElementById('anchor-finger4')?.value || 0);
-        
-        if (finger1 > 0) fingers.push(finger1);
-        if (finger2 > 0) fingers.push(finger2);
-        if (finger3 > 0) fingers.push(finger3);
-        if (finger4 > 0) fingers.push(finger4);
-        
-        if (fingers.length === 0) {
-            this.log('错误: 至少需要选择一根手指进行校准', 'error');
-            this.showError('至少需要选择一根手指进行校准');
-            return;
+        for (let i = 1; i <= 4; i++) {
+            const finger = parseInt(document.getElementById(`anchor-finger${i}`)?.value || 0);
+            if (finger > 0) {
+                fingers.push(finger);
+            }
         }
         
-        const fingerNames = { 1: '食指', 2: '中指', 3: '无名指', 4: '小指' };
-        this.log(`发送锚定点校准开始命令: 手侧=${hand === 0 ? '右手' : '左手'}, 手指=[${fingers.map(f => fingerNames[f]).join(', ')}]`, 'info');
-        await this.serialManager.startAnchorCalibration(hand, fingers);
+        return { hand, fingers };
     }
 
     async recordAnchorPoint() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送记录锚定点命令', 'info');
-        await this.serialManager.recordAnchorPoint();
+        await this.sendToTargets('发送记录锚定点命令', device => device.serialManager.recordAnchorPoint());
     }
 
     async applyAnchorCalibration() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送应用锚定点校准命令', 'info');
-        await this.serialManager.applyAnchorCalibration();
+        await this.sendToTargets('发送应用锚定点校准命令', device => device.serialManager.applyAnchorCalibration());
     }
 
     // 校准数据管理方法
     async saveCalibration() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送保存校准数据命令', 'info');
-        await this.serialManager.saveCalibration();
+        await this.sendToTargets('发送保存校准数据命令', device => device.serialManager.saveCalibration());
     }
 
     async loadCalibration() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送加载校准数据命令', 'info');
-        await this.serialManager.loadCalibration();
+        await this.sendToTargets('发送加载校准数据命令', device => device.serialManager.loadCalibration());
     }
 
     async clearCalibration() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送清除校准数据命令', 'info');
-        await this.serialManager.clearCalibration();
+        await this.sendToTargets('发送清除校准数据命令', device => device.serialManager.clearCalibration());
     }
 
     async resetCalibration() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送重置校准命令', 'info');
-        await this.serialManager.resetCalibration();
+        await this.sendToTargets('发送重置校准命令', device => device.serialManager.resetCalibration());
     }
 
     // CAN控制方法
     async enableCAN() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送启用CAN控制命令', 'info');
-        await this.serialManager.enableCAN();
+        await this.sendToTargets('发送启用CAN控制命令', async (device) => {
+            await device.serialManager.enableCAN();
+            this.setDeviceStatusFlag(device, 'canEnabled', true);
+        });
     }
 
     async disableCAN() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送禁用CAN控制命令', 'info');
-        await this.serialManager.disableCAN();
+        await this.sendToTargets('发送禁用CAN控制命令', async (device) => {
+            await device.serialManager.disableCAN();
+            this.setDeviceStatusFlag(device, 'canEnabled', false);
+        });
     }
 
     // 传感器控制方法
     async enableSensor() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送启用传感器数据推送命令', 'info');
-        await this.serialManager.enableSensor();
+        await this.sendToTargets('发送启用传感器数据推送命令', async (device) => {
+            await device.serialManager.enableSensor();
+            this.setDeviceStatusFlag(device, 'sensorSend', true);
+        });
     }
 
     async disableSensor() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送禁用传感器数据推送命令', 'info');
-        await this.serialManager.disableSensor();
+        await this.sendToTargets('发送禁用传感器数据推送命令', async (device) => {
+            await device.serialManager.disableSensor();
+            this.setDeviceStatusFlag(device, 'sensorSend', false);
+        });
     }
 
     // 映射数据控制方法
     async enableMapping() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送启用映射数据推送命令', 'info');
-        await this.serialManager.enableMapping();
+        await this.sendToTargets('发送启用映射数据推送命令', async (device) => {
+            await device.serialManager.enableMapping();
+            this.setDeviceStatusFlag(device, 'mappingSend', true);
+        });
     }
 
     async disableMapping() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        this.log('发送禁用映射数据推送命令', 'info');
-        await this.serialManager.disableMapping();
+        await this.sendToTargets('发送禁用映射数据推送命令', async (device) => {
+            await device.serialManager.disableMapping();
+            this.setDeviceStatusFlag(device, 'mappingSend', false);
+        });
     }
 
     /**
      * 设置协议
      */
     async setProtocol() {
-        if (!this.serialManager || !this.serialManager.getConnectionStatus()) {
-            this.log('错误: 请先连接串口', 'error');
-            this.showError('请先连接串口');
-            return;
-        }
-        
         const protocolSelect = document.getElementById('protocol-select');
         if (!protocolSelect) {
             this.log('错误: 未找到协议选择器', 'error');
@@ -1373,12 +3957,14 @@ class HandSensorApp {
         }
         
         const protocolId = parseInt(protocolSelect.value, 10);
-        const protocolNames = ['L20', 'L10', 'L21'];
-        const protocolName = protocolNames[protocolId] || '未知';
+        const protocolName = this.serialManager.protocol.getEnumLabel('protocol', protocolId);
         
-        this.log(`发送设置协议命令: ${protocolName} (ID: ${protocolId})`, 'info');
-        await this.serialManager.setProtocol(protocolId);
-        this.log(`协议已设置为: ${protocolName}`, 'success');
+        // 设备拒绝或超时时抛出异常，由调用方记录失败
+        const results = await this.sendToTargets(`发送设置协议命令: ${protocolName} (ID: ${protocolId})`,
+            device => device.serialManager.setProtocol(protocolId));
+        if (results.length > 0) {
+            this.log(`协议已设置为: ${protocolName}`, 'success');
+        }
     }
 
     // 串口配置方法
@@ -1398,10 +3984,15 @@ class HandSensorApp {
                 stopBits: this.elements.stopBits ? parseInt(this.elements.stopBits.value) : 1,
                 parity: this.elements.parity ? this.elements.parity.value : 'none',
                 flowControl: this.elements.flowControl ? this.elements.flowControl.value : 'none',
-                timeout: this.elements.timeout ? parseInt(this.elements.timeout.value) : 1000
+                timeout: this.elements.timeout ? parseInt(this.elements.timeout.value) : 1000,
+                retries: this.elements.retries ? parseInt(this.elements.retries.value) : 0,
+                autoReconnect: this.elements.autoReconnect ? this.elements.autoReconnect.checked : true,
+                parseInWorker: this.elements.parseInWorker ? this.elements.parseInWorker.checked : true,
+                transport: this.elements.transportType ? this.elements.transportType.value : 'webserial',
+                wsUrl: this.elements.wsUrl ? this.elements.wsUrl.value.trim() : ''
             };
             
-            this.serialManager.updateSerialConfig(config);
+            this.devices.forEach(device => device.serialManager.updateSerialConfig(config));
             console.log('串口配置已从UI更新:', config);
         } catch (error) {
             console.error('更新串口配置失败:', error);
@@ -1433,6 +4024,7 @@ class HandSensorApp {
             
             const success = this.serialManager.loadSerialConfig();
             if (success) {
+                this.syncSerialConfig();
                 this.updateUIFromSerialConfig();
                 console.log('串口配置已从本地存储加载');
             } else {
@@ -1443,11 +4035,20 @@ class HandSensorApp {
         }
     }
 
+    /**
+     * 将第一个设备的串口配置同步到其他设备（所有设备共用一套串口配置）
+     */
+    syncSerialConfig() {
+        const config = this.serialManager.getSerialConfig();
+        this.devices.slice(1).forEach(device => device.serialManager.updateSerialConfig(config));
+    }
+
     /**
      * 重置串口配置
      */
     resetSerialConfig() {
         this.serialManager.resetSerialConfig();
+        this.syncSerialConfig();
         this.updateUIFromSerialConfig();
         this.showSuccess('串口配置已重置为默认值');
     }
@@ -1470,6 +4071,11 @@ class HandSensorApp {
             if (this.elements.parity) this.elements.parity.value = config.parity;
             if (this.elements.flowControl) this.elements.flowControl.value = config.flowControl;
             if (this.elements.timeout) this.elements.timeout.value = config.timeout;
+            if (this.elements.retries) this.elements.retries.value = config.retries;
+            if (this.elements.autoReconnect) this.elements.autoReconnect.checked = config.autoReconnect !== false;
+            if (this.elements.parseInWorker) this.elements.parseInWorker.checked = config.parseInWorker !== false;
+            if (this.elements.transportType) this.elements.transportType.value = config.transport;
+            if (this.elements.wsUrl) this.elements.wsUrl.value = config.wsUrl;
         } catch (error) {
             console.error('更新UI配置失败:', error);
         }
@@ -1515,10 +4121,41 @@ class HandSensorApp {
      * 销毁应用程序
      */
     dispose() {
-        if (this.serialManager) {
-            this.serialManager.disconnect();
+        if (this.player) {
+            this.player.pause();
+        }
+        
+        if (this.chartPanel) {
+            this.chartPanel.stop();
+        }
+        
+        if (this.handView) {
+            this.handView.stop();
+        }
+        
+        if (this.frameInspector) {
+            this.frameInspector.stop();
         }
         
+        if (this.renderScheduler) {
+            this.renderScheduler.stop();
+        }
+        
+        if (this.linkStatsTimer) {
+            clearInterval(this.linkStatsTimer);
+            this.linkStatsTimer = null;
+        }
+        
+        if (this.hostCalibrationTimer) {
+            clearInterval(this.hostCalibrationTimer);
+            this.hostCalibrationTimer = null;
+        }
+        
+        this.consoleTextTimers.forEach(timer => clearTimeout(timer));
+        this.consoleTextTimers.clear();
+        
+        this.devices.forEach(device => device.serialManager.disconnect());
+        
         if (this.updateInterval) {
             clearInterval(this.updateInterval);
         }
@@ -1548,9 +4185,11 @@ document.addEventListener('DOMContentLoaded', () => {
         'sensor-enable-btn', 'sensor-disable-btn',
         'mapping-enable-btn', 'mapping-disable-btn', 'set-protocol-btn', 'protocol-select',
         'baud-rate', 'data-bits', 'stop-bits', 'parity', 'flow-control',
-        'timeout', 'save-config', 'load-config', 'reset-config', 'refresh-ports',
+        'timeout', 'retries', 'parse-in-worker', 'transport-type', 'ws-url', 'sim-profile', 'sim-rate', 'sim-sequence', 'sim-drop-rate', 'sim-firmware', 'save-config', 'load-config', 'reset-config', 'refresh-ports',
         'current-port', 'port-details', 'port-id', 'port-manufacturer',
         'port-product-id', 'port-vendor-id',
+        'device-info-details', 'device-model', 'device-firmware', 'device-serial',
+        'device-protocol-revision', 'device-joint-count', 'device-info-issues',
         'log-container', 'clear-log-btn'
     ];
     
@@ -0,0 +1,413 @@
+/**
+ * @file 数据帧解析性能测试
+ * @description 以 1,152,000 波特率满速的持续数据流测试 SerialManager 的环形缓冲区解析路径，
+ *              并与旧的“拼接缓冲区 + 逐帧切片”解析方式对比吞吐量、单块处理耗时和堆内存回收次数
+ */
+
+/**
+ * 旧解析方式（仅作对照）：每个数据块重新分配缓冲区，每帧 slice + Array.from，每个浮点数新建 DataView
+ */
+class LegacyFrameParser {
+    /**
+     * @param {SerialManager} serialManager - 用于构建关节数据对象
+     * @param {Function} callback - 关节数据回调
+     */
+    constructor(serialManager, callback) {
+        this.serialManager = serialManager;
+        this.callback = callback;
+        this.readBuffer = new Uint8Array(0);
+    }
+
+    /**
+     * 追加数据并解析
+     * @param {Uint8Array} chunk - 数据块
+     */
+    feed(chunk) {
+        const merged = new Uint8Array(this.readBuffer.length + chunk.length);
+        merged.set(this.readBuffer);
+        merged.set(chunk, this.readBuffer.length);
+        this.readBuffer = merged;
+
+        while (this.readBuffer.length > 0) {
+            const start = this.readBuffer.indexOf(0xAA);
+            if (start === -1) {
+                break;
+            }
+            if (start > 0) {
+                this.readBuffer = this.readBuffer.slice(start);
+            }
+            if (this.readBuffer.length < 5) {
+                break;
+            }
+            const cmd = this.readBuffer[1];
+            const length = this.readBuffer[2];
+            if (this.readBuffer.length < 5 + length) {
+                break;
+            }
+            const data = Array.from(this.readBuffer.slice(3, 3 + length));
+            const checksum = (~(cmd + length + data.reduce((sum, b) => sum + b, 0)) + 1) & 0xFF;
+            if (this.readBuffer[4 + length] !== 0x55 || this.readBuffer[3 + length] !== checksum) {
+                this.readBuffer = this.readBuffer.slice(1);
+                continue;
+            }
+            this.decode(cmd, data);
+            this.readBuffer = this.readBuffer.slice(5 + length);
+        }
+    }
+
+    /**
+     * 解码数据通知
+     * @param {number} cmd - 命令码
+     * @param {Array<number>} data - 数据内容
+     */
+    decode(cmd, data) {
+        const values = [];
+        if (cmd === 0x20) {
+            for (let i = 0; i < 15; i++) {
+                values.push(data[1 + i * 2] | (data[2 + i * 2] << 8));
+            }
+            this.callback(this.serialManager.buildJointData(data[0], 'sensorData', values, Date.now(), 0));
+        } else if (cmd === 0x21) {
+            for (let i = 0; i < 15; i++) {
+                const bytes = new Uint8Array(data.slice(1 + i * 4, 5 + i * 4));
+                values.push(new DataView(bytes.buffer).getFloat32(0, true));
+            }
+            this.callback(this.serialManager.buildJointData(data[0], 'mappingData', values, Date.now(), 0));
+        }
+    }
+}
+
+class ParserBenchmark {
+    /**
+     * @param {HTMLElement} output - 结果输出元素
+     */
+    constructor(output) {
+        this.output = output;
+        this.BAUD_RATE = 1152000;
+        this.BYTES_PER_SECOND = this.BAUD_RATE / 10; // 8N1：每字节10位
+        this.TICK_INTERVAL = 10;                     // 实时测试的送数间隔（ms）
+        this.seed = 1;
+    }
+
+    /**
+     * 可复现的伪随机数
+     * @returns {number} [0, 1)
+     */
+    random() {
+        this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
+        return this.seed / 0x80000000;
+    }
+
+    /**
+     * 生成满速数据流：左右手交替推送传感器和映射数据（带序列号）
+     * @param {number} seconds - 数据时长（秒）
+     * @returns {Uint8Array} 字节流
+     */
+    generateStream(seconds) {
+        const builder = new SerialManager();
+        const total = Math.floor(this.BYTES_PER_SECOND * seconds);
+        const stream = new Uint8Array(total);
+        const sequences = [0, 0, 0, 0];
+        let offset = 0;
+        let t = 0;
+
+        while (true) {
+            for (let hand = 0; hand < 2; hand++) {
+                const sensor = [hand];
+                const mapping = new Uint8Array(63);
+                const view = new DataView(mapping.buffer);
+                mapping[0] = hand;
+                for (let i = 0; i < 15; i++) {
+                    const value = 0.5 + 0.5 * Math.sin(t * 0.01 + i);
+                    const raw = Math.round(8000 + value * 48000);
+                    sensor.push(raw & 0xFF, raw >> 8);
+                    view.setFloat32(1 + i * 4, value, true);
+                }
+                sensor.push(sequences[hand * 2] & 0xFF, sequences[hand * 2] >> 8);
+                view.setUint16(61, sequences[hand * 2 + 1], true);
+                sequences[hand * 2] = (sequences[hand * 2] + 1) & 0xFFFF;
+                sequences[hand * 2 + 1] = (sequences[hand * 2 + 1] + 1) & 0xFFFF;
+
+                for (const frame of [builder.buildFrame(0x20, sensor), builder.buildFrame(0x21, Array.from(mapping))]) {
+                    if (offset + frame.length > total) {
+                        return stream.subarray(0, offset);
+                    }
+                    stream.set(frame, offset);
+                    offset += frame.length;
+                }
+            }
+            t++;
+        }
+    }
+
+    /**
+     * 按随机大小切分数据块（模拟串口读取的分包）
+     * @param {Uint8Array} stream - 字节流
+     * @param {number} maxChunk - 最大块大小
+     * @returns {Array<Uint8Array>} 数据块（独立拷贝，与实际读取一致）
+     */
+    splitChunks(stream, maxChunk) {
+        const chunks = [];
+        let offset = 0;
+        while (offset < stream.length) {
+            const size = 1 + Math.floor(this.random() * maxChunk);
+            chunks.push(stream.slice(offset, offset + size));
+            offset += size;
+        }
+        return chunks;
+    }
+
+    /**
+     * 读取当前堆内存使用量（仅 Chromium 支持）
+     * @returns {number|null} 字节数
+     */
+    heapUsed() {
+        return performance.memory ? performance.memory.usedJSHeapSize : null;
+    }
+
+    /**
+     * 逐块送入数据并统计耗时和堆内存
+     * @param {string} name - 解析器名称
+     * @param {Function} feed - 送入一个数据块 (chunk) => void
+     * @param {Array<Uint8Array>} chunks - 数据块
+     * @param {Function} getFrames - 获取已解码帧数
+     * @returns {Object} 测试结果
+     */
+    measure(name, feed, chunks, getFrames) {
+        const times = new Float64Array(chunks.length);
+        let bytes = 0;
+        let heapStart = this.heapUsed();
+        let heapLast = heapStart;
+        let heapPeak = heapStart;
+        let collections = 0;
+
+        const start = performance.now();
+        for (let i = 0; i < chunks.length; i++) {
+            const t0 = performance.now();
+            feed(chunks[i]);
+            times[i] = performance.now() - t0;
+            bytes += chunks[i].length;
+
+            // 堆内存下降说明发生了一次回收
+            if (heapStart !== null && (i & 63) === 0) {
+                const heap = this.heapUsed();
+                if (heap < heapLast) {
+                    collections++;
+                }
+                heapPeak = Math.max(heapPeak, heap);
+                heapLast = heap;
+            }
+        }
+        const elapsed = performance.now() - start;
+        times.sort();
+
+        return {
+            name: name,
+            elapsed: elapsed,
+            frames: getFrames(),
+            bytesPerSecond: bytes / (elapsed / 1000),
+            realtimeFactor: (bytes / (elapsed / 1000)) / this.BYTES_PER_SECOND,
+            p50: times[Math.floor(times.length * 0.5)],
+            p99: times[Math.floor(times.length * 0.99)],
+            max: times[times.length - 1],
+            heapGrowth: heapStart !== null ? heapPeak - heapStart : null,
+            collections: heapStart !== null ? collections : null
+        };
+    }
+
+    /**
+     * 吞吐量测试：新旧解析方式解析同一份数据，新解析方式分别测试不设置和设置帧回调的情况
+     * @param {number} seconds - 数据时长（秒）
+     * @param {number} maxChunk - 最大块大小
+     * @returns {Array<Object>} 测试结果
+     */
+    runThroughput(seconds, maxChunk) {
+        this.seed = 1;
+        const stream = this.generateStream(seconds);
+        const chunks = this.splitChunks(stream, maxChunk);
+        let checksum = 0;
+        const consume = (jointData) => {
+            checksum += jointData.thumbYaw;
+        };
+
+        const manager = new SerialManager();
+        let frames = 0;
+        manager.setDataCallback((jointData) => {
+            frames++;
+            consume(jointData);
+        });
+        const ringResult = this.measure('环形缓冲区解析', (chunk) => {
+            manager.linkStats.recordBytes(chunk.length);
+            manager.appendToBuffer(chunk);
+            manager.processBuffer();
+        }, chunks, () => frames);
+
+        // 帧检查器记录中且按原始数据帧录制时，串口层要为每一帧生成数据副本和追踪记录
+        const tracedManager = new SerialManager();
+        const traces = [];
+        let tracedFrames = 0;
+        tracedManager.setDataCallback((jointData) => {
+            tracedFrames++;
+            consume(jointData);
+        });
+        tracedManager.setFrameTraceCallback((record) => {
+            // 与帧检查器一样只保留最近的记录
+            traces.push(record);
+            if (traces.length > 6000) {
+                traces.splice(0, 1000);
+            }
+        });
+        tracedManager.setFrameCallback(() => {});
+        const tracedResult = this.measure('环形缓冲区解析（帧检查器记录 + 原始帧录制）', (chunk) => {
+            tracedManager.linkStats.recordBytes(chunk.length);
+            tracedManager.appendToBuffer(chunk);
+            tracedManager.processBuffer();
+        }, chunks, () => tracedFrames);
+
+        let legacyFrames = 0;
+        const legacy = new LegacyFrameParser(manager, (jointData) => {
+            legacyFrames++;
+            consume(jointData);
+        });
+        const legacyResult = this.measure('旧解析方式（对照）', chunk => legacy.feed(chunk), chunks, () => legacyFrames);
+
+        console.log('解析结果校验值:', checksum);
+        return [ringResult, tracedResult, legacyResult];
+    }
+
+    /**
+     * 实时持续测试：按 1,152,000 波特率的真实速率每 TICK_INTERVAL 送入一次数据
+     * @param {number} seconds - 测试时长（秒）
+     * @param {number} maxChunk - 最大块大小
+     * @returns {Promise<Object>} 测试结果
+     */
+    runRealtime(seconds, maxChunk) {
+        this.seed = 1;
+        const stream = this.generateStream(Math.min(seconds, 10));
+        const manager = new SerialManager();
+        let frames = 0;
+        manager.setDataCallback(() => {
+            frames++;
+        });
+
+        return new Promise(resolve => {
+            const tickTimes = [];
+            const lags = [];
+            let offset = 0;
+            let heapLast = this.heapUsed();
+            let collections = 0;
+            const start = performance.now();
+            let last = start;
+
+            const timer = setInterval(() => {
+                const now = performance.now();
+                lags.push(now - last - this.TICK_INTERVAL);
+                let budget = Math.round((now - last) * this.BYTES_PER_SECOND / 1000);
+                last = now;
+
+                const t0 = performance.now();
+                while (budget > 0) {
+                    const size = Math.min(budget, 1 + Math.floor(this.random() * maxChunk), stream.length - offset);
+                    const chunk = stream.slice(offset, offset + size);
+                    manager.linkStats.recordBytes(chunk.length);
+                    manager.appendToBuffer(chunk);
+                    manager.processBuffer();
+                    offset = (offset + size) % stream.length;
+                    budget -= size;
+                }
+                tickTimes.push(performance.now() - t0);
+
+                const heap = this.heapUsed();
+                if (heap !== null) {
+                    if (heap < heapLast) {
+                        collections++;
+                    }
+                    heapLast = heap;
+                }
+
+                if (now - start >= seconds * 1000) {
+                    clearInterval(timer);
+                    tickTimes.sort((a, b) => a - b);
+                    lags.sort((a, b) => a - b);
+                    resolve({
+                        seconds: (now - start) / 1000,
+                        frames: frames,
+                        frameRate: frames / ((now - start) / 1000),
+                        tickP99: tickTimes[Math.floor(tickTimes.length * 0.99)],
+                        tickMax: tickTimes[tickTimes.length - 1],
+                        lagP99: lags[Math.floor(lags.length * 0.99)],
+                        lagMax: lags[lags.length - 1],
+                        collections: heapLast !== null ? collections : null,
+                        link: manager.getLinkStatistics()
+                    });
+                }
+            }, this.TICK_INTERVAL);
+        });
+    }
+
+    /**
+     * 输出吞吐量测试结果
+     * @param {Array<Object>} results - 测试结果
+     */
+    reportThroughput(results) {
+        const format = (value, digits = 2) => (value === null ? 'N/A' : value.toFixed(digits));
+        const lines = results.map(r => [
+            `${r.name}:`,
+            `  耗时 ${format(r.elapsed, 1)} ms, 解码 ${r.frames} 帧`,
+            `  吞吐量 ${format(r.bytesPerSecond / 1024 / 1024)} MB/s = ${format(r.realtimeFactor, 1)} 倍实时速率`,
+            `  单块耗时 P50 ${format(r.p50, 3)} ms / P99 ${format(r.p99, 3)} ms / 最大 ${format(r.max, 3)} ms`,
+            `  堆内存增长 ${r.heapGrowth === null ? 'N/A' : format(r.heapGrowth / 1024, 0) + ' KB'}, 回收次数 ${r.collections === null ? 'N/A' : r.collections}`
+        ].join('\n'));
+        const verdict = results[0].realtimeFactor > 10 ? '通过：解析速度超过满速数据流 10 倍以上' : '未通过：解析余量不足 10 倍';
+        this.output.textContent = lines.join('\n\n') + '\n\n' + verdict;
+        console.log(this.output.textContent);
+    }
+
+    /**
+     * 输出实时持续测试结果
+     * @param {Object} r - 测试结果
+     */
+    reportRealtime(r) {
+        const keepsUp = r.tickMax < this.TICK_INTERVAL && r.link.totals.discardedBytes === 0;
+        this.output.textContent = [
+            `实时持续测试 ${r.seconds.toFixed(1)} 秒:`,
+            `  解码 ${r.frames} 帧 (${r.frameRate.toFixed(0)} 帧/秒), 丢弃 ${r.link.totals.discardedBytes} 字节, 错误帧 ${r.link.totals.errorCount}`,
+            `  每次送数处理耗时 P99 ${r.tickP99.toFixed(3)} ms / 最大 ${r.tickMax.toFixed(3)} ms（预算 ${this.TICK_INTERVAL} ms）`,
+            `  定时器延迟 P99 ${r.lagP99.toFixed(2)} ms / 最大 ${r.lagMax.toFixed(2)} ms`,
+            `  堆内存回收次数 ${r.collections === null ? 'N/A' : r.collections}`,
+            '',
+            keepsUp ? '通过：每次处理都在送数间隔内完成，没有丢弃数据' : '未通过：处理耗时超过送数间隔或有数据被丢弃'
+        ].join('\n');
+        console.log(this.output.textContent);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const output = document.getElementById('bench-output');
+    const benchmark = new ParserBenchmark(output);
+    const seconds = () => parseInt(document.getElementById('bench-seconds').value) || 30;
+    const maxChunk = () => parseInt(document.getElementById('bench-chunk').value) || 512;
+    const buttons = [document.getElementById('bench-throughput-btn'), document.getElementById('bench-realtime-btn')];
+    const setBusy = (busy) => buttons.forEach(btn => { btn.disabled = busy; });
+
+    buttons[0].addEventListener('click', () => {
+        output.textContent = '正在运行吞吐量测试...';
+        setBusy(true);
+        // 让提示先渲染出来
+        setTimeout(() => {
+            benchmark.reportThroughput(benchmark.runThroughput(seconds(), maxChunk()));
+            setBusy(false);
+        }, 50);
+    });
+
+    buttons[1].addEventListener('click', async () => {
+        output.textContent = `正在运行实时持续测试（${seconds()} 秒）...`;
+        setBusy(true);
+        benchmark.reportRealtime(await benchmark.runRealtime(seconds(), maxChunk()));
+        setBusy(false);
+    });
+});
+
+// 导出测试类
+window.ParserBenchmark = ParserBenchmark;
+window.LegacyFrameParser = LegacyFrameParser;
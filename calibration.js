@@ -0,0 +1,417 @@
+/**
+ * @file 校准向导模块
+ * @description 在快速校准和锚定点校准命令之上提供分步引导：逐步给出手势提示，
+ *              发送对应命令并等待设备应答，推进前用实时数据校验手指确实运动/保持静止
+ */
+
+class CalibrationWizard {
+    /**
+     * @param {SerialManager} serialManager - 串口管理器
+     */
+    constructor(serialManager) {
+        this.serialManager = serialManager;
+
+        // 校验阈值（数据已归一化到0-1.0）
+        this.DATA_TIMEOUT = 500;      // 超过该时长（ms）未收到数据视为无实时数据
+        this.HISTORY_DURATION = 5000; // 实时数据保留时长（ms）
+        this.STABLE_WINDOW = 500;     // 静止判断窗口（ms）
+        this.MIN_MOVE_RANGE = 0.2;    // 握拳/张开时每根手指的最小运动幅度
+        this.MAX_JITTER = 0.05;       // 记录锚定点时允许的最大抖动
+        this.MIN_POSE_CHANGE = 0.1;   // 相邻锚定点之间手指的最小平均变化
+
+        this.FINGER_NAMES = ['拇指', '食指', '中指', '无名指', '小指'];
+
+        this.status = 'idle'; // idle / ready / busy / error / done / aborted
+        this.message = '';
+        this.steps = [];
+        this.currentIndex = -1;
+        this.options = { mode: 'full', hand: 0, fingers: [] };
+
+        // 实时数据：按数据流分别记录，避免原始值和映射值混在一起计算幅度
+        this.tracks = {
+            sensor: this.createTrack(),
+            mapping: this.createTrack()
+        };
+        this.lastSnapshot = null;
+        this.quickPending = false;
+
+        this.updateCallback = null;
+    }
+
+    /**
+     * 设置状态更新回调函数
+     * @param {Function} callback - 回调函数 (wizard) => void
+     */
+    setUpdateCallback(callback) {
+        this.updateCallback = callback;
+    }
+
+    /**
+     * 是否正在进行（未结束）
+     * @returns {boolean} 是否进行中
+     */
+    isActive() {
+        return this.status === 'ready' || this.status === 'busy' || this.status === 'error';
+    }
+
+    /**
+     * 获取当前步骤
+     * @returns {Object|null} 步骤
+     */
+    getCurrentStep() {
+        return this.steps[this.currentIndex] || null;
+    }
+
+    /**
+     * 开始向导
+     * @param {Object} options - 向导选项
+     * @param {string} options.mode - full=快速校准+锚定点校准, quick=仅快速校准, anchor=仅锚定点校准
+     * @param {number} options.hand - 手侧（0=右手, 1=左手）
+     * @param {Array<number>} options.fingers - 锚定点校准的手指（1=食指, 2=中指, 3=无名指, 4=小指）
+     */
+    start(options = {}) {
+        this.options = { mode: 'full', hand: 0, fingers: [], ...options };
+        const { mode, fingers } = this.options;
+
+        if (mode !== 'full' && mode !== 'quick' && mode !== 'anchor') {
+            throw new Error(`未知的校准模式: ${mode}`);
+        }
+        if (mode !== 'quick' && fingers.length === 0) {
+            throw new Error('锚定点校准至少需要选择一根手指');
+        }
+
+        this.steps = this.buildSteps();
+        this.lastSnapshot = null;
+        this.quickPending = false;
+        this.enterStep(0);
+    }
+
+    /**
+     * 根据选项生成步骤列表
+     * @returns {Array<Object>} 步骤列表 { id, title, instruction, validate, run }
+     */
+    buildSteps() {
+        const sm = this.serialManager;
+        const { mode, hand, fingers } = this.options;
+        const handName = hand === 0 ? '右手' : '左手';
+        const pitchJoints = [1, 4, 7, 10, 13];
+        const steps = [];
+
+        if (mode !== 'anchor') {
+            steps.push({
+                id: 'quick-start',
+                title: '开始快速校准',
+                instruction: `将${handName}手掌自然伸直、五指张开，保持放松后点击“下一步”。`,
+                validate: () => this.checkLive(),
+                run: async () => {
+                    await sm.startQuickCalibration();
+                    this.quickPending = true;
+                }
+            });
+            steps.push({
+                id: 'quick-move',
+                title: '握拳与张开',
+                instruction: '缓慢完全握拳，再完全张开，重复2-3次。完成后张开手掌并点击“下一步”。',
+                validate: () => this.checkLive() || this.checkMoved(pitchJoints),
+                run: async () => {
+                    await sm.finishQuickCalibration();
+                    this.quickPending = false;
+                }
+            });
+        }
+
+        if (mode !== 'quick') {
+            steps.push({
+                id: 'anchor-start',
+                title: '开始锚定点校准',
+                instruction: `将${handName}手掌自然张开并保持静止，点击“下一步”开始锚定点校准（${fingers.map(f => this.FINGER_NAMES[f]).join('、')}）。`,
+                validate: () => this.checkLive() || this.checkStable(this.getFingerJoints(fingers)),
+                run: async () => {
+                    await sm.startAnchorCalibration(hand, fingers);
+                    this.lastSnapshot = this.takeSnapshot();
+                }
+            });
+
+            fingers.forEach(finger => {
+                const joints = this.getFingerJoints([0, finger]);
+                steps.push({
+                    id: `anchor-record-${finger}`,
+                    title: `记录${this.FINGER_NAMES[finger]}锚定点`,
+                    instruction: `用拇指指尖与${this.FINGER_NAMES[finger]}指尖捏合，保持静止后点击“下一步”记录该点。`,
+                    validate: () => this.checkLive() || this.checkStable(joints) || this.checkChanged(joints),
+                    run: async () => {
+                        await sm.recordAnchorPoint();
+                        this.lastSnapshot = this.takeSnapshot();
+                    }
+                });
+            });
+
+            steps.push({
+                id: 'anchor-apply',
+                title: '应用锚定点参数',
+                instruction: '松开手指，点击“下一步”让设备根据记录的锚定点计算并应用参数。',
+                validate: () => null,
+                run: async () => {
+                    await sm.applyAnchorCalibration();
+                }
+            });
+        }
+
+        steps.push({
+            id: 'save',
+            title: '保存校准数据',
+            instruction: '点击“下一步”将校准数据保存到设备，断电后仍然有效。',
+            validate: () => null,
+            run: async () => {
+                await sm.saveCalibration();
+            }
+        });
+
+        return steps;
+    }
+
+    /**
+     * 进入指定步骤并清空该步骤的运动记录
+     * @param {number} index - 步骤索引
+     */
+    enterStep(index) {
+        this.currentIndex = index;
+        this.resetTracking();
+        this.status = 'ready';
+        this.message = '';
+        this.notify();
+    }
+
+    /**
+     * 校验当前步骤并发送对应命令，成功后进入下一步
+     * @returns {Promise<boolean>} 是否成功推进
+     */
+    async next() {
+        const step = this.getCurrentStep();
+        if (!step || (this.status !== 'ready' && this.status !== 'error')) {
+            return false;
+        }
+
+        const problem = step.validate();
+        if (problem) {
+            this.status = 'error';
+            this.message = problem;
+            this.notify();
+            return false;
+        }
+
+        this.status = 'busy';
+        this.message = '等待设备应答...';
+        this.notify();
+
+        try {
+            await step.run();
+        } catch (error) {
+            if (this.status === 'aborted') {
+                return false;
+            }
+            this.status = 'error';
+            this.message = `命令失败: ${error.message}`;
+            this.notify();
+            return false;
+        }
+
+        // 等待应答期间被中止
+        if (this.status === 'aborted') {
+            return false;
+        }
+
+        if (this.currentIndex + 1 >= this.steps.length) {
+            this.currentIndex = this.steps.length;
+            this.status = 'done';
+            this.message = '校准完成，校准数据已保存';
+            this.notify();
+        } else {
+            this.enterStep(this.currentIndex + 1);
+        }
+        return true;
+    }
+
+    /**
+     * 重试当前步骤：清空运动记录，重新做动作
+     */
+    retry() {
+        if (!this.isActive() || this.status === 'busy') {
+            return;
+        }
+        this.enterStep(this.currentIndex);
+    }
+
+    /**
+     * 中止向导
+     * 设备没有取消校准的命令，中止时只给出提示，不自动发送命令
+     */
+    abort() {
+        if (!this.isActive()) {
+            return;
+        }
+        this.status = 'aborted';
+        if (this.quickPending) {
+            this.message = '已中止：快速校准尚未完成，设备仍处于校准状态，可重新运行向导';
+        } else {
+            this.message = '已中止：未保存的校准结果不会写入设备';
+        }
+        this.notify();
+    }
+
+    /**
+     * 添加一条实时关节数据（仅记录所选手侧）
+     * @param {Object} jointData - 关节数据对象（含 sensorData 或 mappingData）
+     */
+    addSample(jointData) {
+        if (!this.isActive() || jointData.hand !== this.options.hand) {
+            return;
+        }
+
+        const isMapping = Array.isArray(jointData.mappingData);
+        const track = this.tracks[isMapping ? 'mapping' : 'sensor'];
+        const values = isMapping
+            ? jointData.mappingData
+            : jointData.sensorData.map(v => v / 65535);
+        const now = Date.now();
+
+        track.samples.push({ time: now, values: values });
+        while (track.samples.length > 0 && track.samples[0].time < now - this.HISTORY_DURATION) {
+            track.samples.shift();
+        }
+        values.forEach((value, i) => {
+            track.min[i] = Math.min(track.min[i], value);
+            track.max[i] = Math.max(track.max[i], value);
+        });
+    }
+
+    /**
+     * 创建空的数据记录
+     * @returns {Object} { samples, min, max }
+     */
+    createTrack() {
+        return {
+            samples: [],
+            min: new Array(15).fill(Infinity),
+            max: new Array(15).fill(-Infinity)
+        };
+    }
+
+    /**
+     * 清空步骤内的运动范围（保留最近样本用于静止判断）
+     */
+    resetTracking() {
+        Object.values(this.tracks).forEach(track => {
+            track.min.fill(Infinity);
+            track.max.fill(-Infinity);
+        });
+    }
+
+    /**
+     * 获取用于校验的数据流：优先使用原始传感器数据（不受当前校准参数影响）
+     * @returns {Object|null} 有实时数据的记录
+     */
+    getActiveTrack() {
+        const now = Date.now();
+        for (const name of ['sensor', 'mapping']) {
+            const samples = this.tracks[name].samples;
+            if (samples.length > 0 && now - samples[samples.length - 1].time <= this.DATA_TIMEOUT) {
+                return this.tracks[name];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 获取手指对应的关节索引
+     * @param {Array<number>} fingers - 手指列表（0=拇指 ... 4=小指）
+     * @returns {Array<number>} 关节索引
+     */
+    getFingerJoints(fingers) {
+        return fingers.flatMap(finger => [finger * 3, finger * 3 + 1, finger * 3 + 2]);
+    }
+
+    /**
+     * 记录当前手势
+     * @returns {Array<number>|null} 最新一帧的归一化数值
+     */
+    takeSnapshot() {
+        const track = this.getActiveTrack();
+        return track ? [...track.samples[track.samples.length - 1].values] : null;
+    }
+
+    /**
+     * 校验是否有所选手侧的实时数据
+     * @returns {string|null} 问题描述，通过时为null
+     */
+    checkLive() {
+        if (this.getActiveTrack()) {
+            return null;
+        }
+        const handName = this.options.hand === 0 ? '右手' : '左手';
+        return `未收到${handName}的实时数据，请确认手套已连接并启用了传感器或映射数据发送`;
+    }
+
+    /**
+     * 校验本步骤内各手指是否完成了足够幅度的运动
+     * @param {Array<number>} joints - 关节索引（每根手指一个）
+     * @returns {string|null} 问题描述
+     */
+    checkMoved(joints) {
+        const track = this.getActiveTrack();
+        const still = joints.filter(j => !(track.max[j] - track.min[j] >= this.MIN_MOVE_RANGE));
+        if (still.length === 0) {
+            return null;
+        }
+        const names = still.map(j => this.FINGER_NAMES[Math.floor(j / 3)]);
+        return `${names.join('、')}运动幅度不足，请完全握拳再完全张开`;
+    }
+
+    /**
+     * 校验最近一段时间内手势是否保持静止
+     * @param {Array<number>} joints - 关节索引
+     * @returns {string|null} 问题描述
+     */
+    checkStable(joints) {
+        const track = this.getActiveTrack();
+        const since = Date.now() - this.STABLE_WINDOW;
+        const recent = track.samples.filter(sample => sample.time >= since);
+        const jitter = Math.max(...joints.map(j => {
+            const values = recent.map(sample => sample.values[j]);
+            return Math.max(...values) - Math.min(...values);
+        }));
+        if (jitter <= this.MAX_JITTER) {
+            return null;
+        }
+        return `手势不稳定（抖动 ${jitter.toFixed(2)}），请保持静止后重试`;
+    }
+
+    /**
+     * 校验手势相对上一个锚定点确实发生了变化
+     * @param {Array<number>} joints - 关节索引
+     * @returns {string|null} 问题描述
+     */
+    checkChanged(joints) {
+        const current = this.takeSnapshot();
+        if (!this.lastSnapshot || !current) {
+            return null;
+        }
+        const change = joints.reduce((sum, j) => sum + Math.abs(current[j] - this.lastSnapshot[j]), 0) / joints.length;
+        if (change >= this.MIN_POSE_CHANGE) {
+            return null;
+        }
+        return '手势与上一个记录点几乎相同，请按提示做出新的手势';
+    }
+
+    /**
+     * 通知状态更新
+     */
+    notify() {
+        if (this.updateCallback) {
+            this.updateCallback(this);
+        }
+    }
+}
+
+// 导出CalibrationWizard类
+window.CalibrationWizard = CalibrationWizard;
@@ -0,0 +1,467 @@
+/**
+ * @file 时间序列图表模块
+ * @description 使用Canvas绘制每只手各关节通道的滚动曲线，支持映射数据（0-1.0）和传感器数据（0-65535）
+ */
+
+/**
+ * 单只手、单种数据流的环形缓冲区
+ */
+class TimeSeriesBuffer {
+    /**
+     * @param {number} capacity - 最大样本数
+     * @param {number} channels - 通道数
+     */
+    constructor(capacity, channels) {
+        this.capacity = capacity;
+        this.channels = channels;
+        this.times = new Float64Array(capacity);
+        this.values = new Float32Array(capacity * channels);
+        this.start = 0;  // 最旧样本位置
+        this.length = 0; // 样本数
+    }
+
+    /**
+     * 追加一个样本
+     * @param {number} time - 时间戳（ms）
+     * @param {Array<number>} values - 各通道值
+     */
+    push(time, values) {
+        const index = (this.start + this.length) % this.capacity;
+        this.times[index] = time;
+        const offset = index * this.channels;
+        for (let c = 0; c < this.channels; c++) {
+            this.values[offset + c] = values[c];
+        }
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * 获取第 i 个样本的时间（0为最旧）
+     * @param {number} i - 逻辑索引
+     * @returns {number} 时间戳
+     */
+    timeAt(i) {
+        return this.times[(this.start + i) % this.capacity];
+    }
+
+    /**
+     * 获取第 i 个样本的通道值
+     * @param {number} i - 逻辑索引
+     * @param {number} channel - 通道
+     * @returns {number} 通道值
+     */
+    valueAt(i, channel) {
+        return this.values[((this.start + i) % this.capacity) * this.channels + channel];
+    }
+
+    /**
+     * 二分查找第一个时间不小于 time 的样本
+     * @param {number} time - 时间戳
+     * @returns {number} 逻辑索引
+     */
+    lowerBound(time) {
+        let low = 0;
+        let high = this.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.timeAt(mid) < time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * 查找离 time 最近的样本
+     * @param {number} time - 时间戳
+     * @returns {number} 逻辑索引，无数据返回-1
+     */
+    nearest(time) {
+        if (this.length === 0) {
+            return -1;
+        }
+        const i = this.lowerBound(time);
+        if (i === 0) {
+            return 0;
+        }
+        if (i >= this.length) {
+            return this.length - 1;
+        }
+        return (time - this.timeAt(i - 1) <= this.timeAt(i) - time) ? i - 1 : i;
+    }
+
+    /**
+     * 清空缓冲区
+     */
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
+/**
+ * 关节时间序列图表面板（左右手各一个画布，共用控制选项）
+ */
+class JointChartPanel {
+    /**
+     * @param {Object} elements - DOM元素
+     * @param {HTMLCanvasElement} elements.rightCanvas - 右手画布
+     * @param {HTMLCanvasElement} elements.leftCanvas - 左手画布
+     * @param {HTMLElement} elements.channelList - 通道选择容器
+     * @param {HTMLElement} elements.readout - 光标读数显示
+     * @param {Array<string>} jointNames - 15个关节名称
+     */
+    constructor(elements, jointNames) {
+        this.elements = elements;
+        this.jointNames = jointNames;
+
+        this.stream = 'mapping';       // mapping / sensor
+        this.windowMs = 10000;         // 显示时间窗口
+        this.isPaused = false;
+        this.freezeTime = 0;           // 暂停时的右边界时间
+        this.cursor = null;            // { hand, x }
+        this.enabledChannels = new Array(jointNames.length).fill(true);
+        this.animationFrame = null;
+
+        // 每只手、每种数据流一个缓冲区（容量约为1kHz下60秒）
+        const CAPACITY = 60000;
+        this.buffers = {
+            right: { mapping: new TimeSeriesBuffer(CAPACITY, jointNames.length), sensor: new TimeSeriesBuffer(CAPACITY, jointNames.length) },
+            left: { mapping: new TimeSeriesBuffer(CAPACITY, jointNames.length), sensor: new TimeSeriesBuffer(CAPACITY, jointNames.length) }
+        };
+
+        // 手指颜色与关节进度条一致，关节类型用线型区分
+        this.FINGER_COLORS = ['#ef4444', '#3b82f6', '#10b981', '#f59e0b', '#8b5cf6'];
+        this.JOINT_DASHES = [[2, 3], [], [8, 4]]; // Yaw点线, Pitch实线, Tip虚线
+
+        this.RANGES = {
+            mapping: { min: 0, max: 1.0, label: v => v.toFixed(2) },
+            sensor: { min: 0, max: 65535, label: v => Math.round(v).toString() }
+        };
+
+        this.buildChannelList();
+        this.attachCursorEvents(this.elements.rightCanvas, 'right');
+        this.attachCursorEvents(this.elements.leftCanvas, 'left');
+    }
+
+    /**
+     * 添加一条关节数据
+     * @param {Object} jointData - 关节数据对象
+     */
+    addSample(jointData) {
+        const hand = jointData.hand === 0 ? 'right' : 'left';
+        if (Array.isArray(jointData.mappingData)) {
+            this.buffers[hand].mapping.push(jointData.timestamp, jointData.mappingData);
+        } else if (Array.isArray(jointData.sensorData)) {
+            this.buffers[hand].sensor.push(jointData.timestamp, jointData.sensorData);
+        }
+    }
+
+    /**
+     * 生成通道选择复选框
+     */
+    buildChannelList() {
+        const list = this.elements.channelList;
+        if (!list) {
+            return;
+        }
+        list.innerHTML = '';
+        this.jointNames.forEach((name, channel) => {
+            const label = document.createElement('label');
+            label.className = 'chart-channel';
+            label.style.setProperty('--channel-color', this.getChannelColor(channel));
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.enabledChannels[channel];
+            checkbox.addEventListener('change', () => {
+                this.enabledChannels[channel] = checkbox.checked;
+                this.requestDraw();
+            });
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(name));
+            list.appendChild(label);
+        });
+    }
+
+    /**
+     * 设置全部通道的选择状态
+     * @param {boolean} enabled - 是否选中
+     */
+    setAllChannels(enabled) {
+        this.enabledChannels.fill(enabled);
+        if (this.elements.channelList) {
+            this.elements.channelList.querySelectorAll('input').forEach(checkbox => {
+                checkbox.checked = enabled;
+            });
+        }
+        this.requestDraw();
+    }
+
+    /**
+     * 设置显示的数据流
+     * @param {string} stream - mapping / sensor
+     */
+    setStream(stream) {
+        this.stream = stream;
+        this.requestDraw();
+    }
+
+    /**
+     * 设置时间窗口
+     * @param {number} windowMs - 窗口长度（ms）
+     */
+    setWindow(windowMs) {
+        this.windowMs = windowMs;
+        this.requestDraw();
+    }
+
+    /**
+     * 暂停/继续滚动（暂停时冻结画面，光标读数仍可用）
+     * @param {boolean} paused - 是否暂停
+     */
+    setPaused(paused) {
+        this.isPaused = paused;
+        this.freezeTime = Date.now();
+        this.requestDraw();
+    }
+
+    /**
+     * 清空所有曲线数据
+     */
+    clear() {
+        Object.values(this.buffers).forEach(streams => {
+            streams.mapping.clear();
+            streams.sensor.clear();
+        });
+        this.requestDraw();
+    }
+
+    /**
+     * 开始绘制循环
+     */
+    start() {
+        if (this.animationFrame) {
+            return;
+        }
+        const loop = () => {
+            this.draw();
+            this.animationFrame = requestAnimationFrame(loop);
+        };
+        this.animationFrame = requestAnimationFrame(loop);
+    }
+
+    /**
+     * 停止绘制循环
+     */
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    /**
+     * 暂停时由交互触发的单次重绘
+     */
+    requestDraw() {
+        if (!this.animationFrame) {
+            this.draw();
+        }
+    }
+
+    /**
+     * 绘制左右手图表和光标读数
+     */
+    draw() {
+        const endTime = this.isPaused ? this.freezeTime : Date.now();
+        this.drawChart(this.elements.rightCanvas, this.buffers.right[this.stream], endTime, 'right');
+        this.drawChart(this.elements.leftCanvas, this.buffers.left[this.stream], endTime, 'left');
+        this.updateReadout(endTime);
+    }
+
+    /**
+     * 绘制单个画布
+     * @param {HTMLCanvasElement} canvas - 画布
+     * @param {TimeSeriesBuffer} buffer - 数据缓冲区
+     * @param {number} endTime - 右边界时间
+     * @param {string} hand - right / left
+     */
+    drawChart(canvas, buffer, endTime, hand) {
+        if (!canvas) {
+            return;
+        }
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            return;
+        }
+
+        // 按显示尺寸调整画布分辨率
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 600;
+        const height = canvas.clientHeight || 200;
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+        }
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        const range = this.RANGES[this.stream];
+        const plot = { left: 48, right: width - 8, top: 8, bottom: height - 20 };
+        const startTime = endTime - this.windowMs;
+        const xOf = t => plot.left + (t - startTime) / this.windowMs * (plot.right - plot.left);
+        const yOf = v => plot.bottom - (v - range.min) / (range.max - range.min) * (plot.bottom - plot.top);
+
+        // 背景和网格
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#0f172a';
+        ctx.fillRect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+        ctx.strokeStyle = '#334155';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const v = range.min + (range.max - range.min) * i / 4;
+            const y = yOf(v);
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.right, y);
+            ctx.stroke();
+            ctx.fillText(range.label(v), plot.left - 4, y);
+        }
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let i = 0; i <= 5; i++) {
+            const t = startTime + this.windowMs * i / 5;
+            ctx.fillText(`-${((endTime - t) / 1000).toFixed(1)}s`, xOf(t), plot.bottom + 4);
+        }
+
+        // 曲线：窗口内样本过多时按像素抽稀
+        const first = Math.max(0, buffer.lowerBound(startTime) - 1);
+        const last = buffer.lowerBound(endTime + 1);
+        const count = last - first;
+        const step = Math.max(1, Math.floor(count / ((plot.right - plot.left) * 2)));
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+        ctx.clip();
+        ctx.lineWidth = 1.5;
+        for (let channel = 0; channel < this.jointNames.length; channel++) {
+            if (!this.enabledChannels[channel] || count <= 0) {
+                continue;
+            }
+            ctx.strokeStyle = this.getChannelColor(channel);
+            ctx.setLineDash(this.JOINT_DASHES[channel % 3]);
+            ctx.beginPath();
+            for (let i = first; i < last; i += step) {
+                const x = xOf(buffer.timeAt(i));
+                const y = yOf(buffer.valueAt(i, channel));
+                if (i === first) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        // 光标
+        if (this.cursor && this.cursor.hand === hand) {
+            ctx.strokeStyle = '#f8fafc';
+            ctx.setLineDash([4, 4]);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(this.cursor.x, plot.top);
+            ctx.lineTo(this.cursor.x, plot.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // 记录绘图区域供光标换算时间
+        canvas.plotArea = { ...plot, startTime: startTime };
+    }
+
+    /**
+     * 绑定画布上的光标事件
+     * @param {HTMLCanvasElement} canvas - 画布
+     * @param {string} hand - right / left
+     */
+    attachCursorEvents(canvas, hand) {
+        if (!canvas) {
+            return;
+        }
+        canvas.addEventListener('mousemove', (event) => {
+            const rect = canvas.getBoundingClientRect();
+            this.cursor = { hand: hand, x: event.clientX - rect.left };
+            this.requestDraw();
+        });
+        canvas.addEventListener('mouseleave', () => {
+            this.cursor = null;
+            this.requestDraw();
+        });
+    }
+
+    /**
+     * 更新光标读数
+     * @param {number} endTime - 右边界时间
+     */
+    updateReadout(endTime) {
+        const readout = this.elements.readout;
+        if (!readout) {
+            return;
+        }
+        if (!this.cursor) {
+            readout.textContent = '将鼠标移到曲线上查看数值';
+            return;
+        }
+
+        const canvas = this.cursor.hand === 'right' ? this.elements.rightCanvas : this.elements.leftCanvas;
+        const plot = canvas.plotArea;
+        if (!plot) {
+            return;
+        }
+        const ratio = (this.cursor.x - plot.left) / (plot.right - plot.left);
+        const time = plot.startTime + Math.max(0, Math.min(1, ratio)) * this.windowMs;
+        const buffer = this.buffers[this.cursor.hand][this.stream];
+        const index = buffer.nearest(time);
+        if (index === -1) {
+            readout.textContent = '无数据';
+            return;
+        }
+
+        const range = this.RANGES[this.stream];
+        const sampleTime = buffer.timeAt(index);
+        const parts = [`${this.cursor.hand === 'right' ? '右手' : '左手'} ${((endTime - sampleTime) / 1000).toFixed(3)}s前`];
+        this.jointNames.forEach((name, channel) => {
+            if (this.enabledChannels[channel]) {
+                parts.push(`${name}=${range.label(buffer.valueAt(index, channel))}`);
+            }
+        });
+        readout.textContent = parts.join('  ');
+    }
+
+    /**
+     * 获取通道颜色
+     * @param {number} channel - 通道索引
+     * @returns {string} 颜色
+     */
+    getChannelColor(channel) {
+        return this.FINGER_COLORS[Math.floor(channel / 3)];
+    }
+}
+
+// 导出图表类
+window.TimeSeriesBuffer = TimeSeriesBuffer;
+window.JointChartPanel = JointChartPanel;
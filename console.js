@@ -0,0 +1,388 @@
+/**
+ * @file 命令控制台模块
+ * @description 面向固件开发者的原始命令控制台：输入命令码和负载（十六进制字节或按类型填写的字段）发送任意数据帧，
+ *              或发送一行原始文本命令；负责解析输入、命令名自动补全、输入历史、常用命令片段的保存，
+ *              以及把设备的帧外文本输出拼接成行。收发由 SerialManager 完成
+ */
+
+class CommandConsole {
+    /**
+     * @param {ProtocolSchema} protocol - 协议描述（提供命令名、命令码和字段类型）
+     * @param {Object} options - 配置
+     * @param {string} options.historyKey - 输入历史的本地存储键名
+     * @param {string} options.snippetsKey - 命令片段的本地存储键名
+     * @param {number} options.maxHistory - 最多保留的历史条数
+     */
+    constructor(protocol, options = {}) {
+        this.protocol = protocol;
+        this.historyKey = options.historyKey || 'consoleHistory';
+        this.snippetsKey = options.snippetsKey || 'consoleSnippets';
+        this.MAX_HISTORY = options.maxHistory || 100;
+
+        // 只有 CMD_ 开头的是命令码，RESULT_ 开头的是结果码
+        const constants = protocol.getConstants();
+        this.commands = {};
+        Object.keys(constants).forEach(name => {
+            if (name.startsWith('CMD_')) {
+                this.commands[name] = constants[name];
+            }
+        });
+
+        this.history = [];
+        this.historyIndex = 0;   // 浏览历史时的位置，等于 history.length 表示正在编辑新输入
+        this.draft = '';         // 开始浏览历史前正在编辑的输入
+        this.snippets = [];      // { name, line }
+
+        // 设备的帧外文本输出：来源 -> 尚未换行的文本
+        this.textBuffers = new Map();
+    }
+
+    /**
+     * 解析一行输入
+     * 文本命令以 > 开头（支持 \n \r \t \\ \xNN 转义，换行符由调用方按设置追加）；
+     * 其余为数据帧：命令名（可省略 CMD_ 前缀）或十六进制命令码，后接负载，负载可混合使用
+     * 十六进制字节（01 0x02 a0ff）、类型字段（u8:1 i16:-200 f32:0.5）和带引号的ASCII字符串
+     * @param {string} line - 输入
+     * @returns {{type: string, text?: string, cmd?: number, data?: Array<number>}} 解析结果
+     */
+    parse(line) {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            throw new Error('输入为空');
+        }
+        if (trimmed.startsWith('>')) {
+            return { type: 'text', text: CommandConsole.unescape(trimmed.slice(1).replace(/^ /, '')) };
+        }
+
+        const tokens = CommandConsole.tokenize(trimmed);
+        const cmd = this.resolveCommand(tokens[0]);
+        const data = [];
+        tokens.slice(1).forEach(token => data.push(...this.parsePayloadToken(token)));
+        const maxLength = this.protocol.frame.maxDataLength;
+        if (data.length > maxLength) {
+            throw new Error(`负载长度超过最大限制: ${data.length} > ${maxLength}`);
+        }
+        return { type: 'frame', cmd: cmd, data: data };
+    }
+
+    /**
+     * 把命令名或命令码解析为命令码
+     * @param {string} token - 命令名（不区分大小写，可省略 CMD_ 前缀）或命令码（与负载一样按十六进制：0x0B / 0b / b）
+     * @returns {number} 命令码
+     */
+    resolveCommand(token) {
+        if (/^(0x)?[0-9a-f]{1,2}$/i.test(token)) {
+            return parseInt(token.replace(/^0x/i, ''), 16);
+        }
+        if (/^(0x)?[0-9a-f]+$/i.test(token)) {
+            throw new Error(`命令码超出范围: ${token}`);
+        }
+        const name = this.normalizeCommandName(token);
+        if (this.commands[name] === undefined) {
+            throw new Error(`未知命令: ${token}`);
+        }
+        return this.commands[name];
+    }
+
+    /**
+     * 补全命令名的 CMD_ 前缀并转为大写
+     * @param {string} token - 命令名
+     * @returns {string} 命令名
+     */
+    normalizeCommandName(token) {
+        const name = token.toUpperCase();
+        return name.startsWith('CMD_') ? name : 'CMD_' + name;
+    }
+
+    /**
+     * 解析一个负载片段
+     * @param {string} token - 十六进制字节、类型字段或带引号的字符串
+     * @returns {Array<number>} 字节
+     */
+    parsePayloadToken(token) {
+        if (token.startsWith('"')) {
+            const text = CommandConsole.unescape(token.slice(1, -1));
+            return Array.from(text, char => {
+                const code = char.charCodeAt(0);
+                if (code > 0xFF) {
+                    throw new Error(`字符串只能包含单字节字符: ${token}`);
+                }
+                return code;
+            });
+        }
+
+        const field = token.match(/^([a-z]+\d*):(.+)$/i);
+        if (field) {
+            const typeName = field[1].toLowerCase();
+            const type = this.protocol.TYPES[typeName];
+            if (!type) {
+                throw new Error(`未知字段类型: ${field[1]}（可用 ${Object.keys(this.protocol.TYPES).join(' ')}）`);
+            }
+            const value = Number(field[2]);
+            if (!Number.isFinite(value) || (!type.float && !Number.isInteger(value)) || value < type.min || value > type.max) {
+                throw new Error(`字段值无效: ${token}`);
+            }
+            return this.protocol.encodeValue(typeName, value);
+        }
+
+        const hex = token.replace(/^0x/i, '');
+        if (!/^[0-9a-f]+$/i.test(hex) || (hex.length > 2 && hex.length % 2 !== 0)) {
+            throw new Error(`无法解析负载: ${token}`);
+        }
+        const bytes = [];
+        for (let i = 0; i < hex.length; i += 2) {
+            bytes.push(parseInt(hex.slice(i, i + 2), 16));
+        }
+        return bytes;
+    }
+
+    /**
+     * 补全输入末尾的词
+     * 第一个词补全命令名，之后的词补全字段类型
+     * @param {string} line - 输入
+     * @returns {{line: string, candidates: Array<string>}} 补全后的输入和全部候选
+     */
+    complete(line) {
+        if (line.trimStart().startsWith('>')) {
+            return { line: line, candidates: [] };
+        }
+        const start = line.search(/\S*$/);
+        const word = line.slice(start);
+        const isCommand = line.slice(0, start).trim() === '';
+
+        let candidates;
+        if (isCommand) {
+            const prefix = word.toUpperCase();
+            candidates = this.getCommandNames().filter(name => name.startsWith(prefix) || name.startsWith('CMD_' + prefix));
+        } else {
+            candidates = Object.keys(this.protocol.TYPES)
+                .map(type => type + ':')
+                .filter(type => type.startsWith(word.toLowerCase()));
+        }
+        if (candidates.length === 0) {
+            return { line: line, candidates: [] };
+        }
+
+        // 只有一个候选时补全整个词，多个候选时补全到公共前缀
+        let completed = candidates[0];
+        candidates.forEach(candidate => {
+            let i = 0;
+            while (i < completed.length && completed[i] === candidate[i]) {
+                i++;
+            }
+            completed = completed.slice(0, i);
+        });
+        if (completed.length < word.length) {
+            completed = word;
+        }
+        const suffix = candidates.length === 1 && isCommand ? ' ' : '';
+        return { line: line.slice(0, start) + completed + suffix, candidates: candidates };
+    }
+
+    /**
+     * 获取全部命令名（按命令码排序）
+     * @returns {Array<string>} 命令名
+     */
+    getCommandNames() {
+        return Object.keys(this.commands).sort((a, b) => this.commands[a] - this.commands[b]);
+    }
+
+    /**
+     * 记录一条输入历史（与上一条相同时不重复记录）
+     * @param {string} line - 输入
+     */
+    addHistory(line) {
+        if (this.history[this.history.length - 1] !== line) {
+            this.history.push(line);
+            if (this.history.length > this.MAX_HISTORY) {
+                this.history = this.history.slice(-this.MAX_HISTORY);
+            }
+            this.saveHistory();
+        }
+        this.historyIndex = this.history.length;
+        this.draft = '';
+    }
+
+    /**
+     * 在历史中移动
+     * @param {number} step - -1=上一条, 1=下一条
+     * @param {string} current - 当前输入（开始浏览时保存为草稿）
+     * @returns {string|null} 新的输入，已到头时为null
+     */
+    navigateHistory(step, current) {
+        const index = this.historyIndex + step;
+        if (index < 0 || index > this.history.length) {
+            return null;
+        }
+        if (this.historyIndex === this.history.length) {
+            this.draft = current;
+        }
+        this.historyIndex = index;
+        return index === this.history.length ? this.draft : this.history[index];
+    }
+
+    /**
+     * 获取命令片段
+     * @param {string} name - 名称
+     * @returns {Object|undefined} 片段 { name, line }
+     */
+    getSnippet(name) {
+        return this.snippets.find(snippet => snippet.name === name);
+    }
+
+    /**
+     * 保存命令片段（同名覆盖）
+     * @param {string} name - 名称
+     * @param {string} line - 输入
+     */
+    setSnippet(name, line) {
+        const existing = this.getSnippet(name);
+        if (existing) {
+            existing.line = line;
+        } else {
+            this.snippets.push({ name: name, line: line });
+        }
+        this.saveSnippets();
+    }
+
+    /**
+     * 删除命令片段
+     * @param {string} name - 名称
+     */
+    deleteSnippet(name) {
+        this.snippets = this.snippets.filter(snippet => snippet.name !== name);
+        this.saveSnippets();
+    }
+
+    /**
+     * 拼接设备的帧外文本输出
+     * @param {string} source - 来源设备名称
+     * @param {Array<number>} bytes - 字节
+     * @returns {Array<string>} 已完整的行（不含换行符）
+     */
+    receiveText(source, bytes) {
+        const text = (this.textBuffers.get(source) || '') + String.fromCharCode(...bytes);
+        const lines = text.split('\n');
+        this.textBuffers.set(source, lines.pop());
+        return lines.map(line => line.replace(/\r$/, ''));
+    }
+
+    /**
+     * 取出尚未换行的文本（设备输出停顿时显示）
+     * @param {string} source - 来源设备名称
+     * @returns {string} 文本
+     */
+    flushText(source) {
+        const text = this.textBuffers.get(source) || '';
+        this.textBuffers.delete(source);
+        return text.replace(/\r$/, '');
+    }
+
+    /**
+     * 从本地存储加载历史和命令片段
+     */
+    load() {
+        this.history = this.loadList(this.historyKey, line => typeof line === 'string');
+        this.snippets = this.loadList(this.snippetsKey,
+            snippet => snippet && typeof snippet.name === 'string' && typeof snippet.line === 'string');
+        this.historyIndex = this.history.length;
+    }
+
+    /**
+     * 从本地存储读取一个数组
+     * @param {string} key - 键名
+     * @param {Function} isValid - 元素校验函数
+     * @returns {Array} 数组
+     */
+    loadList(key, isValid) {
+        try {
+            const list = JSON.parse(localStorage.getItem(key) || '[]');
+            return Array.isArray(list) ? list.filter(isValid) : [];
+        } catch (error) {
+            console.error(`加载控制台数据 ${key} 失败:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * 保存输入历史
+     */
+    saveHistory() {
+        this.saveList(this.historyKey, this.history);
+    }
+
+    /**
+     * 保存命令片段
+     */
+    saveSnippets() {
+        this.saveList(this.snippetsKey, this.snippets);
+    }
+
+    /**
+     * 把数组写入本地存储
+     * @param {string} key - 键名
+     * @param {Array} list - 数组
+     */
+    saveList(key, list) {
+        try {
+            localStorage.setItem(key, JSON.stringify(list));
+        } catch (error) {
+            console.error(`保存控制台数据 ${key} 失败:`, error);
+        }
+    }
+
+    /**
+     * 按空白拆分输入，双引号内的空白不拆分
+     * @param {string} line - 输入
+     * @returns {Array<string>} 词
+     */
+    static tokenize(line) {
+        const tokens = line.match(/"(?:[^"\\]|\\.)*"|\S+/g) || [];
+        tokens.forEach(token => {
+            if (token.startsWith('"') && (token.length < 2 || !token.endsWith('"'))) {
+                throw new Error(`字符串缺少结束引号: ${token}`);
+            }
+        });
+        return tokens;
+    }
+
+    /**
+     * 处理转义字符
+     * @param {string} text - 文本
+     * @returns {string} 转义后的文本
+     */
+    static unescape(text) {
+        return text.replace(/\\(x[0-9a-fA-F]{2}|.)/g, (match, escape) => {
+            if (escape[0] === 'x' && escape.length === 3) {
+                return String.fromCharCode(parseInt(escape.slice(1), 16));
+            }
+            return { n: '\n', r: '\r', t: '\t' }[escape] || escape;
+        });
+    }
+
+    /**
+     * 把字节格式化为十六进制文本
+     * @param {Array<number>} bytes - 字节
+     * @returns {string} 十六进制文本
+     */
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+    }
+
+    /**
+     * 把字节中的可打印ASCII字符显示出来，其他字节显示为点
+     * @param {Array<number>} bytes - 字节
+     * @returns {string} 文本
+     */
+    static toAscii(bytes) {
+        return Array.from(bytes, byte => (byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '.')).join('');
+    }
+}
+
+// 导出CommandConsole类
+if (typeof window !== 'undefined') {
+    window.CommandConsole = CommandConsole;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CommandConsole };
+}
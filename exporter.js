@@ -0,0 +1,274 @@
+/**
+ * @file 数据导出模块
+ * @description 将传感器数据（uint16）和映射数据（float）流导出为CSV或JSON Lines文件，
+ *              支持导出最近一段时间窗口的数据或一次手动采集，可选择导出原始值、滤波值或两者
+ */
+
+class DataExporter {
+    /**
+     * @param {Array<string>} jointNames - 15个关节名称（SerialManager.JOINT_NAMES），用作列名
+     * @param {Object} options - 配置
+     * @param {number} options.historyDuration - 滚动历史保留时长（ms）
+     * @param {number} options.maxHistorySamples - 滚动历史最大样本数
+     */
+    constructor(jointNames, options = {}) {
+        this.jointNames = jointNames;
+        this.historyDuration = options.historyDuration || 5 * 60 * 1000;
+        this.maxHistorySamples = options.maxHistorySamples || 200000;
+
+        // 滚动历史：始终记录，用于按时间窗口导出
+        this.history = [];
+        this.historyStart = 0; // 有效数据起始索引，避免频繁shift
+
+        // 手动采集
+        this.isCapturing = false;
+        this.capture = [];
+        this.captureStartTime = 0;
+    }
+
+    /**
+     * 添加一条关节数据
+     * @param {Object} jointData - 关节数据对象（含 sensorData 或 mappingData，经过滤波时含 filtered）
+     */
+    addSample(jointData) {
+        const isMapping = Array.isArray(jointData.mappingData);
+        const sample = {
+            timestamp: jointData.timestamp,
+            hand: jointData.hand,
+            stream: isMapping ? 'mapping' : 'sensor',
+            packetNumber: jointData.packetNumber,
+            values: (isMapping ? jointData.mappingData : jointData.sensorData).slice(),
+            filtered: Array.isArray(jointData.filtered) ? jointData.filtered.slice() : null
+        };
+
+        this.history.push(sample);
+        this.pruneHistory(sample.timestamp);
+
+        if (this.isCapturing) {
+            this.capture.push(sample);
+        }
+    }
+
+    /**
+     * 丢弃超出保留时长或数量的历史数据
+     * @param {number} now - 当前时间戳（ms）
+     */
+    pruneHistory(now) {
+        const minTime = now - this.historyDuration;
+        while (this.historyStart < this.history.length &&
+               (this.history[this.historyStart].timestamp < minTime ||
+                this.history.length - this.historyStart > this.maxHistorySamples)) {
+            this.historyStart++;
+        }
+
+        // 无效部分过多时压缩数组
+        if (this.historyStart > 10000 && this.historyStart > this.history.length / 2) {
+            this.history = this.history.slice(this.historyStart);
+            this.historyStart = 0;
+        }
+    }
+
+    /**
+     * 获取最近一段时间窗口内的样本
+     * @param {number} windowMs - 窗口长度（ms）
+     * @param {number} now - 窗口结束时间戳，默认当前时间
+     * @returns {Array<Object>} 样本列表
+     */
+    getWindow(windowMs, now = Date.now()) {
+        const minTime = now - windowMs;
+        const result = [];
+        for (let i = this.history.length - 1; i >= this.historyStart; i--) {
+            const sample = this.history[i];
+            if (sample.timestamp < minTime) {
+                break;
+            }
+            if (sample.timestamp <= now) {
+                result.push(sample);
+            }
+        }
+        return result.reverse();
+    }
+
+    /**
+     * 清空滚动历史
+     */
+    clearHistory() {
+        this.history = [];
+        this.historyStart = 0;
+    }
+
+    /**
+     * 开始手动采集
+     */
+    startCapture() {
+        this.capture = [];
+        this.captureStartTime = Date.now();
+        this.isCapturing = true;
+    }
+
+    /**
+     * 停止手动采集
+     * @returns {Array<Object>} 采集到的样本
+     */
+    stopCapture() {
+        this.isCapturing = false;
+        const samples = this.capture;
+        this.capture = [];
+        return samples;
+    }
+
+    /**
+     * 获取当前采集的样本数
+     * @returns {number} 样本数
+     */
+    getCaptureCount() {
+        return this.capture.length;
+    }
+
+    /**
+     * 按数据流和手侧筛选样本
+     * @param {Array<Object>} samples - 样本列表
+     * @param {Object} filter - 筛选条件
+     * @param {string} filter.stream - all / sensor / mapping
+     * @param {string} filter.hand - all / right / left
+     * @returns {Array<Object>} 筛选后的样本
+     */
+    filterSamples(samples, filter = {}) {
+        const stream = filter.stream || 'all';
+        const hand = filter.hand || 'all';
+        return samples.filter(sample => {
+            if (stream !== 'all' && sample.stream !== stream) {
+                return false;
+            }
+            if (hand !== 'all' && this.getHandName(sample.hand) !== hand) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * 获取样本的滤波值（样本未经过滤波时与原始值相同）
+     * @param {Object} sample - 样本
+     * @returns {Array<number>} 15个滤波值
+     */
+    getFilteredValues(sample) {
+        return sample.filtered || sample.values;
+    }
+
+    /**
+     * 转换为CSV文本
+     * 列：timestamp（ISO 8601）, time_ms（Unix毫秒）, hand, stream, packet, 15个关节原始值, 15个关节滤波值（<关节>_filtered）
+     * @param {Array<Object>} samples - 样本列表
+     * @param {string} values - raw / filtered / both
+     * @returns {string} CSV文本
+     */
+    toCSV(samples, values = 'raw') {
+        const includeRaw = values !== 'filtered';
+        const includeFiltered = values !== 'raw';
+        const header = [
+            'timestamp', 'time_ms', 'hand', 'stream', 'packet',
+            ...(includeRaw ? this.jointNames : []),
+            ...(includeFiltered ? this.jointNames.map(name => `${name}_filtered`) : [])
+        ];
+        const lines = [header.map(name => this.escapeCSV(name)).join(',')];
+
+        samples.forEach(sample => {
+            lines.push([
+                new Date(sample.timestamp).toISOString(),
+                sample.timestamp,
+                this.getHandName(sample.hand),
+                sample.stream,
+                sample.packetNumber,
+                ...(includeRaw ? sample.values.map(v => this.formatValue(v, sample.stream)) : []),
+                ...(includeFiltered ? this.getFilteredValues(sample).map(v => this.formatValue(v, sample.stream)) : [])
+            ].join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * 转换为JSON Lines文本（每行一个JSON对象，原始值在 values，滤波值在 filtered）
+     * @param {Array<Object>} samples - 样本列表
+     * @param {string} values - raw / filtered / both
+     * @returns {string} JSONL文本
+     */
+    toJSONL(samples, values = 'raw') {
+        const toObject = list => {
+            const result = {};
+            this.jointNames.forEach((name, i) => {
+                result[name] = list[i];
+            });
+            return result;
+        };
+        return samples.map(sample => {
+            const line = {
+                timestamp: new Date(sample.timestamp).toISOString(),
+                time_ms: sample.timestamp,
+                hand: this.getHandName(sample.hand),
+                stream: sample.stream,
+                packet: sample.packetNumber
+            };
+            if (values !== 'filtered') {
+                line.values = toObject(sample.values);
+            }
+            if (values !== 'raw') {
+                line.filtered = toObject(this.getFilteredValues(sample));
+            }
+            return JSON.stringify(line);
+        }).join('\n') + (samples.length > 0 ? '\n' : '');
+    }
+
+    /**
+     * 按格式导出
+     * @param {Array<Object>} samples - 样本列表
+     * @param {string} format - csv / jsonl
+     * @param {string} values - raw / filtered / both
+     * @returns {{content: string, mimeType: string, extension: string}} 导出结果
+     */
+    export(samples, format, values = 'raw') {
+        if (format === 'jsonl') {
+            return { content: this.toJSONL(samples, values), mimeType: 'application/x-ndjson', extension: 'jsonl' };
+        }
+        return { content: this.toCSV(samples, values), mimeType: 'text/csv', extension: 'csv' };
+    }
+
+    /**
+     * 格式化数值：传感器原始值为整数（滤波后保留2位小数），映射保留6位小数
+     * @param {number} value - 数值
+     * @param {string} stream - 数据流类型
+     * @returns {string} 格式化后的文本
+     */
+    formatValue(value, stream) {
+        if (value === undefined || value === null || Number.isNaN(value)) {
+            return '';
+        }
+        if (stream === 'sensor') {
+            return Number.isInteger(value) ? String(value) : value.toFixed(2);
+        }
+        return value.toFixed(6);
+    }
+
+    /**
+     * CSV字段转义
+     * @param {string} field - 字段
+     * @returns {string} 转义后的字段
+     */
+    escapeCSV(field) {
+        const text = String(field);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 手侧名称
+     * @param {number} hand - 0=右手, 1=左手
+     * @returns {string} right / left
+     */
+    getHandName(hand) {
+        return hand === 0 ? 'right' : 'left';
+    }
+}
+
+// 导出DataExporter类
+window.DataExporter = DataExporter;
@@ -0,0 +1,401 @@
+/**
+ * @file 信号滤波模块
+ * @description 主机端的逐通道滤波链：中值去尖峰 → 滑动平均 → 指数平滑 → One Euro → 死区。
+ *              每个数据流（传感器/映射）、每只手、每个关节独立配置并保存到本地存储，
+ *              滤波结果写入关节数据的 filtered 字段，原始值保持不变
+ */
+
+/**
+ * 中值去尖峰：与最近若干个原始值的中值相差超过阈值时输出中值，阈值为0时始终输出中值
+ */
+class MedianSpikeFilter {
+    /**
+     * @param {Object} params - 参数
+     * @param {number} params.window - 窗口长度（样本数，奇数效果最好）
+     * @param {number} params.threshold - 尖峰阈值
+     */
+    constructor(params = {}) {
+        this.window = Math.max(1, Math.round(params.window || 5));
+        this.threshold = params.threshold || 0;
+        this.reset();
+    }
+
+    reset() {
+        this.values = [];
+    }
+
+    filter(value) {
+        this.values.push(value);
+        if (this.values.length > this.window) {
+            this.values.shift();
+        }
+        const sorted = this.values.slice().sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        if (this.threshold > 0 && Math.abs(value - median) <= this.threshold) {
+            return value;
+        }
+        return median;
+    }
+}
+
+/**
+ * 滑动平均
+ */
+class MovingAverageFilter {
+    /**
+     * @param {Object} params - 参数
+     * @param {number} params.window - 窗口长度（样本数）
+     */
+    constructor(params = {}) {
+        this.window = Math.max(1, Math.round(params.window || 5));
+        this.reset();
+    }
+
+    reset() {
+        this.values = [];
+        this.sum = 0;
+    }
+
+    filter(value) {
+        this.values.push(value);
+        this.sum += value;
+        if (this.values.length > this.window) {
+            this.sum -= this.values.shift();
+        }
+        return this.sum / this.values.length;
+    }
+}
+
+/**
+ * 指数平滑：y = alpha * x + (1 - alpha) * y
+ */
+class ExponentialFilter {
+    /**
+     * @param {Object} params - 参数
+     * @param {number} params.alpha - 平滑系数（0-1，越小越平滑）
+     */
+    constructor(params = {}) {
+        this.alpha = Math.max(0, Math.min(1, params.alpha ?? 0.3));
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+    }
+
+    filter(value) {
+        this.value = this.value === null ? value : this.alpha * value + (1 - this.alpha) * this.value;
+        return this.value;
+    }
+}
+
+/**
+ * One Euro 滤波（Casiez 等, CHI 2012）：低速时强平滑抑制抖动，高速时提高截止频率减少延迟
+ */
+class OneEuroFilter {
+    /**
+     * @param {Object} params - 参数
+     * @param {number} params.minCutoff - 最小截止频率（Hz）
+     * @param {number} params.beta - 速度系数
+     * @param {number} params.dCutoff - 速度估计的截止频率（Hz）
+     */
+    constructor(params = {}) {
+        this.minCutoff = params.minCutoff || 1.0;
+        this.beta = params.beta || 0;
+        this.dCutoff = params.dCutoff || 1.0;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * 计算一阶低通的平滑系数
+     * @param {number} cutoff - 截止频率（Hz）
+     * @param {number} dt - 采样间隔（s）
+     * @returns {number} 平滑系数
+     */
+    smoothingFactor(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTime = timestamp;
+            return value;
+        }
+        // 同一批解码的数据时间戳可能相同，按1ms计算
+        const dt = Math.max(0.001, (timestamp - this.lastTime) / 1000);
+        this.lastTime = timestamp;
+
+        const alphaD = this.smoothingFactor(this.dCutoff, dt);
+        this.derivative = alphaD * ((value - this.value) / dt) + (1 - alphaD) * this.derivative;
+        const alpha = this.smoothingFactor(this.minCutoff + this.beta * Math.abs(this.derivative), dt);
+        this.value = alpha * value + (1 - alpha) * this.value;
+        return this.value;
+    }
+}
+
+/**
+ * 死区：输入与上次输出相差不超过阈值时保持上次输出
+ */
+class DeadBandFilter {
+    /**
+     * @param {Object} params - 参数
+     * @param {number} params.threshold - 死区阈值
+     */
+    constructor(params = {}) {
+        this.threshold = params.threshold || 0;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+    }
+
+    filter(value) {
+        if (this.value === null || Math.abs(value - this.value) > this.threshold) {
+            this.value = value;
+        }
+        return this.value;
+    }
+}
+
+class FilterPipeline {
+    /**
+     * @param {Object} options - 配置
+     * @param {string} options.storageKey - 本地存储键名
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'filterSettings';
+        this.STREAMS = ['mapping', 'sensor'];
+        this.JOINT_COUNT = 15;
+
+        // 滤波级按固定顺序串联：先去尖峰，再平滑，最后死区
+        // params 中 mapping / sensor 为两个数据流各自的默认值（映射数据0-1.0，传感器数据0-65535）
+        this.STAGES = [
+            {
+                type: 'median', name: '中值去尖峰', create: params => new MedianSpikeFilter(params),
+                params: [
+                    { key: 'window', label: '窗口', step: 1, min: 1, mapping: 5, sensor: 5 },
+                    { key: 'threshold', label: '阈值(0=始终取中值)', step: 'any', min: 0, mapping: 0.05, sensor: 2000 }
+                ]
+            },
+            {
+                type: 'movingAverage', name: '滑动平均', create: params => new MovingAverageFilter(params),
+                params: [
+                    { key: 'window', label: '窗口', step: 1, min: 1, mapping: 5, sensor: 5 }
+                ]
+            },
+            {
+                type: 'exponential', name: '指数平滑', create: params => new ExponentialFilter(params),
+                params: [
+                    { key: 'alpha', label: 'α', step: 0.05, min: 0, max: 1, mapping: 0.3, sensor: 0.3 }
+                ]
+            },
+            {
+                type: 'oneEuro', name: 'One Euro', create: params => new OneEuroFilter(params),
+                params: [
+                    { key: 'minCutoff', label: '最小截止(Hz)', step: 'any', min: 0.01, mapping: 1.0, sensor: 1.0 },
+                    { key: 'beta', label: 'β', step: 'any', min: 0, mapping: 0.5, sensor: 0.0005 },
+                    { key: 'dCutoff', label: '速度截止(Hz)', step: 'any', min: 0.01, mapping: 1.0, sensor: 1.0 }
+                ]
+            },
+            {
+                type: 'deadBand', name: '死区', create: params => new DeadBandFilter(params),
+                params: [
+                    { key: 'threshold', label: '阈值', step: 'any', min: 0, mapping: 0.005, sensor: 50 }
+                ]
+            }
+        ];
+
+        // 通道设置：`${stream}-${hand}-${joint}` -> 设置，未配置的通道不滤波
+        this.settings = {};
+        // 滤波器实例：chains[stream][hand][joint] -> 已启用的滤波器数组（按需创建）
+        this.resetState();
+    }
+
+    /**
+     * 获取通道键
+     * @param {string} stream - mapping / sensor
+     * @param {number} hand - 0=右手, 1=左手
+     * @param {number} joint - 关节序号（0-14，顺序同 JOINT_NAMES）
+     * @returns {string} 通道键
+     */
+    getKey(stream, hand, joint) {
+        return `${stream}-${hand}-${joint}`;
+    }
+
+    /**
+     * 获取数据流的默认设置（全部滤波级关闭）
+     * @param {string} stream - mapping / sensor
+     * @returns {Object} 设置：滤波级类型 -> { enabled, 参数... }
+     */
+    getDefaultSettings(stream) {
+        const settings = {};
+        this.STAGES.forEach(stage => {
+            settings[stage.type] = { enabled: false };
+            stage.params.forEach(param => {
+                settings[stage.type][param.key] = param[stream];
+            });
+        });
+        return settings;
+    }
+
+    /**
+     * 获取通道设置（副本）
+     * @param {string} stream - mapping / sensor
+     * @param {number} hand - 0=右手, 1=左手
+     * @param {number} joint - 关节序号
+     * @returns {Object} 设置
+     */
+    getSettings(stream, hand, joint) {
+        const defaults = this.getDefaultSettings(stream);
+        const saved = this.settings[this.getKey(stream, hand, joint)] || {};
+        this.STAGES.forEach(stage => {
+            defaults[stage.type] = { ...defaults[stage.type], ...saved[stage.type] };
+        });
+        return defaults;
+    }
+
+    /**
+     * 设置通道的滤波链，该通道的滤波状态重新开始
+     * @param {string} stream - mapping / sensor
+     * @param {number} hand - 0=右手, 1=左手
+     * @param {number} joint - 关节序号
+     * @param {Object|null} settings - 设置，为空时清除该通道的滤波
+     */
+    setSettings(stream, hand, joint, settings) {
+        const key = this.getKey(stream, hand, joint);
+        const enabled = settings && this.STAGES.some(stage => settings[stage.type] && settings[stage.type].enabled);
+        if (enabled) {
+            const copy = {};
+            this.STAGES.forEach(stage => {
+                copy[stage.type] = { ...settings[stage.type] };
+            });
+            this.settings[key] = copy;
+        } else {
+            delete this.settings[key];
+        }
+        this.chains[stream][hand][joint] = undefined;
+    }
+
+    /**
+     * 获取通道已启用的滤波器（按需创建）
+     * @param {string} stream - mapping / sensor
+     * @param {number} hand - 0=右手, 1=左手
+     * @param {number} joint - 关节序号
+     * @returns {Array<Object>} 滤波器数组
+     */
+    getChain(stream, hand, joint) {
+        let chain = this.chains[stream][hand][joint];
+        if (chain === undefined) {
+            const settings = this.settings[this.getKey(stream, hand, joint)];
+            chain = settings
+                ? this.STAGES
+                    .filter(stage => settings[stage.type] && settings[stage.type].enabled)
+                    .map(stage => stage.create(settings[stage.type]))
+                : [];
+            this.chains[stream][hand][joint] = chain;
+        }
+        return chain;
+    }
+
+    /**
+     * 对一条关节数据滤波，结果写入 jointData.filtered（原始数组不变）
+     * @param {Object} jointData - 关节数据对象（含 sensorData 或 mappingData）
+     * @returns {Array<number>} 滤波后的15个值
+     */
+    process(jointData) {
+        const isMapping = Array.isArray(jointData.mappingData);
+        const stream = isMapping ? 'mapping' : 'sensor';
+        const values = isMapping ? jointData.mappingData : jointData.sensorData;
+        const hand = jointData.hand === 0 ? 0 : 1;
+        const filtered = new Array(values.length);
+
+        for (let i = 0; i < values.length; i++) {
+            const chain = i < this.JOINT_COUNT ? this.getChain(stream, hand, i) : [];
+            let value = values[i];
+            for (let j = 0; j < chain.length; j++) {
+                value = chain[j].filter(value, jointData.timestamp);
+            }
+            filtered[i] = value;
+        }
+
+        jointData.filtered = filtered;
+        return filtered;
+    }
+
+    /**
+     * 清空所有滤波器状态（设置不变），例如重新连接或回放跳转后
+     */
+    resetState() {
+        this.chains = {};
+        this.STREAMS.forEach(stream => {
+            this.chains[stream] = [new Array(this.JOINT_COUNT), new Array(this.JOINT_COUNT)];
+        });
+    }
+
+    /**
+     * 获取已配置滤波的通道数
+     * @param {string|null} stream - 只统计该数据流，为空时统计全部
+     * @returns {number} 通道数
+     */
+    getActiveCount(stream = null) {
+        return Object.keys(this.settings).filter(key => !stream || key.startsWith(`${stream}-`)).length;
+    }
+
+    /**
+     * 保存设置到本地存储
+     * @returns {boolean} 是否成功
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+            return true;
+        } catch (error) {
+            console.error('保存滤波设置失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 从本地存储加载设置
+     * @returns {boolean} 是否加载到设置
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) {
+                return false;
+            }
+            const settings = JSON.parse(saved);
+            this.settings = {};
+            Object.entries(settings).forEach(([key, value]) => {
+                const [stream, hand, joint] = key.split('-');
+                if (this.STREAMS.includes(stream) && (hand === '0' || hand === '1') &&
+                    parseInt(joint) >= 0 && parseInt(joint) < this.JOINT_COUNT) {
+                    this.settings[key] = value;
+                }
+            });
+            this.resetState();
+            return true;
+        } catch (error) {
+            console.error('加载滤波设置失败:', error);
+            return false;
+        }
+    }
+}
+
+// 导出滤波类
+window.FilterPipeline = FilterPipeline;
+window.MedianSpikeFilter = MedianSpikeFilter;
+window.MovingAverageFilter = MovingAverageFilter;
+window.ExponentialFilter = ExponentialFilter;
+window.OneEuroFilter = OneEuroFilter;
+window.DeadBandFilter = DeadBandFilter;
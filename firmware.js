@@ -0,0 +1,380 @@
+/**
+ * @file 固件升级模块
+ * @description 通过 SerialManager 使用的同一传输通道升级手套固件：应用固件收到进入升级模式命令后重启进入bootloader，
+ *              主机与bootloader握手后逐块发送固件（每块带CRC32，收到应答后再发下一块），
+ *              发送完成后核对整体CRC32再启动新固件。bootloader保留已收到的数据，暂停、断线或出错后可以续传
+ */
+
+class FirmwareImage {
+    /**
+     * @param {string} name - 文件名
+     * @param {Uint8Array} bytes - 固件数据
+     */
+    constructor(name, bytes) {
+        if (bytes.length === 0) {
+            throw new Error('固件文件为空');
+        }
+        this.name = name;
+        this.bytes = bytes;
+        this.size = bytes.length;
+        this.crc = ProtocolSchema.crc32(bytes);
+    }
+
+    /**
+     * 从文件读取固件
+     * @param {File} file - 固件文件（.bin）
+     * @returns {Promise<FirmwareImage>} 固件
+     */
+    static async fromFile(file) {
+        return new FirmwareImage(file.name, new Uint8Array(await file.arrayBuffer()));
+    }
+
+    /**
+     * 固件描述文字
+     * @returns {string} 文件名、大小和CRC32
+     */
+    describe() {
+        return `${this.name}（${this.size} 字节，CRC32 ${FirmwareImage.formatCrc(this.crc)}）`;
+    }
+
+    /**
+     * 格式化CRC32
+     * @param {number} crc - CRC32
+     * @returns {string} 8位十六进制
+     */
+    static formatCrc(crc) {
+        return crc.toString(16).toUpperCase().padStart(8, '0');
+    }
+}
+
+class FirmwareUpdater {
+    /**
+     * @param {SerialManager} serialManager - 串口管理器
+     */
+    constructor(serialManager) {
+        this.serialManager = serialManager;
+
+        this.BOOTLOADER_TIMEOUT = 10000; // 等待bootloader应答的最长时间（ms），设备重启可能导致串口重连
+        this.HANDSHAKE_TIMEOUT = 300;    // 每次握手的应答超时（ms）
+        this.HANDSHAKE_INTERVAL = 200;   // 握手失败后的重试间隔（ms）
+        this.REBOOT_DELAY = 500;         // 启动新固件后等待多久再启用数据帧模式（ms）
+        this.CHUNK_RETRIES = 3;          // 分块CRC错误或超时时的重试次数
+        this.MAX_STALLS = 3;             // bootloader连续多少次应答未推进偏移后放弃
+        this.MAX_CHUNK = 128;            // 每块最多字节数（不超过bootloader声明的最大分块）
+
+        this.status = 'idle'; // idle / connecting / transferring / verifying / paused / done / failed / aborted
+        this.message = '';
+        this.image = null;
+        this.offset = 0;
+        this.chunkSize = 0;
+        this.bootloaderVersion = null;
+        this.transferStart = 0;       // 本次传输开始的时间和位置（计算速率）
+        this.transferStartOffset = 0;
+        this.pauseRequested = false;
+        this.abortRequested = false;
+        this.waitTimer = null;
+        this.wakeUp = null;
+
+        this.updateCallback = null;
+        this.logCallback = null;
+    }
+
+    /**
+     * 设置状态更新回调函数
+     * @param {Function} callback - 回调函数 (updater) => void
+     */
+    setUpdateCallback(callback) {
+        this.updateCallback = callback;
+    }
+
+    /**
+     * 设置日志回调函数
+     * @param {Function} callback - 回调函数 (message, type) => void
+     */
+    setLogCallback(callback) {
+        this.logCallback = callback;
+    }
+
+    /**
+     * 是否正在升级
+     * @returns {boolean} 是否正在升级
+     */
+    isRunning() {
+        return this.status === 'connecting' || this.status === 'transferring' || this.status === 'verifying';
+    }
+
+    /**
+     * 是否可以续传（暂停或出错后）
+     * @returns {boolean} 是否可以续传
+     */
+    canResume() {
+        return this.image !== null && (this.status === 'paused' || this.status === 'failed');
+    }
+
+    /**
+     * 获取传输进度
+     * @returns {{offset: number, total: number, percent: number, rate: number}} 已发送字节数、总字节数、百分比和速率（字节/秒）
+     */
+    getProgress() {
+        const total = this.image ? this.image.size : 0;
+        const elapsed = (Date.now() - this.transferStart) / 1000;
+        const rate = this.status === 'transferring' && elapsed > 0 ? (this.offset - this.transferStartOffset) / elapsed : 0;
+        return {
+            offset: this.offset,
+            total: total,
+            percent: total > 0 ? this.offset / total * 100 : 0,
+            rate: rate
+        };
+    }
+
+    /**
+     * 开始升级
+     * @param {FirmwareImage} image - 固件
+     * @returns {Promise<string>} 结束状态（done / paused / failed / aborted）
+     */
+    async start(image) {
+        if (this.isRunning()) {
+            throw new Error('固件升级正在进行');
+        }
+        this.image = image;
+        this.offset = 0;
+        return this.run();
+    }
+
+    /**
+     * 从bootloader保存的位置继续升级
+     * @returns {Promise<string>} 结束状态
+     */
+    async resume() {
+        if (!this.canResume()) {
+            throw new Error('没有可以继续的固件升级');
+        }
+        return this.run();
+    }
+
+    /**
+     * 暂停：当前分块应答后停止发送，设备停留在bootloader中
+     */
+    pause() {
+        if (this.status === 'connecting' || this.status === 'transferring') {
+            this.pauseRequested = true;
+        }
+    }
+
+    /**
+     * 中止：让bootloader丢弃已收到的数据并启动原固件
+     * 正在升级时在当前分块应答后中止，暂停或出错后立即中止
+     */
+    async abort() {
+        if (this.isRunning()) {
+            this.abortRequested = true;
+            if (this.wakeUp) {
+                this.wakeUp();
+            }
+            return;
+        }
+        if (this.canResume()) {
+            await this.discard();
+            this.setStatus('aborted', '固件升级已中止');
+        }
+    }
+
+    /**
+     * 执行升级：握手、发送、校验、启动新固件
+     * @returns {Promise<string>} 结束状态
+     */
+    async run() {
+        const image = this.image;
+        const serialManager = this.serialManager;
+        this.pauseRequested = false;
+        this.abortRequested = false;
+
+        try {
+            this.setStatus('connecting', '正在连接bootloader...');
+            const info = await this.connectBootloader();
+            this.bootloaderVersion = info.bootloaderVersion;
+            this.chunkSize = Math.min(info.maxChunk, this.MAX_CHUNK);
+            this.offset = Math.min(info.resumeOffset, image.size);
+            if (this.offset > 0) {
+                this.log(`bootloader已有 ${this.offset} 字节，从断点续传`, 'info');
+            }
+
+            this.transferStart = Date.now();
+            this.transferStartOffset = this.offset;
+            this.setStatus('transferring', '正在写入固件...');
+            let stalls = 0;
+            while (this.offset < image.size) {
+                if (this.abortRequested) {
+                    await this.discard();
+                    this.setStatus('aborted', '固件升级已中止');
+                    return this.status;
+                }
+                if (this.pauseRequested) {
+                    this.setStatus('paused', `已暂停（${this.offset}/${image.size} 字节），点击“继续”续传`);
+                    return this.status;
+                }
+
+                const chunk = image.bytes.subarray(this.offset, this.offset + this.chunkSize);
+                const nextOffset = await serialManager.writeFirmwareChunk(this.offset, chunk, this.CHUNK_RETRIES);
+                if (nextOffset > image.size) {
+                    throw new Error(`bootloader返回的偏移超出固件大小: ${nextOffset}`);
+                }
+                if (nextOffset < this.offset) {
+                    throw new Error(`bootloader返回的偏移回退: ${nextOffset}（已确认到 ${this.offset}）`);
+                }
+                // 偏移一直不前进时重发同一块没有意义，避免无限循环
+                stalls = nextOffset === this.offset ? stalls + 1 : 0;
+                if (stalls >= this.MAX_STALLS) {
+                    throw new Error(`bootloader连续 ${stalls} 次未接收偏移 ${this.offset} 处的数据`);
+                }
+                if (nextOffset !== this.offset + chunk.length) {
+                    // 分块应答丢失后重发等情况，按bootloader的位置继续
+                    this.log(`bootloader期望偏移 ${nextOffset}（已发送到 ${this.offset + chunk.length}），重新同步`, 'warning');
+                }
+                this.offset = nextOffset;
+                this.notify();
+            }
+
+            this.setStatus('verifying', '正在校验固件...');
+            const crc = await serialManager.verifyFirmware();
+            if (crc !== image.crc) {
+                // 数据有误时续传无意义，丢弃后从头开始
+                await this.discard();
+                this.offset = 0;
+                throw new Error(`固件校验失败：设备 CRC32 ${FirmwareImage.formatCrc(crc)}，期望 ${FirmwareImage.formatCrc(image.crc)}`);
+            }
+
+            if (this.abortRequested) {
+                await this.discard();
+                this.setStatus('aborted', '固件升级已中止');
+                return this.status;
+            }
+            await serialManager.finishFirmwareUpdate();
+            await this.restartApplication();
+            this.setStatus('done', `固件升级完成：${image.describe()}`);
+        } catch (error) {
+            if (this.abortRequested) {
+                await this.discard();
+                this.setStatus('aborted', '固件升级已中止');
+            } else {
+                this.setStatus('failed', `固件升级失败: ${error.message}`);
+            }
+        }
+        return this.status;
+    }
+
+    /**
+     * 与bootloader握手
+     * 设备可能已在bootloader中（上次升级中断），先直接握手；应用固件不认识握手命令时请求其进入升级模式
+     * @returns {Promise<{bootloaderVersion: number, maxChunk: number, resumeOffset: number}>} bootloader信息
+     */
+    async connectBootloader() {
+        const serialManager = this.serialManager;
+        const C = serialManager.COMMANDS;
+        const deadline = Date.now() + this.BOOTLOADER_TIMEOUT;
+        let entered = false;
+
+        for (;;) {
+            if (this.abortRequested) {
+                throw new Error('固件升级已中止');
+            }
+            try {
+                return await serialManager.startFirmwareUpdate(this.image.size, this.image.crc, this.HANDSHAKE_TIMEOUT);
+            } catch (error) {
+                const inApplication = error instanceof CommandError && error.resultCode === C.RESULT_UNKNOWN_CMD;
+                if (inApplication && !entered) {
+                    this.log('请求设备进入升级模式', 'info');
+                    await serialManager.enterBootloader();
+                    entered = true;
+                } else if (error instanceof CommandError && error.resultCode !== null && !inApplication) {
+                    // bootloader拒绝（例如固件大小超出容量）
+                    throw error;
+                } else if (Date.now() >= deadline) {
+                    throw new Error(`bootloader无应答（${error.message}）`);
+                }
+            }
+            await this.sleep(this.HANDSHAKE_INTERVAL);
+        }
+    }
+
+    /**
+     * 让bootloader丢弃已收到的数据并启动原固件（设备不在bootloader中时忽略）
+     */
+    async discard() {
+        try {
+            await this.serialManager.abortFirmwareUpdate();
+            await this.restartApplication();
+        } catch (error) {
+            // 应用固件不认识中止命令，说明设备不在bootloader中
+            const inApplication = error instanceof CommandError &&
+                error.resultCode === this.serialManager.COMMANDS.RESULT_UNKNOWN_CMD;
+            if (!inApplication) {
+                this.log(`通知bootloader中止失败: ${error.message}`, 'warning');
+            }
+        }
+    }
+
+    /**
+     * 等待应用固件启动后重新启用数据帧模式
+     */
+    async restartApplication() {
+        await this.sleep(this.REBOOT_DELAY);
+        await this.serialManager.enable();
+    }
+
+    /**
+     * 可被中止打断的等待
+     * @param {number} ms - 毫秒
+     */
+    sleep(ms) {
+        return new Promise(resolve => {
+            this.wakeUp = () => {
+                clearTimeout(this.waitTimer);
+                this.waitTimer = null;
+                this.wakeUp = null;
+                resolve();
+            };
+            this.waitTimer = setTimeout(this.wakeUp, ms);
+        });
+    }
+
+    /**
+     * 设置状态并通知
+     * @param {string} status - 状态
+     * @param {string} message - 说明
+     */
+    setStatus(status, message) {
+        this.status = status;
+        this.message = message;
+        this.notify();
+    }
+
+    /**
+     * 输出日志
+     * @param {string} message - 日志内容
+     * @param {string} type - 日志类型
+     */
+    log(message, type) {
+        if (this.logCallback) {
+            this.logCallback(message, type);
+        }
+    }
+
+    /**
+     * 通知状态更新
+     */
+    notify() {
+        if (this.updateCallback) {
+            this.updateCallback(this);
+        }
+    }
+}
+
+// 导出固件升级类
+if (typeof window !== 'undefined') {
+    window.FirmwareImage = FirmwareImage;
+    window.FirmwareUpdater = FirmwareUpdater;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FirmwareImage, FirmwareUpdater };
+}
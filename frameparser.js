@@ -0,0 +1,226 @@
+/**
+ * @file 数据帧解析模块
+ * @description 基于环形缓冲区的 0xAA/0x55 数据帧解析器：接收数据直接写入预分配的环形缓冲区，
+ *              帧在缓冲区内原地校验，通过共享的 DataView 解码，不为每个数据块或每帧分配新数组。
+ *
+ * 帧格式：帧头(0xAA) + 命令类型(1) + 数据长度(1) + 数据(N) + 校验和(1) + 帧尾(0x55)
+ * 校验和为 命令类型 + 数据长度 + 数据 的补码累加和。
+ */
+
+class FrameParser {
+    /**
+     * @param {Object} options - 配置
+     * @param {number} options.capacity - 环形缓冲区容量（字节，向上取整为2的幂）
+     * @param {number} options.header - 帧头
+     * @param {number} options.tail - 帧尾
+     * @param {number} options.maxDataLength - 最大数据长度
+     */
+    constructor(options = {}) {
+        let capacity = 1024;
+        while (capacity < (options.capacity || 65536)) {
+            capacity *= 2;
+        }
+        this.capacity = capacity;
+        this.mask = capacity - 1;
+        this.buffer = new Uint8Array(capacity);
+        this.view = new DataView(this.buffer.buffer);
+
+        this.FRAME_HEADER = options.header !== undefined ? options.header : 0xAA;
+        this.FRAME_TAIL = options.tail !== undefined ? options.tail : 0x55;
+        this.MAX_DATA_LENGTH = options.maxDataLength || 255;
+        this.MIN_FRAME_LEN = 5;
+
+        // 跨越缓冲区末尾的帧先拷贝到暂存区再解码（只在回绕时发生）
+        this.scratch = new Uint8Array(this.MAX_DATA_LENGTH + this.MIN_FRAME_LEN);
+        this.scratchView = new DataView(this.scratch.buffer);
+
+        // 传给回调的帧描述对象（复用，仅在回调期间有效）
+        this.frame = {
+            cmd: 0,
+            length: 0,        // 数据长度
+            bytes: null,      // 数据所在的字节数组（环形缓冲区或暂存区）
+            view: null,       // 对应的 DataView
+            offset: 0,        // 数据在 bytes/view 中的起始位置
+            checksum: 0,
+            expectedChecksum: 0
+        };
+
+        this.reset();
+    }
+
+    /**
+     * 清空缓冲区
+     */
+    reset() {
+        this.readIndex = 0;
+        this.length = 0;
+    }
+
+    /**
+     * 获取缓冲区中未处理的字节数
+     * @returns {number} 字节数
+     */
+    getLength() {
+        return this.length;
+    }
+
+    /**
+     * 读取相对于读位置的字节
+     * @param {number} index - 相对位置
+     * @returns {number} 字节
+     */
+    byteAt(index) {
+        return this.buffer[(this.readIndex + index) & this.mask];
+    }
+
+    /**
+     * 拷贝读位置开始的若干字节（仅用于诊断输出）
+     * @param {number} count - 字节数
+     * @returns {Array<number>} 字节数组
+     */
+    peek(count) {
+        const result = [];
+        const n = Math.min(count, this.length);
+        for (let i = 0; i < n; i++) {
+            result.push(this.byteAt(i));
+        }
+        return result;
+    }
+
+    /**
+     * 写入接收到的数据
+     * 空间不足时清空缓冲区中的旧数据；单个数据块超过容量时只保留其末尾部分
+     * @param {Uint8Array} chunk - 接收到的数据
+     * @param {Object} handler - 回调对象，见 parse()
+     */
+    push(chunk, handler) {
+        let data = chunk;
+        if (this.length + data.length > this.capacity) {
+            handler.onDiscard(this.length, 'overflow');
+            this.reset();
+            if (data.length > this.capacity) {
+                handler.onDiscard(data.length - this.capacity, 'overflow');
+                data = data.subarray(data.length - this.capacity);
+            }
+        }
+
+        const writeIndex = (this.readIndex + this.length) & this.mask;
+        const first = Math.min(data.length, this.capacity - writeIndex);
+        this.buffer.set(first === data.length ? data : data.subarray(0, first), writeIndex);
+        if (first < data.length) {
+            this.buffer.set(data.subarray(first), 0);
+        }
+        this.length += data.length;
+    }
+
+    /**
+     * 丢弃读位置开始的若干字节
+     * @param {number} count - 字节数
+     */
+    consume(count) {
+        this.readIndex = (this.readIndex + count) & this.mask;
+        this.length -= count;
+    }
+
+    /**
+     * 解析缓冲区中所有完整的数据帧
+     * handler.onFrame(frame) - 校验通过的帧，frame 为复用的描述对象
+     * handler.onReject(status, frame) - 被拒绝的帧（bad-tail / bad-checksum / overlong），调用时读位置仍指向该帧
+     * handler.onDiscard(count, reason) - 即将丢弃的字节（garbage / no-header / skip / overflow），调用时读位置仍指向这些字节
+     * @param {Object} handler - 回调对象
+     * @returns {number} 本次解析出的有效帧数
+     */
+    parse(handler) {
+        const frame = this.frame;
+        let frames = 0;
+
+        while (this.length > 0) {
+            // 定位帧头
+            if (this.byteAt(0) !== this.FRAME_HEADER) {
+                let skip = 1;
+                while (skip < this.length && this.byteAt(skip) !== this.FRAME_HEADER) {
+                    skip++;
+                }
+                handler.onDiscard(skip, skip === this.length ? 'no-header' : 'garbage');
+                this.consume(skip);
+                continue;
+            }
+
+            // 至少需要3个字节才能知道数据长度（头+类型+长度）
+            if (this.length < 3) {
+                break;
+            }
+            const dataLength = this.byteAt(2);
+            frame.cmd = this.byteAt(1);
+            frame.length = dataLength;
+
+            if (dataLength > this.MAX_DATA_LENGTH) {
+                handler.onReject('overlong', frame);
+                handler.onDiscard(1, 'skip');
+                this.consume(1); // 跳过帧头字节，继续查找下一帧
+                continue;
+            }
+
+            const totalLength = this.MIN_FRAME_LEN + dataLength;
+            if (this.length < totalLength) {
+                break; // 数据不完整，等待更多数据
+            }
+
+            // 原地计算校验和
+            let sum = frame.cmd + dataLength;
+            for (let i = 0; i < dataLength; i++) {
+                sum += this.byteAt(3 + i);
+            }
+            frame.expectedChecksum = (~sum + 1) & 0xFF;
+            frame.checksum = this.byteAt(3 + dataLength);
+            this.locatePayload(dataLength);
+
+            const tail = this.byteAt(4 + dataLength);
+            const status = tail !== this.FRAME_TAIL
+                ? 'bad-tail'
+                : (frame.checksum !== frame.expectedChecksum ? 'bad-checksum' : 'ok');
+            if (status !== 'ok') {
+                handler.onReject(status, frame);
+                handler.onDiscard(1, 'skip');
+                this.consume(1); // 跳过帧头字节，继续查找
+                continue;
+            }
+
+            handler.onFrame(frame);
+            this.consume(totalLength);
+            frames++;
+        }
+
+        return frames;
+    }
+
+    /**
+     * 设置帧描述对象的数据位置：数据连续时直接指向环形缓冲区，跨越末尾时拷贝到暂存区
+     * @param {number} dataLength - 数据长度
+     */
+    locatePayload(dataLength) {
+        const frame = this.frame;
+        const start = (this.readIndex + 3) & this.mask;
+        if (start + dataLength <= this.capacity) {
+            frame.bytes = this.buffer;
+            frame.view = this.view;
+            frame.offset = start;
+            return;
+        }
+
+        const first = this.capacity - start;
+        this.scratch.set(this.buffer.subarray(start, this.capacity), 0);
+        this.scratch.set(this.buffer.subarray(0, dataLength - first), first);
+        frame.bytes = this.scratch;
+        frame.view = this.scratchView;
+        frame.offset = 0;
+    }
+}
+
+// 导出FrameParser类
+if (typeof window !== 'undefined') {
+    window.FrameParser = FrameParser;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FrameParser };
+}
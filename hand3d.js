@@ -0,0 +1,447 @@
+/**
+ * @file 3D手部模型模块
+ * @description 由映射数据驱动的运动学手部模型，使用Canvas 2D软件渲染（不依赖GPU/WebGL），
+ *              支持鼠标轨道相机控制，左手为右手模型的镜像
+ */
+
+/**
+ * 三维向量工具函数
+ */
+const Vec3 = {
+    add: (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]],
+    sub: (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]],
+    scale: (a, s) => [a[0] * s, a[1] * s, a[2] * s],
+    dot: (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2],
+    cross: (a, b) => [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ],
+    normalize: (a) => {
+        const len = Math.hypot(a[0], a[1], a[2]) || 1;
+        return [a[0] / len, a[1] / len, a[2] / len];
+    }
+};
+
+/**
+ * 手部运动学模型（右手，单位：米）
+ * 坐标系：手腕为原点，手指沿+Y伸出，手背朝+Z，拇指位于-X侧
+ */
+class HandModel {
+    constructor() {
+        const DEG = Math.PI / 180;
+
+        // 四指参数：根部位置、指节长度（近节/中节/远节）
+        this.FINGERS = [
+            { name: 'index', base: [-0.025, 0.090, 0], lengths: [0.045, 0.026, 0.020] },
+            { name: 'middle', base: [0.000, 0.094, 0], lengths: [0.050, 0.030, 0.022] },
+            { name: 'ring', base: [0.022, 0.090, 0], lengths: [0.047, 0.028, 0.021] },
+            { name: 'pinky', base: [0.041, 0.082, 0], lengths: [0.036, 0.021, 0.018] }
+        ];
+
+        // 拇指参数：掌骨根部、指节长度（掌骨/近节/远节）
+        this.THUMB = {
+            base: [-0.022, 0.018, -0.004],
+            direction: Vec3.normalize([-0.65, 0.76, 0]),
+            lengths: [0.042, 0.032, 0.026]
+        };
+
+        // 映射值（0-1.0）到关节角度的范围
+        this.YAW_RANGE = 20 * DEG;          // 四指侧摆 ±20°（0.5为中立）
+        this.PITCH_RANGE = 90 * DEG;        // 掌指关节屈曲 0-90°
+        this.TIP_RANGE = 100 * DEG;         // 近端指间关节屈曲 0-100°
+        this.DIP_RATIO = 2 / 3;             // 远端指间关节与近端关节耦合比例
+        this.THUMB_YAW_RANGE = 60 * DEG;    // 拇指对掌 0-60°
+        this.THUMB_PITCH_RANGE = 60 * DEG;  // 拇指掌指关节屈曲 0-60°
+        this.THUMB_TIP_RANGE = 80 * DEG;    // 拇指指间关节屈曲 0-80°
+
+        // 手掌轮廓（手腕两侧 + 四指根部）
+        this.PALM_OUTLINE = [
+            [-0.030, 0.000, 0],
+            [-0.034, 0.050, 0],
+            [-0.025, 0.090, 0],
+            [0.000, 0.094, 0],
+            [0.022, 0.090, 0],
+            [0.041, 0.082, 0],
+            [0.034, 0.000, 0]
+        ];
+    }
+
+    /**
+     * 根据15个映射值计算各手指关节位置
+     * @param {Array<number>} values - 映射值（顺序同 JOINT_NAMES：拇指、食指、中指、无名指、小指 × Yaw/Pitch/Tip）
+     * @returns {Array<Array<Array<number>>>} 5根手指的关节点列表（从根部到指尖）
+     */
+    computeFingerChains(values) {
+        const v = (i) => Math.max(0, Math.min(1, Number.isFinite(values[i]) ? values[i] : 0));
+        const chains = [this.computeThumbChain(v(0), v(1), v(2))];
+
+        this.FINGERS.forEach((finger, i) => {
+            const offset = (i + 1) * 3;
+            const yaw = (v(offset) - 0.5) * 2 * this.YAW_RANGE;
+            const mcp = v(offset + 1) * this.PITCH_RANGE;
+            const pip = v(offset + 2) * this.TIP_RANGE;
+            const dip = pip * this.DIP_RATIO;
+
+            // 侧摆绕手背法线（Z轴）旋转，屈曲使指节朝掌心（-Z）弯曲
+            const forward = [-Math.sin(yaw), Math.cos(yaw), 0];
+            const normal = [0, 0, 1];
+            const angles = [mcp, mcp + pip, mcp + pip + dip];
+
+            const points = [finger.base];
+            let position = finger.base;
+            angles.forEach((angle, j) => {
+                const dir = Vec3.sub(Vec3.scale(forward, Math.cos(angle)), Vec3.scale(normal, Math.sin(angle)));
+                position = Vec3.add(position, Vec3.scale(dir, finger.lengths[j]));
+                points.push(position);
+            });
+            chains.push(points);
+        });
+
+        return chains;
+    }
+
+    /**
+     * 计算拇指关节位置
+     * @param {number} yaw - 对掌映射值
+     * @param {number} pitch - 掌指关节映射值
+     * @param {number} tip - 指间关节映射值
+     * @returns {Array<Array<number>>} 关节点列表
+     */
+    computeThumbChain(yaw, pitch, tip) {
+        const thumb = this.THUMB;
+        const opposition = yaw * this.THUMB_YAW_RANGE;
+
+        // 对掌：掌骨方向向掌侧（-Z）转动
+        const metacarpal = Vec3.normalize(Vec3.sub(
+            Vec3.scale(thumb.direction, Math.cos(opposition)),
+            Vec3.scale([0, 0, 1], Math.sin(opposition))
+        ));
+
+        // 屈曲方向：朝向掌心，与掌骨方向正交
+        const towardPalm = Vec3.normalize([0.6, 0.2, -0.8]);
+        const bend = Vec3.normalize(Vec3.sub(towardPalm, Vec3.scale(metacarpal, Vec3.dot(towardPalm, metacarpal))));
+
+        const mcp = pitch * this.THUMB_PITCH_RANGE;
+        const ip = tip * this.THUMB_TIP_RANGE;
+        const angles = [0, mcp, mcp + ip];
+
+        const points = [thumb.base];
+        let position = thumb.base;
+        angles.forEach((angle, j) => {
+            const dir = Vec3.add(Vec3.scale(metacarpal, Math.cos(angle)), Vec3.scale(bend, Math.sin(angle)));
+            position = Vec3.add(position, Vec3.scale(dir, thumb.lengths[j]));
+            points.push(position);
+        });
+        return points;
+    }
+}
+
+/**
+ * 双手3D视图渲染器
+ */
+class HandRenderer3D {
+    /**
+     * @param {HTMLCanvasElement} canvas - 画布
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.model = new HandModel();
+
+        // 两只手的映射值，初始为张开姿态
+        this.poses = {
+            right: new Array(15).fill(0).map((_, i) => (i % 3 === 0 ? 0.5 : 0)),
+            left: new Array(15).fill(0).map((_, i) => (i % 3 === 0 ? 0.5 : 0))
+        };
+
+        // 左右手在场景中的位置（从手背方向看，左手在左）
+        this.HAND_OFFSETS = { right: [0.075, 0, 0], left: [-0.075, 0, 0] };
+        this.FINGER_COLORS = ['#ef4444', '#3b82f6', '#10b981', '#f59e0b', '#8b5cf6'];
+
+        this.resetCamera();
+
+        this.dirty = true;
+        this.animationFrame = null;
+        this.dragging = null;
+
+        this.attachControls();
+    }
+
+    /**
+     * 重置相机（从手背斜上方观察）
+     */
+    resetCamera() {
+        this.camera = {
+            yaw: 0,                 // 绕Y轴旋转（弧度）
+            pitch: -0.35,           // 俯仰（弧度）
+            distance: 0.42,         // 相机到目标距离（米）
+            target: [0, 0.07, 0]
+        };
+        this.dirty = true;
+    }
+
+    /**
+     * 更新一只手的姿态
+     * @param {number} hand - 手侧（0=右手, 1=左手）
+     * @param {Array<number>} mappingData - 15个映射值
+     */
+    setPose(hand, mappingData) {
+        this.poses[hand === 0 ? 'right' : 'left'] = mappingData;
+        this.dirty = true;
+    }
+
+    /**
+     * 开始渲染循环（仅在姿态或相机变化时重绘）
+     */
+    start() {
+        if (this.animationFrame) {
+            return;
+        }
+        const loop = () => {
+            if (this.dirty) {
+                this.dirty = false;
+                this.render();
+            }
+            this.animationFrame = requestAnimationFrame(loop);
+        };
+        this.animationFrame = requestAnimationFrame(loop);
+    }
+
+    /**
+     * 停止渲染循环
+     */
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    /**
+     * 绑定鼠标轨道控制：拖动旋转、滚轮缩放、双击复位
+     */
+    attachControls() {
+        const canvas = this.canvas;
+
+        canvas.addEventListener('mousedown', (event) => {
+            this.dragging = { x: event.clientX, y: event.clientY };
+        });
+        window.addEventListener('mouseup', () => {
+            this.dragging = null;
+        });
+        window.addEventListener('mousemove', (event) => {
+            if (!this.dragging) {
+                return;
+            }
+            const dx = event.clientX - this.dragging.x;
+            const dy = event.clientY - this.dragging.y;
+            this.dragging = { x: event.clientX, y: event.clientY };
+            this.camera.yaw -= dx * 0.01;
+            this.camera.pitch = Math.max(-1.5, Math.min(1.5, this.camera.pitch - dy * 0.01));
+            this.dirty = true;
+        });
+        canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            const factor = event.deltaY > 0 ? 1.1 : 1 / 1.1;
+            this.camera.distance = Math.max(0.15, Math.min(1.5, this.camera.distance * factor));
+            this.dirty = true;
+        }, { passive: false });
+        canvas.addEventListener('dblclick', () => this.resetCamera());
+    }
+
+    /**
+     * 计算相机基向量
+     * @returns {Object} { eye, right, up, forward }
+     */
+    getCameraBasis() {
+        const c = this.camera;
+        // 默认从+Z（手背）方向观察
+        const offset = [
+            Math.sin(c.yaw) * Math.cos(c.pitch) * c.distance,
+            -Math.sin(c.pitch) * c.distance,
+            Math.cos(c.yaw) * Math.cos(c.pitch) * c.distance
+        ];
+        const eye = Vec3.add(c.target, offset);
+        const forward = Vec3.normalize(Vec3.sub(c.target, eye));
+        const right = Vec3.normalize(Vec3.cross(forward, [0, 1, 0]));
+        const up = Vec3.cross(right, forward);
+        return { eye, right, up, forward };
+    }
+
+    /**
+     * 透视投影
+     * @param {Array<number>} point - 世界坐标
+     * @param {Object} basis - 相机基向量
+     * @param {Object} viewport - { cx, cy, focal }
+     * @returns {Object|null} { x, y, depth, scale }，在相机后方时返回null
+     */
+    project(point, basis, viewport) {
+        const v = Vec3.sub(point, basis.eye);
+        const depth = Vec3.dot(v, basis.forward);
+        if (depth <= 0.01) {
+            return null;
+        }
+        const scale = viewport.focal / depth;
+        return {
+            x: viewport.cx + Vec3.dot(v, basis.right) * scale,
+            y: viewport.cy - Vec3.dot(v, basis.up) * scale,
+            depth: depth,
+            scale: scale
+        };
+    }
+
+    /**
+     * 生成一只手的世界坐标几何
+     * @param {string} hand - right / left
+     * @returns {Object} { palm: 点列表, chains: 手指关节点列表 }
+     */
+    buildHandGeometry(hand) {
+        const mirror = hand === 'left' ? -1 : 1;
+        const offset = this.HAND_OFFSETS[hand];
+        const toWorld = (p) => [p[0] * mirror + offset[0], p[1] + offset[1], p[2] + offset[2]];
+
+        return {
+            palm: this.model.PALM_OUTLINE.map(toWorld),
+            chains: this.model.computeFingerChains(this.poses[hand]).map(chain => chain.map(toWorld)),
+            wrist: toWorld([0, 0, 0]),
+            thumbBase: toWorld(this.model.THUMB.base)
+        };
+    }
+
+    /**
+     * 渲染场景（画家算法：按深度从远到近绘制）
+     */
+    render() {
+        const canvas = this.canvas;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            return;
+        }
+
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 600;
+        const height = canvas.clientHeight || 360;
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+        }
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const basis = this.getCameraBasis();
+        const viewport = { cx: width / 2, cy: height / 2, focal: Math.min(width, height) * 1.2 };
+        const primitives = [];
+
+        this.drawGround(ctx, basis, viewport);
+
+        ['left', 'right'].forEach(hand => {
+            const geometry = this.buildHandGeometry(hand);
+
+            // 手掌多边形
+            const palm = geometry.palm.map(p => this.project(p, basis, viewport));
+            if (palm.every(p => p)) {
+                primitives.push({
+                    depth: palm.reduce((sum, p) => sum + p.depth, 0) / palm.length,
+                    draw: () => {
+                        ctx.beginPath();
+                        palm.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                        ctx.closePath();
+                        ctx.fillStyle = 'rgba(148, 163, 184, 0.35)';
+                        ctx.strokeStyle = '#94a3b8';
+                        ctx.lineWidth = 1;
+                        ctx.fill();
+                        ctx.stroke();
+                    }
+                });
+            }
+
+            // 拇指掌骨与手腕的连接
+            const chains = [[geometry.wrist, geometry.thumbBase].concat(geometry.chains[0].slice(1))]
+                .concat(geometry.chains.slice(1));
+
+            chains.forEach((chain, finger) => {
+                const color = this.FINGER_COLORS[finger];
+                for (let i = 0; i < chain.length - 1; i++) {
+                    const a = this.project(chain[i], basis, viewport);
+                    const b = this.project(chain[i + 1], basis, viewport);
+                    if (!a || !b) {
+                        continue;
+                    }
+                    primitives.push({
+                        depth: (a.depth + b.depth) / 2,
+                        draw: () => {
+                            ctx.strokeStyle = color;
+                            ctx.lineCap = 'round';
+                            ctx.lineWidth = Math.max(2, 0.014 * (a.scale + b.scale) / 2);
+                            ctx.beginPath();
+                            ctx.moveTo(a.x, a.y);
+                            ctx.lineTo(b.x, b.y);
+                            ctx.stroke();
+                        }
+                    });
+                }
+                chain.forEach(point => {
+                    const p = this.project(point, basis, viewport);
+                    if (!p) {
+                        return;
+                    }
+                    primitives.push({
+                        depth: p.depth - 0.0005, // 关节点绘制在相邻骨段之上
+                        draw: () => {
+                            ctx.fillStyle = '#f8fafc';
+                            ctx.beginPath();
+                            ctx.arc(p.x, p.y, Math.max(1.5, 0.005 * p.scale), 0, Math.PI * 2);
+                            ctx.fill();
+                        }
+                    });
+                });
+            });
+        });
+
+        primitives.sort((a, b) => b.depth - a.depth);
+        primitives.forEach(primitive => primitive.draw());
+
+        // 手侧标签
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ['left', 'right'].forEach(hand => {
+            const label = this.project(Vec3.add(this.HAND_OFFSETS[hand], [0, -0.02, 0]), basis, viewport);
+            if (label) {
+                ctx.fillText(hand === 'right' ? '右手' : '左手', label.x, label.y);
+            }
+        });
+    }
+
+    /**
+     * 绘制地面参考网格（手腕下方的XY平面）
+     * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+     * @param {Object} basis - 相机基向量
+     * @param {Object} viewport - 视口
+     */
+    drawGround(ctx, basis, viewport) {
+        ctx.strokeStyle = 'rgba(51, 65, 85, 0.8)';
+        ctx.lineWidth = 1;
+        const z = -0.06;
+        for (let i = -4; i <= 4; i++) {
+            const lines = [
+                [[i * 0.04, -0.04, z], [i * 0.04, 0.2, z]],
+                [[-0.16, 0.08 + i * 0.03, z], [0.16, 0.08 + i * 0.03, z]]
+            ];
+            lines.forEach(([from, to]) => {
+                const a = this.project(from, basis, viewport);
+                const b = this.project(to, basis, viewport);
+                if (a && b) {
+                    ctx.beginPath();
+                    ctx.moveTo(a.x, a.y);
+                    ctx.lineTo(b.x, b.y);
+                    ctx.stroke();
+                }
+            });
+        }
+    }
+}
+
+// 导出3D模型类
+window.HandModel = HandModel;
+window.HandRenderer3D = HandRenderer3D;
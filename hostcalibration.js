@@ -0,0 +1,481 @@
+/**
+ * @file 主机端校准模块
+ * @description 在主机端把原始传感器数据（0-65535）映射为0-1.0：每个通道独立的最小/最大值、反向和非线性曲线，
+ *              指尖关节可与同一手指的根部弯曲（pitch）耦合。模型由一次采集计算得出：
+ *              采集期间设备同时发送映射数据时以设备映射值为参考拟合，否则按原始值的运动范围确定最小/最大值。
+ *              这样即使关闭了固件映射也能得到映射数据，并可与设备映射结果对比
+ */
+
+class HostCalibration {
+    /**
+     * @param {Object} options - 配置
+     * @param {string} options.storageKey - 本地存储键名
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'hostCalibration';
+        this.JOINT_COUNT = 15;
+        this.RAW_MAX = 65535;
+
+        this.CURVES = [
+            { type: 'linear', name: '线性' },
+            { type: 'gamma', name: '幂曲线' },
+            { type: 'smoothstep', name: 'S曲线' }
+        ];
+
+        // 拟合参数
+        this.MIN_CAPTURE_SAMPLES = 50;    // 计算模型所需的最少原始样本数
+        this.MAX_CAPTURE_SAMPLES = 30000; // 采集上限（约5分钟@100Hz）
+        this.MIN_REFERENCE_SAMPLES = 50;  // 按设备映射值拟合所需的最少配对样本数
+        this.REFERENCE_MAX_AGE = 50;      // 原始样本与设备映射值配对的最大时间差（ms）
+        this.RANGE_PERCENTILE = 0.02;     // 无参考时按该分位数取最小/最大值，忽略尖峰
+        this.MIN_RANGE = 1000;            // 运动范围小于该值的通道给出提示
+        this.GAMMA_CANDIDATES = [0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.1, 1.25, 1.5, 1.75, 2.0, 2.5];
+
+        // 每只手的模型：{ channels, source, sampleCount, referenceCount, rmsError, warnings, createdAt }，未校准时为null
+        this.models = [null, null];
+        // 当前采集：{ hand, samples: [{ raw, reference }], reference: { time, values } }
+        this.capture = null;
+    }
+
+    /**
+     * 获取通道默认参数（完整原始范围的线性映射）
+     * @returns {Object} { min, max, invert, curve, gamma, coupling }
+     */
+    getDefaultChannel() {
+        return { min: 0, max: this.RAW_MAX, invert: false, curve: 'linear', gamma: 1, coupling: 0 };
+    }
+
+    /**
+     * 是否为指尖关节（可与同一手指的 pitch 耦合）
+     * @param {number} joint - 关节序号（0-14，顺序同 JOINT_NAMES）
+     * @returns {boolean} 是否为指尖关节
+     */
+    isTipJoint(joint) {
+        return joint % 3 === 2;
+    }
+
+    /**
+     * 是否已有该手的模型
+     * @param {number} hand - 0=右手, 1=左手
+     * @returns {boolean} 是否已校准
+     */
+    hasModel(hand) {
+        return this.models[hand] !== null;
+    }
+
+    /**
+     * 获取该手的模型
+     * @param {number} hand - 0=右手, 1=左手
+     * @returns {Object|null} 模型
+     */
+    getModel(hand) {
+        return this.models[hand];
+    }
+
+    /**
+     * 设置该手的模型（例如从校准配置恢复），缺少的参数使用默认值
+     * @param {number} hand - 0=右手, 1=左手
+     * @param {Object|null} model - 模型，为空时清除
+     */
+    setModel(hand, model) {
+        this.models[hand] = model ? this.restoreModel(model) : null;
+    }
+
+    /**
+     * 修改单个通道的参数（该手还没有模型时以默认参数新建）
+     * @param {number} hand - 0=右手, 1=左手
+     * @param {number} joint - 关节序号
+     * @param {Object} params - 要修改的参数
+     */
+    setChannel(hand, joint, params) {
+        if (!this.models[hand]) {
+            this.models[hand] = this.createModel('manual', []);
+        }
+        const channel = { ...this.models[hand].channels[joint], ...params };
+        if (!this.isTipJoint(joint)) {
+            channel.coupling = 0;
+        }
+        channel.coupling = Math.max(0, Math.min(1, channel.coupling));
+        this.models[hand].channels[joint] = channel;
+    }
+
+    /**
+     * 清除该手的模型
+     * @param {number} hand - 0=右手, 1=左手
+     */
+    clear(hand) {
+        this.models[hand] = null;
+    }
+
+    /**
+     * 新建模型
+     * @param {string} source - reference=按设备映射值拟合, range=按运动范围, manual=手动设置
+     * @param {Array<Object>} channels - 通道参数，缺少的通道使用默认参数
+     * @returns {Object} 模型
+     */
+    createModel(source, channels) {
+        const full = [];
+        for (let joint = 0; joint < this.JOINT_COUNT; joint++) {
+            full.push(channels[joint] || this.getDefaultChannel());
+        }
+        return {
+            channels: full,
+            source: source,
+            sampleCount: 0,
+            referenceCount: 0,
+            rmsError: null,
+            warnings: [],
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * 是否正在采集
+     * @returns {boolean} 是否正在采集
+     */
+    isCapturing() {
+        return this.capture !== null;
+    }
+
+    /**
+     * 开始采集：采集期间应让手指完成完整的握拳/张开和左右摆动
+     * @param {number} hand - 0=右手, 1=左手
+     */
+    startCapture(hand) {
+        this.capture = { hand: hand, samples: [], reference: null };
+    }
+
+    /**
+     * 获取已采集的原始样本数和其中有设备映射参考值的样本数
+     * @returns {Object} { samples, references }
+     */
+    getCaptureCount() {
+        if (!this.capture) {
+            return { samples: 0, references: 0 };
+        }
+        return {
+            samples: this.capture.samples.length,
+            references: this.capture.samples.filter(sample => sample.reference).length
+        };
+    }
+
+    /**
+     * 添加一条关节数据（仅采集期间记录所选手侧）
+     * 映射数据只作为参考值，与时间最接近的原始样本配对
+     * @param {Object} jointData - 关节数据对象（含 sensorData 或 mappingData）
+     */
+    addSample(jointData) {
+        const capture = this.capture;
+        if (!capture || jointData.hand !== capture.hand) {
+            return;
+        }
+
+        if (Array.isArray(jointData.mappingData)) {
+            capture.reference = { time: jointData.timestamp, values: jointData.mappingData.slice(0, this.JOINT_COUNT) };
+            // 映射数据晚于原始数据到达时补配对上一条原始样本
+            const last = capture.samples[capture.samples.length - 1];
+            if (last && !last.reference && Math.abs(jointData.timestamp - last.time) <= this.REFERENCE_MAX_AGE) {
+                last.reference = capture.reference.values;
+            }
+        } else if (Array.isArray(jointData.sensorData) && capture.samples.length < this.MAX_CAPTURE_SAMPLES) {
+            const reference = capture.reference && Math.abs(jointData.timestamp - capture.reference.time) <= this.REFERENCE_MAX_AGE
+                ? capture.reference.values
+                : null;
+            capture.samples.push({
+                time: jointData.timestamp,
+                raw: jointData.sensorData.slice(0, this.JOINT_COUNT),
+                reference: reference
+            });
+        }
+    }
+
+    /**
+     * 取消采集
+     */
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    /**
+     * 结束采集并计算该手的模型
+     * @returns {Object} 新模型
+     */
+    stopCapture() {
+        const capture = this.capture;
+        if (!capture) {
+            throw new Error('没有正在进行的采集');
+        }
+        this.capture = null;
+        if (capture.samples.length < this.MIN_CAPTURE_SAMPLES) {
+            throw new Error(`原始传感器样本不足（${capture.samples.length}/${this.MIN_CAPTURE_SAMPLES}），请确认已启用传感器数据发送`);
+        }
+
+        const model = this.fit(capture.samples);
+        this.models[capture.hand] = model;
+        return model;
+    }
+
+    /**
+     * 根据采集的样本计算模型
+     * @param {Array<Object>} samples - 样本 { raw, reference }
+     * @returns {Object} 模型
+     */
+    fit(samples) {
+        const paired = samples.filter(sample => sample.reference);
+        const useReference = paired.length >= this.MIN_REFERENCE_SAMPLES;
+        const warnings = [];
+        const channels = [];
+
+        for (let joint = 0; joint < this.JOINT_COUNT; joint++) {
+            const channel = useReference
+                ? this.fitChannelToReference(paired, joint)
+                : this.fitChannelToRange(samples, joint);
+            if (Math.abs(channel.max - channel.min) < this.MIN_RANGE) {
+                warnings.push(joint);
+            }
+            channels.push(channel);
+        }
+
+        // 指尖与根部弯曲的耦合需要参考值才能估计
+        if (useReference) {
+            for (let joint = 0; joint < this.JOINT_COUNT; joint++) {
+                if (this.isTipJoint(joint)) {
+                    channels[joint].coupling = this.fitCoupling(paired, channels, joint);
+                }
+            }
+        }
+
+        const model = this.createModel(useReference ? 'reference' : 'range', channels);
+        model.sampleCount = samples.length;
+        model.referenceCount = paired.length;
+        model.warnings = warnings;
+        if (useReference) {
+            let sum = 0;
+            paired.forEach(sample => {
+                const mapped = this.map(model, sample.raw);
+                mapped.forEach((value, joint) => {
+                    sum += (value - sample.reference[joint]) * (value - sample.reference[joint]);
+                });
+            });
+            model.rmsError = Math.sqrt(sum / (paired.length * this.JOINT_COUNT));
+        }
+        return model;
+    }
+
+    /**
+     * 无参考值时按原始值的运动范围确定通道参数（去掉两端少量尖峰）
+     * @param {Array<Object>} samples - 样本
+     * @param {number} joint - 关节序号
+     * @returns {Object} 通道参数
+     */
+    fitChannelToRange(samples, joint) {
+        const values = samples.map(sample => sample.raw[joint]).sort((a, b) => a - b);
+        const lowIndex = Math.floor((values.length - 1) * this.RANGE_PERCENTILE);
+        const highIndex = Math.ceil((values.length - 1) * (1 - this.RANGE_PERCENTILE));
+        return { ...this.getDefaultChannel(), min: values[lowIndex], max: values[highIndex] };
+    }
+
+    /**
+     * 以设备映射值为参考拟合通道参数：先线性回归确定范围和方向，再选择误差最小的曲线
+     * 设备映射值被限制在0或1的样本不参与回归
+     * @param {Array<Object>} paired - 有参考值的样本
+     * @param {number} joint - 关节序号
+     * @returns {Object} 通道参数
+     */
+    fitChannelToReference(paired, joint) {
+        let points = paired.filter(sample => sample.reference[joint] > 0.001 && sample.reference[joint] < 0.999);
+        if (points.length < this.MIN_REFERENCE_SAMPLES) {
+            points = paired;
+        }
+
+        // 最小二乘：reference ≈ slope * raw + intercept
+        const n = points.length;
+        let sumX = 0;
+        let sumY = 0;
+        points.forEach(sample => {
+            sumX += sample.raw[joint];
+            sumY += sample.reference[joint];
+        });
+        const meanX = sumX / n;
+        const meanY = sumY / n;
+        let sxx = 0;
+        let sxy = 0;
+        points.forEach(sample => {
+            const dx = sample.raw[joint] - meanX;
+            sxx += dx * dx;
+            sxy += dx * (sample.reference[joint] - meanY);
+        });
+        const slope = sxx > 0 ? sxy / sxx : 0;
+
+        // 原始值几乎不变或与参考值无关时退回按运动范围
+        if (Math.abs(slope) < 1e-9) {
+            return this.fitChannelToRange(paired, joint);
+        }
+
+        const intercept = meanY - slope * meanX;
+        const rawAtZero = -intercept / slope;
+        const rawAtOne = (1 - intercept) / slope;
+        const channel = {
+            ...this.getDefaultChannel(),
+            min: Math.round(Math.min(rawAtZero, rawAtOne)),
+            max: Math.round(Math.max(rawAtZero, rawAtOne)),
+            invert: slope < 0
+        };
+
+        // 依次尝试各条曲线，保留误差最小的
+        const error = (candidate) => paired.reduce((sum, sample) => {
+            const diff = this.normalize(candidate, sample.raw[joint]) - sample.reference[joint];
+            return sum + diff * diff;
+        }, 0);
+        let best = channel;
+        let bestError = error(channel);
+        const candidates = this.GAMMA_CANDIDATES.map(gamma => ({ ...channel, curve: 'gamma', gamma: gamma }));
+        candidates.push({ ...channel, curve: 'smoothstep' });
+        candidates.forEach(candidate => {
+            const candidateError = error(candidate);
+            if (candidateError < bestError * 0.98) {
+                best = candidate;
+                bestError = candidateError;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * 估计指尖与根部弯曲的耦合系数 k：tip' = (1 - k) * tip + k * pitch，取最小二乘解并限制在0-1
+     * @param {Array<Object>} paired - 有参考值的样本
+     * @param {Array<Object>} channels - 已拟合的通道参数
+     * @param {number} joint - 指尖关节序号
+     * @returns {number} 耦合系数
+     */
+    fitCoupling(paired, channels, joint) {
+        const pitchJoint = joint - 1;
+        let numerator = 0;
+        let denominator = 0;
+        paired.forEach(sample => {
+            const tip = this.normalize(channels[joint], sample.raw[joint]);
+            const pitch = this.normalize(channels[pitchJoint], sample.raw[pitchJoint]);
+            numerator += (sample.reference[joint] - tip) * (pitch - tip);
+            denominator += (pitch - tip) * (pitch - tip);
+        });
+        if (denominator < 1e-9) {
+            return 0;
+        }
+        const coupling = Math.max(0, Math.min(1, numerator / denominator));
+        // 改善很小时不耦合，避免噪声产生无意义的系数
+        return coupling < 0.02 ? 0 : Math.round(coupling * 100) / 100;
+    }
+
+    /**
+     * 把单个原始值映射到0-1.0（不含耦合）
+     * @param {Object} channel - 通道参数
+     * @param {number} raw - 原始值
+     * @returns {number} 映射值
+     */
+    normalize(channel, raw) {
+        const span = channel.max - channel.min;
+        let value = span > 0 ? (raw - channel.min) / span : 0;
+        value = Math.max(0, Math.min(1, value));
+        if (channel.invert) {
+            value = 1 - value;
+        }
+        switch (channel.curve) {
+            case 'gamma':
+                return Math.pow(value, channel.gamma > 0 ? channel.gamma : 1);
+            case 'smoothstep':
+                return value * value * (3 - 2 * value);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * 按模型把15个原始值映射到0-1.0
+     * @param {Object} model - 模型
+     * @param {Array<number>} raw - 原始值
+     * @returns {Array<number>} 映射值
+     */
+    map(model, raw) {
+        const values = [];
+        for (let joint = 0; joint < this.JOINT_COUNT; joint++) {
+            values.push(this.normalize(model.channels[joint], raw[joint]));
+        }
+        for (let joint = 2; joint < this.JOINT_COUNT; joint += 3) {
+            const coupling = model.channels[joint].coupling;
+            if (coupling > 0) {
+                values[joint] = (1 - coupling) * values[joint] + coupling * values[joint - 1];
+            }
+        }
+        return values;
+    }
+
+    /**
+     * 把一条原始传感器数据映射为主机端映射数据
+     * @param {Object} jointData - 关节数据对象（含 sensorData）
+     * @param {Array<number>|null} raw - 使用的原始值（例如滤波后的值），为空时使用 sensorData
+     * @returns {Object|null} 映射数据对象（字段同设备映射数据，并标记 host: true），该手未校准时为null
+     */
+    apply(jointData, raw = null) {
+        const model = this.models[jointData.hand];
+        if (!model || !Array.isArray(jointData.sensorData)) {
+            return null;
+        }
+        return {
+            hand: jointData.hand,
+            mappingData: this.map(model, raw || jointData.sensorData),
+            timestamp: jointData.timestamp,
+            packetNumber: jointData.packetNumber,
+            host: true
+        };
+    }
+
+    /**
+     * 复制保存的模型并补全缺少的字段和参数
+     * @param {Object} model - 保存的模型
+     * @returns {Object} 模型
+     */
+    restoreModel(model) {
+        const channels = (model.channels || []).map(channel => ({ ...this.getDefaultChannel(), ...channel }));
+        const restored = this.createModel(model.source || 'manual', channels);
+        return { ...restored, ...JSON.parse(JSON.stringify(model)), channels: restored.channels };
+    }
+
+    /**
+     * 保存模型到本地存储
+     * @returns {boolean} 是否成功
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.models));
+            return true;
+        } catch (error) {
+            console.error('保存主机端校准失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 从本地存储加载模型
+     * @returns {boolean} 是否加载到模型
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) {
+                return false;
+            }
+            const models = JSON.parse(saved);
+            this.models = [0, 1].map(hand => {
+                const model = Array.isArray(models) ? models[hand] : null;
+                return model && Array.isArray(model.channels) ? this.restoreModel(model) : null;
+            });
+            return true;
+        } catch (error) {
+            console.error('加载主机端校准失败:', error);
+            return false;
+        }
+    }
+}
+
+// 导出HostCalibration类
+window.HostCalibration = HostCalibration;
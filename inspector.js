@@ -0,0 +1,298 @@
+/**
+ * @file 协议帧检查器模块
+ * @description 记录串口收发的每一帧（TX/RX）以及被丢弃的帧（帧尾错误、校验和错误、长度异常、缓冲区溢出），
+ *              以表格形式显示命令名称、长度、十六进制数据和校验状态，支持按命令码筛选、暂停和导出
+ */
+
+class FrameInspector {
+    /**
+     * @param {Object} elements - DOM元素
+     * @param {HTMLElement} elements.list - 帧列表容器
+     * @param {HTMLElement} elements.summary - 统计信息显示
+     * @param {Function} getCommandName - 命令码转名称 (cmd) => string
+     * @param {Object} options - 配置
+     * @param {number} options.capacity - 最多保留的记录数
+     * @param {number} options.maxRows - 最多显示的行数
+     */
+    constructor(elements, getCommandName, options = {}) {
+        this.elements = elements;
+        this.getCommandName = getCommandName;
+        this.capacity = options.capacity || 5000;
+        this.maxRows = options.maxRows || 200;
+
+        this.records = [];
+        this.isPaused = false;
+        this.filter = 'all';     // all / rejected / tx / rx / 命令码
+        this.totalCount = 0;     // 暂停期间也计数
+        this.rejectedCount = 0;
+        this.skippedCount = 0;   // 暂停期间未记录的帧数
+        this.animationFrame = null;
+        this.dirty = true;
+
+        this.STATUS_TEXT = {
+            'ok': 'OK',
+            'bad-tail': '帧尾错误',
+            'bad-checksum': '校验和错误',
+            'overlong': '长度异常',
+            'overflow': '缓冲区溢出',
+            'no-header': '无帧头丢弃'
+        };
+    }
+
+    /**
+     * 添加一条帧追踪记录（SerialManager.setFrameTraceCallback 的记录格式）
+     * 串口层每次回调都生成新的记录对象，直接保存而不再复制
+     * @param {Object} record - 追踪记录（会被添加 source 字段）
+     * @param {string} source - 来源设备名称
+     */
+    add(record, source = '') {
+        this.totalCount++;
+        if (record.status !== 'ok') {
+            this.rejectedCount++;
+        }
+        if (this.isPaused) {
+            this.skippedCount++;
+            this.dirty = true;
+            return;
+        }
+
+        record.source = source;
+        this.records.push(record);
+        if (this.records.length > this.capacity * 1.2) {
+            this.records = this.records.slice(-this.capacity);
+        }
+        this.dirty = true;
+    }
+
+    /**
+     * 设置筛选条件
+     * @param {string|number} filter - all / rejected / tx / rx 或命令码
+     */
+    setFilter(filter) {
+        this.filter = filter;
+        this.dirty = true;
+    }
+
+    /**
+     * 暂停/继续记录
+     * @param {boolean} paused - 是否暂停
+     */
+    setPaused(paused) {
+        this.isPaused = paused;
+        this.dirty = true;
+    }
+
+    /**
+     * 清空记录和计数
+     */
+    clear() {
+        this.records = [];
+        this.totalCount = 0;
+        this.rejectedCount = 0;
+        this.skippedCount = 0;
+        this.dirty = true;
+    }
+
+    /**
+     * 判断记录是否符合当前筛选条件
+     * @param {Object} record - 追踪记录
+     * @returns {boolean} 是否符合
+     */
+    matches(record) {
+        switch (this.filter) {
+            case 'all':
+                return true;
+            case 'rejected':
+                return record.status !== 'ok';
+            case 'tx':
+            case 'rx':
+                return record.direction === this.filter;
+            default:
+                return record.cmd === this.filter;
+        }
+    }
+
+    /**
+     * 获取符合筛选条件的记录（保留顺序的副本，不受 capacity 裁剪影响）
+     * @returns {Array<Object>} 记录列表
+     */
+    getFiltered() {
+        const start = Math.max(0, this.records.length - this.capacity);
+        const result = [];
+        for (let i = start; i < this.records.length; i++) {
+            if (this.matches(this.records[i])) {
+                result.push(this.records[i]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 开始渲染循环（仅在有新记录时更新DOM）
+     */
+    start() {
+        if (this.animationFrame) {
+            return;
+        }
+        const loop = () => {
+            if (this.dirty) {
+                this.dirty = false;
+                this.render();
+            }
+            this.animationFrame = requestAnimationFrame(loop);
+        };
+        this.animationFrame = requestAnimationFrame(loop);
+    }
+
+    /**
+     * 停止渲染循环
+     */
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    /**
+     * 渲染帧列表和统计信息
+     */
+    render() {
+        const { list, summary } = this.elements;
+        const filtered = this.getFiltered();
+
+        if (summary) {
+            const skipped = this.skippedCount > 0 ? `（跳过 ${this.skippedCount} 帧）` : '';
+            const paused = this.isPaused ? ` · 已暂停${skipped}` : '';
+            summary.textContent = `共 ${this.totalCount} 帧, 异常 ${this.rejectedCount} 帧, 显示 ${Math.min(filtered.length, this.maxRows)}/${filtered.length}${paused}`;
+        }
+        if (!list) {
+            return;
+        }
+
+        // 保持在底部时自动滚动
+        const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+        const fragment = document.createDocumentFragment();
+        filtered.slice(-this.maxRows).forEach(record => {
+            fragment.appendChild(this.createRow(record));
+        });
+        list.replaceChildren(fragment);
+        if (atBottom) {
+            list.scrollTop = list.scrollHeight;
+        }
+    }
+
+    /**
+     * 创建一行帧记录
+     * @param {Object} record - 追踪记录
+     * @returns {HTMLElement} 行元素
+     */
+    createRow(record) {
+        const row = document.createElement('div');
+        row.className = `inspector-row ${record.direction} ${record.status === 'ok' ? '' : 'rejected'}`.trim();
+        const fields = this.formatRecord(record);
+        [
+            ['inspector-time', fields.time],
+            ['inspector-source', fields.source],
+            ['inspector-dir', fields.direction],
+            ['inspector-cmd', fields.command],
+            ['inspector-len', fields.length],
+            ['inspector-status', fields.status],
+            ['inspector-hex', fields.hex]
+        ].forEach(([className, text]) => {
+            const cell = document.createElement('span');
+            cell.className = className;
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        row.title = `原始字节: ${fields.raw}`;
+        return row;
+    }
+
+    /**
+     * 将记录格式化为显示/导出文本
+     * @param {Object} record - 追踪记录
+     * @returns {Object} 各字段文本
+     */
+    formatRecord(record) {
+        const time = new Date(record.timestamp);
+        let status = this.STATUS_TEXT[record.status] || record.status;
+        if (record.status === 'ok' && record.checksum !== null) {
+            status = `OK ${FrameInspector.toHex([record.checksum])}`;
+        } else if (record.status === 'bad-checksum') {
+            status += ` (收到${FrameInspector.toHex([record.checksum])}, 计算${FrameInspector.toHex([record.expectedChecksum])})`;
+        }
+
+        return {
+            time: `${time.toLocaleTimeString()}.${String(time.getMilliseconds()).padStart(3, '0')}`,
+            source: record.source || '',
+            direction: record.direction.toUpperCase(),
+            command: record.cmd === null
+                ? '--'
+                : `0x${record.cmd.toString(16).padStart(2, '0')} ${this.getCommandName(record.cmd)}`,
+            length: String(record.length),
+            status: status,
+            hex: FrameInspector.toHex(record.data),
+            raw: FrameInspector.toHex(record.raw)
+        };
+    }
+
+    /**
+     * 导出符合筛选条件的记录
+     * @param {string} format - csv / jsonl
+     * @returns {{content: string, mimeType: string, extension: string, count: number}} 导出结果
+     */
+    export(format) {
+        const records = this.getFiltered();
+        if (format === 'jsonl') {
+            const lines = records.map(record => JSON.stringify({
+                timestamp: new Date(record.timestamp).toISOString(),
+                source: record.source,
+                direction: record.direction,
+                status: record.status,
+                cmd: record.cmd,
+                command: record.cmd === null ? null : this.getCommandName(record.cmd),
+                length: record.length,
+                checksum: record.checksum,
+                expected_checksum: record.expectedChecksum,
+                data: FrameInspector.toHex(record.data),
+                raw: FrameInspector.toHex(record.raw)
+            }));
+            return {
+                content: lines.join('\n') + (lines.length > 0 ? '\n' : ''),
+                mimeType: 'application/x-ndjson',
+                extension: 'jsonl',
+                count: records.length
+            };
+        }
+
+        const escape = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+        const lines = ['timestamp,source,direction,command,length,status,data,raw'];
+        records.forEach(record => {
+            const fields = this.formatRecord(record);
+            lines.push([
+                new Date(record.timestamp).toISOString(),
+                fields.source,
+                record.direction,
+                fields.command,
+                fields.length,
+                fields.status,
+                fields.hex,
+                fields.raw
+            ].map(escape).join(','));
+        });
+        return { content: lines.join('\r\n') + '\r\n', mimeType: 'text/csv', extension: 'csv', count: records.length };
+    }
+
+    /**
+     * 字节数组转空格分隔的十六进制文本
+     * @param {Array<number>} bytes - 字节数组
+     * @returns {string} 十六进制文本
+     */
+    static toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+    }
+}
+
+// 导出FrameInspector类
+window.FrameInspector = FrameInspector;
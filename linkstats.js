@@ -0,0 +1,302 @@
+/**
+ * @file 链路质量统计模块
+ * @description 按滚动时间窗口统计串口链路质量：分类型帧率、校验和/帧尾错误、被丢弃的字节数、
+ *              帧到达间隔抖动百分位以及相对波特率的字节吞吐量，并据此区分线路噪声和固件停顿
+ */
+
+class LinkStatistics {
+    /**
+     * @param {Object} options - 配置
+     * @param {number} options.windowSeconds - 滚动窗口长度（秒）
+     * @param {number} options.intervalSamples - 每种帧保留的到达间隔样本数
+     * @param {number} options.stallThreshold - 判定为停顿的到达间隔（ms）
+     * @param {Array<number>} options.streamCommands - 周期性数据通知的命令码，只对这些帧统计停顿
+     */
+    constructor(options = {}) {
+        this.windowSeconds = options.windowSeconds || 5;
+        this.intervalSamples = options.intervalSamples || 2000;
+        this.stallThreshold = options.stallThreshold || 100;
+        this.streamCommands = options.streamCommands || [];
+
+        // 错误类型，与 SerialManager.traceFrame 的 status 一致
+        this.ERROR_TYPES = ['bad-tail', 'bad-checksum', 'overlong'];
+        // 丢弃原因：overflow=缓冲区溢出, no-header=无帧头, garbage=帧头前的杂散字节, skip=错误帧跳过的帧头字节
+        this.DISCARD_REASONS = ['overflow', 'no-header', 'garbage', 'skip'];
+
+        this.reset();
+    }
+
+    /**
+     * 清空全部统计
+     */
+    reset() {
+        this.startTime = performance.now();
+        this.lastByteTime = 0;
+        this.lastFrameTime = 0;
+
+        // 每秒一个桶的环形数组，桶内为该秒的计数
+        this.buckets = [];
+        for (let i = 0; i < this.windowSeconds + 1; i++) {
+            this.buckets.push(this.createBucket(-1));
+        }
+
+        // 累计计数（连接以来）
+        this.totals = this.createBucket(0);
+
+        // 每种帧的到达间隔环形缓冲区：cmd -> { values, count, next, lastTime }
+        this.intervals = new Map();
+    }
+
+    /**
+     * 创建一个计数桶
+     * @param {number} second - 桶对应的秒序号
+     * @returns {Object} 计数桶
+     */
+    createBucket(second) {
+        const errors = {};
+        this.ERROR_TYPES.forEach(type => { errors[type] = 0; });
+        const discarded = {};
+        this.DISCARD_REASONS.forEach(reason => { discarded[reason] = 0; });
+        return {
+            second: second,
+            rxBytes: 0,
+            txBytes: 0,
+            frames: {},    // cmd -> 帧数
+            errors: errors,
+            discarded: discarded,
+            stalls: 0
+        };
+    }
+
+    /**
+     * 获取当前时间对应的计数桶（必要时复用过期的桶）
+     * @param {number} now - performance.now() 时间
+     * @returns {Object} 计数桶
+     */
+    getBucket(now) {
+        const second = Math.floor((now - this.startTime) / 1000);
+        const index = second % this.buckets.length;
+        if (this.buckets[index].second !== second) {
+            this.buckets[index] = this.createBucket(second);
+        }
+        return this.buckets[index];
+    }
+
+    /**
+     * 记录收到的字节
+     * @param {number} count - 字节数
+     * @param {number} now - 时间（ms，performance.now()）
+     */
+    recordBytes(count, now = performance.now()) {
+        this.getBucket(now).rxBytes += count;
+        this.totals.rxBytes += count;
+        this.lastByteTime = now;
+    }
+
+    /**
+     * 记录发送的字节
+     * @param {number} count - 字节数
+     * @param {number} now - 时间（ms）
+     */
+    recordTxBytes(count, now = performance.now()) {
+        this.getBucket(now).txBytes += count;
+        this.totals.txBytes += count;
+    }
+
+    /**
+     * 记录一帧校验通过的数据帧，并更新该类型的到达间隔
+     * @param {number} cmd - 命令码
+     * @param {number} now - 时间（ms）
+     */
+    recordFrame(cmd, now = performance.now()) {
+        const bucket = this.getBucket(now);
+        bucket.frames[cmd] = (bucket.frames[cmd] || 0) + 1;
+        this.totals.frames[cmd] = (this.totals.frames[cmd] || 0) + 1;
+        this.lastFrameTime = now;
+
+        let track = this.intervals.get(cmd);
+        if (!track) {
+            track = { values: new Float64Array(this.intervalSamples), count: 0, next: 0, lastTime: 0 };
+            this.intervals.set(cmd, track);
+        }
+        if (track.lastTime > 0) {
+            const interval = now - track.lastTime;
+            track.values[track.next] = interval;
+            track.next = (track.next + 1) % this.intervalSamples;
+            track.count = Math.min(track.count + 1, this.intervalSamples);
+            if (interval >= this.stallThreshold && this.streamCommands.includes(cmd)) {
+                bucket.stalls++;
+                this.totals.stalls++;
+            }
+        }
+        track.lastTime = now;
+    }
+
+    /**
+     * 重新开始统计某种帧的到达间隔（数据推送被主动关闭/开启时调用，避免把间隔误判为停顿）
+     * @param {number} cmd - 命令码
+     */
+    resetInterval(cmd) {
+        const track = this.intervals.get(cmd);
+        if (track) {
+            track.lastTime = 0;
+        }
+    }
+
+    /**
+     * 记录一个帧错误
+     * @param {string} type - bad-tail / bad-checksum / overlong
+     * @param {number} now - 时间（ms）
+     */
+    recordError(type, now = performance.now()) {
+        this.getBucket(now).errors[type]++;
+        this.totals.errors[type]++;
+    }
+
+    /**
+     * 记录被丢弃的字节
+     * @param {number} count - 字节数
+     * @param {string} reason - overflow / no-header / garbage / skip
+     * @param {number} now - 时间（ms）
+     */
+    recordDiscard(count, reason, now = performance.now()) {
+        if (count <= 0) {
+            return;
+        }
+        this.getBucket(now).discarded[reason] += count;
+        this.totals.discarded[reason] += count;
+    }
+
+    /**
+     * 计算到达间隔百分位
+     * @param {number} cmd - 命令码
+     * @returns {Object|null} { p50, p95, p99, max, jitter }（ms），样本不足时为null
+     */
+    getIntervalPercentiles(cmd) {
+        const track = this.intervals.get(cmd);
+        if (!track || track.count < 2) {
+            return null;
+        }
+        const sorted = track.values.slice(0, track.count).sort();
+        const pick = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+        const p50 = pick(0.5);
+        return {
+            p50: p50,
+            p95: pick(0.95),
+            p99: pick(0.99),
+            max: sorted[sorted.length - 1],
+            jitter: pick(0.99) - p50
+        };
+    }
+
+    /**
+     * 获取滚动窗口内的统计快照
+     * 窗口不含当前未满的一秒，刚开始统计时按实际经过时间计算
+     * @param {Object} serialConfig - 串口配置（用于计算波特率利用率）
+     * @param {boolean} expectData - 设备是否应当在持续推送数据（为false时不判定无数据停顿）
+     * @param {number} now - 时间（ms）
+     * @returns {Object} 统计快照
+     */
+    getSnapshot(serialConfig = {}, expectData = true, now = performance.now()) {
+        const currentSecond = Math.floor((now - this.startTime) / 1000);
+        const windowed = this.createBucket(currentSecond);
+        this.buckets.forEach(bucket => {
+            if (bucket.second >= currentSecond - this.windowSeconds && bucket.second < currentSecond) {
+                windowed.rxBytes += bucket.rxBytes;
+                windowed.txBytes += bucket.txBytes;
+                Object.entries(bucket.frames).forEach(([cmd, count]) => {
+                    windowed.frames[cmd] = (windowed.frames[cmd] || 0) + count;
+                });
+                this.ERROR_TYPES.forEach(type => { windowed.errors[type] += bucket.errors[type]; });
+                this.DISCARD_REASONS.forEach(reason => { windowed.discarded[reason] += bucket.discarded[reason]; });
+                windowed.stalls += bucket.stalls;
+            }
+        });
+        const seconds = Math.max(1, Math.min(this.windowSeconds, currentSecond));
+
+        const frameRates = {};
+        Object.entries(windowed.frames).forEach(([cmd, count]) => {
+            frameRates[cmd] = count / seconds;
+        });
+        const intervals = {};
+        this.intervals.forEach((track, cmd) => {
+            const percentiles = this.getIntervalPercentiles(cmd);
+            if (percentiles) {
+                intervals[cmd] = percentiles;
+            }
+        });
+
+        // 每字节线路位数：起始位 + 数据位 + 校验位 + 停止位
+        const bitsPerByte = 1 + (serialConfig.dataBits || 8) +
+            (serialConfig.parity && serialConfig.parity !== 'none' ? 1 : 0) + (serialConfig.stopBits || 1);
+        const rxBytesPerSecond = windowed.rxBytes / seconds;
+        const capacity = serialConfig.baudRate ? serialConfig.baudRate / bitsPerByte : 0;
+
+        const sum = values => Object.values(values).reduce((a, b) => a + b, 0);
+        const snapshot = {
+            windowSeconds: seconds,
+            frameRates: frameRates,
+            intervals: intervals,
+            rxBytesPerSecond: rxBytesPerSecond,
+            txBytesPerSecond: windowed.txBytes / seconds,
+            utilization: capacity > 0 ? rxBytesPerSecond / capacity : 0,
+            errors: windowed.errors,
+            discarded: windowed.discarded,
+            stalls: windowed.stalls,
+            errorCount: sum(windowed.errors),
+            discardedBytes: sum(windowed.discarded),
+            totals: {
+                rxBytes: this.totals.rxBytes,
+                txBytes: this.totals.txBytes,
+                frames: { ...this.totals.frames },
+                errors: { ...this.totals.errors },
+                discarded: { ...this.totals.discarded },
+                errorCount: sum(this.totals.errors),
+                discardedBytes: sum(this.totals.discarded),
+                stalls: this.totals.stalls
+            },
+            byteAge: this.lastByteTime > 0 ? now - this.lastByteTime : null,
+            frameAge: this.lastFrameTime > 0 ? now - this.lastFrameTime : null,
+            expectData: expectData
+        };
+        snapshot.diagnosis = this.diagnose(snapshot);
+        return snapshot;
+    }
+
+    /**
+     * 根据统计快照判断链路状态
+     * 线路噪声表现为字节仍在到达但出现校验/帧尾错误和丢弃字节；
+     * 固件停顿表现为长时间没有字节到达，或到达间隔异常但没有任何错误
+     * @param {Object} snapshot - 统计快照
+     * @returns {{level: string, text: string}} level 为 ok / warning / error
+     */
+    diagnose(snapshot) {
+        if (snapshot.frameAge === null) {
+            return { level: 'ok', text: '等待数据' };
+        }
+        if (snapshot.expectData && snapshot.byteAge !== null && snapshot.byteAge >= this.stallThreshold * 5) {
+            return { level: 'error', text: `固件停顿: ${(snapshot.byteAge / 1000).toFixed(1)} 秒未收到任何字节` };
+        }
+        if (snapshot.errorCount > 0 || snapshot.discardedBytes > 0) {
+            return {
+                level: snapshot.errorCount > 10 ? 'error' : 'warning',
+                text: `线路噪声: ${snapshot.errorCount} 个错误帧, 丢弃 ${snapshot.discardedBytes} 字节`
+            };
+        }
+        if (snapshot.stalls > 0) {
+            return { level: 'warning', text: `固件停顿: ${snapshot.stalls} 次超过 ${this.stallThreshold} ms 的数据间隔, 无校验错误` };
+        }
+        if (snapshot.utilization > 0.9) {
+            return { level: 'warning', text: `带宽接近上限: 波特率利用率 ${(snapshot.utilization * 100).toFixed(0)}%` };
+        }
+        return { level: 'ok', text: '链路正常' };
+    }
+}
+
+// 导出LinkStatistics类
+if (typeof window !== 'undefined') {
+    window.LinkStatistics = LinkStatistics;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LinkStatistics };
+}
@@ -0,0 +1,958 @@
+/**
+ * @file 宏命令模块
+ * @description 按顺序执行一组 SerialManager 命令，支持等待、对应答的条件判断和循环，
+ *              用于把调试和质检清单中的大量手动点击变成可保存、可分享的脚本。
+ *
+ * 宏可以写成JSON或每行一条语句的简单脚本（# 开头为注释）：
+ *   enable sensor                 执行命令（命令名见 MacroRunner.COMMANDS，前加 try 表示失败后继续）
+ *   anchor start right 1 2        带参数的命令：手侧 right/left，随后为手指序号
+ *   wait 2s / wait 500ms          等待
+ *   expect sensorSend = true      检查上一条命令的应答（状态查询时为各状态字段），不满足时停止
+ *   if canEnabled = false ... else ... end
+ *   repeat 3 ... end / repeat 10 until quickCalibrating = false ... end
+ *   log 文本                      输出日志
+ * 条件支持 = != > < >= <=，多个条件用 and 连接
+ */
+
+class MacroRunner {
+    constructor() {
+        // 宏命令名 -> SerialManager 方法
+        this.COMMANDS = {
+            'enable': { method: 'enable', label: '启用数据帧' },
+            'disable': { method: 'disable', label: '禁用数据帧' },
+            'status': { method: 'getStatus', label: '查询状态' },
+            'quick start': { method: 'startQuickCalibration', label: '开始快速校准' },
+            'quick finish': { method: 'finishQuickCalibration', label: '完成快速校准' },
+            'anchor start': { method: 'startAnchorCalibration', label: '开始锚定点校准', args: 'anchor' },
+            'anchor record': { method: 'recordAnchorPoint', label: '记录锚定点' },
+            'anchor apply': { method: 'applyAnchorCalibration', label: '应用锚定点参数' },
+            'calibration save': { method: 'saveCalibration', label: '保存校准' },
+            'calibration load': { method: 'loadCalibration', label: '加载校准' },
+            'calibration clear': { method: 'clearCalibration', label: '清除校准' },
+            'calibration reset': { method: 'resetCalibration', label: '重置校准' },
+            'enable can': { method: 'enableCAN', label: '启用CAN' },
+            'disable can': { method: 'disableCAN', label: '禁用CAN' },
+            'enable sensor': { method: 'enableSensor', label: '启用传感器发送' },
+            'disable sensor': { method: 'disableSensor', label: '禁用传感器发送' },
+            'enable mapping': { method: 'enableMapping', label: '启用映射发送' },
+            'disable mapping': { method: 'disableMapping', label: '禁用映射发送' }
+        };
+        this.ALIASES = {
+            'query status': 'status'
+        };
+        this.OPERATORS = ['!=', '>=', '<=', '=', '>', '<'];
+        this.MAX_WAIT = 10 * 60 * 1000;
+        this.MAX_REPEAT = 10000;
+
+        this.status = 'idle'; // idle / running / done / failed / aborted
+        this.message = '';
+        this.macro = null;
+        this.stepStates = new Map(); // 步骤ID -> { state: pending/running/done/failed/skipped, detail }
+        this.lastResult = null;
+        this.waitTimer = null;
+        this.wakeUp = null;
+
+        this.updateCallback = null;
+        this.logCallback = null;
+        this.commandCallback = null;
+    }
+
+    /**
+     * 设置状态更新回调函数
+     * @param {Function} callback - 回调函数 (runner) => void
+     */
+    setUpdateCallback(callback) {
+        this.updateCallback = callback;
+    }
+
+    /**
+     * 设置日志回调函数
+     * @param {Function} callback - 回调函数 (message, type) => void
+     */
+    setLogCallback(callback) {
+        this.logCallback = callback;
+    }
+
+    /**
+     * 设置命令成功回调函数（用于同步界面上的设备状态）
+     * @param {Function} callback - 回调函数 (command, result) => void
+     */
+    setCommandCallback(callback) {
+        this.commandCallback = callback;
+    }
+
+    /**
+     * 是否正在运行
+     * @returns {boolean} 是否正在运行
+     */
+    isRunning() {
+        return this.status === 'running';
+    }
+
+    /**
+     * 解析宏文本（以 { 开头的按JSON解析，否则按脚本解析）
+     * @param {string} text - 宏文本
+     * @param {string} name - 宏名称（JSON中未指定名称时使用）
+     * @returns {Object} 宏 { name, steps }，每个步骤带有唯一的 id
+     */
+    parse(text, name = '') {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new Error('宏内容为空');
+        }
+        let steps;
+        if (trimmed.startsWith('{')) {
+            let json;
+            try {
+                json = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error('宏不是有效的JSON: ' + error.message);
+            }
+            if (!Array.isArray(json.steps)) {
+                throw new Error('JSON宏缺少 steps 数组');
+            }
+            name = json.name || name;
+            steps = this.parseJSONSteps(json.steps, 'steps');
+        } else {
+            steps = this.parseScript(trimmed);
+        }
+        if (steps.length === 0) {
+            throw new Error('宏没有任何步骤');
+        }
+
+        const macro = { name: name, steps: steps };
+        let nextId = 0;
+        this.forEachStep(macro.steps, step => {
+            step.id = nextId++;
+        });
+        return macro;
+    }
+
+    /**
+     * 解析JSON步骤
+     * @param {Array<Object>} items - 步骤
+     * @param {string} path - 在JSON中的位置（用于错误提示）
+     * @returns {Array<Object>} 步骤
+     */
+    parseJSONSteps(items, path) {
+        return items.map((item, i) => {
+            const where = `${path}[${i}]`;
+            if (!item || typeof item !== 'object') {
+                throw new Error(`${where}: 步骤必须是对象`);
+            }
+            if (item.command !== undefined) {
+                const step = this.createCommandStep(String(item.command).trim().toLowerCase(), where);
+                step.args = this.parseArgs(step.command, Array.isArray(item.args) ? item.args.map(String) : [], where);
+                step.continueOnError = item.continueOnError === true;
+                if (item.expect !== undefined) {
+                    step.expect = this.parseJSONConditions(item.expect, where);
+                }
+                return step;
+            }
+            if (item.wait !== undefined) {
+                return { type: 'wait', ms: this.parseDuration(String(item.wait), where) };
+            }
+            if (item.expect !== undefined) {
+                return { type: 'expect', conditions: this.parseJSONConditions(item.expect, where) };
+            }
+            if (item.if !== undefined) {
+                return {
+                    type: 'if',
+                    conditions: this.parseJSONConditions(item.if, where),
+                    steps: this.parseJSONSteps(item.steps || [], `${where}.steps`),
+                    elseSteps: this.parseJSONSteps(item.else || [], `${where}.else`)
+                };
+            }
+            if (item.repeat !== undefined) {
+                return {
+                    type: 'repeat',
+                    count: this.parseCount(String(item.repeat), where),
+                    until: item.until !== undefined ? this.parseJSONConditions(item.until, where) : null,
+                    steps: this.parseJSONSteps(item.steps || [], `${where}.steps`)
+                };
+            }
+            if (item.log !== undefined) {
+                return { type: 'log', message: String(item.log) };
+            }
+            throw new Error(`${where}: 未知的步骤，应包含 command/wait/expect/if/repeat/log 之一`);
+        });
+    }
+
+    /**
+     * 解析JSON条件：{ 字段: 值 } 表示相等，或 [{ field, op, value }]
+     * @param {Object|Array} conditions - 条件
+     * @param {string} where - 位置
+     * @returns {Array<Object>} 条件 { field, op, value }
+     */
+    parseJSONConditions(conditions, where) {
+        if (Array.isArray(conditions)) {
+            return conditions.map(condition => {
+                if (!condition || typeof condition.field !== 'string' || !this.OPERATORS.includes(condition.op || '=')) {
+                    throw new Error(`${where}: 条件应为 { field, op, value }`);
+                }
+                return { field: condition.field, op: condition.op || '=', value: condition.value };
+            });
+        }
+        if (conditions && typeof conditions === 'object') {
+            return Object.entries(conditions).map(([field, value]) => ({ field: field, op: '=', value: value }));
+        }
+        throw new Error(`${where}: 条件应为对象或数组`);
+    }
+
+    /**
+     * 解析脚本
+     * @param {string} text - 脚本文本
+     * @returns {Array<Object>} 步骤
+     */
+    parseScript(text) {
+        const root = { steps: [] };
+        const stack = [{ block: root, target: root.steps, line: 0 }];
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            const line = rawLine.replace(/#.*$/, '').trim();
+            if (!line) {
+                return;
+            }
+            const where = `第${lineNumber}行`;
+            const [keyword, ...rest] = line.split(/\s+/);
+            const argument = line.slice(keyword.length).trim();
+            const top = stack[stack.length - 1];
+
+            switch (keyword.toLowerCase()) {
+                case 'wait':
+                    top.target.push({ type: 'wait', ms: this.parseDuration(argument, where), line: lineNumber });
+                    break;
+                case 'expect':
+                    top.target.push({ type: 'expect', conditions: this.parseConditions(argument, where), line: lineNumber });
+                    break;
+                case 'log':
+                    top.target.push({ type: 'log', message: argument, line: lineNumber });
+                    break;
+                case 'if': {
+                    const step = { type: 'if', conditions: this.parseConditions(argument, where), steps: [], elseSteps: [], line: lineNumber };
+                    top.target.push(step);
+                    stack.push({ block: step, target: step.steps, line: lineNumber });
+                    break;
+                }
+                case 'else':
+                    if (top.block.type !== 'if' || top.target === top.block.elseSteps) {
+                        throw new Error(`${where}: else 没有对应的 if`);
+                    }
+                    top.target = top.block.elseSteps;
+                    break;
+                case 'repeat': {
+                    const match = argument.match(/^(\d+)(?:\s+until\s+(.+))?$/i);
+                    if (!match) {
+                        throw new Error(`${where}: repeat 的格式为 “repeat 次数 [until 条件]”`);
+                    }
+                    const step = {
+                        type: 'repeat',
+                        count: this.parseCount(match[1], where),
+                        until: match[2] ? this.parseConditions(match[2], where) : null,
+                        steps: [],
+                        line: lineNumber
+                    };
+                    top.target.push(step);
+                    stack.push({ block: step, target: step.steps, line: lineNumber });
+                    break;
+                }
+                case 'end':
+                    if (stack.length === 1) {
+                        throw new Error(`${where}: end 没有对应的 if/repeat`);
+                    }
+                    stack.pop();
+                    break;
+                default: {
+                    let words = [keyword, ...rest].map(word => word.toLowerCase());
+                    let continueOnError = false;
+                    if (words[0] === 'try') {
+                        continueOnError = true;
+                        words = words.slice(1);
+                    }
+                    const { command, args } = this.matchCommand(words, where);
+                    const step = this.createCommandStep(command, where);
+                    step.args = this.parseArgs(command, args, where);
+                    step.continueOnError = continueOnError;
+                    step.line = lineNumber;
+                    top.target.push(step);
+                }
+            }
+        });
+
+        if (stack.length > 1) {
+            const open = stack[stack.length - 1];
+            throw new Error(`第${open.line}行的 ${open.block.type} 缺少 end`);
+        }
+        return root.steps;
+    }
+
+    /**
+     * 按最长前缀匹配命令名，剩余的词作为参数
+     * @param {Array<string>} words - 小写的词
+     * @param {string} where - 位置
+     * @returns {Object} { command, args }
+     */
+    matchCommand(words, where) {
+        for (let length = Math.min(words.length, 3); length > 0; length--) {
+            const name = words.slice(0, length).join(' ');
+            const command = this.ALIASES[name] || name;
+            if (this.COMMANDS[command]) {
+                return { command: command, args: words.slice(length) };
+            }
+        }
+        throw new Error(`${where}: 未知的命令 “${words.join(' ')}”`);
+    }
+
+    /**
+     * 新建命令步骤
+     * @param {string} command - 命令名
+     * @param {string} where - 位置
+     * @returns {Object} 步骤
+     */
+    createCommandStep(command, where) {
+        const name = this.ALIASES[command] || command;
+        if (!this.COMMANDS[name]) {
+            throw new Error(`${where}: 未知的命令 “${command}”`);
+        }
+        return { type: 'command', command: name, args: [], continueOnError: false, expect: null };
+    }
+
+    /**
+     * 解析命令参数
+     * @param {string} command - 命令名
+     * @param {Array<string>} args - 参数
+     * @param {string} where - 位置
+     * @returns {Array} 传给 SerialManager 方法的参数
+     */
+    parseArgs(command, args, where) {
+        if (this.COMMANDS[command].args !== 'anchor') {
+            if (args.length > 0) {
+                throw new Error(`${where}: 命令 “${command}” 不需要参数`);
+            }
+            return [];
+        }
+        // anchor start <right|left|0|1> <手指...>
+        const hands = { right: 0, left: 1, '0': 0, '1': 1 };
+        if (args.length < 2 || !(args[0] in hands)) {
+            throw new Error(`${where}: anchor start 的格式为 “anchor start right|left 手指序号...”（1=食指 ... 4=小指）`);
+        }
+        const fingers = args.slice(1).map(value => parseInt(value));
+        if (fingers.some(finger => !(finger >= 1 && finger <= 4))) {
+            throw new Error(`${where}: 手指序号应为1-4`);
+        }
+        return [hands[args[0]], fingers];
+    }
+
+    /**
+     * 解析等待时长：2s / 500ms / 1.5 s / 纯数字（毫秒）
+     * @param {string} text - 时长文本
+     * @param {string} where - 位置
+     * @returns {number} 毫秒
+     */
+    parseDuration(text, where) {
+        const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+        if (!match) {
+            throw new Error(`${where}: 无效的等待时长 “${text}”，例如 2s 或 500ms`);
+        }
+        const ms = (match[2] || 'ms').toLowerCase() === 's' ? parseFloat(match[1]) * 1000 : parseFloat(match[1]);
+        if (ms > this.MAX_WAIT) {
+            throw new Error(`${where}: 等待时长不能超过 ${this.MAX_WAIT / 1000} 秒`);
+        }
+        return Math.round(ms);
+    }
+
+    /**
+     * 解析循环次数
+     * @param {string} text - 次数文本
+     * @param {string} where - 位置
+     * @returns {number} 次数
+     */
+    parseCount(text, where) {
+        const count = parseInt(text);
+        if (!(count >= 1 && count <= this.MAX_REPEAT)) {
+            throw new Error(`${where}: 循环次数应为1-${this.MAX_REPEAT}`);
+        }
+        return count;
+    }
+
+    /**
+     * 解析脚本中的条件：字段 运算符 值 [and ...]
+     * @param {string} text - 条件文本
+     * @param {string} where - 位置
+     * @returns {Array<Object>} 条件 { field, op, value }
+     */
+    parseConditions(text, where) {
+        if (!text) {
+            throw new Error(`${where}: 缺少条件`);
+        }
+        return this.splitConditions(text, where).map(part => {
+            const match = part.trim().match(/^([\w.]+)\s*(!=|>=|<=|=|>|<)\s*(.+)$/);
+            if (!match) {
+                throw new Error(`${where}: 无效的条件 “${part}”，例如 sensorSend = true`);
+            }
+            return { field: match[1], op: match[2], value: this.parseValue(match[3].trim()) };
+        });
+    }
+
+    /**
+     * 按 and 或逗号拆分条件，引号中的 and 和逗号属于值的一部分
+     * @param {string} text - 条件文本
+     * @param {string} where - 位置
+     * @returns {Array<string>} 各条件的文本
+     */
+    splitConditions(text, where) {
+        const separator = /\s+and\s+|\s*,\s*/iy;
+        const parts = [];
+        let start = 0;
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                }
+                continue;
+            }
+            if (char === '"' || char === "'") {
+                quote = char;
+                continue;
+            }
+            separator.lastIndex = i;
+            const match = separator.exec(text);
+            if (match) {
+                parts.push(text.slice(start, i));
+                start = i + match[0].length;
+                i = start - 1;
+            }
+        }
+        if (quote) {
+            throw new Error(`${where}: 条件中的引号不成对`);
+        }
+        parts.push(text.slice(start));
+        return parts;
+    }
+
+    /**
+     * 解析条件中的值
+     * @param {string} text - 值文本
+     * @returns {*} true/false/数字/字符串
+     */
+    parseValue(text) {
+        if (text === 'true' || text === 'false') {
+            return text === 'true';
+        }
+        if (/^0x[0-9a-f]+$/i.test(text)) {
+            return parseInt(text, 16);
+        }
+        if (/^-?\d+(\.\d+)?$/.test(text)) {
+            return parseFloat(text);
+        }
+        return text.replace(/^["']|["']$/g, '');
+    }
+
+    /**
+     * 按先序遍历全部步骤（含嵌套步骤）
+     * @param {Array<Object>} steps - 步骤
+     * @param {Function} callback - (step, depth) => void
+     * @param {number} depth - 嵌套深度
+     */
+    forEachStep(steps, callback, depth = 0) {
+        steps.forEach(step => {
+            callback(step, depth);
+            if (step.steps) {
+                this.forEachStep(step.steps, callback, depth + 1);
+            }
+            if (step.elseSteps) {
+                this.forEachStep(step.elseSteps, callback, depth + 1);
+            }
+        });
+    }
+
+    /**
+     * 获取步骤的显示文本
+     * @param {Object} step - 步骤
+     * @returns {string} 显示文本
+     */
+    describeStep(step) {
+        const conditions = list => list.map(c => `${c.field} ${c.op} ${c.value}`).join(' and ');
+        switch (step.type) {
+            case 'command': {
+                const args = step.command === 'anchor start'
+                    ? ` ${step.args[0] === 0 ? '右手' : '左手'} 手指${step.args[1].join(',')}`
+                    : '';
+                const expect = step.expect ? `，期望 ${conditions(step.expect)}` : '';
+                return `${step.continueOnError ? '[可失败] ' : ''}${this.COMMANDS[step.command].label}${args}${expect}`;
+            }
+            case 'wait':
+                return `等待 ${step.ms >= 1000 ? `${step.ms / 1000} 秒` : `${step.ms} ms`}`;
+            case 'expect':
+                return `检查 ${conditions(step.conditions)}`;
+            case 'if':
+                return `如果 ${conditions(step.conditions)}`;
+            case 'repeat':
+                return `重复 ${step.count} 次${step.until ? `，直到 ${conditions(step.until)}` : ''}`;
+            case 'log':
+                return `日志: ${step.message}`;
+            default:
+                return step.type;
+        }
+    }
+
+    /**
+     * 运行宏
+     * @param {Object} macro - 已解析的宏
+     * @param {SerialManager} serialManager - 执行命令的串口管理器
+     * @returns {Promise<string>} 结束状态 done / failed / aborted
+     */
+    async run(macro, serialManager) {
+        if (this.isRunning()) {
+            throw new Error('已有宏正在运行');
+        }
+        this.macro = macro;
+        this.stepStates = new Map();
+        this.forEachStep(macro.steps, step => this.stepStates.set(step.id, { state: 'pending', detail: '' }));
+        this.lastResult = null;
+        this.status = 'running';
+        this.message = '';
+        this.notify();
+
+        try {
+            await this.runSteps(macro.steps, serialManager);
+            // 最后一个步骤执行期间中止时步骤正常结束，仍按中止处理
+            if (this.status === 'aborted') {
+                this.message = '宏已中止';
+            } else {
+                this.status = 'done';
+                this.message = '宏执行完成';
+            }
+        } catch (error) {
+            if (this.status === 'aborted') {
+                this.message = '宏已中止';
+            } else {
+                this.status = 'failed';
+                this.message = error.message;
+            }
+        }
+        this.notify();
+        return this.status;
+    }
+
+    /**
+     * 中止运行：正在等待时立即结束，正在执行的命令完成后停止
+     */
+    abort() {
+        if (!this.isRunning()) {
+            return;
+        }
+        this.status = 'aborted';
+        if (this.wakeUp) {
+            this.wakeUp();
+        }
+    }
+
+    /**
+     * 依次运行步骤
+     * @param {Array<Object>} steps - 步骤
+     * @param {SerialManager} serialManager - 串口管理器
+     */
+    async runSteps(steps, serialManager) {
+        for (const step of steps) {
+            if (this.status === 'aborted') {
+                throw new Error('宏已中止');
+            }
+            await this.runStep(step, serialManager);
+        }
+    }
+
+    /**
+     * 运行单个步骤
+     * @param {Object} step - 步骤
+     * @param {SerialManager} serialManager - 串口管理器
+     */
+    async runStep(step, serialManager) {
+        this.setStepState(step, 'running');
+        switch (step.type) {
+            case 'command':
+                await this.runCommand(step, serialManager);
+                return;
+            case 'wait':
+                await this.sleep(step.ms);
+                this.setStepState(step, 'done');
+                return;
+            case 'expect': {
+                const problem = this.checkConditions(step.conditions);
+                if (problem) {
+                    this.setStepState(step, 'failed', problem);
+                    throw new Error(`检查未通过: ${problem}`);
+                }
+                this.setStepState(step, 'done');
+                return;
+            }
+            case 'if': {
+                const matched = this.checkConditions(step.conditions) === null;
+                this.setStepState(step, 'done', matched ? '条件成立' : '条件不成立');
+                this.skipSteps(matched ? step.elseSteps : step.steps);
+                await this.runSteps(matched ? step.steps : step.elseSteps, serialManager);
+                return;
+            }
+            case 'repeat':
+                await this.runRepeat(step, serialManager);
+                return;
+            case 'log':
+                this.log(step.message, 'info');
+                this.setStepState(step, 'done');
+                return;
+        }
+    }
+
+    /**
+     * 执行命令步骤
+     * @param {Object} step - 命令步骤
+     * @param {SerialManager} serialManager - 串口管理器
+     */
+    async runCommand(step, serialManager) {
+        const definition = this.COMMANDS[step.command];
+        try {
+            const result = await serialManager[definition.method](...step.args);
+            // enable() 以返回 false 表示发送失败
+            if (result === false) {
+                throw new Error('命令发送失败');
+            }
+            this.lastResult = result;
+            if (this.commandCallback) {
+                this.commandCallback(step.command, result);
+            }
+        } catch (error) {
+            if (step.continueOnError && this.status !== 'aborted') {
+                this.lastResult = null;
+                this.setStepState(step, 'failed', error.message);
+                this.log(`${definition.label} 失败（继续执行）: ${error.message}`, 'warning');
+                return;
+            }
+            this.setStepState(step, 'failed', error.message);
+            throw new Error(`${definition.label} 失败: ${error.message}`);
+        }
+
+        if (step.expect) {
+            const problem = this.checkConditions(step.expect);
+            if (problem) {
+                this.setStepState(step, 'failed', problem);
+                throw new Error(`${definition.label} 的应答不符合期望: ${problem}`);
+            }
+        }
+        this.setStepState(step, 'done', this.summarizeResult(this.lastResult));
+    }
+
+    /**
+     * 执行循环步骤
+     * @param {Object} step - 循环步骤
+     * @param {SerialManager} serialManager - 串口管理器
+     */
+    async runRepeat(step, serialManager) {
+        for (let i = 0; i < step.count; i++) {
+            this.setStepState(step, 'running', `第 ${i + 1}/${step.count} 次`);
+            this.forEachStep(step.steps, nested => this.stepStates.set(nested.id, { state: 'pending', detail: '' }));
+            await this.runSteps(step.steps, serialManager);
+            if (step.until && this.checkConditions(step.until) === null) {
+                this.setStepState(step, 'done', `第 ${i + 1} 次满足条件`);
+                return;
+            }
+        }
+        if (step.until) {
+            const problem = this.checkConditions(step.until);
+            this.setStepState(step, 'failed', `${step.count} 次后仍不满足: ${problem}`);
+            throw new Error(`循环 ${step.count} 次后条件仍不满足: ${problem}`);
+        }
+        this.setStepState(step, 'done', `共 ${step.count} 次`);
+    }
+
+    /**
+     * 把未执行的分支标记为跳过
+     * @param {Array<Object>} steps - 步骤
+     */
+    skipSteps(steps) {
+        this.forEachStep(steps, step => this.stepStates.set(step.id, { state: 'skipped', detail: '' }));
+        this.notify();
+    }
+
+    /**
+     * 检查上一条命令的应答是否满足全部条件
+     * @param {Array<Object>} conditions - 条件
+     * @returns {string|null} 第一个不满足的条件描述，全部满足时为null
+     */
+    checkConditions(conditions) {
+        for (const condition of conditions) {
+            const actual = this.getField(this.lastResult, condition.field);
+            if (!this.compare(actual, condition.op, condition.value)) {
+                return `${condition.field} ${condition.op} ${condition.value}（实际为 ${actual === undefined ? '无' : JSON.stringify(actual)}）`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 读取应答字段，支持 data.0 这样的路径
+     * @param {*} result - 应答
+     * @param {string} path - 字段路径
+     * @returns {*} 字段值
+     */
+    getField(result, path) {
+        return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), result);
+    }
+
+    /**
+     * 比较
+     * @param {*} actual - 实际值
+     * @param {string} op - 运算符
+     * @param {*} expected - 期望值
+     * @returns {boolean} 是否满足
+     */
+    compare(actual, op, expected) {
+        switch (op) {
+            case '=':
+                return actual === expected;
+            case '!=':
+                return actual !== expected;
+            case '>':
+                return actual > expected;
+            case '<':
+                return actual < expected;
+            case '>=':
+                return actual >= expected;
+            case '<=':
+                return actual <= expected;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * 概括命令应答用于进度显示
+     * @param {*} result - 应答
+     * @returns {string} 概括
+     */
+    summarizeResult(result) {
+        if (result && typeof result === 'object' && 'sensorSend' in result) {
+            return ['quickCalibrating', 'anchorCalibrating', 'frameMode', 'canEnabled', 'sensorSend']
+                .map(key => `${key}=${result[key]}`).join(' ');
+        }
+        return 'OK';
+    }
+
+    /**
+     * 可被中止打断的等待
+     * @param {number} ms - 毫秒
+     */
+    sleep(ms) {
+        return new Promise(resolve => {
+            this.wakeUp = () => {
+                clearTimeout(this.waitTimer);
+                this.waitTimer = null;
+                this.wakeUp = null;
+                resolve();
+            };
+            this.waitTimer = setTimeout(this.wakeUp, ms);
+        });
+    }
+
+    /**
+     * 设置步骤状态并通知
+     * @param {Object} step - 步骤
+     * @param {string} state - 状态
+     * @param {string} detail - 说明
+     */
+    setStepState(step, state, detail = '') {
+        this.stepStates.set(step.id, { state: state, detail: detail });
+        this.notify();
+    }
+
+    /**
+     * 输出日志
+     * @param {string} message - 日志内容
+     * @param {string} type - 日志类型
+     */
+    log(message, type) {
+        if (this.logCallback) {
+            this.logCallback(message, type);
+        }
+    }
+
+    /**
+     * 通知状态更新
+     */
+    notify() {
+        if (this.updateCallback) {
+            this.updateCallback(this);
+        }
+    }
+}
+
+/**
+ * 宏库：保存在本地存储中的命名宏（保存原文，便于编辑和分享）
+ */
+class MacroLibrary {
+    /**
+     * @param {Object} options - 配置
+     * @param {string} options.storageKey - 本地存储键名
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'macros';
+        this.macros = [];
+    }
+
+    /**
+     * 内置示例宏（宏库为空时提供）
+     * @returns {Array<Object>} 宏 { name, source }
+     */
+    getExamples() {
+        return [
+            {
+                name: '上电检查',
+                source: [
+                    '# 切换到原始传感器数据并确认设备状态',
+                    'disable mapping',
+                    'enable sensor',
+                    'wait 2s',
+                    'status',
+                    'expect sensorSend = true',
+                    'enable can'
+                ].join('\n')
+            },
+            {
+                name: '快速校准',
+                source: [
+                    'log 请缓慢握拳并张开，重复2-3次',
+                    'quick start',
+                    'wait 8s',
+                    'quick finish',
+                    'repeat 5 until quickCalibrating = false',
+                    '  wait 500ms',
+                    '  status',
+                    'end',
+                    'calibration save'
+                ].join('\n')
+            }
+        ];
+    }
+
+    /**
+     * 获取宏
+     * @param {string} name - 名称
+     * @returns {Object|undefined} 宏 { name, source }
+     */
+    get(name) {
+        return this.macros.find(macro => macro.name === name);
+    }
+
+    /**
+     * 保存宏（同名覆盖）
+     * @param {string} name - 名称
+     * @param {string} source - 原文
+     */
+    set(name, source) {
+        const existing = this.get(name);
+        if (existing) {
+            existing.source = source;
+        } else {
+            this.macros.push({ name: name, source: source });
+        }
+    }
+
+    /**
+     * 删除宏
+     * @param {string} name - 名称
+     */
+    delete(name) {
+        this.macros = this.macros.filter(macro => macro.name !== name);
+    }
+
+    /**
+     * 保存到本地存储
+     * @returns {boolean} 是否成功
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.macros));
+            return true;
+        } catch (error) {
+            console.error('保存宏失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 从本地存储加载，没有保存过时使用示例宏
+     * @returns {boolean} 是否加载到保存的宏
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) {
+                this.macros = this.getExamples();
+                return false;
+            }
+            const macros = JSON.parse(saved);
+            this.macros = Array.isArray(macros)
+                ? macros.filter(macro => macro && typeof macro.name === 'string' && typeof macro.source === 'string')
+                : [];
+            return true;
+        } catch (error) {
+            console.error('加载宏失败:', error);
+            this.macros = this.getExamples();
+            return false;
+        }
+    }
+
+    /**
+     * 序列化宏为分享文件
+     * @param {Array<Object>} macros - 宏 { name, source }
+     * @returns {string} JSON文本
+     */
+    static serialize(macros) {
+        return JSON.stringify({
+            format: 'exhand-macros',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            macros: macros
+        }, null, 2);
+    }
+
+    /**
+     * 解析分享文件
+     * @param {string} text - JSON文本
+     * @returns {Array<Object>} 宏 { name, source }
+     */
+    static parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('宏文件不是有效的JSON: ' + error.message);
+        }
+        if (!file || file.format !== 'exhand-macros') {
+            throw new Error('不是EXHand宏文件');
+        }
+        if (file.version !== 1) {
+            throw new Error(`不支持的宏文件版本: ${file.version}`);
+        }
+        if (!Array.isArray(file.macros)) {
+            throw new Error('宏文件缺少 macros 数组');
+        }
+        file.macros.forEach((macro, i) => {
+            if (!macro || typeof macro.name !== 'string' || !macro.name || typeof macro.source !== 'string') {
+                throw new Error(`第${i}个宏缺少 name/source`);
+            }
+        });
+        return file.macros;
+    }
+}
+
+// 导出宏命令类
+if (typeof window !== 'undefined') {
+    window.MacroRunner = MacroRunner;
+    window.MacroLibrary = MacroLibrary;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MacroRunner, MacroLibrary };
+}
@@ -0,0 +1,251 @@
+/**
+ * @file 校准配置库模块
+ * @description 按操作者和手侧保存命名的校准配置（主机端校准模型，以及固件开放参数读写后的设备校准参数），
+ *              存放在浏览器本地的 IndexedDB 中；支持JSON导入导出和配置之间的逐项对比，
+ *              便于多人共用的手套在操作者之间快速切换
+ */
+
+class CalibrationProfileStore {
+    /**
+     * @param {Object} options - 配置
+     * @param {string} options.dbName - 数据库名称
+     * @param {string} options.storeName - 对象仓库名称
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'exhand';
+        this.storeName = options.storeName || 'calibrationProfiles';
+        this.DB_VERSION = 1;
+        this.db = null;
+    }
+
+    /**
+     * 打开数据库（首次打开时创建对象仓库）
+     * @returns {Promise<IDBDatabase>} 数据库
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('浏览器不支持IndexedDB'));
+        }
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('operator', 'operator', { unique: false });
+                    store.createIndex('hand', 'hand', { unique: false });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // 其他页面升级数据库时关闭连接，下次使用时重新打开
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(new Error('打开校准配置库失败: ' + (request.error && request.error.message)));
+            request.onblocked = () => reject(new Error('校准配置库被其他页面占用，请关闭其他页面后重试'));
+        });
+    }
+
+    /**
+     * 在对象仓库上执行一次请求
+     * @param {string} mode - readonly / readwrite
+     * @param {Function} action - (store) => IDBRequest
+     * @returns {Promise<*>} 请求结果（写入时在事务完成后返回）
+     */
+    async request(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('事务已中止'));
+        });
+    }
+
+    /**
+     * 列出全部配置（按操作者、名称、手侧排序）
+     * @returns {Promise<Array<Object>>} 配置列表
+     */
+    async list() {
+        const profiles = await this.request('readonly', store => store.getAll());
+        return profiles.sort((a, b) =>
+            a.operator.localeCompare(b.operator) || a.name.localeCompare(b.name) || a.hand - b.hand);
+    }
+
+    /**
+     * 读取配置
+     * @param {string} id - 配置ID
+     * @returns {Promise<Object|undefined>} 配置
+     */
+    async get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    /**
+     * 保存配置（新建或覆盖同ID的配置）
+     * @param {Object} profile - 配置
+     * @returns {Promise<Object>} 保存的配置
+     */
+    async put(profile) {
+        const saved = { ...profile, updatedAt: Date.now() };
+        await this.request('readwrite', store => store.put(saved));
+        return saved;
+    }
+
+    /**
+     * 删除配置
+     * @param {string} id - 配置ID
+     */
+    async delete(id) {
+        await this.request('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 生成配置ID
+     * @returns {string} 配置ID
+     */
+    static createId() {
+        return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * 新建配置
+     * @param {Object} fields - 字段
+     * @param {string} fields.name - 配置名称
+     * @param {string} fields.operator - 操作者
+     * @param {number} fields.hand - 0=右手, 1=左手
+     * @param {Object|null} fields.host - 主机端校准模型
+     * @param {Object|null} fields.device - 设备校准参数
+     * @param {string} fields.note - 备注
+     * @returns {Object} 配置
+     */
+    static create(fields) {
+        const now = Date.now();
+        return {
+            id: CalibrationProfileStore.createId(),
+            name: fields.name,
+            operator: fields.operator || '',
+            hand: fields.hand,
+            note: fields.note || '',
+            host: fields.host ? JSON.parse(JSON.stringify(fields.host)) : null,
+            device: fields.device ? JSON.parse(JSON.stringify(fields.device)) : null,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * 序列化配置为JSON文本
+     * @param {Array<Object>} profiles - 配置列表
+     * @returns {string} JSON文本
+     */
+    static serialize(profiles) {
+        return JSON.stringify({
+            format: 'exhand-calibration-profiles',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            profiles: profiles
+        }, null, 2);
+    }
+
+    /**
+     * 解析并校验导出的JSON文本
+     * @param {string} text - JSON文本
+     * @returns {Array<Object>} 配置列表
+     */
+    static parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('配置文件不是有效的JSON: ' + error.message);
+        }
+
+        if (!file || file.format !== 'exhand-calibration-profiles') {
+            throw new Error('不是EXHand校准配置文件');
+        }
+        if (file.version !== 1) {
+            throw new Error(`不支持的配置文件版本: ${file.version}`);
+        }
+        if (!Array.isArray(file.profiles)) {
+            throw new Error('配置文件缺少 profiles 数组');
+        }
+
+        file.profiles.forEach((profile, i) => {
+            if (!profile || typeof profile.id !== 'string' || typeof profile.name !== 'string' || !profile.name) {
+                throw new Error(`第${i}个配置缺少 id/name`);
+            }
+            if (profile.hand !== 0 && profile.hand !== 1) {
+                throw new Error(`配置“${profile.name}”的手侧无效: ${profile.hand}`);
+            }
+            if (profile.host && (!Array.isArray(profile.host.channels) || profile.host.channels.length !== 15)) {
+                throw new Error(`配置“${profile.name}”的主机端校准模型应包含15个通道`);
+            }
+            profile.operator = typeof profile.operator === 'string' ? profile.operator : '';
+            profile.note = typeof profile.note === 'string' ? profile.note : '';
+            profile.host = profile.host || null;
+            profile.device = profile.device || null;
+        });
+        return file.profiles;
+    }
+
+    /**
+     * 对比两个配置
+     * @param {Object} a - 配置A
+     * @param {Object} b - 配置B
+     * @param {Array<string>} jointNames - 关节名称
+     * @returns {Array<Object>} 不同之处 { label, a, b }
+     */
+    static diff(a, b, jointNames) {
+        const differences = [];
+        const format = value => {
+            if (value === undefined || value === null) {
+                return '--';
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        };
+        const compare = (label, valueA, valueB) => {
+            if (JSON.stringify(valueA) !== JSON.stringify(valueB)) {
+                differences.push({ label: label, a: format(valueA), b: format(valueB) });
+            }
+        };
+
+        compare('操作者', a.operator, b.operator);
+        compare('手侧', a.hand === 0 ? '右手' : '左手', b.hand === 0 ? '右手' : '左手');
+
+        // 主机端校准：逐通道逐参数
+        const paramNames = { min: '最小值', max: '最大值', invert: '反向', curve: '曲线', gamma: 'γ', coupling: '耦合' };
+        if (!a.host || !b.host) {
+            compare('主机端校准', a.host ? '已校准' : null, b.host ? '已校准' : null);
+        } else {
+            jointNames.forEach((name, joint) => {
+                const channelA = a.host.channels[joint] || {};
+                const channelB = b.host.channels[joint] || {};
+                Object.keys(paramNames).forEach(key => {
+                    compare(`${name} ${paramNames[key]}`, channelA[key], channelB[key]);
+                });
+            });
+        }
+
+        // 设备校准参数：格式由固件决定，按顶层字段对比
+        if (!a.device || !b.device) {
+            compare('设备校准参数', a.device ? '已保存' : null, b.device ? '已保存' : null);
+        } else {
+            const keys = new Set([...Object.keys(a.device), ...Object.keys(b.device)]);
+            keys.forEach(key => compare(`设备参数 ${key}`, a.device[key], b.device[key]));
+        }
+
+        return differences;
+    }
+}
+
+// 导出CalibrationProfileStore类
+window.CalibrationProfileStore = CalibrationProfileStore;
@@ -0,0 +1,680 @@
+/**
+ * @file 协议描述模块
+ * @description 用一份声明式的描述定义串口协议：帧格式、结果码、枚举，以及每条命令的命令码、名称、
+ *              请求/应答/数据通知的字段（类型、字节序、取值范围）。SerialManager 的命令常量、数据通知解码、
+ *              命令参数编码、模拟器的应答编码以及界面上的命令名称和选项都由这份描述生成，
+ *              固件协议修订时只需修改描述
+ *
+ * 命令描述：{ key, code, label, since, request, response, notify, stream, field, payload }
+ *   since     - 从哪个协议版本开始提供（默认 1）；旧固件不应答设备信息查询时按版本 1 的命令集处理
+ *
+ * 字段描述：{ name, type, label, enum, min, max, count, countType, minCount, maxCount, optional, endian }
+ *   type      - u8 / i8 / u16 / i16 / u32 / i32 / f32 / bool / char（char 数组解码为字符串）
+ *   count     - 固定个数的数组
+ *   countType - 变长数组，前面带一个该类型的个数（minCount/maxCount 限制个数）
+ *   optional  - 数据不足时省略（只能用于末尾的字段，例如固件可选追加的序列号）
+ *   endian    - 覆盖协议默认字节序（little / big）
+ */
+
+const EXHAND_PROTOCOL = {
+    name: 'EXHand',
+    revision: 3,
+    endian: 'little',
+    frame: {
+        header: 0xAA,
+        tail: 0x55,
+        maxDataLength: 255
+    },
+    results: [
+        { key: 'SUCCESS', code: 0x00, label: '执行成功' },
+        { key: 'FAIL', code: 0x01, label: '执行失败' },
+        { key: 'UNKNOWN_CMD', code: 0xFD, label: '未知命令' },
+        { key: 'NOT_ENABLED', code: 0xFE, label: '未启用' },
+        { key: 'CHECKSUM_ERROR', code: 0xFF, label: '校验和错误' }
+    ],
+    enums: {
+        hand: [
+            { value: 0, label: '右手' },
+            { value: 1, label: '左手' }
+        ],
+        finger: [
+            { value: 1, label: '食指' },
+            { value: 2, label: '中指' },
+            { value: 3, label: '无名指' },
+            { value: 4, label: '小指' }
+        ],
+        protocol: [
+            { value: 0, label: 'L20' },
+            { value: 1, label: 'L10' },
+            { value: 2, label: 'L21' }
+        ]
+    },
+    commands: [
+        // 系统控制命令
+        { key: 'ENABLE', code: 0x01, label: '启用数据帧模式' },
+        { key: 'DISABLE', code: 0x02, label: '禁用数据帧模式' },
+        { key: 'QUICK_START', code: 0x03, label: '开始快速校准' },
+        { key: 'QUICK_FINISH', code: 0x04, label: '完成快速校准' },
+        {
+            key: 'ANCHOR_START', code: 0x05, label: '开始锚定点校准',
+            request: [
+                { name: 'hand', type: 'u8', label: '手侧', enum: 'hand' },
+                { name: 'fingers', type: 'u8', label: '手指', enum: 'finger', countType: 'u8', minCount: 1, maxCount: 4 }
+            ]
+        },
+        { key: 'RECORD', code: 0x06, label: '记录锚定点' },
+        { key: 'APPLY', code: 0x07, label: '应用锚定点' },
+        { key: 'SAVE', code: 0x08, label: '保存校准数据' },
+        { key: 'LOAD', code: 0x09, label: '加载校准数据' },
+        { key: 'CLEAR', code: 0x0A, label: '清除校准数据' },
+        {
+            key: 'STATUS', code: 0x0B, label: '查询状态',
+            response: [
+                { name: 'quickCalibrating', type: 'bool', label: '快速校准' },
+                { name: 'anchorCalibrating', type: 'bool', label: '锚定点' },
+                { name: 'frameMode', type: 'bool', label: '数据帧模式' },
+                { name: 'sensorPrint', type: 'bool', label: '传感器打印' },
+                { name: 'canEnabled', type: 'bool', label: 'CAN控制' },
+                { name: 'sensorSend', type: 'bool', label: '传感器发送' }
+            ]
+        },
+        { key: 'RESET', code: 0x0C, label: '重置校准' },
+        { key: 'CAN_ENABLE', code: 0x0D, label: '启用CAN控制' },
+        { key: 'CAN_DISABLE', code: 0x0E, label: '禁用CAN控制' },
+        { key: 'SENSOR_ENABLE', code: 0x0F, label: '启用传感器数据推送' },
+        { key: 'SENSOR_DISABLE', code: 0x10, label: '禁用传感器数据推送' },
+        { key: 'MAPPING_ENABLE', code: 0x11, label: '启用映射数据推送' },
+        { key: 'MAPPING_DISABLE', code: 0x12, label: '禁用映射数据推送' },
+        {
+            key: 'SET_PROTOCOL', code: 0x13, label: '设置协议',
+            request: [
+                { name: 'protocolId', type: 'u8', label: '协议ID', enum: 'protocol' }
+            ]
+        },
+        {
+            key: 'DEVICE_INFO', code: 0x14, label: '查询设备信息', since: 2,
+            response: [
+                { name: 'protocolRevision', type: 'u8', label: '协议版本' },
+                { name: 'firmware', type: 'u8', label: '固件版本', count: 3 },
+                { name: 'model', type: 'char', label: '型号', countType: 'u8' },
+                { name: 'serialNumber', type: 'char', label: '序列号', countType: 'u8' },
+                { name: 'jointCount', type: 'u8', label: '关节数' },
+                { name: 'protocols', type: 'u8', label: '手部协议', countType: 'u8', enum: 'protocol' },
+                { name: 'commands', type: 'u8', label: '支持的命令', countType: 'u8' }
+            ]
+        },
+
+        // 固件升级：DFU_ENTER 由应用固件处理（应答后重启进入bootloader），其余命令由bootloader处理
+        { key: 'DFU_ENTER', code: 0x30, label: '进入升级模式', since: 3 },
+        {
+            key: 'DFU_START', code: 0x31, label: '开始固件升级', since: 3,
+            request: [
+                { name: 'imageSize', type: 'u32', label: '固件大小', min: 1 },
+                { name: 'imageCrc', type: 'u32', label: '固件CRC32' }
+            ],
+            response: [
+                { name: 'bootloaderVersion', type: 'u8', label: 'bootloader版本' },
+                { name: 'maxChunk', type: 'u8', label: '最大分块', min: 1 },
+                { name: 'resumeOffset', type: 'u32', label: '续传位置' }
+            ]
+        },
+        {
+            key: 'DFU_DATA', code: 0x32, label: '写入固件数据', since: 3,
+            request: [
+                { name: 'offset', type: 'u32', label: '偏移' },
+                { name: 'chunkCrc', type: 'u32', label: '分块CRC32' },
+                { name: 'data', type: 'u8', label: '数据', countType: 'u8', minCount: 1 }
+            ],
+            response: [
+                { name: 'nextOffset', type: 'u32', label: '下一偏移' }
+            ]
+        },
+        {
+            key: 'DFU_VERIFY', code: 0x33, label: '校验固件', since: 3,
+            response: [
+                { name: 'imageCrc', type: 'u32', label: '固件CRC32' }
+            ]
+        },
+        { key: 'DFU_FINISH', code: 0x34, label: '完成固件升级', since: 3 },
+        { key: 'DFU_ABORT', code: 0x35, label: '中止固件升级', since: 3 },
+
+        // 数据通知：stream 为分流统计名称，field 为关节数据对象中保存原始数组的字段
+        {
+            key: 'SENSOR_DATA', code: 0x20, label: '传感器数据通知', notify: true, stream: 'sensor', field: 'sensorData',
+            payload: [
+                { name: 'hand', type: 'u8', label: '手侧', enum: 'hand' },
+                { name: 'values', type: 'u16', label: '传感器值', count: 15 },
+                { name: 'sequence', type: 'u16', label: '序列号', optional: true }
+            ]
+        },
+        {
+            key: 'MAPPING_DATA', code: 0x21, label: '映射数据通知', notify: true, stream: 'mapping', field: 'mappingData',
+            payload: [
+                { name: 'hand', type: 'u8', label: '手侧', enum: 'hand' },
+                { name: 'values', type: 'f32', label: '映射值', count: 15 },
+                { name: 'sequence', type: 'u16', label: '序列号', optional: true }
+            ]
+        }
+    ]
+};
+
+class ProtocolSchema {
+    /**
+     * @param {Object} definition - 协议描述（格式见 EXHAND_PROTOCOL）
+     */
+    constructor(definition = EXHAND_PROTOCOL) {
+        this.definition = definition;
+        this.name = definition.name;
+        this.revision = definition.revision;
+        this.littleEndian = definition.endian !== 'big';
+        this.frame = { ...definition.frame };
+        this.enums = definition.enums || {};
+
+        // 字段类型：DataView 读写方法、字节数和取值范围
+        this.TYPES = {
+            u8: { size: 1, get: 'getUint8', set: 'setUint8', min: 0, max: 0xFF },
+            i8: { size: 1, get: 'getInt8', set: 'setInt8', min: -0x80, max: 0x7F },
+            u16: { size: 2, get: 'getUint16', set: 'setUint16', min: 0, max: 0xFFFF },
+            i16: { size: 2, get: 'getInt16', set: 'setInt16', min: -0x8000, max: 0x7FFF },
+            u32: { size: 4, get: 'getUint32', set: 'setUint32', min: 0, max: 0xFFFFFFFF },
+            i32: { size: 4, get: 'getInt32', set: 'setInt32', min: -0x80000000, max: 0x7FFFFFFF },
+            f32: { size: 4, get: 'getFloat32', set: 'setFloat32', min: -Infinity, max: Infinity, float: true },
+            bool: { size: 1, get: 'getUint8', set: 'setUint8', min: 0, max: 1, boolean: true },
+            char: { size: 1, get: 'getUint8', set: 'setUint8', min: 0, max: 0xFF, text: true }
+        };
+
+        this.commands = new Map();      // 命令码 -> 命令描述
+        this.commandsByKey = new Map(); // 命令键 -> 命令描述
+        definition.commands.forEach(command => {
+            if (this.commands.has(command.code)) {
+                throw new Error(`协议描述中命令码重复: 0x${command.code.toString(16).padStart(2, '0')}`);
+            }
+            [command.request, command.response, command.payload].forEach(fields => fields && this.checkFields(command, fields));
+            this.commands.set(command.code, command);
+            this.commandsByKey.set(command.key, command);
+        });
+        this.results = new Map(definition.results.map(result => [result.code, result]));
+    }
+
+    /**
+     * 检查字段描述（类型、枚举和可选字段的位置），错误的描述在加载时就报错
+     * @param {Object} command - 命令描述
+     * @param {Array<Object>} fields - 字段描述
+     */
+    checkFields(command, fields) {
+        fields.forEach((field, i) => {
+            const where = `协议描述 ${command.key}.${field.name}`;
+            if (!this.TYPES[field.type]) {
+                throw new Error(`${where}: 未知类型 ${field.type}`);
+            }
+            if (field.countType && !this.TYPES[field.countType]) {
+                throw new Error(`${where}: 未知个数类型 ${field.countType}`);
+            }
+            if (field.enum && !this.enums[field.enum]) {
+                throw new Error(`${where}: 未定义的枚举 ${field.enum}`);
+            }
+            if (field.optional && fields.slice(i + 1).some(next => !next.optional)) {
+                throw new Error(`${where}: 可选字段之后不能再有必需字段`);
+            }
+        });
+    }
+
+    /**
+     * 生成命令和结果码常量（CMD_*、RESULT_*，即 SerialManager.COMMANDS）
+     * @returns {Object} 常量名 -> 代码
+     */
+    getConstants() {
+        const constants = {};
+        this.commands.forEach(command => {
+            constants[`CMD_${command.key}`] = command.code;
+        });
+        this.results.forEach(result => {
+            constants[`RESULT_${result.key}`] = result.code;
+        });
+        return constants;
+    }
+
+    /**
+     * 按命令码获取命令描述
+     * @param {number} code - 命令码
+     * @returns {Object|undefined} 命令描述
+     */
+    getCommand(code) {
+        return this.commands.get(code);
+    }
+
+    /**
+     * 按命令键获取命令描述（键不存在时抛出异常）
+     * @param {string} key - 命令键，例如 SET_PROTOCOL
+     * @returns {Object} 命令描述
+     */
+    getCommandByKey(key) {
+        const command = this.commandsByKey.get(key);
+        if (!command) {
+            throw new Error(`协议中没有命令: ${key}`);
+        }
+        return command;
+    }
+
+    /**
+     * 获取全部数据通知的描述
+     * @returns {Array<Object>} 命令描述
+     */
+    getNotifications() {
+        return [...this.commands.values()].filter(command => command.notify);
+    }
+
+    /**
+     * 获取命令名称
+     * @param {number} code - 命令码
+     * @returns {string} 命令名称
+     */
+    getCommandName(code) {
+        const command = this.commands.get(code);
+        return command ? command.label : `未知命令 (0x${code.toString(16).padStart(2, '0')})`;
+    }
+
+    /**
+     * 获取结果码名称
+     * @param {number} code - 结果码
+     * @returns {string} 结果码名称
+     */
+    getResultName(code) {
+        const result = this.results.get(code);
+        return result ? result.label : `错误码0x${code.toString(16).padStart(2, '0')}`;
+    }
+
+    /**
+     * 获取枚举的全部选项
+     * @param {string} name - 枚举名称
+     * @returns {Array<{value: number, label: string}>} 选项
+     */
+    getEnumOptions(name) {
+        return this.enums[name] || [];
+    }
+
+    /**
+     * 获取枚举值的名称
+     * @param {string} name - 枚举名称
+     * @param {number} value - 枚举值
+     * @returns {string} 名称，未定义的值返回“未知”
+     */
+    getEnumLabel(name, value) {
+        const option = this.getEnumOptions(name).find(item => item.value === value);
+        return option ? option.label : '未知';
+    }
+
+    /**
+     * 获取数据通知中的关节数
+     * @returns {number} 关节数
+     */
+    getJointCount() {
+        const notification = this.getNotifications()[0];
+        const values = notification && notification.payload.find(field => field.name === 'values');
+        return values ? values.count : 0;
+    }
+
+    /**
+     * 不应答设备信息查询的旧固件按协议版本1的能力处理
+     * @returns {Object} 设备信息（字段同 DEVICE_INFO 应答，legacy 为 true）
+     */
+    getLegacyDeviceInfo() {
+        return {
+            legacy: true,
+            protocolRevision: 1,
+            firmware: null,
+            model: '',
+            serialNumber: '',
+            jointCount: this.getJointCount(),
+            protocols: this.getEnumOptions('protocol').map(option => option.value),
+            commands: [...this.commands.values()]
+                .filter(command => !command.notify && (command.since || 1) <= 1)
+                .map(command => command.code)
+        };
+    }
+
+    /**
+     * 检查设备与上位机协议的兼容性
+     * @param {Object} info - 设备信息
+     * @returns {Array<string>} 不兼容之处（为空表示兼容）
+     */
+    checkCompatibility(info) {
+        const issues = [];
+        if (info.protocolRevision > this.revision) {
+            issues.push(`设备协议版本 ${info.protocolRevision} 高于上位机支持的版本 ${this.revision}，新增的命令和数据不可用`);
+        }
+        const jointCount = this.getJointCount();
+        if (info.jointCount !== jointCount) {
+            issues.push(`设备有 ${info.jointCount} 个关节，上位机按 ${jointCount} 个关节解码，该设备的关节数据将被忽略`);
+        }
+        const unknown = info.commands.filter(code => !this.commands.has(code));
+        if (unknown.length > 0) {
+            issues.push(`设备支持上位机未知的命令: ${unknown.map(code => `0x${code.toString(16).padStart(2, '0')}`).join(' ')}`);
+        }
+        return issues;
+    }
+
+    /**
+     * 计算字段至少需要的字节数（不含可选字段，变长数组按最少个数计算）
+     * @param {Array<Object>} fields - 字段描述
+     * @returns {number} 字节数
+     */
+    getMinLength(fields = []) {
+        return fields.reduce((total, field) => {
+            if (field.optional) {
+                return total;
+            }
+            const size = this.TYPES[field.type].size;
+            if (field.countType) {
+                return total + this.TYPES[field.countType].size + size * (field.minCount || 0);
+            }
+            return total + size * (field.count || 1);
+        }, 0);
+    }
+
+    /**
+     * 编码命令请求数据
+     * @param {string} key - 命令键
+     * @param {Object} values - 字段值
+     * @returns {Array<number>} 数据字节
+     */
+    encodeRequest(key, values = {}) {
+        const command = this.getCommandByKey(key);
+        return this.encodeFields(command.request || [], values, command.label);
+    }
+
+    /**
+     * 编码命令应答的附加数据（结果码之后的部分，模拟器使用）
+     * @param {string} key - 命令键
+     * @param {Object} values - 字段值
+     * @returns {Array<number>} 数据字节
+     */
+    encodeResponse(key, values = {}) {
+        const command = this.getCommandByKey(key);
+        return this.encodeFields(command.response || [], values, command.label);
+    }
+
+    /**
+     * 编码数据通知负载（模拟器使用）
+     * @param {string} key - 命令键
+     * @param {Object} values - 字段值
+     * @returns {Array<number>} 数据字节
+     */
+    encodePayload(key, values = {}) {
+        const command = this.getCommandByKey(key);
+        return this.encodeFields(command.payload || [], values, command.label);
+    }
+
+    /**
+     * 解码并校验命令请求数据（模拟器使用），数据与描述不符时抛出异常
+     * @param {number} code - 命令码
+     * @param {Array<number>} data - 数据字节
+     * @returns {Object} 字段值
+     */
+    decodeRequest(code, data) {
+        const command = this.commands.get(code);
+        const fields = (command && command.request) || [];
+        const bytes = Uint8Array.from(data);
+        let result;
+        try {
+            result = this.decodeFields(fields, new DataView(bytes.buffer), 0, bytes.length, true);
+        } catch (error) {
+            throw new Error(`${this.getCommandName(code)}: ${error.message}`);
+        }
+        if (!result) {
+            throw new Error(`${this.getCommandName(code)}: 数据长度不足: ${bytes.length}`);
+        }
+        if (result.byteLength !== bytes.length) {
+            throw new Error(`${this.getCommandName(code)}: 数据长度不符: ${bytes.length}, 期望${result.byteLength}`);
+        }
+        return result.values;
+    }
+
+    /**
+     * 解码命令应答的附加数据，数据不足时抛出异常
+     * @param {number} code - 命令码
+     * @param {Array<number>} data - 结果码之后的数据
+     * @returns {Object} 字段值
+     */
+    decodeResponse(code, data) {
+        const command = this.commands.get(code);
+        const fields = (command && command.response) || [];
+        const bytes = Uint8Array.from(data);
+        const result = this.decodeFields(fields, new DataView(bytes.buffer), 0, bytes.length, false);
+        if (!result) {
+            throw new Error(`${this.getCommandName(code)}应答数据长度不足: ${bytes.length}, 期望${this.getMinLength(fields)}`);
+        }
+        return result.values;
+    }
+
+    /**
+     * 按字段描述编码
+     * @param {Array<Object>} fields - 字段描述
+     * @param {Object} values - 字段值
+     * @param {string} label - 命令名称（用于错误信息）
+     * @returns {Array<number>} 数据字节
+     */
+    encodeFields(fields, values, label) {
+        const bytes = [];
+        fields.forEach(field => {
+            let value = values[field.name];
+            if (value === undefined || value === null) {
+                if (field.optional) {
+                    return;
+                }
+                throw new Error(`${label}: 缺少参数 ${field.label || field.name}`);
+            }
+
+            if (field.count || field.countType) {
+                if (typeof value === 'string' && this.TYPES[field.type].text) {
+                    value = Array.from(value, char => char.charCodeAt(0));
+                }
+                if (!Array.isArray(value)) {
+                    throw new Error(`${label}: ${field.label || field.name}应为数组`);
+                }
+                this.checkCount(field, value.length, label);
+                if (field.countType) {
+                    bytes.push(...this.encodeValue(field.countType, value.length, field.endian));
+                }
+                value.forEach(item => {
+                    this.checkValue(field, item, label);
+                    bytes.push(...this.encodeValue(field.type, item, field.endian));
+                });
+            } else {
+                this.checkValue(field, value, label);
+                bytes.push(...this.encodeValue(field.type, value, field.endian));
+            }
+        });
+        return bytes;
+    }
+
+    /**
+     * 按字段描述解码（数据通知的解码也走这里，不做多余的分配）
+     * @param {Array<Object>} fields - 字段描述
+     * @param {DataView} view - 数据所在的 DataView
+     * @param {number} offset - 数据起始位置
+     * @param {number} length - 数据长度
+     * @param {boolean} validate - 是否校验取值范围和枚举（校验失败时抛出异常）
+     * @returns {{values: Object, byteLength: number}|null} 字段值和实际使用的字节数，必需字段的数据不足时为null
+     */
+    decodeFields(fields, view, offset, length, validate = false) {
+        const values = {};
+        let position = 0;
+        for (let f = 0; f < fields.length; f++) {
+            const field = fields[f];
+            const type = this.TYPES[field.type];
+            const littleEndian = field.endian ? field.endian !== 'big' : this.littleEndian;
+
+            let count = field.count || 0;
+            if (field.countType) {
+                const countType = this.TYPES[field.countType];
+                if (position + countType.size > length) {
+                    return field.optional ? { values: values, byteLength: position } : null;
+                }
+                count = view[countType.get](offset + position, littleEndian);
+                if (validate) {
+                    this.checkCount(field, count, '');
+                }
+                position += countType.size;
+            }
+
+            const isArray = !!(field.count || field.countType);
+            const size = type.size * (isArray ? count : 1);
+            if (position + size > length) {
+                if (field.optional) {
+                    break;
+                }
+                return null;
+            }
+
+            if (isArray) {
+                const items = new Array(count);
+                for (let i = 0; i < count; i++) {
+                    items[i] = this.readValue(type, view, offset + position + i * type.size, littleEndian);
+                    if (validate) {
+                        this.checkValue(field, items[i], '');
+                    }
+                }
+                values[field.name] = type.text ? String.fromCharCode(...items) : items;
+            } else {
+                values[field.name] = this.readValue(type, view, offset + position, littleEndian);
+                if (validate) {
+                    this.checkValue(field, values[field.name], '');
+                }
+            }
+            position += size;
+        }
+        return { values: values, byteLength: position };
+    }
+
+    /**
+     * 读取一个值
+     * @param {Object} type - 类型描述
+     * @param {DataView} view - DataView
+     * @param {number} position - 字节位置
+     * @param {boolean} littleEndian - 是否小端
+     * @returns {number|boolean} 值
+     */
+    readValue(type, view, position, littleEndian) {
+        const value = view[type.get](position, littleEndian);
+        return type.boolean ? value !== 0 : value;
+    }
+
+    /**
+     * 编码一个值
+     * @param {string} typeName - 类型名称
+     * @param {number|boolean} value - 值
+     * @param {string} endian - 字节序（未指定时使用协议默认）
+     * @returns {Array<number>} 字节
+     */
+    encodeValue(typeName, value, endian) {
+        const type = this.TYPES[typeName];
+        const view = new DataView(new ArrayBuffer(type.size));
+        view[type.set](0, type.boolean ? (value ? 1 : 0) : value, endian ? endian !== 'big' : this.littleEndian);
+        return Array.from(new Uint8Array(view.buffer));
+    }
+
+    /**
+     * 校验一个值（类型范围、字段范围和枚举）
+     * @param {Object} field - 字段描述
+     * @param {*} value - 值
+     * @param {string} label - 命令名称（用于错误信息）
+     */
+    checkValue(field, value, label) {
+        const type = this.TYPES[field.type];
+        const name = `${label ? label + ': ' : ''}${field.label || field.name}`;
+        if (type.boolean) {
+            if (typeof value !== 'boolean' && value !== 0 && value !== 1) {
+                throw new Error(`${name}无效: ${value}`);
+            }
+            return;
+        }
+
+        const min = Math.max(type.min, field.min ?? -Infinity);
+        const max = Math.min(type.max, field.max ?? Infinity);
+        if (typeof value !== 'number' || Number.isNaN(value) || (!type.float && !Number.isInteger(value)) ||
+            value < min || value > max) {
+            throw new Error(`${name}无效: ${value}（范围 ${min} ~ ${max}）`);
+        }
+        if (field.enum && !this.getEnumOptions(field.enum).some(option => option.value === value)) {
+            const options = this.getEnumOptions(field.enum).map(option => `${option.value}=${option.label}`).join(', ');
+            throw new Error(`${name}无效: ${value}（可选 ${options}）`);
+        }
+    }
+
+    /**
+     * 校验数组个数
+     * @param {Object} field - 字段描述
+     * @param {number} count - 个数
+     * @param {string} label - 命令名称（用于错误信息）
+     */
+    checkCount(field, count, label) {
+        const name = `${label ? label + ': ' : ''}${field.label || field.name}`;
+        if (field.count && count !== field.count) {
+            throw new Error(`${name}应为 ${field.count} 个，实际 ${count} 个`);
+        }
+        if (field.countType) {
+            const min = field.minCount ?? 0;
+            const max = Math.min(field.maxCount ?? Infinity, this.TYPES[field.countType].max);
+            if (count < min || count > max) {
+                throw new Error(`${name}个数无效: ${count}（范围 ${min} ~ ${max}）`);
+            }
+        }
+    }
+
+    /**
+     * 把字段值格式化为“名称=值”文本（界面显示应答用），枚举显示名称，布尔值显示为1/0
+     * @param {Array<Object>} fields - 字段描述
+     * @param {Object} values - 字段值
+     * @returns {string} 文本
+     */
+    formatFields(fields, values) {
+        return fields
+            .filter(field => values[field.name] !== undefined)
+            .map(field => {
+                const format = value => {
+                    if (typeof value === 'boolean') {
+                        return value ? 1 : 0;
+                    }
+                    return field.enum ? this.getEnumLabel(field.enum, value) : value;
+                };
+                const value = values[field.name];
+                return `${field.label || field.name}=${Array.isArray(value) ? value.map(format).join('/') : format(value)}`;
+            })
+            .join(', ');
+    }
+
+    /**
+     * 计算CRC32（IEEE 802.3，固件升级的分块和整体校验）
+     * @param {Uint8Array|Array<number>} bytes - 数据
+     * @param {number} crc - 上一段数据的CRC（分段计算时传入），默认 0
+     * @returns {number} CRC32（无符号）
+     */
+    static crc32(bytes, crc = 0) {
+        if (!ProtocolSchema.CRC32_TABLE) {
+            ProtocolSchema.CRC32_TABLE = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let c = i;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ProtocolSchema.CRC32_TABLE[i] = c;
+            }
+        }
+        const table = ProtocolSchema.CRC32_TABLE;
+        crc = ~crc;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return ~crc >>> 0;
+    }
+}
+
+// 导出协议描述和ProtocolSchema类
+if (typeof window !== 'undefined') {
+    window.EXHAND_PROTOCOL = EXHAND_PROTOCOL;
+    window.ProtocolSchema = ProtocolSchema;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EXHAND_PROTOCOL, ProtocolSchema };
+}
@@ -0,0 +1,444 @@
+/**
+ * @file 会话录制与回放模块
+ * @description 录制解析后的关节数据或原始数据帧，并通过同一 dataCallback 回放
+ *
+ * 录制文件格式（.exhrec，UTF-8 JSON）:
+ * {
+ *   "format": "exhand-recording",      // 固定标识
+ *   "version": 1,                      // 格式版本
+ *   "mode": "parsed" | "frames",       // parsed=解析后的关节数据, frames=原始数据帧
+ *   "createdAt": "2026-01-01T00:00:00.000Z",
+ *   "duration": 12345,                 // 总时长（ms）
+ *   "jointNames": ["Thumb-Yaw", ...],  // 15个关节名称，与 values 顺序一致
+ *   "events": [
+ *     // parsed 模式：type 为 sensor（0-65535）或 mapping（0-1.0），hand 0=右手 1=左手
+ *     { "t": 0, "type": "mapping", "hand": 0, "values": [0.12, ...] },
+ *     // frames 模式：cmd 为命令码，data 为数据内容的十六进制字符串（不含帧头/长度/校验/帧尾）
+ *     { "t": 10.5, "cmd": 33, "data": "00cdcc4c3e..." }
+ *   ]
+ * }
+ * t 为相对录制开始的毫秒数。frames 模式只录制传感器/映射数据通知帧，不含命令应答。
+ */
+
+class SessionRecorder {
+    /**
+     * @param {SerialManager} serialManager - 串口管理器（提供命令码和关节名称）
+     */
+    constructor(serialManager) {
+        this.serialManager = serialManager;
+        this.FORMAT = 'exhand-recording';
+        this.VERSION = 1;
+
+        this.isRecording = false;
+        this.mode = 'parsed';
+        this.startTime = 0;
+        this.events = [];
+    }
+
+    /**
+     * 开始录制
+     * @param {string} mode - 录制模式（parsed / frames）
+     */
+    start(mode = 'parsed') {
+        if (mode !== 'parsed' && mode !== 'frames') {
+            throw new Error(`未知的录制模式: ${mode}`);
+        }
+        this.mode = mode;
+        this.events = [];
+        this.startTime = performance.now();
+        this.isRecording = true;
+        console.log(`开始录制 (${mode})`);
+    }
+
+    /**
+     * 停止录制
+     * @returns {Object} 录制结果（文件格式对象）
+     */
+    stop() {
+        this.isRecording = false;
+        const recording = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            mode: this.mode,
+            createdAt: new Date().toISOString(),
+            duration: this.events.length > 0 ? this.events[this.events.length - 1].t : 0,
+            jointNames: [...this.serialManager.JOINT_NAMES],
+            events: this.events
+        };
+        this.events = [];
+        console.log(`录制结束: ${recording.events.length} 个事件, ${recording.duration.toFixed(0)} ms`);
+        return recording;
+    }
+
+    /**
+     * 录制一条解析后的关节数据（parsed 模式）
+     * @param {Object} jointData - SerialManager 解码得到的关节数据对象
+     */
+    recordJointData(jointData) {
+        if (!this.isRecording || this.mode !== 'parsed') {
+            return;
+        }
+        const isMapping = Array.isArray(jointData.mappingData);
+        this.events.push({
+            t: this.elapsed(),
+            type: isMapping ? 'mapping' : 'sensor',
+            hand: jointData.hand,
+            values: [...(isMapping ? jointData.mappingData : jointData.sensorData)]
+        });
+    }
+
+    /**
+     * 录制一帧原始数据帧（frames 模式）
+     * @param {number} cmdType - 命令码
+     * @param {Array<number>} data - 数据内容
+     */
+    recordFrame(cmdType, data) {
+        if (!this.isRecording || this.mode !== 'frames') {
+            return;
+        }
+        const C = this.serialManager.COMMANDS;
+        if (cmdType !== C.CMD_SENSOR_DATA && cmdType !== C.CMD_MAPPING_DATA) {
+            return;
+        }
+        this.events.push({
+            t: this.elapsed(),
+            cmd: cmdType,
+            data: SessionRecorder.toHex(data)
+        });
+    }
+
+    /**
+     * 获取当前已录制的事件数
+     * @returns {number} 事件数
+     */
+    getEventCount() {
+        return this.events.length;
+    }
+
+    /**
+     * 录制开始后经过的时间
+     * @returns {number} 毫秒（保留两位小数）
+     */
+    elapsed() {
+        return Math.round((performance.now() - this.startTime) * 100) / 100;
+    }
+
+    /**
+     * 序列化录制结果
+     * @param {Object} recording - 录制结果
+     * @returns {string} JSON文本
+     */
+    static serialize(recording) {
+        return JSON.stringify(recording);
+    }
+
+    /**
+     * 解析并校验录制文件
+     * @param {string} text - 文件内容
+     * @returns {Object} 录制结果
+     */
+    static parse(text) {
+        let recording;
+        try {
+            recording = JSON.parse(text);
+        } catch (error) {
+            throw new Error('录制文件不是有效的JSON: ' + error.message);
+        }
+
+        if (!recording || recording.format !== 'exhand-recording') {
+            throw new Error('不是EXHand录制文件');
+        }
+        if (recording.version !== 1) {
+            throw new Error(`不支持的录制文件版本: ${recording.version}`);
+        }
+        if (recording.mode !== 'parsed' && recording.mode !== 'frames') {
+            throw new Error(`未知的录制模式: ${recording.mode}`);
+        }
+        if (!Array.isArray(recording.events)) {
+            throw new Error('录制文件缺少 events 数组');
+        }
+
+        recording.events.forEach((event, i) => {
+            if (typeof event.t !== 'number') {
+                throw new Error(`第${i}个事件缺少时间戳`);
+            }
+            if (recording.mode === 'parsed' && !Array.isArray(event.values)) {
+                throw new Error(`第${i}个事件缺少 values`);
+            }
+            if (recording.mode === 'frames' && (typeof event.cmd !== 'number' || typeof event.data !== 'string')) {
+                throw new Error(`第${i}个事件缺少 cmd/data`);
+            }
+        });
+
+        // 保证按时间排序，便于回放时二分查找
+        recording.events.sort((a, b) => a.t - b.t);
+        recording.duration = recording.events.length > 0 ? recording.events[recording.events.length - 1].t : 0;
+        return recording;
+    }
+
+    /**
+     * 字节数组转十六进制字符串
+     * @param {Array<number>} bytes - 字节数组
+     * @returns {string} 十六进制字符串
+     */
+    static toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * 十六进制字符串转字节数组
+     * @param {string} hex - 十六进制字符串
+     * @returns {Array<number>} 字节数组
+     */
+    static fromHex(hex) {
+        const bytes = [];
+        for (let i = 0; i + 1 < hex.length; i += 2) {
+            bytes.push(parseInt(hex.substr(i, 2), 16));
+        }
+        return bytes;
+    }
+}
+
+class SessionPlayer {
+    /**
+     * @param {SerialManager} serialManager - 串口管理器，回放数据通过其 dataCallback 送出
+     */
+    constructor(serialManager) {
+        this.serialManager = serialManager;
+        this.recording = null;
+        this.isPlaying = false;
+        this.speed = 1.0;
+        this.loop = false;
+
+        // 回放位置：position 为录制时间轴上的毫秒数
+        this.position = 0;
+        this.nextIndex = 0;
+        this.baseWallTime = 0;
+        this.basePosition = 0;
+        this.packetNumber = 0;
+
+        this.timer = null;
+        this.TICK_INTERVAL = 10;
+
+        this.progressCallback = null;
+        this.endCallback = null;
+    }
+
+    /**
+     * 设置进度回调函数
+     * @param {Function} callback - 回调函数 (position, duration) => void
+     */
+    setProgressCallback(callback) {
+        this.progressCallback = callback;
+    }
+
+    /**
+     * 设置回放结束回调函数
+     * @param {Function} callback - 回调函数
+     */
+    setEndCallback(callback) {
+        this.endCallback = callback;
+    }
+
+    /**
+     * 加载录制结果
+     * @param {Object} recording - SessionRecorder.parse 或 stop 返回的录制结果
+     */
+    load(recording) {
+        this.stop();
+        this.recording = recording;
+        this.position = 0;
+        this.nextIndex = 0;
+        this.packetNumber = 0;
+    }
+
+    /**
+     * 获取录制总时长
+     * @returns {number} 毫秒
+     */
+    getDuration() {
+        return this.recording ? this.recording.duration : 0;
+    }
+
+    /**
+     * 开始或继续回放
+     */
+    play() {
+        if (!this.recording) {
+            throw new Error('没有可回放的录制');
+        }
+        if (this.isPlaying) {
+            return;
+        }
+        if (this.position >= this.getDuration()) {
+            this.seek(0);
+        }
+        this.isPlaying = true;
+        this.baseWallTime = performance.now();
+        this.basePosition = this.position;
+        this.timer = setInterval(() => this.tick(), this.TICK_INTERVAL);
+    }
+
+    /**
+     * 暂停回放
+     */
+    pause() {
+        if (!this.isPlaying) {
+            return;
+        }
+        this.updatePosition();
+        this.isPlaying = false;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * 停止回放并回到开头
+     */
+    stop() {
+        this.pause();
+        this.position = 0;
+        this.nextIndex = 0;
+        this.notifyProgress();
+    }
+
+    /**
+     * 跳转到指定位置
+     * @param {number} position - 录制时间轴上的毫秒数
+     */
+    seek(position) {
+        if (!this.recording) {
+            return;
+        }
+        this.position = Math.max(0, Math.min(this.getDuration(), position));
+        this.nextIndex = this.findIndex(this.position);
+        this.baseWallTime = performance.now();
+        this.basePosition = this.position;
+
+        // 立即送出跳转位置的最近一帧，使显示与位置一致
+        if (this.nextIndex > 0) {
+            this.emit(this.recording.events[this.nextIndex - 1]);
+        }
+        this.notifyProgress();
+    }
+
+    /**
+     * 设置回放速度
+     * @param {number} speed - 倍速（0.1-10）
+     */
+    setSpeed(speed) {
+        this.updatePosition();
+        this.speed = Math.max(0.1, Math.min(10, speed));
+        this.baseWallTime = performance.now();
+        this.basePosition = this.position;
+    }
+
+    /**
+     * 设置是否循环回放
+     * @param {boolean} loop - 是否循环
+     */
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    /**
+     * 根据墙钟时间更新回放位置
+     */
+    updatePosition() {
+        if (this.isPlaying) {
+            this.position = this.basePosition + (performance.now() - this.baseWallTime) * this.speed;
+        }
+    }
+
+    /**
+     * 定时送出到达时间的事件
+     */
+    tick() {
+        this.updatePosition();
+        const events = this.recording.events;
+
+        while (this.nextIndex < events.length && events[this.nextIndex].t <= this.position) {
+            this.emit(events[this.nextIndex]);
+            this.nextIndex++;
+        }
+
+        if (this.nextIndex >= events.length) {
+            if (this.loop && events.length > 0) {
+                this.position = 0;
+                this.nextIndex = 0;
+                this.baseWallTime = performance.now();
+                this.basePosition = 0;
+            } else {
+                this.pause();
+                this.position = this.getDuration();
+                this.notifyProgress();
+                if (this.endCallback) {
+                    this.endCallback();
+                }
+                return;
+            }
+        }
+
+        this.notifyProgress();
+    }
+
+    /**
+     * 将一条录制事件送入数据回调
+     * 回放的关节数据带 replayed 标记，不计入实时数据的统计
+     * @param {Object} event - 录制事件
+     */
+    emit(event) {
+        const sm = this.serialManager;
+        if (!sm.dataCallback) {
+            return;
+        }
+
+        let jointData;
+        if (this.recording.mode === 'frames') {
+            // 原始帧按与实时数据相同的格式解码，但不经过实时数据的计数
+            jointData = sm.decodeRecordedFrame(event.cmd, SessionRecorder.fromHex(event.data), this.packetNumber);
+            if (!jointData) {
+                return;
+            }
+        } else {
+            const field = event.type === 'mapping' ? 'mappingData' : 'sensorData';
+            jointData = sm.buildJointData(event.hand, field, [...event.values], Date.now(), this.packetNumber);
+        }
+        this.packetNumber++;
+        jointData.replayed = true;
+        sm.dataCallback(jointData);
+    }
+
+    /**
+     * 二分查找第一个时间大于 position 的事件
+     * @param {number} position - 毫秒
+     * @returns {number} 事件索引
+     */
+    findIndex(position) {
+        const events = this.recording.events;
+        let low = 0;
+        let high = events.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (events[mid].t <= position) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * 通知回放进度
+     */
+    notifyProgress() {
+        if (this.progressCallback) {
+            this.progressCallback(this.position, this.getDuration());
+        }
+    }
+}
+
+// 导出录制与回放类
+window.SessionRecorder = SessionRecorder;
+window.SessionPlayer = SessionPlayer;
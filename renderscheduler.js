@@ -0,0 +1,157 @@
+/**
+ * @file 渲染调度模块
+ * @description 把高频数据到达和低频界面刷新解耦：数据到达时只记录每个面板（按手侧等键区分）的最新状态，
+ *              每个动画帧最多绘制一次；页面隐藏时不再请求动画帧，只保留最新状态，重新可见后补绘一次
+ */
+
+class RenderScheduler {
+    constructor() {
+        // 面板名称 -> { paint, pending: Map(键 -> 最新状态), dirty }
+        this.tasks = new Map();
+        this.animationFrame = null;
+        this.isRunning = false;
+        this.isHidden = typeof document !== 'undefined' && document.hidden === true;
+        this.visibilityCallback = null;
+        this.frameCount = 0;      // 实际绘制的帧数
+        this.updateCount = 0;     // 收到的状态更新次数
+        this.handleVisibilityChange = () => this.setHidden(document.hidden);
+    }
+
+    /**
+     * 注册面板
+     * @param {string} name - 面板名称
+     * @param {Function} paint - 绘制函数 (state, key) => void；通过 invalidate() 标记时 state 为null
+     */
+    register(name, paint) {
+        this.tasks.set(name, { paint: paint, pending: new Map(), dirty: false });
+    }
+
+    /**
+     * 记录面板某个键的最新状态（同一帧内的旧状态被覆盖）
+     * @param {string} name - 面板名称
+     * @param {*} key - 状态键（例如手侧）
+     * @param {*} state - 最新状态
+     */
+    update(name, key, state) {
+        const task = this.tasks.get(name);
+        if (!task) {
+            return;
+        }
+        this.updateCount++;
+        task.pending.set(key, state);
+        task.dirty = true;
+        this.requestFrame();
+    }
+
+    /**
+     * 标记面板需要重绘（不带状态，由绘制函数自行读取数据）
+     * @param {string} name - 面板名称
+     */
+    invalidate(name) {
+        const task = this.tasks.get(name);
+        if (!task) {
+            return;
+        }
+        task.dirty = true;
+        this.requestFrame();
+    }
+
+    /**
+     * 设置页面可见性变化回调（用于暂停/恢复其他渲染循环）
+     * @param {Function} callback - 回调函数 (hidden) => void
+     */
+    setVisibilityCallback(callback) {
+        this.visibilityCallback = callback;
+    }
+
+    /**
+     * 开始调度
+     */
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+        this.requestFrame();
+    }
+
+    /**
+     * 停止调度
+     */
+    stop() {
+        this.isRunning = false;
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    /**
+     * 切换页面隐藏状态
+     * @param {boolean} hidden - 页面是否隐藏
+     */
+    setHidden(hidden) {
+        if (this.isHidden === hidden) {
+            return;
+        }
+        this.isHidden = hidden;
+        if (hidden && this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        if (this.visibilityCallback) {
+            this.visibilityCallback(hidden);
+        }
+        this.requestFrame();
+    }
+
+    /**
+     * 有待绘制的面板时请求下一个动画帧
+     */
+    requestFrame() {
+        if (this.animationFrame || this.isHidden || !this.isRunning) {
+            return;
+        }
+        let dirty = false;
+        this.tasks.forEach(task => {
+            dirty = dirty || task.dirty;
+        });
+        if (dirty) {
+            this.animationFrame = requestAnimationFrame(() => this.flush());
+        }
+    }
+
+    /**
+     * 绘制所有待绘制的面板
+     */
+    flush() {
+        this.animationFrame = null;
+        this.frameCount++;
+        this.tasks.forEach((task, name) => {
+            if (!task.dirty) {
+                return;
+            }
+            const pending = task.pending;
+            task.dirty = false;
+            task.pending = new Map();
+            try {
+                if (pending.size === 0) {
+                    task.paint(null, null);
+                } else {
+                    pending.forEach((state, key) => task.paint(state, key));
+                }
+            } catch (error) {
+                console.error(`绘制面板 ${name} 时出错:`, error);
+            }
+        });
+    }
+}
+
+// 导出RenderScheduler类
+window.RenderScheduler = RenderScheduler;
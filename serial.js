@@ -3,30 +3,137 @@
  * @description 处理与手部关节传感器的串口通信，支持数据帧协议
  */
 
+/**
+ * 设备状态（CMD_STATUS应答的6个状态字节）
+ * @typedef {Object} DeviceStatus
+ * @property {boolean} quickCalibrating - 快速校准进行中
+ * @property {boolean} anchorCalibrating - 锚定点校准进行中
+ * @property {boolean} frameMode - 数据帧模式已启用
+ * @property {boolean} sensorPrint - 传感器打印已启用
+ * @property {boolean} canEnabled - CAN控制已启用
+ * @property {boolean} sensorSend - 传感器数据推送已启用
+ * @property {Array<number>} raw - 原始状态字节
+ */
+
+/**
+ * 设备命令错误（设备返回了非成功结果码）
+ */
+class CommandError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {number} cmdType - 命令码
+     * @param {number|null} resultCode - 设备返回的结果码
+     */
+    constructor(message, cmdType, resultCode = null) {
+        super(message);
+        this.name = 'CommandError';
+        this.cmdType = cmdType;
+        this.resultCode = resultCode;
+    }
+}
+
+/**
+ * 设备命令超时错误（在超时时间内未收到应答）
+ */
+class CommandTimeoutError extends CommandError {
+    /**
+     * @param {string} message - 错误信息
+     * @param {number} cmdType - 命令码
+     */
+    constructor(message, cmdType) {
+        super(message, cmdType, null);
+        this.name = 'CommandTimeoutError';
+    }
+}
+
 class SerialManager {
     constructor() {
-        this.port = null;
-        this.reader = null;
-        this.writer = null;
+        this.transport = null;
         this.isConnected = false;
         this.isReading = false;
         this.dataCallback = null;
+        this.frameCallback = null;
+        this.frameTraceCallback = null;
+        this.textCallback = null;
         this.errorCallback = null;
         this.responseCallback = null;
         this.portInfoCallback = null;
         this.packetCount = 0;
         this.lastUpdateTime = 0;
         this.updateRate = 0;
+        this.rateWindowStart = 0;  // 帧率统计窗口起点
+        this.rateWindowCount = 0;
+        
+        // 按手侧和数据流分别统计的数据包计数器：`${hand}-${stream}` -> 计数器
+        this.streamCounters = new Map();
+        this.STREAM_RATE_WINDOW = 1000; // 分流频率统计窗口（ms）
+        
+        // 等待应答的命令：命令码 -> 请求队列（同一命令码按发送顺序匹配应答）
+        this.pendingRequests = new Map();
+        
+        // 连接状态：disconnected / connected / reconnecting / lost
+        this.connectionState = 'disconnected';
+        this.connectionStateCallback = null;
+        
+        // 自动重连
+        this.RECONNECT_INTERVAL = 1000;   // 重连间隔（ms）
+        this.MAX_RECONNECT_ATTEMPTS = 30; // 最大重连次数
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.reconnectInProgress = false;
+        // 已授权的设备重新插入时立即尝试重连
+        this.handleSerialConnect = () => {
+            if (this.connectionState === 'reconnecting' && !this.reconnectInProgress) {
+                clearTimeout(this.reconnectTimer);
+                this.attemptReconnect();
+            }
+        };
+        
+        // 已知的设备启用状态（null=未知），重连后恢复
+        this.enableState = { canEnabled: null, sensorSend: null, mappingSend: null };
         
-        // 数据缓冲区 - 用于处理分包数据
-        this.readBuffer = new Uint8Array(0);
-        this.maxBufferSize = 1024; // 最大缓冲区大小
+        // 协议描述（命令码、字段布局和名称，见 protocol.js）
+        this.protocol = new ProtocolSchema();
+        
+        // 连接时握手得到的设备信息（固件版本、型号、序列号和支持的命令），握手前为null
+        this.deviceInfo = null;
+        this.HANDSHAKE_TIMEOUT = 500; // 设备信息查询超时（ms），旧固件不应答该命令
+        
+        // 本次连接中已提示过解码失败的命令码，同一命令只提示一次
+        this.decodeWarnings = new Set();
         
         // 数据帧协议配置
-        this.FRAME_HEADER = 0xAA;  // 单字节帧头
-        this.FRAME_TAIL = 0x55;    // 单字节帧尾
+        this.FRAME_HEADER = this.protocol.frame.header;  // 单字节帧头
+        this.FRAME_TAIL = this.protocol.frame.tail;      // 单字节帧尾
         this.MIN_FRAME_LEN = 5;    // 最小帧长度：头1+类型1+长度1+校验1+尾1
-        this.MAX_DATA_LENGTH = 255; // 最大数据长度
+        this.MAX_DATA_LENGTH = this.protocol.frame.maxDataLength; // 最大数据长度
+        
+        // 接收缓冲区 - 环形缓冲区，处理分包数据并原地解析
+        this.frameParser = new FrameParser({
+            capacity: 65536,
+            header: this.FRAME_HEADER,
+            tail: this.FRAME_TAIL,
+            maxDataLength: this.MAX_DATA_LENGTH
+        });
+        this.parserHandler = {
+            onFrame: (frame) => this.handleParsedFrame(frame),
+            onReject: (status, frame) => this.handleRejectedFrame(status, frame),
+            onDiscard: (count, reason) => this.handleDiscardedBytes(count, reason)
+        };
+        
+        // 每批接收数据解码出的关节数据，处理完一批后统一回调
+        this.batch = [];
+        this.batchCallback = null;
+        
+        // Worker 解析（见 WorkerTransport / serialworker.js），Worker 在首次连接时创建并复用
+        this.worker = null;
+        this.workerHandler = {
+            onBatch: (message) => this.handleWorkerBatch(message),
+            onStats: (message) => this.handleWorkerStats(message)
+        };
+        this.remoteStatistics = null;   // Worker 送来的数据包计数和分流统计
+        this.remoteLinkSnapshot = null; // Worker 送来的链路质量快照
+        this.coalescedCount = 0;        // 主线程处理不及时被 Worker 合并掉的数据包数
         
         // 串口配置 - 默认值
         this.serialConfig = {
@@ -35,7 +142,12 @@ class SerialManager {
             stopBits: 1,
             parity: 'none',
             flowControl: 'none',
-            timeout: 1000
+            timeout: 1000,                  // 命令应答超时（ms）
+            retries: 0,                     // 超时或校验和错误时的重试次数
+            transport: 'webserial',         // 传输方式：webserial / websocket
+            wsUrl: 'ws://localhost:8765',   // WebSocket桥接地址
+            autoReconnect: true,            // 设备断开后自动重连
+            parseInWorker: true             // 在专用Worker中读取和解析数据帧
         };
         
         // 端口信息
@@ -47,40 +159,13 @@ class SerialManager {
             vendorId: null
         };
         
-        // 命令码定义（与Python代码保持一致）
-        this.COMMANDS = {
-            // 系统控制命令
-            CMD_ENABLE: 0x01,
-            CMD_DISABLE: 0x02,
-            CMD_QUICK_START: 0x03,
-            CMD_QUICK_FINISH: 0x04,
-            CMD_ANCHOR_START: 0x05,
-            CMD_RECORD: 0x06,
-            CMD_APPLY: 0x07,
-            CMD_SAVE: 0x08,
-            CMD_LOAD: 0x09,
-            CMD_CLEAR: 0x0A,
-            CMD_STATUS: 0x0B,
-            CMD_RESET: 0x0C,
-            CMD_CAN_ENABLE: 0x0D,
-            CMD_CAN_DISABLE: 0x0E,
-            CMD_SENSOR_ENABLE: 0x0F,
-            CMD_SENSOR_DISABLE: 0x10,
-            CMD_MAPPING_ENABLE: 0x11,
-            CMD_MAPPING_DISABLE: 0x12,
-            CMD_SET_PROTOCOL: 0x13,
-            
-            // 数据通知类型
-            CMD_SENSOR_DATA: 0x20,      // 传感器数据通知
-            CMD_MAPPING_DATA: 0x21,      // 映射数据通知
-            
-            // 结果码
-            RESULT_SUCCESS: 0x00,
-            RESULT_FAIL: 0x01,
-            RESULT_UNKNOWN_CMD: 0xFD,
-            RESULT_NOT_ENABLED: 0xFE,
-            RESULT_CHECKSUM_ERROR: 0xFF
-        };
+        // 命令码和结果码常量（CMD_*、RESULT_*），由协议描述生成
+        this.COMMANDS = this.protocol.getConstants();
+        
+        // 链路质量统计（停顿只针对周期性的传感器/映射数据通知判定）
+        this.linkStats = new LinkStatistics({
+            streamCommands: this.protocol.getNotifications().map(command => command.code)
+        });
         
         // 关节名称列表（15个关节）
         this.JOINT_NAMES = [
@@ -111,6 +196,62 @@ class SerialManager {
         this.dataCallback = callback;
     }
 
+    /**
+     * 设置数据帧回调函数（每收到一帧校验通过的数据帧调用一次）
+     * @param {Function} callback - 回调函数 (cmdType, data) => void
+     */
+    setFrameCallback(callback) {
+        this.frameCallback = callback;
+        this.syncWorkerOptions();
+    }
+
+    /**
+     * 设置帧追踪回调函数（收发的每一帧以及被丢弃的帧/数据都调用一次，用于帧检查器）
+     * 记录字段：direction (tx/rx), status (ok/bad-tail/bad-checksum/overlong/overflow/no-header),
+     * cmd, length, data, checksum, expectedChecksum, raw, timestamp
+     * @param {Function} callback - 回调函数 (record) => void
+     */
+    setFrameTraceCallback(callback) {
+        this.frameTraceCallback = callback;
+        this.syncWorkerOptions();
+    }
+
+    /**
+     * 设置文本回调函数（设备发出的不属于任何数据帧的字节，例如文本命令接口的回显和提示，用于命令控制台）
+     * @param {Function} callback - 回调函数 (bytes) => void
+     */
+    setTextCallback(callback) {
+        this.textCallback = callback;
+        this.syncWorkerOptions();
+    }
+
+    /**
+     * 送出一条帧追踪记录
+     * @param {Object} record - 追踪记录（未填写的字段使用默认值）
+     */
+    traceFrame(record) {
+        this.frameTraceCallback({
+            direction: 'rx',
+            status: 'ok',
+            cmd: null,
+            length: 0,
+            data: [],
+            checksum: null,
+            expectedChecksum: null,
+            raw: [],
+            timestamp: Date.now(),
+            ...record
+        });
+    }
+
+    /**
+     * 设置批量数据回调函数（每处理完一批接收数据调用一次，在逐条的 dataCallback 之后）
+     * @param {Function} callback - 回调函数 (jointDataList) => void
+     */
+    setBatchCallback(callback) {
+        this.batchCallback = callback;
+    }
+
     /**
      * 设置响应回调函数
      * @param {Function} callback - 响应回调函数
@@ -135,41 +276,73 @@ class SerialManager {
         this.portInfoCallback = callback;
     }
 
+    /**
+     * 设置连接状态回调函数
+     * @param {Function} callback - 回调函数 (state, detail) => void
+     *   state 为 connected / reconnecting / lost / disconnected；
+     *   detail 含 reason（断开原因）、attempt/maxAttempts（重连次数）、reconnected（是否为自动重连成功）
+     */
+    setConnectionStateCallback(callback) {
+        this.connectionStateCallback = callback;
+    }
+
+    /**
+     * 获取连接状态
+     * @returns {string} connected / reconnecting / lost / disconnected
+     */
+    getConnectionState() {
+        return this.connectionState;
+    }
+
+    /**
+     * 更新连接状态并通知
+     * @param {string} state - 连接状态
+     * @param {Object} detail - 附加信息
+     */
+    setConnectionState(state, detail = {}) {
+        this.connectionState = state;
+        if (this.connectionStateCallback) {
+            this.connectionStateCallback(state, detail);
+        }
+    }
+
     /**
      * 连接串口设备
+     * @param {Transport|null} transport - 传输通道，为空时使用Web Serial并弹出端口选择器
      * @returns {Promise<boolean>} 连接是否成功
      */
-    async connect() {
+    async connect(transport = null) {
+        this.cancelReconnect();
+        
         try {
-            // 检查浏览器是否支持Web Serial API
-            if (!('serial' in navigator)) {
-                throw new Error('浏览器不支持Web Serial API，请使用Chrome、Edge或Opera浏览器');
-            }
-
-            // 请求用户选择串口
-            this.port = await navigator.serial.requestPort();
+            this.transport = this.createWorkerTransport(transport || new WebSerialTransport());
+            this.transport.setDisconnectCallback(() => this.handleConnectionLost('设备已断开'));
+            
+            // 打开传输通道，使用当前配置
+            await this.transport.open(this.serialConfig);
             
             // 获取端口信息
             this.updatePortInfo();
-            
-            // 打开串口连接，使用当前配置
-            await this.port.open({
-                baudRate: this.serialConfig.baudRate,
-                dataBits: this.serialConfig.dataBits,
-                stopBits: this.serialConfig.stopBits,
-                parity: this.serialConfig.parity,
-                flowControl: this.serialConfig.flowControl
-            });
 
-            // 获取读写器
-            this.reader = this.port.readable.getReader();
-            this.writer = this.port.writable.getWriter();
-
-            // 清空缓冲区
-            this.readBuffer = new Uint8Array(0);
+            // 清空缓冲区和链路统计
+            this.frameParser.reset();
+            this.linkStats.reset();
+            this.streamCounters.clear();
+            this.decodeWarnings.clear();
+            this.deviceInfo = null;
+            this.remoteStatistics = null;
+            this.remoteLinkSnapshot = null;
+            if (this.isWorkerDecoding()) {
+                this.transport.postControl({ type: 'reset-link' });
+                this.syncWorkerOptions();
+            }
             
             this.isConnected = true;
             this.lastUpdateTime = Date.now();
+            this.rateWindowStart = 0;
+            this.rateWindowCount = 0;
+            this.enableState = { canEnabled: null, sensorSend: null, mappingSend: null };
+            this.setConnectionState('connected');
             
             console.log('串口连接成功', this.serialConfig);
             console.log('端口信息:', this.portInfo);
@@ -192,6 +365,7 @@ class SerialManager {
         } catch (error) {
             console.error('串口连接失败:', error);
             this.isConnected = false;
+            this.transport = null;
             
             // 如果用户取消了端口选择，不触发错误回调
             if (error.name !== 'NotFoundError' && error.name !== 'AbortError') {
@@ -211,46 +385,29 @@ class SerialManager {
      */
     async disconnect() {
         try {
+            this.cancelReconnect();
             this.isConnected = false;
             this.isReading = false;
             
-            // 停止读取循环
-            if (this.reader) {
-                try {
-                    await this.reader.cancel();
-                    await this.reader.releaseLock();
-                } catch (error) {
-                    console.warn('释放读取器时出错:', error);
-                }
-                this.reader = null;
-            }
-            
-            // 关闭写入器
-            if (this.writer) {
-                try {
-                    await this.writer.close();
-                    await this.writer.releaseLock();
-                } catch (error) {
-                    console.warn('释放写入器时出错:', error);
-                }
-                this.writer = null;
-            }
+            // 结束所有等待应答的命令
+            this.rejectAllPendingRequests(new Error('串口连接已断开'));
             
-            // 关闭端口
-            if (this.port) {
+            // 关闭传输通道（同时停止读取循环）
+            if (this.transport) {
                 try {
-                    await this.port.close();
+                    await this.transport.close();
                 } catch (error) {
-                    console.warn('关闭端口时出错:', error);
+                    console.warn('关闭传输通道时出错:', error);
                 }
-                this.port = null;
+                this.transport = null;
             }
             
             // 清空缓冲区
-            this.readBuffer = new Uint8Array(0);
+            this.frameParser.reset();
             
-            // 重置端口信息
+            // 重置端口信息和设备信息
             this.resetPortInfo();
+            this.deviceInfo = null;
             
             console.log('串口连接已断开');
             
@@ -258,11 +415,153 @@ class SerialManager {
             if (this.portInfoCallback) {
                 this.portInfoCallback(this.portInfo);
             }
+            this.setConnectionState('disconnected');
         } catch (error) {
             console.error('断开串口连接时出错:', error);
         }
     }
 
+    /**
+     * 处理意外断开（设备拔出、读取流结束或读取出错）
+     * 启用自动重连时进入 reconnecting 状态，否则进入 lost 状态
+     * @param {string} reason - 断开原因
+     */
+    async handleConnectionLost(reason) {
+        if (this.connectionState !== 'connected') {
+            return;
+        }
+        console.warn('串口连接丢失:', reason);
+        
+        this.isConnected = false;
+        this.isReading = false;
+        this.rejectAllPendingRequests(new Error('串口连接已断开: ' + reason));
+        this.frameParser.reset();
+        
+        // 关闭失效的传输通道，保留对象用于重新打开同一设备
+        try {
+            await this.transport.close();
+        } catch (error) {
+            console.warn('关闭传输通道时出错:', error);
+        }
+        
+        if (!this.serialConfig.autoReconnect) {
+            this.giveUpReconnect(reason);
+            return;
+        }
+        
+        this.reconnectAttempts = 0;
+        this.setConnectionState('reconnecting', { reason: reason, attempt: 0, maxAttempts: this.MAX_RECONNECT_ATTEMPTS });
+        if (typeof navigator !== 'undefined' && navigator.serial) {
+            navigator.serial.addEventListener('connect', this.handleSerialConnect);
+        }
+        this.reconnectTimer = setTimeout(() => this.attemptReconnect(), this.RECONNECT_INTERVAL);
+    }
+
+    /**
+     * 尝试重新打开之前的设备，成功后恢复数据帧模式和启用状态
+     */
+    async attemptReconnect() {
+        this.reconnectTimer = null;
+        if (this.connectionState !== 'reconnecting' || !this.transport || this.reconnectInProgress) {
+            return;
+        }
+        
+        const transport = this.transport;
+        this.reconnectInProgress = true;
+        this.reconnectAttempts++;
+        this.setConnectionState('reconnecting', { attempt: this.reconnectAttempts, maxAttempts: this.MAX_RECONNECT_ATTEMPTS });
+        
+        try {
+            await transport.reopen(this.serialConfig);
+        } catch (error) {
+            this.reconnectInProgress = false;
+            console.warn(`重连失败 (${this.reconnectAttempts}/${this.MAX_RECONNECT_ATTEMPTS}):`, error.message);
+            if (this.connectionState !== 'reconnecting') {
+                return;
+            }
+            if (this.reconnectAttempts >= this.MAX_RECONNECT_ATTEMPTS) {
+                this.giveUpReconnect(`重连 ${this.reconnectAttempts} 次均失败`);
+            } else {
+                this.reconnectTimer = setTimeout(() => this.attemptReconnect(), this.RECONNECT_INTERVAL);
+            }
+            return;
+        }
+        this.reconnectInProgress = false;
+        
+        // 等待期间用户已断开连接
+        if (this.connectionState !== 'reconnecting') {
+            await transport.close().catch(() => {});
+            return;
+        }
+        
+        this.cancelReconnect();
+        this.frameParser.reset();
+        this.isConnected = true;
+        this.lastUpdateTime = Date.now();
+        this.updatePortInfo();
+        if (this.portInfoCallback) {
+            this.portInfoCallback(this.portInfo);
+        }
+        console.log(`串口已重新连接 (第${this.reconnectAttempts}次尝试)`);
+        
+        this.startReading();
+        await this.enable();
+        await this.restoreEnableState();
+        
+        this.setConnectionState('connected', { reconnected: true, attempt: this.reconnectAttempts });
+    }
+
+    /**
+     * 放弃重连，进入 lost 状态
+     * @param {string} reason - 原因
+     */
+    giveUpReconnect(reason) {
+        this.cancelReconnect();
+        this.transport = null;
+        this.resetPortInfo();
+        if (this.portInfoCallback) {
+            this.portInfoCallback(this.portInfo);
+        }
+        this.setConnectionState('lost', { reason: reason });
+    }
+
+    /**
+     * 停止自动重连
+     */
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (typeof navigator !== 'undefined' && navigator.serial) {
+            navigator.serial.removeEventListener('connect', this.handleSerialConnect);
+        }
+    }
+
+    /**
+     * 按断开前已知的状态恢复CAN、传感器和映射数据的启用/禁用
+     */
+    async restoreEnableState() {
+        const C = this.COMMANDS;
+        const flags = [
+            ['canEnabled', C.CMD_CAN_ENABLE, C.CMD_CAN_DISABLE],
+            ['sensorSend', C.CMD_SENSOR_ENABLE, C.CMD_SENSOR_DISABLE],
+            ['mappingSend', C.CMD_MAPPING_ENABLE, C.CMD_MAPPING_DISABLE]
+        ];
+        
+        for (const [flag, enableCmd, disableCmd] of flags) {
+            const value = this.enableState[flag];
+            if (value === null) {
+                continue;
+            }
+            try {
+                await this.sendCommand(value ? enableCmd : disableCmd);
+            } catch (error) {
+                console.warn(`恢复 ${flag}=${value} 失败:`, error.message);
+            }
+        }
+    }
+
     /**
      * 计算校验和（补码累加和）
      * @param {number} cmdType - 命令类型
@@ -280,66 +579,274 @@ class SerialManager {
     }
 
     /**
-     * 发送数据帧
+     * 构建数据帧
+     * @param {number} cmdType - 命令类型
+     * @param {Array} data - 数据数组（可选）
+     * @returns {Uint8Array} 完整数据帧
+     */
+    buildFrame(cmdType, data = []) {
+        const dataLen = data.length;
+        if (dataLen > this.MAX_DATA_LENGTH) {
+            throw new Error(`数据长度超过最大限制: ${dataLen} > ${this.MAX_DATA_LENGTH}`);
+        }
+
+        // 构建数据帧：帧头(1) + 命令类型(1) + 数据长度(1) + 数据(N) + 校验和(1) + 帧尾(1)
+        const frame = [];
+        
+        // 帧头
+        frame.push(this.FRAME_HEADER);
+        
+        // 命令类型
+        frame.push(cmdType);
+        
+        // 数据长度
+        frame.push(dataLen);
+        
+        // 数据内容
+        if (dataLen > 0) {
+            frame.push(...data);
+        }
+        
+        // 计算校验和（补码累加和）
+        const checksum = this.calculateChecksum(cmdType, dataLen, data);
+        frame.push(checksum);
+        
+        // 帧尾
+        frame.push(this.FRAME_TAIL);
+
+        return new Uint8Array(frame);
+    }
+
+    /**
+     * 写入数据帧，失败时抛出异常
+     * @param {number} cmdType - 命令类型
+     * @param {Array} data - 数据数组（可选）
+     */
+    async writeFrame(cmdType, data = []) {
+        if (!this.isConnected || !this.transport) {
+            throw new Error('串口未连接');
+        }
+
+        const frame = this.buildFrame(cmdType, data);
+        
+        // 在写入前记录，保证检查器中发送帧排在其应答之前
+        if (this.frameTraceCallback) {
+            const checksum = frame[frame.length - 2];
+            this.traceFrame({
+                direction: 'tx',
+                cmd: cmdType,
+                length: data.length,
+                data: Array.from(data),
+                checksum: checksum,
+                expectedChecksum: checksum,
+                raw: Array.from(frame)
+            });
+        }
+        
+        await this.transport.write(frame);
+        this.linkStats.recordTxBytes(frame.length);
+        
+        console.log(`发送数据帧: CMD=0x${cmdType.toString(16).padStart(2, '0')}, 数据长度=${data.length}, 帧=${Array.from(frame).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' ')}`);
+    }
+
+    /**
+     * 发送数据帧（不等待应答）
      * @param {number} cmdType - 命令类型
      * @param {Array} data - 数据数组（可选）
      * @returns {Promise<boolean>} 发送是否成功
      */
     async sendFrame(cmdType, data = []) {
         try {
-            if (!this.isConnected || !this.writer) {
-                throw new Error('串口未连接');
+            await this.writeFrame(cmdType, data);
+            return true;
+
+        } catch (error) {
+            console.error('发送数据帧失败:', error);
+            if (this.errorCallback) {
+                this.errorCallback(error);
             }
+            return false;
+        }
+    }
 
-            const dataLen = data.length;
-            if (dataLen > this.MAX_DATA_LENGTH) {
-                throw new Error(`数据长度超过最大限制: ${dataLen} > ${this.MAX_DATA_LENGTH}`);
+    /**
+     * 发送任意命令帧（命令控制台使用）
+     * 等待应答时设备返回的错误结果码不视为失败，而是连同应答一起返回，由调用方显示
+     * @param {number} cmdType - 命令类型
+     * @param {Array} data - 数据数组（可选）
+     * @param {Object} options - 选项
+     * @param {boolean} options.wait - 是否等待应答，默认 true
+     * @param {number} options.timeout - 应答超时（ms），默认使用串口配置
+     * @returns {Promise<{cmd: number, result: number, data: Array}|null>} 设备应答，不等待应答时为 null
+     */
+    async sendRawFrame(cmdType, data = [], options = {}) {
+        if (options.wait === false) {
+            await this.writeFrame(cmdType, data);
+            return null;
+        }
+        try {
+            // 不检查设备能力，便于调试设备未声明的命令
+            return await this.requestOnce(cmdType, data, options.timeout ?? this.serialConfig.timeout);
+        } catch (error) {
+            if (error instanceof CommandError && error.resultCode !== null) {
+                return { cmd: cmdType, result: error.resultCode, data: [] };
             }
+            throw error;
+        }
+    }
 
-            // 构建数据帧：帧头(1) + 命令类型(1) + 数据长度(1) + 数据(N) + 校验和(1) + 帧尾(1)
-            const frame = [];
-            
-            // 帧头
-            frame.push(this.FRAME_HEADER);
-            
-            // 命令类型
-            frame.push(cmdType);
+    /**
+     * 发送文本命令（固件的文本命令接口，例如 "frame_enable\n"），失败时抛出异常
+     * @param {string} text - 命令文本（调用方负责添加换行）
+     */
+    async sendText(text) {
+        if (!this.isConnected || !this.transport) {
+            throw new Error('串口未连接');
+        }
+        
+        const bytes = new TextEncoder().encode(text);
+        await this.transport.write(bytes);
+        this.linkStats.recordTxBytes(bytes.length);
+        
+        console.log(`发送文本命令: ${JSON.stringify(text)}`);
+    }
+
+    /**
+     * 发送命令并等待设备应答
+     * 超时或校验和错误时按配置重试，设备返回其他错误结果码时直接拒绝
+     * @param {number} cmdType - 命令类型
+     * @param {Array} data - 数据数组（可选）
+     * @param {Object} options - 选项
+     * @param {number} options.timeout - 应答超时（ms），默认使用串口配置
+     * @param {number} options.retries - 重试次数，默认使用串口配置
+     * @param {boolean} options.unchecked - 不按握手得到的设备能力检查（bootloader处理的命令）
+     * @returns {Promise<{cmd: number, result: number, data: Array}>} 设备应答
+     */
+    async sendCommand(cmdType, data = [], options = {}) {
+        if (!options.unchecked && !this.supportsCommand(cmdType)) {
+            throw new CommandError(`设备不支持该命令: ${this.protocol.getCommandName(cmdType)}`, cmdType);
+        }
+        
+        const timeout = options.timeout ?? this.serialConfig.timeout;
+        const retries = options.retries ?? this.serialConfig.retries;
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.requestOnce(cmdType, data, timeout);
+            } catch (error) {
+                const retryable = error instanceof CommandTimeoutError ||
+                    (error instanceof CommandError && error.resultCode === this.COMMANDS.RESULT_CHECKSUM_ERROR);
+                
+                if (!retryable || attempt >= retries || !this.isConnected) {
+                    throw error;
+                }
+                console.warn(`命令重试 (${attempt + 1}/${retries}): CMD=0x${cmdType.toString(16).padStart(2, '0')}, 原因: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * 发送一次命令并等待对应命令码的应答
+     * @param {number} cmdType - 命令类型
+     * @param {Array} data - 数据数组
+     * @param {number} timeout - 应答超时（ms）
+     * @returns {Promise<{cmd: number, result: number, data: Array}>} 设备应答
+     */
+    requestOnce(cmdType, data, timeout) {
+        return new Promise((resolve, reject) => {
+            const request = { resolve, reject, timer: null };
             
-            // 数据长度
-            frame.push(dataLen);
+            request.timer = setTimeout(() => {
+                this.removePendingRequest(cmdType, request);
+                reject(new CommandTimeoutError(
+                    `命令应答超时: CMD=0x${cmdType.toString(16).padStart(2, '0')} (${timeout}ms)`, cmdType));
+            }, timeout);
             
-            // 数据内容
-            if (dataLen > 0) {
-                frame.push(...data);
+            if (!this.pendingRequests.has(cmdType)) {
+                this.pendingRequests.set(cmdType, []);
             }
+            this.pendingRequests.get(cmdType).push(request);
             
-            // 计算校验和（补码累加和）
-            const checksum = this.calculateChecksum(cmdType, dataLen, data);
-            frame.push(checksum);
-            
-            // 帧尾
-            frame.push(this.FRAME_TAIL);
+            this.writeFrame(cmdType, data).catch(error => {
+                clearTimeout(request.timer);
+                this.removePendingRequest(cmdType, request);
+                reject(error);
+            });
+        });
+    }
 
-            // 发送数据帧
-            await this.writer.write(new Uint8Array(frame));
-            
-            console.log(`发送数据帧: CMD=0x${cmdType.toString(16).padStart(2, '0')}, 数据长度=${dataLen}, 帧=${frame.map(b => '0x' + b.toString(16).padStart(2, '0')).join(' ')}`);
-            return true;
+    /**
+     * 从等待队列中移除请求
+     * @param {number} cmdType - 命令类型
+     * @param {Object} request - 请求对象
+     */
+    removePendingRequest(cmdType, request) {
+        const queue = this.pendingRequests.get(cmdType);
+        if (!queue) {
+            return;
+        }
+        const index = queue.indexOf(request);
+        if (index !== -1) {
+            queue.splice(index, 1);
+        }
+        if (queue.length === 0) {
+            this.pendingRequests.delete(cmdType);
+        }
+    }
 
-        } catch (error) {
-            console.error('发送数据帧失败:', error);
-            if (this.errorCallback) {
-                this.errorCallback(error);
-            }
-            return false;
+    /**
+     * 将应答交给最早发送的同命令码请求
+     * @param {number} cmdType - 命令类型
+     * @param {number} result - 结果码
+     * @param {Array} extraData - 附加数据
+     */
+    resolvePendingRequest(cmdType, result, extraData) {
+        const queue = this.pendingRequests.get(cmdType);
+        if (!queue || queue.length === 0) {
+            return;
+        }
+        const request = queue.shift();
+        if (queue.length === 0) {
+            this.pendingRequests.delete(cmdType);
+        }
+        clearTimeout(request.timer);
+        
+        if (result === this.COMMANDS.RESULT_SUCCESS) {
+            request.resolve({ cmd: cmdType, result: result, data: extraData });
+        } else {
+            request.reject(new CommandError(
+                `设备返回错误: CMD=0x${cmdType.toString(16).padStart(2, '0')}, ${this.getResultName(result)}`, cmdType, result));
         }
     }
 
+    /**
+     * 拒绝所有等待应答的请求
+     * @param {Error} error - 拒绝原因
+     */
+    rejectAllPendingRequests(error) {
+        this.pendingRequests.forEach(queue => {
+            queue.forEach(request => {
+                clearTimeout(request.timer);
+                request.reject(error);
+            });
+        });
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * 获取结果码名称
+     * @param {number} result - 结果码
+     * @returns {string} 结果码名称
+     */
+    getResultName(result) {
+        return this.protocol.getResultName(result);
+    }
+
     /**
      * 开始读取数据
      */
     async startReading() {
-        if (!this.isConnected || !this.reader) {
+        if (!this.isConnected || !this.transport) {
             console.error('串口未连接，无法开始读取数据');
             return;
         }
@@ -353,6 +860,11 @@ class SerialManager {
         this.isReading = true;
         console.log('开始读取串口数据...');
         
+        // Worker 打开通道后即开始读取，解码结果通过 workerHandler 送回
+        if (this.isWorkerDecoding()) {
+            return;
+        }
+        
         // 使用独立的读取循环，避免阻塞
         this.readLoop().catch(error => {
             console.error('读取循环异常:', error);
@@ -360,15 +872,7 @@ class SerialManager {
             if (this.errorCallback) {
                 this.errorCallback(error);
             }
-            // 如果连接仍然有效，尝试重新启动读取
-            if (this.isConnected) {
-                console.log('尝试重新启动读取循环...');
-                setTimeout(() => {
-                    if (this.isConnected && !this.isReading) {
-                        this.startReading();
-                    }
-                }, 1000);
-            }
+            this.handleConnectionLost('读取循环异常: ' + error.message);
         });
     }
 
@@ -376,42 +880,38 @@ class SerialManager {
      * 读取循环
      */
     async readLoop() {
-        while (this.isConnected && this.reader) {
+        const transport = this.transport;
+        
+        while (this.isConnected && this.transport === transport) {
+            let chunk;
             try {
-                const { value, done } = await this.reader.read();
-                
-                if (done) {
-                    console.log('串口读取流已结束');
-                    this.isReading = false;
-                    break;
-                }
-                
-                if (value && value.length > 0) {
-                    // 将新数据添加到缓冲区
-                    this.appendToBuffer(value);
-                    
-                    // 处理缓冲区中的数据
-                    this.processBuffer();
-                }
+                chunk = await transport.read();
             } catch (error) {
                 // 检查是否是取消操作
                 if (error.name === 'AbortError' || error.message.includes('cancel')) {
                     console.log('读取操作已取消');
-                    this.isReading = false;
                     break;
                 }
                 
-                // 其他错误，记录并继续尝试
+                // 其他读取错误（如设备拔出时的 NetworkError）视为连接丢失
                 console.error('读取数据时出错:', error);
-                
-                // 如果连接仍然有效，等待后继续
-                if (this.isConnected) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                    continue;
-                } else {
-                    this.isReading = false;
-                    break;
+                this.isReading = false;
+                this.handleConnectionLost('读取出错: ' + error.message);
+                return;
+            }
+            
+            if (chunk.done) {
+                console.log('串口读取流已结束');
+                this.isReading = false;
+                // 非主动断开时读取流结束说明设备已断开
+                if (this.isConnected && this.transport === transport) {
+                    this.handleConnectionLost('读取流已结束');
                 }
+                return;
+            }
+            
+            if (chunk.value && chunk.value.length > 0) {
+                this.receiveChunk(chunk.value);
             }
         }
         
@@ -419,175 +919,167 @@ class SerialManager {
     }
 
     /**
-     * 将数据追加到缓冲区
+     * 处理一段接收到的数据
+     * @param {Uint8Array} chunk - 接收到的数据
+     */
+    receiveChunk(chunk) {
+        this.linkStats.recordBytes(chunk.length);
+        
+        // 将新数据添加到缓冲区
+        this.appendToBuffer(chunk);
+        
+        // 处理缓冲区中的数据
+        this.processBuffer();
+    }
+
+    /**
+     * 将数据追加到环形缓冲区
      * @param {Uint8Array} newData - 新接收的数据
      */
     appendToBuffer(newData) {
-        // 检查缓冲区大小，防止无限增长
-        if (this.readBuffer.length + newData.length > this.maxBufferSize) {
-            console.warn('缓冲区溢出，清空缓冲区');
-            this.readBuffer = new Uint8Array(0);
-        }
-        
-        // 合并数据
-        const merged = new Uint8Array(this.readBuffer.length + newData.length);
-        merged.set(this.readBuffer);
-        merged.set(newData, this.readBuffer.length);
-        this.readBuffer = merged;
+        this.frameParser.push(newData, this.parserHandler);
     }
 
     /**
-     * 处理缓冲区中的数据
+     * 处理缓冲区中的数据：原地解析所有完整的数据帧，然后批量送出解析结果
      */
     processBuffer() {
-        while (this.readBuffer.length > 0) {
-            const frameStart = this.findFrameStart();
-            
-            if (frameStart === -1) {
-                // 没有找到帧头，清空缓冲区（可能是不完整的数据）
-                if (this.readBuffer.length > this.maxBufferSize / 2) {
-                    console.warn('缓冲区中未找到有效帧头，清空部分数据');
-                    this.readBuffer = this.readBuffer.slice(-10); // 保留最后10字节，可能包含帧头的一部分
-                }
-                break;
-            }
-            
-            // 移除帧头之前的数据
-            if (frameStart > 0) {
-                this.readBuffer = this.readBuffer.slice(frameStart);
-            }
-            
-            // 尝试解析完整的数据帧
-            const frameLength = this.tryParseFrame();
-            
-            if (frameLength > 0) {
-                // 成功解析了一帧，移除已处理的数据
-                this.readBuffer = this.readBuffer.slice(frameLength);
-            } else {
-                // 数据不完整，等待更多数据
-                break;
-            }
-        }
+        this.frameParser.parse(this.parserHandler);
+        this.flushBatch();
     }
 
     /**
-     * 查找帧头位置
-     * @returns {number} 帧头位置，未找到返回-1
+     * 处理一帧校验通过的数据帧
+     * @param {Object} frame - FrameParser 的帧描述对象（仅在调用期间有效）
      */
-    findFrameStart() {
-        for (let i = 0; i < this.readBuffer.length; i++) {
-            if (this.readBuffer[i] === this.FRAME_HEADER) {
-                return i;
+    handleParsedFrame(frame) {
+        this.linkStats.recordFrame(frame.cmd);
+        
+        // 追踪和原始帧录制需要独立的数据副本，只在设置了回调时生成
+        if (this.frameTraceCallback || this.frameCallback) {
+            const data = Array.from(frame.bytes.subarray(frame.offset, frame.offset + frame.length));
+            if (this.frameTraceCallback) {
+                this.traceParserFrame('ok', frame, data);
+            }
+            if (this.frameCallback) {
+                this.frameCallback(frame.cmd, data);
             }
         }
-        return -1;
+        
+        this.dispatchFrame(frame.cmd, frame.view, frame.offset, frame.length);
     }
 
     /**
-     * 尝试解析数据帧
-     * @returns {number} 解析的帧长度，如果数据不完整返回0，如果帧错误返回1（跳过当前字节）
+     * 处理一帧被拒绝的数据帧
+     * @param {string} status - bad-tail / bad-checksum / overlong
+     * @param {Object} frame - FrameParser 的帧描述对象
      */
-    tryParseFrame() {
-        // 最小帧长度：帧头(1) + 命令类型(1) + 数据长度(1) + 校验和(1) + 帧尾(1) = 5
-        if (this.readBuffer.length < this.MIN_FRAME_LEN) {
-            return 0;
+    handleRejectedFrame(status, frame) {
+        const hex = value => `0x${value.toString(16).padStart(2, '0')}`;
+        if (status === 'overlong') {
+            console.warn(`数据长度异常: ${frame.length}`);
+        } else if (status === 'bad-tail') {
+            console.warn(`帧尾不匹配: 收到${hex(this.frameParser.byteAt(4 + frame.length))}, 期望${hex(this.FRAME_TAIL)}`);
+        } else {
+            console.warn(`校验和错误: 收到${hex(frame.checksum)}, 计算${hex(frame.expectedChecksum)}`);
         }
         
-        // 检查帧头
-        if (this.readBuffer[0] !== this.FRAME_HEADER) {
-            return 0;
+        this.linkStats.recordError(status);
+        if (this.frameTraceCallback) {
+            const data = status === 'overlong'
+                ? []
+                : Array.from(frame.bytes.subarray(frame.offset, frame.offset + frame.length));
+            this.traceParserFrame(status, frame, data);
         }
-        
-        // 至少需要3个字节才能知道数据长度（头+类型+长度）
-        if (this.readBuffer.length < 3) {
-            return 0;
+    }
+
+    /**
+     * 处理即将被丢弃的字节
+     * @param {number} count - 字节数
+     * @param {string} reason - garbage / no-header / skip / overflow
+     */
+    handleDiscardedBytes(count, reason) {
+        if (reason === 'overflow') {
+            console.warn('缓冲区溢出，清空缓冲区');
         }
-        
-        const cmdType = this.readBuffer[1];
-        const dataLength = this.readBuffer[2];
-        
-        // 检查数据长度是否合理
-        if (dataLength > this.MAX_DATA_LENGTH) {
-            console.warn(`数据长度异常: ${dataLength}`);
-            return 1; // 跳过帧头字节，继续查找下一帧
+        this.linkStats.recordDiscard(count, reason);
+        if (this.frameTraceCallback && (reason === 'overflow' || reason === 'no-header')) {
+            this.traceFrame({ status: reason, length: count, raw: this.frameParser.peek(Math.min(count, 32)) });
         }
-        
-        // 计算完整帧长度：帧头(1) + 命令类型(1) + 数据长度(1) + 数据(dataLength) + 校验和(1) + 帧尾(1)
-        const totalFrameLength = 5 + dataLength;
-        
-        // 检查是否有足够的数据
-        if (this.readBuffer.length < totalFrameLength) {
-            return 0; // 数据不完整，等待更多数据
+        // 帧之外的字节可能是固件文本接口的输出
+        if (this.textCallback && (reason === 'no-header' || reason === 'garbage')) {
+            this.textCallback(this.frameParser.peek(count));
         }
-        
-        // 提取帧数据
-        const frameData = Array.from(this.readBuffer.slice(3, 3 + dataLength));
-        const checksum = this.readBuffer[3 + dataLength];
-        const frameTail = this.readBuffer[3 + dataLength + 1];
-        
-        // 检查帧尾
-        if (frameTail !== this.FRAME_TAIL) {
-            console.warn(`帧尾不匹配: 收到0x${frameTail.toString(16).padStart(2, '0')}, 期望0x${this.FRAME_TAIL.toString(16).padStart(2, '0')}`);
-            return 1; // 跳过帧头字节，继续查找
+    }
+
+    /**
+     * 送出解析器中当前帧的追踪记录
+     * @param {string} status - 帧状态
+     * @param {Object} frame - FrameParser 的帧描述对象
+     * @param {Array<number>} data - 数据内容副本
+     */
+    traceParserFrame(status, frame, data) {
+        const total = status === 'overlong' ? 3 : this.frameParser.MIN_FRAME_LEN + frame.length;
+        this.traceFrame({
+            status: status,
+            cmd: frame.cmd,
+            length: frame.length,
+            data: data,
+            checksum: status === 'overlong' ? null : frame.checksum,
+            expectedChecksum: status === 'overlong' ? null : frame.expectedChecksum,
+            raw: this.frameParser.peek(total)
+        });
+    }
+
+    /**
+     * 解码录制的原始数据帧（回放使用）
+     * 只按协议描述解码数据内容，不计入实时数据的数据包计数、分流统计和丢包检测
+     * @param {number} cmdType - 命令类型
+     * @param {Array|Uint8Array} data - 数据内容
+     * @param {number} packetNumber - 回放的数据包序号
+     * @returns {Object|null} 关节数据对象，不是数据通知或长度不足时为null
+     */
+    decodeRecordedFrame(cmdType, data, packetNumber) {
+        const command = this.protocol.getCommand(cmdType);
+        if (!command || !command.notify) {
+            return null;
         }
-        
-        // 验证校验和（补码累加和）
-        const calculatedChecksum = this.calculateChecksum(cmdType, dataLength, frameData);
-        
-        if (calculatedChecksum !== checksum) {
-            console.warn(`校验和错误: 收到0x${checksum.toString(16).padStart(2, '0')}, 计算0x${calculatedChecksum.toString(16).padStart(2, '0')}`);
-            return 1; // 跳过帧头字节，继续查找
+        const bytes = data instanceof Uint8Array ? data : Uint8Array.from(data);
+        const decoded = this.protocol.decodeFields(command.payload, new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), 0, bytes.length);
+        if (!decoded) {
+            return null;
         }
-        
-        // 校验通过，解析数据帧
-        this.parseFrame(cmdType, frameData);
-        
-        return totalFrameLength;
+        const payload = decoded.values;
+        return this.buildJointData(payload.hand, command.field, payload.values, Date.now(), packetNumber, payload.sequence ?? null);
     }
 
-
     /**
-     * 解析数据帧
+     * 按命令类型分发一帧数据
+     * 数据通知解码后放入批次，由 flushBatch 统一回调；命令应答立即处理
      * @param {number} cmdType - 命令类型
-     * @param {Array} data - 数据内容
+     * @param {DataView} view - 数据所在的 DataView
+     * @param {number} offset - 数据起始位置
+     * @param {number} length - 数据长度
      */
-    parseFrame(cmdType, data) {
+    dispatchFrame(cmdType, view, offset, length) {
         try {
-            // 更新统计信息
-            this.updateStatistics();
-
-            // 处理传感器数据通知（0x20）
-            if (cmdType === this.COMMANDS.CMD_SENSOR_DATA) {
-                this.parseSensorDataFrame(data);
-            }
-            // 处理映射数据通知（0x21）
-            else if (cmdType === this.COMMANDS.CMD_MAPPING_DATA) {
-                this.parseMappingDataFrame(data);
+            // 处理数据通知（传感器数据0x20、映射数据0x21）
+            const command = this.protocol.getCommand(cmdType);
+            if (command && command.notify) {
+                const jointData = this.decodeNotification(command, view, offset, length);
+                if (jointData) {
+                    this.batch.push(jointData);
+                }
             }
             // 处理命令响应（其他命令类型）
             else {
                 // 响应格式：结果码(result) + 额外数据
-                const result = data.length > 0 ? data[0] : this.COMMANDS.RESULT_FAIL;
-                const extraData = data.length > 1 ? data.slice(1) : [];
-                
-                if (result === this.COMMANDS.RESULT_SUCCESS) {
-                    console.log(`命令执行成功: CMD=0x${cmdType.toString(16).padStart(2, '0')}`);
-                    if (this.responseCallback) {
-                        this.responseCallback('ok', cmdType, extraData);
-                    }
-                } else {
-                    const resultNames = {
-                        [this.COMMANDS.RESULT_FAIL]: '执行失败',
-                        [this.COMMANDS.RESULT_UNKNOWN_CMD]: '未知命令',
-                        [this.COMMANDS.RESULT_NOT_ENABLED]: '未启用',
-                        [this.COMMANDS.RESULT_CHECKSUM_ERROR]: '校验和错误'
-                    };
-                    const resultName = resultNames[result] || `错误码0x${result.toString(16).padStart(2, '0')}`;
-                    console.log(`命令执行失败: CMD=0x${cmdType.toString(16).padStart(2, '0')}, ${resultName}`);
-                    if (this.responseCallback) {
-                        this.responseCallback('error', cmdType, extraData);
-                    }
+                const result = length > 0 ? view.getUint8(offset) : this.COMMANDS.RESULT_FAIL;
+                const extraData = [];
+                for (let i = 1; i < length; i++) {
+                    extraData.push(view.getUint8(offset + i));
                 }
+                this.processResponse(cmdType, result, extraData);
             }
 
         } catch (error) {
@@ -599,167 +1091,326 @@ class SerialManager {
     }
 
     /**
-     * 解析传感器数据帧（命令类型0x20）
-     * @param {Array} data - 传感器数据数组（31字节：手侧1字节 + 15个uint16，每个2字节）
+     * 处理一帧命令应答：通知响应回调并完成对应命令的等待
+     * @param {number} cmdType - 命令类型
+     * @param {number} result - 结果码
+     * @param {Array<number>} extraData - 附加数据
      */
-    parseSensorDataFrame(data) {
-        try {
-            if (data.length < 31) {
-                console.warn(`传感器数据长度不足: ${data.length}, 期望31`);
-                return;
+    processResponse(cmdType, result, extraData) {
+        this.updateStatistics();
+        
+        if (result === this.COMMANDS.RESULT_SUCCESS) {
+            console.log(`命令执行成功: CMD=0x${cmdType.toString(16).padStart(2, '0')}`);
+            if (this.responseCallback) {
+                this.responseCallback('ok', cmdType, extraData);
             }
-
-            // 解析手侧（0=右手, 1=左手）
-            const hand = data[0];
-            
-            // 解析15个uint16值（小端序）
-            const sensorData = [];
-            for (let i = 0; i < 15; i++) {
-                const idx = 1 + i * 2;
-                // 小端序：低字节在前，高字节在后
-                const value = data[idx] | (data[idx + 1] << 8);
-                sensorData.push(value);
+        } else {
+            const resultName = this.getResultName(result);
+            console.log(`命令执行失败: CMD=0x${cmdType.toString(16).padStart(2, '0')}, ${resultName}`);
+            if (this.responseCallback) {
+                this.responseCallback('error', cmdType, extraData);
             }
+        }
+        
+        // 完成对应命令的等待
+        this.resolvePendingRequest(cmdType, result, extraData);
+    }
 
-            // 构建关节数据对象
-            const jointData = {
-                hand: hand, // 0=右手, 1=左手
-                // 大拇指
-                thumbYaw: sensorData[0],
-                thumbPitch: sensorData[1],
-                thumbTip: sensorData[2],
-                
-                // 食指
-                indexYaw: sensorData[3],
-                indexPitch: sensorData[4],
-                indexTip: sensorData[5],
-                
-                // 中指
-                middleYaw: sensorData[6],
-                middlePitch: sensorData[7],
-                middleTip: sensorData[8],
-                
-                // 无名指
-                ringYaw: sensorData[9],
-                ringPitch: sensorData[10],
-                ringTip: sensorData[11],
-                
-                // 小指
-                pinkyYaw: sensorData[12],
-                pinkyPitch: sensorData[13],
-                pinkyTip: sensorData[14],
-                
-                // 原始传感器数据
-                sensorData: sensorData,
-                
-                // 元数据
-                timestamp: Date.now(),
-                packetNumber: this.packetCount++
-            };
-
-            // 调用数据回调函数
-            if (this.dataCallback) {
-                this.dataCallback(jointData);
+    /**
+     * 送出本批次解码的关节数据：逐条调用 dataCallback，再整体调用 batchCallback
+     */
+    flushBatch() {
+        if (this.batch.length === 0) {
+            return;
+        }
+        const batch = this.batch;
+        this.batch = [];
+        this.updateStatistics(batch.length);
+        
+        if (this.dataCallback) {
+            for (let i = 0; i < batch.length; i++) {
+                this.dataCallback(batch[i]);
             }
+        }
+        if (this.batchCallback) {
+            this.batchCallback(batch);
+        }
+    }
 
-        } catch (error) {
-            console.error('解析传感器数据帧时出错:', error);
-            if (this.errorCallback) {
-                this.errorCallback(error);
+    /**
+     * 按配置为传输通道套上 Worker 解析层
+     * 未启用 Worker 解析或当前环境无法创建 Worker（例如从 file:// 打开页面）时直接返回原传输通道，在主线程解析
+     * @param {Transport} transport - 实际的传输通道
+     * @returns {Transport} 传输通道
+     */
+    createWorkerTransport(transport) {
+        if (!this.serialConfig.parseInWorker || typeof Worker === 'undefined') {
+            return transport;
+        }
+        if (!this.worker) {
+            try {
+                this.worker = new Worker('serialworker.js');
+            } catch (error) {
+                console.warn('无法创建解析Worker，改为在主线程解析:', error.message);
+                return transport;
             }
         }
+        return new WorkerTransport(this.worker, transport, this.workerHandler);
     }
 
     /**
-     * 解析映射数据帧（命令类型0x21）
-     * @param {Array} data - 映射数据数组（61字节：手侧1字节 + 15个float，每个4字节）
+     * 当前连接是否由 Worker 读取和解析
+     * @returns {boolean} 是否使用 Worker 解析
      */
-    parseMappingDataFrame(data) {
-        try {
-            if (data.length < 61) {
-                console.warn(`映射数据长度不足: ${data.length}, 期望61`);
-                return;
-            }
+    isWorkerDecoding() {
+        return !!(this.transport && this.transport.decodesFrames);
+    }
 
-            // 解析手侧（0=右手, 1=左手）
-            const hand = data[0];
-            
-            // 解析15个float值（IEEE 754单精度，小端序）
-            const mappingData = [];
-            for (let i = 0; i < 15; i++) {
-                const idx = 1 + i * 4;
-                // 提取4字节
-                const bytes = new Uint8Array([
-                    data[idx],
-                    data[idx + 1],
-                    data[idx + 2],
-                    data[idx + 3]
-                ]);
-                
-                // 使用DataView解析IEEE 754单精度浮点数（小端序）
-                const view = new DataView(bytes.buffer);
-                const value = view.getFloat32(0, true); // true表示小端序
-                mappingData.push(value);
-            }
+    /**
+     * 告知 Worker 需要送回哪些附加信息（帧追踪记录和原始帧只在设置了对应回调时才复制）
+     */
+    syncWorkerOptions() {
+        if (!this.isWorkerDecoding()) {
+            return;
+        }
+        this.transport.postControl({
+            type: 'options',
+            trace: !!this.frameTraceCallback,
+            frames: !!this.frameCallback,
+            text: !!this.textCallback
+        });
+    }
 
-            // 构建映射数据对象
-            const mappingDataObj = {
-                hand: hand, // 0=右手, 1=左手
-                // 大拇指
-                thumbYaw: mappingData[0],
-                thumbPitch: mappingData[1],
-                thumbTip: mappingData[2],
-                
-                // 食指
-                indexYaw: mappingData[3],
-                indexPitch: mappingData[4],
-                indexTip: mappingData[5],
-                
-                // 中指
-                middleYaw: mappingData[6],
-                middlePitch: mappingData[7],
-                middleTip: mappingData[8],
-                
-                // 无名指
-                ringYaw: mappingData[9],
-                ringPitch: mappingData[10],
-                ringTip: mappingData[11],
-                
-                // 小指
-                pinkyYaw: mappingData[12],
-                pinkyPitch: mappingData[13],
-                pinkyTip: mappingData[14],
-                
-                // 原始映射数据
-                mappingData: mappingData,
-                
-                // 元数据
-                timestamp: Date.now(),
-                packetNumber: this.packetCount++
-            };
+    /**
+     * 处理 Worker 送来的一批解码结果
+     * 按 帧追踪 → 帧外文本 → 原始帧 → 命令应答 → 关节数据 的顺序送出，关节数据仍逐条调用 dataCallback
+     * @param {Object} message - { samples, responses, traces, text, frames, coalesced, dropped, packetCount, streams }
+     */
+    handleWorkerBatch(message) {
+        if (this.frameTraceCallback) {
+            message.traces.forEach(record => this.traceFrame(record));
+        }
+        if (this.textCallback && message.text.length > 0) {
+            this.textCallback(message.text);
+        }
+        if (this.frameCallback) {
+            message.frames.forEach(frame => this.frameCallback(frame.cmd, frame.data));
+        }
+        message.responses.forEach(response => {
+            this.processResponse(response.cmd, response.result, response.extraData);
+        });
+        
+        this.packetCount = message.packetCount;
+        this.remoteStatistics = { streams: message.streams };
+        if (message.coalesced > 0) {
+            this.coalescedCount += message.coalesced;
+            console.warn(`主线程处理不及时，Worker 合并了 ${message.coalesced} 个数据包`);
+        }
+        const dropped = message.dropped;
+        if (dropped.traces > 0 || dropped.frames > 0 || dropped.text > 0) {
+            console.warn(`主线程处理不及时，Worker 丢弃了 ${dropped.traces} 条帧追踪记录、${dropped.frames} 个原始帧和 ${dropped.text} 字节帧外文本`);
+        }
+        
+        if (message.samples.length > 0) {
+            this.batch = message.samples;
+            this.flushBatch();
+        }
+        
+        // 处理完成后再确认，主线程繁忙时 Worker 自动积攒并合并数据
+        if (this.isWorkerDecoding()) {
+            this.transport.ack();
+        }
+    }
+
+    /**
+     * 处理 Worker 周期性送来的链路统计
+     * @param {Object} message - { link }
+     */
+    handleWorkerStats(message) {
+        this.remoteLinkSnapshot = message.link;
+    }
+
+    /**
+     * 重新开始统计某种帧的到达间隔（同时通知 Worker）
+     * @param {number} cmd - 命令码
+     */
+    resetLinkInterval(cmd) {
+        this.linkStats.resetInterval(cmd);
+        if (this.isWorkerDecoding()) {
+            this.transport.postControl({ type: 'reset-interval', cmd: cmd });
+        }
+    }
 
-            // 调用数据回调函数（如果有映射数据回调）
-            if (this.dataCallback) {
-                this.dataCallback(mappingDataObj);
+    /**
+     * 按协议描述解码数据通知
+     * 负载：手侧 + 15个关节值（传感器数据为uint16，映射数据为float32）；固件提供序列号时末尾追加 uint16 序列号
+     * @param {Object} command - 数据通知的命令描述
+     * @param {DataView} view - 数据所在的 DataView
+     * @param {number} offset - 数据起始位置
+     * @param {number} length - 数据长度
+     * @returns {Object|null} 关节数据对象，长度不足时为null
+     */
+    decodeNotification(command, view, offset, length) {
+        const decoded = this.protocol.decodeFields(command.payload, view, offset, length);
+        if (!decoded) {
+            // 旧固件或关节数不同的设备每一包都会解码失败，只提示一次
+            if (!this.decodeWarnings.has(command.code)) {
+                this.decodeWarnings.add(command.code);
+                console.warn(`${command.label}长度不足: ${length}, 期望至少${this.protocol.getMinLength(command.payload)}字节；` +
+                    '设备的数据格式与上位机协议不一致（固件版本过旧或关节数不同），请查看设备信息。后续同类数据包不再提示');
             }
+            return null;
+        }
+        
+        const payload = decoded.values;
+        const sequence = payload.sequence ?? null;
+        const packetNumber = this.countStreamPacket(payload.hand, command.stream, sequence);
+        return this.buildJointData(payload.hand, command.field, payload.values, Date.now(), packetNumber, sequence);
+    }
 
-        } catch (error) {
-            console.error('解析映射数据帧时出错:', error);
-            if (this.errorCallback) {
-                this.errorCallback(error);
+    /**
+     * 构建关节数据对象（传感器数据和映射数据共用同一结构）
+     * @param {number} hand - 手侧（0=右手, 1=左手）
+     * @param {string} field - 原始数组字段名（sensorData 或 mappingData）
+     * @param {Array<number>} values - 15个关节值，顺序同 JOINT_NAMES
+     * @param {number} timestamp - 时间戳（ms）
+     * @param {number} packetNumber - 数据包序号（按手侧和数据流分别计数）
+     * @param {number|null} sequence - 固件序列号，无序列号时为null
+     * @returns {Object} 关节数据对象
+     */
+    buildJointData(hand, field, values, timestamp, packetNumber, sequence = null) {
+        return {
+            hand: hand, // 0=右手, 1=左手
+            // 大拇指
+            thumbYaw: values[0],
+            thumbPitch: values[1],
+            thumbTip: values[2],
+            
+            // 食指
+            indexYaw: values[3],
+            indexPitch: values[4],
+            indexTip: values[5],
+            
+            // 中指
+            middleYaw: values[6],
+            middlePitch: values[7],
+            middleTip: values[8],
+            
+            // 无名指
+            ringYaw: values[9],
+            ringPitch: values[10],
+            ringTip: values[11],
+            
+            // 小指
+            pinkyYaw: values[12],
+            pinkyPitch: values[13],
+            pinkyTip: values[14],
+            
+            // 原始数据数组
+            [field]: values,
+            
+            // 元数据
+            timestamp: timestamp,
+            packetNumber: packetNumber,
+            sequence: sequence
+        };
+    }
+
+    /**
+     * 按手侧和数据流计数一个数据包，并根据固件序列号检测丢包
+     * 序列号为 uint16，按 65536 回绕；向前跳跃视为丢包，向后跳跃视为乱序/重复
+     * @param {number} hand - 手侧（0=右手, 1=左手）
+     * @param {string} stream - sensor / mapping
+     * @param {number|null} sequence - 固件序列号
+     * @returns {number} 该数据流的数据包序号（从0开始）
+     */
+    countStreamPacket(hand, stream, sequence) {
+        const key = `${hand}-${stream}`;
+        const now = Date.now();
+        let counter = this.streamCounters.get(key);
+        if (!counter) {
+            counter = {
+                hand: hand,
+                stream: stream,
+                count: 0,
+                rate: 0,
+                windowStart: now,
+                windowCount: 0,
+                lastSequence: null,
+                gaps: 0,       // 检测到的缺口次数
+                lost: 0,       // 缺口内丢失的包数
+                reordered: 0,  // 乱序或重复的包数
+                lastGapTime: 0
+            };
+            this.streamCounters.set(key, counter);
+        }
+        
+        this.packetCount++;
+        const packetNumber = counter.count++;
+        
+        // 滚动窗口频率
+        counter.windowCount++;
+        if (now - counter.windowStart >= this.STREAM_RATE_WINDOW) {
+            counter.rate = Math.round(counter.windowCount * 1000 / (now - counter.windowStart));
+            counter.windowStart = now;
+            counter.windowCount = 0;
+        }
+        
+        // 序列号缺口检测
+        if (sequence !== null) {
+            const delta = counter.lastSequence === null ? 1 : (sequence - counter.lastSequence) & 0xFFFF;
+            if (delta === 0 || delta >= 0x8000) {
+                counter.reordered++;
+            } else {
+                if (delta > 1) {
+                    counter.gaps++;
+                    counter.lost += delta - 1;
+                    counter.lastGapTime = now;
+                    console.warn(`${hand === 0 ? '右手' : '左手'}${stream === 'sensor' ? '传感器' : '映射'}数据丢包: 序列号 ${counter.lastSequence} -> ${sequence}, 丢失 ${delta - 1} 包`);
+                }
+                counter.lastSequence = sequence;
             }
         }
+        
+        return packetNumber;
+    }
+
+    /**
+     * 获取按手侧和数据流分别统计的计数器
+     * 超过两个统计窗口没有新数据的数据流频率视为0
+     * @returns {Array<Object>} 计数器列表（含 hasSequence 标记）
+     */
+    getStreamStatistics() {
+        const now = Date.now();
+        return [...this.streamCounters.values()].map(counter => ({
+            hand: counter.hand,
+            stream: counter.stream,
+            count: counter.count,
+            rate: now - counter.windowStart > this.STREAM_RATE_WINDOW * 2 ? 0 : counter.rate,
+            hasSequence: counter.lastSequence !== null,
+            gaps: counter.gaps,
+            lost: counter.lost,
+            reordered: counter.reordered,
+            lastGapTime: counter.lastGapTime
+        }));
     }
 
     /**
-     * 更新统计信息
+     * 更新统计信息（按1秒窗口计算帧率，数据帧按批次计入）
+     * @param {number} frameCount - 本次计入的帧数
      */
-    updateStatistics() {
+    updateStatistics(frameCount = 1) {
         const currentTime = Date.now();
-        const timeDiff = currentTime - this.lastUpdateTime;
+        if (this.rateWindowStart === 0) {
+            this.rateWindowStart = currentTime;
+        }
         
-        if (timeDiff > 0) {
-            this.updateRate = Math.round(1000 / timeDiff);
+        this.rateWindowCount += frameCount;
+        const elapsed = currentTime - this.rateWindowStart;
+        if (elapsed >= 1000) {
+            this.updateRate = Math.round(this.rateWindowCount * 1000 / elapsed);
+            this.rateWindowStart = currentTime;
+            this.rateWindowCount = 0;
         }
         
         this.lastUpdateTime = currentTime;
@@ -782,10 +1433,30 @@ class SerialManager {
             packetCount: this.packetCount,
             updateRate: this.updateRate,
             lastUpdateTime: this.lastUpdateTime,
-            isConnected: this.isConnected
+            isConnected: this.isConnected,
+            streams: this.remoteStatistics ? this.remoteStatistics.streams : this.getStreamStatistics(),
+            coalesced: this.coalescedCount
         };
     }
 
+    /**
+     * 获取链路质量统计（滚动窗口）
+     * 两种数据推送都已确认关闭时不判定无数据停顿
+     * @returns {Object} LinkStatistics.getSnapshot 返回的统计快照
+     */
+    getLinkStatistics() {
+        const expectData = this.isConnected &&
+            (this.enableState.sensorSend !== false || this.enableState.mappingSend !== false);
+        if (!this.remoteLinkSnapshot) {
+            return this.linkStats.getSnapshot(this.serialConfig, expectData);
+        }
+        
+        // Worker 的快照不知道设备的启用状态，在主线程重新判定
+        const snapshot = { ...this.remoteLinkSnapshot, expectData: expectData };
+        snapshot.diagnosis = this.linkStats.diagnose(snapshot);
+        return snapshot;
+    }
+
     /**
      * 重置统计信息
      */
@@ -793,6 +1464,16 @@ class SerialManager {
         this.packetCount = 0;
         this.updateRate = 0;
         this.lastUpdateTime = 0;
+        this.rateWindowStart = 0;
+        this.rateWindowCount = 0;
+        this.linkStats.reset();
+        this.streamCounters.clear();
+        this.remoteStatistics = null;
+        this.remoteLinkSnapshot = null;
+        this.coalescedCount = 0;
+        if (this.isWorkerDecoding()) {
+            this.transport.postControl({ type: 'reset-stats' });
+        }
     }
 
     /**
@@ -822,7 +1503,12 @@ class SerialManager {
             stopBits: 1,
             parity: 'none',
             flowControl: 'none',
-            timeout: 1000
+            timeout: 1000,                  // 命令应答超时（ms）
+            retries: 0,                     // 超时或校验和错误时的重试次数
+            transport: 'webserial',         // 传输方式：webserial / websocket
+            wsUrl: 'ws://localhost:8765',   // WebSocket桥接地址
+            autoReconnect: true,            // 设备断开后自动重连
+            parseInWorker: true             // 在专用Worker中读取和解析数据帧
         };
         console.log('串口配置已重置为默认值');
     }
@@ -863,10 +1549,10 @@ class SerialManager {
      * 更新端口信息
      */
     updatePortInfo() {
-        if (this.port) {
+        if (this.transport) {
             try {
-                // Web Serial API 使用 getInfo() 方法获取端口信息
-                const info = this.port.getInfo();
+                // 传输通道的 getInfo() 与 Web Serial API 格式一致
+                const info = this.transport.getInfo();
                 
                 if (info && info.usbVendorId && info.usbProductId) {
                     const portId = `${info.usbVendorId}:${info.usbProductId}`;
@@ -878,9 +1564,9 @@ class SerialManager {
                         vendorId: info.usbVendorId ? `0x${info.usbVendorId.toString(16).padStart(4, '0')}` : null
                     };
                 } else {
-                    // 如果没有 USB 信息，使用默认值
+                    // 如果没有 USB 信息，使用传输通道名称或默认值
                     this.portInfo = {
-                        name: '串口设备',
+                        name: (info && info.name) || '串口设备',
                         id: 'serial-port',
                         manufacturer: null,
                         productId: null,
@@ -927,12 +1613,10 @@ class SerialManager {
      */
     async enable() {
         try {
-            if (!this.isConnected || !this.writer) {
+            if (!this.isConnected || !this.transport) {
                 throw new Error('串口未连接');
             }
-            const commandStr = "frame_enable\n";
-            await this.writer.write(new TextEncoder().encode(commandStr));
-            console.log('已发送启用命令: frame_enable');
+            await this.sendText("frame_enable\n");
             return true;
         } catch (error) {
             console.error('发送启用命令失败:', error);
@@ -941,16 +1625,16 @@ class SerialManager {
     }
 
     async disable() {
-        return await this.sendFrame(this.COMMANDS.CMD_DISABLE);
+        return await this.sendCommand(this.COMMANDS.CMD_DISABLE);
     }
 
     // 快速校准命令
     async startQuickCalibration() {
-        return await this.sendFrame(this.COMMANDS.CMD_QUICK_START);
+        return await this.sendCommand(this.COMMANDS.CMD_QUICK_START);
     }
 
     async finishQuickCalibration() {
-        return await this.sendFrame(this.COMMANDS.CMD_QUICK_FINISH);
+        return await this.sendCommand(this.COMMANDS.CMD_QUICK_FINISH);
     }
 
     // 锚定点校准命令
@@ -960,77 +1644,226 @@ class SerialManager {
      * @param {Array<number>} fingers - 手指列表（1=食指, 2=中指, 3=无名指, 4=小指）
      */
     async startAnchorCalibration(hand, fingers) {
-        const data = [hand, fingers.length, ...fingers];
-        return await this.sendFrame(this.COMMANDS.CMD_ANCHOR_START, data);
+        const data = this.protocol.encodeRequest('ANCHOR_START', { hand: hand, fingers: fingers });
+        return await this.sendCommand(this.COMMANDS.CMD_ANCHOR_START, data);
     }
 
     async recordAnchorPoint() {
-        return await this.sendFrame(this.COMMANDS.CMD_RECORD);
+        return await this.sendCommand(this.COMMANDS.CMD_RECORD);
     }
 
     async applyAnchorCalibration() {
-        return await this.sendFrame(this.COMMANDS.CMD_APPLY);
+        return await this.sendCommand(this.COMMANDS.CMD_APPLY);
     }
 
     async saveCalibration() {
-        return await this.sendFrame(this.COMMANDS.CMD_SAVE);
+        return await this.sendCommand(this.COMMANDS.CMD_SAVE);
     }
 
     async loadCalibration() {
-        return await this.sendFrame(this.COMMANDS.CMD_LOAD);
+        return await this.sendCommand(this.COMMANDS.CMD_LOAD);
     }
 
     async clearCalibration() {
-        return await this.sendFrame(this.COMMANDS.CMD_CLEAR);
+        return await this.sendCommand(this.COMMANDS.CMD_CLEAR);
     }
 
     async resetCalibration() {
-        return await this.sendFrame(this.COMMANDS.CMD_RESET);
+        return await this.sendCommand(this.COMMANDS.CMD_RESET);
     }
 
     // 查询命令
+    /**
+     * 握手：查询设备信息并检查兼容性
+     * 旧固件不应答设备信息查询（超时或返回未知命令），按协议版本1的能力处理
+     * @returns {Promise<Object>} 设备信息（DEVICE_INFO 应答字段，另有 legacy、firmwareVersion 和 issues）
+     */
+    async negotiate() {
+        const code = this.COMMANDS.CMD_DEVICE_INFO;
+        let info;
+        try {
+            const response = await this.requestOnce(code, [], this.HANDSHAKE_TIMEOUT);
+            info = this.protocol.decodeResponse(code, response.data || []);
+            info.legacy = false;
+        } catch (error) {
+            const legacy = error instanceof CommandTimeoutError ||
+                (error instanceof CommandError && error.resultCode === this.COMMANDS.RESULT_UNKNOWN_CMD);
+            if (!legacy) {
+                throw error;
+            }
+            info = this.protocol.getLegacyDeviceInfo();
+        }
+        
+        info.firmwareVersion = info.firmware ? info.firmware.join('.') : null;
+        info.issues = this.protocol.checkCompatibility(info);
+        this.deviceInfo = info;
+        return info;
+    }
+
+    /**
+     * 设备是否支持命令（握手前和数据通知视为支持）
+     * @param {number|string} command - 命令码或命令键
+     * @returns {boolean} 是否支持
+     */
+    supportsCommand(command) {
+        const description = typeof command === 'string' ?
+            this.protocol.getCommandByKey(command) : this.protocol.getCommand(command);
+        if (!this.deviceInfo || !description || description.notify) {
+            return true;
+        }
+        return this.deviceInfo.commands.includes(description.code);
+    }
+
+    /**
+     * 查询设备状态
+     * @returns {Promise<DeviceStatus>} 设备状态
+     */
     async getStatus() {
-        return await this.sendFrame(this.COMMANDS.CMD_STATUS);
+        const response = await this.sendCommand(this.COMMANDS.CMD_STATUS);
+        const status = this.parseDeviceStatus(response.data);
+        this.enableState.canEnabled = status.canEnabled;
+        this.enableState.sensorSend = status.sensorSend;
+        return status;
     }
 
-    // 控制命令
+    /**
+     * 解析状态应答数据
+     * @param {Array<number>} data - 状态字节（结果码之后的数据）
+     * @returns {DeviceStatus} 设备状态
+     */
+    parseDeviceStatus(data) {
+        const status = this.protocol.decodeResponse(this.COMMANDS.CMD_STATUS, data || []);
+        const fields = this.protocol.getCommand(this.COMMANDS.CMD_STATUS).response;
+        status.raw = data.slice(0, this.protocol.getMinLength(fields));
+        return status;
+    }
+
+    // 控制命令（成功后记录启用状态，用于重连后恢复）
     async enableCAN() {
-        return await this.sendFrame(this.COMMANDS.CMD_CAN_ENABLE);
+        const response = await this.sendCommand(this.COMMANDS.CMD_CAN_ENABLE);
+        this.enableState.canEnabled = true;
+        return response;
     }
 
     async disableCAN() {
-        return await this.sendFrame(this.COMMANDS.CMD_CAN_DISABLE);
+        const response = await this.sendCommand(this.COMMANDS.CMD_CAN_DISABLE);
+        this.enableState.canEnabled = false;
+        return response;
     }
 
     async enableSensor() {
-        return await this.sendFrame(this.COMMANDS.CMD_SENSOR_ENABLE);
+        const response = await this.sendCommand(this.COMMANDS.CMD_SENSOR_ENABLE);
+        this.enableState.sensorSend = true;
+        this.resetLinkInterval(this.COMMANDS.CMD_SENSOR_DATA);
+        return response;
     }
 
     async disableSensor() {
-        return await this.sendFrame(this.COMMANDS.CMD_SENSOR_DISABLE);
+        const response = await this.sendCommand(this.COMMANDS.CMD_SENSOR_DISABLE);
+        this.enableState.sensorSend = false;
+        this.resetLinkInterval(this.COMMANDS.CMD_SENSOR_DATA);
+        return response;
     }
 
     async enableMapping() {
-        return await this.sendFrame(this.COMMANDS.CMD_MAPPING_ENABLE);
+        const response = await this.sendCommand(this.COMMANDS.CMD_MAPPING_ENABLE);
+        this.enableState.mappingSend = true;
+        this.resetLinkInterval(this.COMMANDS.CMD_MAPPING_DATA);
+        return response;
     }
 
     async disableMapping() {
-        return await this.sendFrame(this.COMMANDS.CMD_MAPPING_DISABLE);
+        const response = await this.sendCommand(this.COMMANDS.CMD_MAPPING_DISABLE);
+        this.enableState.mappingSend = false;
+        this.resetLinkInterval(this.COMMANDS.CMD_MAPPING_DATA);
+        return response;
+    }
+
+    // 固件升级命令（见 firmware.js 的 FirmwareUpdater）
+    /**
+     * 让应用固件重启进入bootloader
+     * @returns {Promise<Object>} 响应结果
+     */
+    async enterBootloader() {
+        return await this.sendCommand(this.COMMANDS.CMD_DFU_ENTER);
+    }
+
+    /**
+     * bootloader握手：声明固件大小和CRC，bootloader已收到同一固件的部分数据时返回续传位置
+     * @param {number} imageSize - 固件大小（字节）
+     * @param {number} imageCrc - 固件CRC32
+     * @param {number} timeout - 应答超时（ms），默认使用串口配置
+     * @returns {Promise<{bootloaderVersion: number, maxChunk: number, resumeOffset: number}>} bootloader信息
+     */
+    async startFirmwareUpdate(imageSize, imageCrc, timeout) {
+        const data = this.protocol.encodeRequest('DFU_START', { imageSize: imageSize, imageCrc: imageCrc });
+        const response = await this.sendCommand(this.COMMANDS.CMD_DFU_START, data,
+            { timeout: timeout, retries: 0, unchecked: true });
+        return this.protocol.decodeResponse(this.COMMANDS.CMD_DFU_START, response.data || []);
+    }
+
+    /**
+     * 写入一块固件数据，分块CRC错误或超时时按 retries 重试
+     * @param {number} offset - 分块在固件中的偏移
+     * @param {Uint8Array|Array<number>} bytes - 分块数据
+     * @param {number} retries - 重试次数
+     * @returns {Promise<number>} bootloader期望的下一偏移
+     */
+    async writeFirmwareChunk(offset, bytes, retries) {
+        const data = this.protocol.encodeRequest('DFU_DATA', {
+            offset: offset,
+            chunkCrc: ProtocolSchema.crc32(bytes),
+            data: Array.from(bytes)
+        });
+        const response = await this.sendCommand(this.COMMANDS.CMD_DFU_DATA, data, { retries: retries, unchecked: true });
+        return this.protocol.decodeResponse(this.COMMANDS.CMD_DFU_DATA, response.data || []).nextOffset;
+    }
+
+    /**
+     * 查询bootloader已收到固件的CRC32
+     * @returns {Promise<number>} CRC32
+     */
+    async verifyFirmware() {
+        const response = await this.sendCommand(this.COMMANDS.CMD_DFU_VERIFY, [], { unchecked: true });
+        return this.protocol.decodeResponse(this.COMMANDS.CMD_DFU_VERIFY, response.data || []).imageCrc;
+    }
+
+    /**
+     * 完成升级：bootloader启动新固件
+     * @returns {Promise<Object>} 响应结果
+     */
+    async finishFirmwareUpdate() {
+        return await this.sendCommand(this.COMMANDS.CMD_DFU_FINISH, [], { unchecked: true });
+    }
+
+    /**
+     * 中止升级：bootloader丢弃已收到的数据并启动原固件
+     * @returns {Promise<Object>} 响应结果
+     */
+    async abortFirmwareUpdate() {
+        return await this.sendCommand(this.COMMANDS.CMD_DFU_ABORT, [], { unchecked: true });
     }
 
     /**
      * 设置协议
-     * @param {number} protocolId - 协议ID（0=L20, 1=L10, 2=L21）
+     * @param {number} protocolId - 协议ID（可选值见协议描述的 protocol 枚举）
      * @returns {Promise<Object>} 响应结果
      */
     async setProtocol(protocolId) {
-        if (protocolId < 0 || protocolId > 2) {
-            throw new Error('协议ID无效，必须是0(L20)、1(L10)或2(L21)');
+        if (this.deviceInfo && !this.deviceInfo.protocols.includes(protocolId)) {
+            throw new CommandError(`设备不支持该协议: ${this.protocol.getEnumLabel('protocol', protocolId)}`, this.COMMANDS.CMD_SET_PROTOCOL);
         }
-        const data = [protocolId];
-        return await this.sendFrame(this.COMMANDS.CMD_SET_PROTOCOL, data);
+        const data = this.protocol.encodeRequest('SET_PROTOCOL', { protocolId: protocolId });
+        return await this.sendCommand(this.COMMANDS.CMD_SET_PROTOCOL, data);
     }
 }
 
 // 导出SerialManager类
-window.SerialManager = SerialManager;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.SerialManager = SerialManager;
+    window.CommandError = CommandError;
+    window.CommandTimeoutError = CommandTimeoutError;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SerialManager, CommandError, CommandTimeoutError };
+}
\ No newline at end of file
@@ -0,0 +1,398 @@
+/**
+ * @file 串口解析 Worker
+ * @description 在专用 Worker 中读取串口（Web Serial / WebSocket 桥接）并解析数据帧，把解码后的关节数据
+ *              成批送回主线程（见 transport.js 中的 WorkerTransport）。主线程繁忙时不会拖慢读取和解析：
+ *              每批数据需要主线程确认，未确认的批次达到上限时数据在 Worker 中积攒（命令应答除外），积攒过多时
+ *              每只手的每个数据流只保留最新的一包，帧追踪记录、原始帧和帧外文本只保留最新的部分。
+ *
+ * 主线程 → Worker：
+ *   open { id, config, source: webserial|websocket|external, portIndex, info, url }
+ *   close { id } / write { id, bytes } / chunk { bytes } / tx { count } / ack
+ *   options { trace, frames, text } / reset-interval { cmd } / reset-link / reset-stats
+ * Worker → 主线程：
+ *   done { id } / failed { id, name, message, unsupported }
+ *   batch { samples, responses, traces, text, frames, coalesced, dropped, packetCount, streams }
+ *   stats { link } / lost { reason }
+ */
+
+// 各模块通过 window.X 导出，Worker 中以全局对象代替 window
+self.window = self;
+importScripts('transport.js', 'linkstats.js', 'frameparser.js', 'protocol.js', 'serial.js');
+
+/**
+ * Worker 端的数据帧解码器
+ * 复用 SerialManager 的环形缓冲区解析、解码和分流计数，命令应答只记录下来，由 SerialWorker 送回主线程处理
+ */
+class WorkerFrameDecoder extends SerialManager {
+    constructor() {
+        super();
+        this.responses = [];
+    }
+
+    processResponse(cmdType, result, extraData) {
+        this.responses.push({ cmd: cmdType, result: result, extraData: extraData });
+    }
+}
+
+class SerialWorker {
+    /**
+     * @param {DedicatedWorkerGlobalScope} scope - Worker 全局对象（用于 postMessage）
+     * @param {Object} options - 配置
+     * @param {number} options.maxInFlight - 最多未确认的批次数
+     * @param {number} options.maxQueue - 积攒的数据包超过该数量时合并
+     */
+    constructor(scope, options = {}) {
+        this.scope = scope;
+        this.MAX_IN_FLIGHT = options.maxInFlight || 2;
+        this.MAX_QUEUE = options.maxQueue || 1000;
+        this.STATS_INTERVAL = 1000;
+
+        this.decoder = new WorkerFrameDecoder();
+        this.decoder.setBatchCallback(batch => this.enqueue(batch));
+
+        this.transport = null;  // Worker 打开的传输通道，external 时为null
+        this.config = {};
+        this.statsTimer = null;
+
+        this.queue = [];        // 等待送出的关节数据
+        this.traces = [];
+        this.text = [];         // 帧之外的字节（设备文本输出）
+        this.frames = [];
+        this.inFlight = 0;      // 已送出未确认的批次数
+        this.coalesced = 0;     // 自上次送出以来被合并掉的数据包数
+        this.dropped = { traces: 0, frames: 0, text: 0 }; // 自上次送出以来超出上限被丢弃的追踪记录、原始帧和文本字节数
+    }
+
+    /**
+     * 处理主线程消息
+     * @param {Object} message - 消息
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'open':
+                this.handleRequest(message, () => this.open(message));
+                break;
+            case 'close':
+                this.handleRequest(message, () => this.close());
+                break;
+            case 'write':
+                this.handleRequest(message, () => this.write(message.bytes));
+                break;
+            case 'chunk':
+                this.receive(message.bytes);
+                break;
+            case 'tx':
+                this.decoder.linkStats.recordTxBytes(message.count);
+                break;
+            case 'ack':
+                this.inFlight = Math.max(0, this.inFlight - 1);
+                this.flush();
+                break;
+            case 'options':
+                this.decoder.setFrameTraceCallback(message.trace ? record => this.hold('traces', [record]) : null);
+                this.decoder.setFrameCallback(message.frames ? (cmd, data) => this.hold('frames', [{ cmd: cmd, data: data }]) : null);
+                this.decoder.setTextCallback(message.text ? bytes => this.hold('text', bytes) : null);
+                if (!message.trace) {
+                    this.traces = [];
+                }
+                if (!message.frames) {
+                    this.frames = [];
+                }
+                break;
+            case 'reset-interval':
+                this.decoder.linkStats.resetInterval(message.cmd);
+                break;
+            case 'reset-link':
+                this.decoder.linkStats.reset();
+                this.decoder.streamCounters.clear();
+                this.decoder.decodeWarnings.clear();
+                break;
+            case 'reset-stats':
+                this.decoder.resetStatistics();
+                break;
+            default:
+                console.warn('未知的Worker消息:', message.type);
+        }
+    }
+
+    /**
+     * 执行需要应答的请求，完成后回复 done，出错时回复 failed
+     * @param {Object} message - 请求消息
+     * @param {Function} action - 异步操作
+     */
+    async handleRequest(message, action) {
+        try {
+            await action();
+            this.scope.postMessage({ type: 'done', id: message.id });
+        } catch (error) {
+            this.scope.postMessage({
+                type: 'failed',
+                id: message.id,
+                name: error.name,
+                message: error.message,
+                unsupported: error.unsupported === true
+            });
+        }
+    }
+
+    /**
+     * 打开数据源
+     * @param {Object} message - open 消息
+     */
+    async open(message) {
+        await this.closeTransport();
+        this.config = message.config || {};
+
+        if (message.source === 'webserial') {
+            this.transport = await this.openSerialPort(message);
+        } else if (message.source === 'websocket') {
+            const transport = new WebSocketTransport(message.url);
+            await transport.open(this.config);
+            this.transport = transport;
+        }
+
+        this.decoder.frameParser.reset();
+        this.queue = [];
+        this.traces = [];
+        this.text = [];
+        this.frames = [];
+        this.decoder.responses = [];
+        this.inFlight = 0;
+        this.coalesced = 0;
+        this.dropped = { traces: 0, frames: 0, text: 0 };
+        this.startStats();
+
+        if (this.transport) {
+            const transport = this.transport;
+            transport.setDisconnectCallback(() => this.handleLost(transport, '设备已断开'));
+            this.readLoop(transport);
+        }
+    }
+
+    /**
+     * 在 Worker 中打开主线程选择的串口
+     * Worker 不支持 Web Serial 或找不到该端口时抛出 unsupported 错误，由主线程改为自行读取
+     * @param {Object} message - open 消息（portIndex 为端口在 getPorts() 中的位置）
+     * @returns {Promise<WebSerialTransport>} 已打开的传输通道
+     */
+    async openSerialPort(message) {
+        const unsupported = (text) => {
+            const error = new Error(text);
+            error.unsupported = true;
+            return error;
+        };
+        if (!('serial' in navigator)) {
+            throw unsupported('Worker中不支持Web Serial API');
+        }
+
+        const ports = await navigator.serial.getPorts();
+        const info = message.info || {};
+        const sameDevice = port => {
+            const portInfo = port.getInfo();
+            return portInfo.usbVendorId === info.usbVendorId && portInfo.usbProductId === info.usbProductId;
+        };
+        const port = ports[message.portIndex] && sameDevice(ports[message.portIndex])
+            ? ports[message.portIndex]
+            : ports.find(sameDevice);
+        if (!port) {
+            throw unsupported('Worker中找不到已授权的端口');
+        }
+
+        const transport = new WebSerialTransport(port);
+        await transport.open(this.config);
+        return transport;
+    }
+
+    /**
+     * 关闭数据源
+     */
+    async close() {
+        await this.closeTransport();
+        this.stopStats();
+        this.queue = [];
+        this.inFlight = 0;
+    }
+
+    /**
+     * 关闭 Worker 打开的传输通道
+     */
+    async closeTransport() {
+        const transport = this.transport;
+        this.transport = null;
+        if (transport) {
+            try {
+                await transport.close();
+            } catch (error) {
+                console.warn('关闭传输通道时出错:', error);
+            }
+        }
+    }
+
+    /**
+     * 写入数据
+     * @param {Uint8Array} bytes - 要发送的字节
+     */
+    async write(bytes) {
+        if (!this.transport) {
+            throw new Error('串口未打开');
+        }
+        await this.transport.write(bytes);
+        this.decoder.linkStats.recordTxBytes(bytes.length);
+    }
+
+    /**
+     * 读取循环
+     * @param {Transport} transport - 传输通道
+     */
+    async readLoop(transport) {
+        while (this.transport === transport) {
+            let chunk;
+            try {
+                chunk = await transport.read();
+            } catch (error) {
+                this.handleLost(transport, '读取出错: ' + error.message);
+                return;
+            }
+            if (chunk.done) {
+                this.handleLost(transport, '读取流已结束');
+                return;
+            }
+            if (chunk.value && chunk.value.length > 0) {
+                this.receive(chunk.value);
+            }
+        }
+    }
+
+    /**
+     * 传输通道意外断开：关闭通道并通知主线程（重连由主线程发起）
+     * @param {Transport} transport - 断开的传输通道
+     * @param {string} reason - 原因
+     */
+    handleLost(transport, reason) {
+        if (this.transport !== transport) {
+            return;
+        }
+        this.transport = null;
+        this.stopStats();
+        transport.close().catch(() => {});
+        this.scope.postMessage({ type: 'lost', reason: reason });
+    }
+
+    /**
+     * 解析一段接收到的数据并尝试送出结果
+     * @param {Uint8Array} chunk - 接收到的数据
+     */
+    receive(chunk) {
+        this.decoder.receiveChunk(chunk);
+        this.flush();
+    }
+
+    /**
+     * 积攒一批解码出的关节数据，超过上限时合并
+     * @param {Array<Object>} batch - 关节数据
+     */
+    enqueue(batch) {
+        for (let i = 0; i < batch.length; i++) {
+            this.queue.push(batch[i]);
+        }
+        if (this.queue.length > this.MAX_QUEUE) {
+            this.coalesce();
+        }
+    }
+
+    /**
+     * 积攒帧追踪记录、原始帧或帧外文本，超过 MAX_QUEUE 条（文本为字节）时丢弃最早的部分
+     * @param {string} key - traces / frames / text
+     * @param {Array} items - 新的记录或字节
+     */
+    hold(key, items) {
+        const list = this[key];
+        for (let i = 0; i < items.length; i++) {
+            list.push(items[i]);
+        }
+        // 超出两成后再裁剪，避免每条都移动数组
+        if (list.length > this.MAX_QUEUE * 1.2) {
+            const excess = list.length - this.MAX_QUEUE;
+            list.splice(0, excess);
+            this.dropped[key] += excess;
+        }
+    }
+
+    /**
+     * 合并积攒的数据：每只手的每个数据流只保留最新的一包
+     */
+    coalesce() {
+        const latest = new Map();
+        this.queue.forEach(sample => {
+            latest.set(`${sample.hand}-${sample.sensorData ? 'sensor' : 'mapping'}`, sample);
+        });
+        this.coalesced += this.queue.length - latest.size;
+        this.queue = [...latest.values()];
+    }
+
+    /**
+     * 向主线程送出积攒的结果
+     * 关节数据、追踪记录、原始帧和帧外文本受未确认批次数限制；命令应答不受限制，未确认的批次达到上限时单独送出。
+     * 每一批（包括只有命令应答的批次）都需要主线程确认
+     */
+    flush() {
+        const responses = this.decoder.responses;
+        const canSend = this.inFlight < this.MAX_IN_FLIGHT;
+        const dropped = this.dropped.traces + this.dropped.frames + this.dropped.text;
+        const held = canSend && (this.queue.length > 0 || this.traces.length > 0 || this.text.length > 0 ||
+            this.frames.length > 0 || this.coalesced > 0 || dropped > 0);
+        if (!held && responses.length === 0) {
+            return;
+        }
+
+        this.scope.postMessage({
+            type: 'batch',
+            samples: held ? this.queue : [],
+            responses: responses,
+            traces: held ? this.traces : [],
+            text: held ? this.text : [],
+            frames: held ? this.frames : [],
+            coalesced: held ? this.coalesced : 0,
+            dropped: held ? this.dropped : { traces: 0, frames: 0, text: 0 },
+            packetCount: this.decoder.packetCount,
+            streams: this.decoder.getStreamStatistics()
+        });
+
+        this.decoder.responses = [];
+        this.inFlight++;
+        if (held) {
+            this.queue = [];
+            this.traces = [];
+            this.text = [];
+            this.frames = [];
+            this.coalesced = 0;
+            this.dropped = { traces: 0, frames: 0, text: 0 };
+        }
+    }
+
+    /**
+     * 开始周期性送出链路统计快照
+     */
+    startStats() {
+        this.stopStats();
+        this.statsTimer = setInterval(() => {
+            this.scope.postMessage({
+                type: 'stats',
+                link: this.decoder.linkStats.getSnapshot(this.config, true)
+            });
+        }, this.STATS_INTERVAL);
+    }
+
+    /**
+     * 停止送出链路统计
+     */
+    stopStats() {
+        if (this.statsTimer) {
+            clearInterval(this.statsTimer);
+            this.statsTimer = null;
+        }
+    }
+}
+
+const serialWorker = new SerialWorker(self);
+self.onmessage = (event) => serialWorker.handleMessage(event.data);
@@ -0,0 +1,716 @@
+/**
+ * @file 设备模拟器模块
+ * @description 模拟EXHand手套设备，使用0xAA/0x55数据帧协议推送传感器/映射数据并应答所有命令，
+ *              包括进入bootloader后的固件升级命令
+ */
+
+class GloveSimulator {
+    /**
+     * @param {Object} options - 模拟器配置
+     * @param {number} options.rate - 每种数据帧的推送频率（Hz）
+     * @param {string} options.profile - 动作模式（fist / sweep / noise / static）
+     * @param {Array<number>} options.hands - 模拟的手侧（0=右手, 1=左手）
+     * @param {number} options.noise - 叠加噪声幅度（0-1.0）
+     * @param {boolean} options.sequence - 数据帧末尾是否追加 uint16 序列号
+     * @param {number} options.dropRate - 模拟丢包概率（0-1.0，序列号照常递增）
+     * @param {string} options.firmware - 模拟的固件（current=当前版本 / legacy=只支持协议版本1命令的旧固件）
+     * @param {number} options.dfuErrorRate - 模拟固件分块传输出错的概率（0-1.0，bootloader应答CRC错误）
+     */
+    constructor(options = {}) {
+        this.options = {
+            rate: 100,
+            profile: 'fist',
+            hands: [0],
+            noise: 0.01,
+            sequence: false,
+            dropRate: 0,
+            firmware: 'current',
+            dfuErrorRate: 0,
+            ...options
+        };
+
+        this.transport = null;
+        this.timer = null;
+        this.startTime = 0;
+        this.lastEmitTime = 0;
+        this.emitBudget = 0;
+        this.inputBuffer = [];
+        this.plugged = true; // 是否插入（用于模拟拔插）
+
+        // 协议常量（与主机共用同一份协议描述）
+        this.protocol = new ProtocolSchema();
+        this.FRAME_HEADER = this.protocol.frame.header;
+        this.FRAME_TAIL = this.protocol.frame.tail;
+        this.TICK_INTERVAL = 10; // 定时器间隔（ms）
+        this.COMMANDS = this.protocol.getConstants();
+
+        // 固件升级使用的bootloader，重新上电后保留已收到的数据
+        this.bootloader = new SimulatedBootloader(this);
+
+        // 动作模式定义
+        this.PROFILES = {
+            fist: '握拳/张开循环',
+            sweep: '逐指正弦扫动',
+            noise: '随机噪声',
+            static: '静止'
+        };
+
+        this.resetDeviceState();
+    }
+
+    /**
+     * 重置设备内部状态（相当于重新上电）
+     */
+    resetDeviceState() {
+        this.state = {
+            frameEnabled: false,     // 数据帧模式，收到 frame_enable 后开启
+            quickCalibrating: false, // 快速校准进行中
+            anchorActive: false,     // 锚定点校准进行中
+            anchorHand: 0,
+            anchorFingers: [],
+            anchorPoints: 0,
+            sensorPrint: false,      // 传感器打印（模拟器不输出文本）
+            canEnabled: false,
+            sensorSend: false,       // 推送0x20传感器数据
+            mappingSend: true,       // 推送0x21映射数据
+            protocolId: 0,
+            hasSavedCalibration: false,
+            inBootloader: false      // 运行bootloader（固件升级中），不推送数据
+        };
+        // 每只手、每种数据帧独立的序列号
+        this.sequences = {};
+    }
+
+    /**
+     * 创建连接到本模拟器的传输通道
+     * @returns {SimulatorTransport} 传输通道
+     */
+    createTransport() {
+        this.transport = new SimulatorTransport(this);
+        return this.transport;
+    }
+
+    /**
+     * 设置动作模式
+     * @param {string} profile - 动作模式名称
+     */
+    setProfile(profile) {
+        if (!this.PROFILES[profile]) {
+            throw new Error(`未知的动作模式: ${profile}`);
+        }
+        this.options.profile = profile;
+    }
+
+    /**
+     * 设置推送频率
+     * @param {number} rate - 频率（Hz）
+     */
+    setRate(rate) {
+        this.options.rate = Math.max(1, Math.min(1000, rate));
+    }
+
+    /**
+     * 启动模拟（传输通道打开时调用）
+     */
+    start() {
+        this.stop();
+        this.resetDeviceState();
+        this.inputBuffer = [];
+        this.startTime = Date.now();
+        this.lastEmitTime = this.startTime;
+        this.emitBudget = 0;
+        this.timer = setInterval(() => this.tick(), this.TICK_INTERVAL);
+        console.log('设备模拟器已启动', this.options);
+    }
+
+    /**
+     * 停止模拟（传输通道关闭时调用）
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('设备模拟器已停止');
+        }
+    }
+
+    /**
+     * 模拟拔出设备：停止推送并断开传输通道，重新插入前无法打开
+     */
+    unplug() {
+        this.plugged = false;
+        this.stop();
+        if (this.transport) {
+            this.transport.hangUp();
+        }
+        console.log('模拟设备已拔出');
+    }
+
+    /**
+     * 模拟重新插入设备（设备重新上电，状态恢复默认）
+     */
+    plugIn() {
+        this.plugged = true;
+        console.log('模拟设备已插入');
+    }
+
+    /**
+     * 定时推送数据帧，按经过的时间补齐应发送的帧数
+     */
+    tick() {
+        const now = Date.now();
+        this.emitBudget += (now - this.lastEmitTime) * this.options.rate / 1000;
+        this.lastEmitTime = now;
+
+        if (!this.state.frameEnabled || this.state.inBootloader) {
+            this.emitBudget = 0;
+            return;
+        }
+
+        // 防止页面挂起后一次性补发大量数据
+        this.emitBudget = Math.min(this.emitBudget, this.options.rate);
+
+        while (this.emitBudget >= 1) {
+            this.emitBudget -= 1;
+            const t = (now - this.startTime) / 1000;
+            this.options.hands.forEach(hand => {
+                const values = this.computePose(t, hand);
+                if (this.state.sensorSend) {
+                    this.sendData(this.COMMANDS.CMD_SENSOR_DATA, hand, sequence => this.encodeSensorPayload(hand, values, sequence));
+                }
+                if (this.state.mappingSend) {
+                    this.sendData(this.COMMANDS.CMD_MAPPING_DATA, hand, sequence => this.encodeMappingPayload(hand, values, sequence));
+                }
+            });
+        }
+    }
+
+    /**
+     * 推送一帧数据通知，按配置追加序列号或模拟丢包
+     * @param {number} cmd - 命令码
+     * @param {number} hand - 手侧
+     * @param {Function} encode - 编码数据负载 (sequence) => Array<number>，sequence 为null时不追加序列号
+     */
+    sendData(cmd, hand, encode) {
+        const key = `${cmd}-${hand}`;
+        const sequence = this.sequences[key] || 0;
+        this.sequences[key] = (sequence + 1) & 0xFFFF;
+
+        if (this.options.dropRate > 0 && Math.random() < this.options.dropRate) {
+            return;
+        }
+        this.send(cmd, encode(this.options.sequence ? sequence : null));
+    }
+
+    /**
+     * 计算当前时刻15个关节的映射值（0-1.0）
+     * @param {number} t - 模拟时间（秒）
+     * @param {number} hand - 手侧
+     * @returns {Array<number>} 15个关节值，顺序同 JOINT_NAMES
+     */
+    computePose(t, hand) {
+        const values = [];
+        const phaseOffset = hand === 1 ? Math.PI / 3 : 0;
+
+        for (let finger = 0; finger < 5; finger++) {
+            let yaw = 0.5;
+            let bend = 0;
+
+            switch (this.options.profile) {
+                case 'fist': {
+                    // 2秒一个握拳/张开周期
+                    bend = 0.5 - 0.5 * Math.cos(2 * Math.PI * t / 2 + phaseOffset);
+                    break;
+                }
+                case 'sweep': {
+                    // 各手指依次错开相位，yaw同时小幅摆动
+                    const phase = 2 * Math.PI * t / 1.5 - finger * Math.PI / 5 + phaseOffset;
+                    bend = 0.5 + 0.5 * Math.sin(phase);
+                    yaw = 0.5 + 0.2 * Math.sin(phase / 2);
+                    break;
+                }
+                case 'noise': {
+                    bend = Math.random();
+                    yaw = 0.3 + Math.random() * 0.4;
+                    break;
+                }
+                case 'static':
+                default:
+                    bend = 0.2;
+                    break;
+            }
+
+            // 指尖关节弯曲略滞后于根部
+            const tip = Math.min(1, bend * 0.9);
+            values.push(yaw, bend, tip);
+        }
+
+        return values.map(v => this.clamp01(v + (Math.random() * 2 - 1) * this.options.noise));
+    }
+
+    /**
+     * 编码传感器数据负载（布局见协议描述的 SENSOR_DATA）
+     * @param {number} hand - 手侧
+     * @param {Array<number>} values - 15个映射值
+     * @param {number|null} sequence - 序列号，不追加时为null
+     * @returns {Array<number>} 数据负载
+     */
+    encodeSensorPayload(hand, values, sequence = null) {
+        // 模拟原始ADC范围：未弯曲约8000，完全弯曲约56000
+        const raw = values.map(v => Math.round(8000 + v * 48000));
+        return this.protocol.encodePayload('SENSOR_DATA', { hand: hand, values: raw, sequence: sequence });
+    }
+
+    /**
+     * 编码映射数据负载（布局见协议描述的 MAPPING_DATA）
+     * @param {number} hand - 手侧
+     * @param {Array<number>} values - 15个映射值
+     * @param {number|null} sequence - 序列号，不追加时为null
+     * @returns {Array<number>} 数据负载
+     */
+    encodeMappingPayload(hand, values, sequence = null) {
+        return this.protocol.encodePayload('MAPPING_DATA', { hand: hand, values: values, sequence: sequence });
+    }
+
+    /**
+     * 处理主机写入的数据（文本命令或数据帧）
+     * @param {Uint8Array} data - 主机发送的字节
+     */
+    handleInput(data) {
+        this.inputBuffer.push(...data);
+
+        while (this.inputBuffer.length > 0) {
+            if (this.inputBuffer[0] === this.FRAME_HEADER) {
+                if (this.inputBuffer.length < 5) {
+                    return;
+                }
+                const dataLen = this.inputBuffer[2];
+                const total = 5 + dataLen;
+                if (this.inputBuffer.length < total) {
+                    return;
+                }
+                const frame = this.inputBuffer.splice(0, total);
+                this.handleFrame(frame);
+            } else {
+                // 文本命令以换行结束
+                const newline = this.inputBuffer.indexOf(0x0A);
+                const header = this.inputBuffer.indexOf(this.FRAME_HEADER);
+                if (header !== -1 && (newline === -1 || header < newline)) {
+                    // 帧头之前的杂散字节直接丢弃
+                    this.inputBuffer.splice(0, header);
+                    continue;
+                }
+                if (newline === -1) {
+                    return;
+                }
+                const line = String.fromCharCode(...this.inputBuffer.splice(0, newline + 1)).trim();
+                this.handleTextCommand(line);
+            }
+        }
+    }
+
+    /**
+     * 处理文本命令
+     * @param {string} line - 命令文本（不含换行）
+     */
+    handleTextCommand(line) {
+        if (line === 'frame_enable') {
+            this.state.frameEnabled = true;
+            console.log('模拟器: 数据帧模式已启用');
+        } else if (line.length > 0) {
+            console.log(`模拟器: 忽略未知文本命令 "${line}"`);
+        }
+    }
+
+    /**
+     * 处理一帧完整的命令帧
+     * @param {Array<number>} frame - 完整帧字节
+     */
+    handleFrame(frame) {
+        const cmd = frame[1];
+        const dataLen = frame[2];
+        const data = frame.slice(3, 3 + dataLen);
+        const checksum = frame[3 + dataLen];
+        const tail = frame[4 + dataLen];
+
+        if (tail !== this.FRAME_TAIL) {
+            // 帧尾错误时固件不应答
+            return;
+        }
+        if (this.calculateChecksum(cmd, dataLen, data) !== checksum) {
+            this.reply(cmd, this.COMMANDS.RESULT_CHECKSUM_ERROR);
+            return;
+        }
+
+        const C = this.COMMANDS;
+        if (this.state.inBootloader) {
+            const result = this.bootloader.executeCommand(cmd, data);
+            this.replyResult(cmd, result);
+            // 完成或中止升级后重启进入应用固件
+            const code = Array.isArray(result) ? result[0] : result;
+            if ((cmd === C.CMD_DFU_FINISH || cmd === C.CMD_DFU_ABORT) && code === C.RESULT_SUCCESS) {
+                this.resetDeviceState();
+                console.log('模拟器: 已重启进入应用固件');
+            }
+            return;
+        }
+        if (!this.state.frameEnabled && cmd !== C.CMD_ENABLE) {
+            this.reply(cmd, C.RESULT_NOT_ENABLED);
+            return;
+        }
+
+        this.replyResult(cmd, this.executeCommand(cmd, data));
+    }
+
+    /**
+     * 执行命令并返回结果码
+     * @param {number} cmd - 命令码
+     * @param {Array<number>} data - 命令数据
+     * @returns {number|Array<number>} 结果码，或 [结果码, ...附加数据]
+     */
+    executeCommand(cmd, data) {
+        const C = this.COMMANDS;
+        const s = this.state;
+
+        // 旧固件只认识协议版本1的命令
+        const command = this.protocol.getCommand(cmd);
+        if (this.options.firmware === 'legacy' && command && (command.since || 1) > 1) {
+            return C.RESULT_UNKNOWN_CMD;
+        }
+
+        switch (cmd) {
+            case C.CMD_ENABLE:
+                s.frameEnabled = true;
+                return C.RESULT_SUCCESS;
+            case C.CMD_DISABLE:
+                s.frameEnabled = false;
+                return C.RESULT_SUCCESS;
+
+            case C.CMD_QUICK_START:
+                s.quickCalibrating = true;
+                return C.RESULT_SUCCESS;
+            case C.CMD_QUICK_FINISH:
+                if (!s.quickCalibrating) {
+                    return C.RESULT_FAIL;
+                }
+                s.quickCalibrating = false;
+                return C.RESULT_SUCCESS;
+
+            case C.CMD_ANCHOR_START: {
+                const request = this.decodeRequest(cmd, data);
+                if (!request) {
+                    return C.RESULT_FAIL;
+                }
+                s.anchorActive = true;
+                s.anchorHand = request.hand;
+                s.anchorFingers = request.fingers;
+                s.anchorPoints = 0;
+                return C.RESULT_SUCCESS;
+            }
+            case C.CMD_RECORD:
+                if (!s.anchorActive) {
+                    return C.RESULT_FAIL;
+                }
+                s.anchorPoints++;
+                return C.RESULT_SUCCESS;
+            case C.CMD_APPLY:
+                if (!s.anchorActive || s.anchorPoints === 0) {
+                    return C.RESULT_FAIL;
+                }
+                s.anchorActive = false;
+                return C.RESULT_SUCCESS;
+
+            case C.CMD_SAVE:
+                s.hasSavedCalibration = true;
+                return C.RESULT_SUCCESS;
+            case C.CMD_LOAD:
+                return s.hasSavedCalibration ? C.RESULT_SUCCESS : C.RESULT_FAIL;
+            case C.CMD_CLEAR:
+                s.hasSavedCalibration = false;
+                return C.RESULT_SUCCESS;
+            case C.CMD_RESET:
+                s.quickCalibrating = false;
+                s.anchorActive = false;
+                s.anchorPoints = 0;
+                return C.RESULT_SUCCESS;
+
+            case C.CMD_STATUS:
+                return [C.RESULT_SUCCESS, ...this.protocol.encodeResponse('STATUS', {
+                    quickCalibrating: s.quickCalibrating,
+                    anchorCalibrating: s.anchorActive,
+                    frameMode: s.frameEnabled,
+                    sensorPrint: s.sensorPrint,
+                    canEnabled: s.canEnabled,
+                    sensorSend: s.sensorSend
+                })];
+
+            case C.CMD_CAN_ENABLE:
+                s.canEnabled = true;
+                return C.RESULT_SUCCESS;
+            case C.CMD_CAN_DISABLE:
+                s.canEnabled = false;
+                return C.RESULT_SUCCESS;
+            case C.CMD_SENSOR_ENABLE:
+                s.sensorSend = true;
+                return C.RESULT_SUCCESS;
+            case C.CMD_SENSOR_DISABLE:
+                s.sensorSend = false;
+                return C.RESULT_SUCCESS;
+            case C.CMD_MAPPING_ENABLE:
+                s.mappingSend = true;
+                return C.RESULT_SUCCESS;
+            case C.CMD_MAPPING_DISABLE:
+                s.mappingSend = false;
+                return C.RESULT_SUCCESS;
+
+            case C.CMD_SET_PROTOCOL: {
+                const request = this.decodeRequest(cmd, data);
+                if (!request) {
+                    return C.RESULT_FAIL;
+                }
+                s.protocolId = request.protocolId;
+                return C.RESULT_SUCCESS;
+            }
+
+            case C.CMD_DEVICE_INFO:
+                return [C.RESULT_SUCCESS, ...this.protocol.encodeResponse('DEVICE_INFO', {
+                    protocolRevision: this.protocol.revision,
+                    firmware: [2, 0, 0],
+                    model: 'EXHand-Sim',
+                    serialNumber: `SIM-${this.options.hands.join('')}-0001`,
+                    jointCount: this.protocol.getJointCount(),
+                    protocols: this.protocol.getEnumOptions('protocol').map(option => option.value),
+                    commands: [...this.protocol.commands.values()]
+                        .filter(command => !command.notify)
+                        .map(command => command.code)
+                })];
+
+            case C.CMD_DFU_ENTER:
+                // 应答后重启进入bootloader
+                s.inBootloader = true;
+                console.log('模拟器: 已重启进入bootloader');
+                return C.RESULT_SUCCESS;
+
+            default:
+                return C.RESULT_UNKNOWN_CMD;
+        }
+    }
+
+    /**
+     * 按协议描述解码并校验命令参数
+     * @param {number} cmd - 命令码
+     * @param {Array<number>} data - 命令数据
+     * @returns {Object|null} 参数，数据与协议描述不符时为null（固件应答执行失败）
+     */
+    decodeRequest(cmd, data) {
+        try {
+            return this.protocol.decodeRequest(cmd, data);
+        } catch (error) {
+            console.log(`模拟器: 参数无效: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 按命令执行结果发送应答帧
+     * @param {number} cmd - 命令码
+     * @param {number|Array<number>} result - 结果码，或 [结果码, ...附加数据]
+     */
+    replyResult(cmd, result) {
+        if (Array.isArray(result)) {
+            this.reply(cmd, result[0], result.slice(1));
+        } else {
+            this.reply(cmd, result);
+        }
+    }
+
+    /**
+     * 发送命令应答帧
+     * @param {number} cmd - 命令码
+     * @param {number} result - 结果码
+     * @param {Array<number>} extra - 附加数据
+     */
+    reply(cmd, result, extra = []) {
+        this.send(cmd, [result, ...extra]);
+    }
+
+    /**
+     * 组帧并发送给主机
+     * @param {number} cmd - 命令码
+     * @param {Array<number>} data - 数据内容
+     */
+    send(cmd, data) {
+        if (!this.transport) {
+            return;
+        }
+        const frame = [this.FRAME_HEADER, cmd, data.length, ...data,
+            this.calculateChecksum(cmd, data.length, data), this.FRAME_TAIL];
+        this.transport.receive(new Uint8Array(frame));
+    }
+
+    /**
+     * 计算校验和（补码累加和，与主机算法一致）
+     * @param {number} cmdType - 命令类型
+     * @param {number} dataLen - 数据长度
+     * @param {Array<number>} data - 数据数组
+     * @returns {number} 校验和（0-255）
+     */
+    calculateChecksum(cmdType, dataLen, data) {
+        const sumVal = cmdType + dataLen + data.reduce((sum, byte) => sum + byte, 0);
+        return ((~sumVal + 1) & 0xFF);
+    }
+
+    /**
+     * 限制到0-1.0范围
+     * @param {number} v - 输入值
+     * @returns {number} 限制后的值
+     */
+    clamp01(v) {
+        return Math.max(0, Math.min(1, v));
+    }
+}
+
+/**
+ * 模拟bootloader：接收分块固件并校验
+ * 按双分区处理：升级完成前原固件保持可用，中止后启动原固件；已收到的数据在设备重新上电后保留，可以续传
+ */
+class SimulatedBootloader {
+    /**
+     * @param {GloveSimulator} simulator - 设备模拟器（共用协议描述和配置）
+     */
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.protocol = simulator.protocol;
+        this.COMMANDS = simulator.COMMANDS;
+        this.VERSION = 1;
+        this.MAX_CHUNK = 128;           // 每块最多字节数
+        this.CAPACITY = 512 * 1024;     // 固件分区大小（字节）
+
+        this.image = null;    // 正在接收的固件 { size, crc }
+        this.buffer = null;
+        this.received = 0;
+        this.installed = null; // 最近一次安装的固件 { size, crc }
+    }
+
+    /**
+     * 执行bootloader命令并返回结果码
+     * @param {number} cmd - 命令码
+     * @param {Array<number>} data - 命令数据
+     * @returns {number|Array<number>} 结果码，或 [结果码, ...附加数据]
+     */
+    executeCommand(cmd, data) {
+        const C = this.COMMANDS;
+
+        switch (cmd) {
+            case C.CMD_DFU_START: {
+                const request = this.simulator.decodeRequest(cmd, data);
+                if (!request || request.imageSize > this.CAPACITY) {
+                    return C.RESULT_FAIL;
+                }
+                // 同一固件继续接收，否则重新开始
+                if (!this.image || this.image.size !== request.imageSize || this.image.crc !== request.imageCrc) {
+                    this.image = { size: request.imageSize, crc: request.imageCrc };
+                    this.buffer = new Uint8Array(request.imageSize);
+                    this.received = 0;
+                }
+                return [C.RESULT_SUCCESS, ...this.protocol.encodeResponse('DFU_START', {
+                    bootloaderVersion: this.VERSION,
+                    maxChunk: this.MAX_CHUNK,
+                    resumeOffset: this.received
+                })];
+            }
+
+            case C.CMD_DFU_DATA: {
+                const request = this.simulator.decodeRequest(cmd, data);
+                if (!this.image || !request || request.data.length > this.MAX_CHUNK) {
+                    return C.RESULT_FAIL;
+                }
+                const errorRate = this.simulator.options.dfuErrorRate;
+                if ((errorRate > 0 && Math.random() < errorRate) || ProtocolSchema.crc32(request.data) !== request.chunkCrc) {
+                    return C.RESULT_CHECKSUM_ERROR;
+                }
+                // 不是期望的位置（例如应答丢失后主机重发）时不写入，返回期望的位置
+                if (request.offset === this.received) {
+                    if (this.received + request.data.length > this.image.size) {
+                        return C.RESULT_FAIL;
+                    }
+                    this.buffer.set(request.data, this.received);
+                    this.received += request.data.length;
+                }
+                return [C.RESULT_SUCCESS, ...this.protocol.encodeResponse('DFU_DATA', { nextOffset: this.received })];
+            }
+
+            case C.CMD_DFU_VERIFY:
+                if (!this.image) {
+                    return C.RESULT_FAIL;
+                }
+                return [C.RESULT_SUCCESS, ...this.protocol.encodeResponse('DFU_VERIFY', {
+                    imageCrc: ProtocolSchema.crc32(this.buffer.subarray(0, this.received))
+                })];
+
+            case C.CMD_DFU_FINISH:
+                if (!this.image || this.received !== this.image.size ||
+                    ProtocolSchema.crc32(this.buffer) !== this.image.crc) {
+                    return C.RESULT_FAIL;
+                }
+                this.installed = this.image;
+                this.reset();
+                console.log('模拟器: 新固件已安装', this.installed);
+                return C.RESULT_SUCCESS;
+
+            case C.CMD_DFU_ABORT:
+                this.reset();
+                return C.RESULT_SUCCESS;
+
+            default:
+                return C.RESULT_UNKNOWN_CMD;
+        }
+    }
+
+    /**
+     * 丢弃正在接收的固件
+     */
+    reset() {
+        this.image = null;
+        this.buffer = null;
+        this.received = 0;
+    }
+}
+
+/**
+ * 连接设备模拟器的回环传输
+ * 打开时启动模拟器，关闭时停止
+ */
+class SimulatorTransport extends LoopbackTransport {
+    /**
+     * @param {GloveSimulator} simulator - 设备模拟器
+     */
+    constructor(simulator) {
+        super(data => simulator.handleInput(data));
+        this.simulator = simulator;
+        this.info = { name: '模拟设备 (EXHand Simulator)' };
+    }
+
+    async open(config) {
+        if (!this.simulator.plugged) {
+            throw new Error('模拟设备未插入');
+        }
+        await super.open(config);
+        this.simulator.start();
+    }
+
+    async close() {
+        this.simulator.stop();
+        await super.close();
+    }
+}
+
+// 导出模拟器类
+if (typeof window !== 'undefined') {
+    window.GloveSimulator = GloveSimulator;
+    window.SimulatedBootloader = SimulatedBootloader;
+    window.SimulatorTransport = SimulatorTransport;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GloveSimulator, SimulatedBootloader, SimulatorTransport };
+}
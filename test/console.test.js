@@ -0,0 +1,51 @@
+/**
+ * @file CommandConsole 输入解析测试
+ * @description 验证命令名和十六进制命令码、各种负载写法、文本命令转义以及错误输入。
+ *              运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ProtocolSchema } = require('../protocol.js');
+const { CommandConsole } = require('../console.js');
+
+const commandConsole = new CommandConsole(new ProtocolSchema());
+
+test('命令名不区分大小写，可省略 CMD_ 前缀', () => {
+    assert.deepStrictEqual(commandConsole.parse('status'), { type: 'frame', cmd: 0x0B, data: [] });
+    assert.deepStrictEqual(commandConsole.parse('CMD_SET_PROTOCOL 01'), { type: 'frame', cmd: 0x13, data: [1] });
+});
+
+test('命令码与负载一样按十六进制解析', () => {
+    assert.strictEqual(commandConsole.parse('0x0B').cmd, 0x0B);
+    assert.strictEqual(commandConsole.parse('0b').cmd, 0x0B);
+    assert.strictEqual(commandConsole.parse('b').cmd, 0x0B);
+    assert.strictEqual(commandConsole.parse('11').cmd, 0x11);
+    assert.strictEqual(commandConsole.parse('FF').cmd, 0xFF);
+    assert.throws(() => commandConsole.parse('100'), /命令码超出范围: 100/);
+    assert.throws(() => commandConsole.parse('0x1FF'), /命令码超出范围: 0x1FF/);
+    assert.throws(() => commandConsole.parse('launch'), /未知命令: launch/);
+});
+
+test('负载混合十六进制字节、类型字段和字符串', () => {
+    const parsed = commandConsole.parse('0x31 01 0x02 a0ff u16:300 i8:-1 f32:0.5 "A\\x42"');
+    assert.deepStrictEqual(parsed.data, [0x01, 0x02, 0xA0, 0xFF, 0x2C, 0x01, 0xFF, 0x00, 0x00, 0x00, 0x3F, 0x41, 0x42]);
+    assert.deepStrictEqual(commandConsole.parse('status "a b"').data, [0x61, 0x20, 0x62]);
+});
+
+test('无效的负载', () => {
+    assert.throws(() => commandConsole.parse('status abc'), /无法解析负载: abc/);
+    assert.throws(() => commandConsole.parse('status zz'), /无法解析负载: zz/);
+    assert.throws(() => commandConsole.parse('status u8:256'), /字段值无效: u8:256/);
+    assert.throws(() => commandConsole.parse('status u8:1.5'), /字段值无效: u8:1.5/);
+    assert.throws(() => commandConsole.parse('status q8:1'), /未知字段类型: q8/);
+    assert.throws(() => commandConsole.parse('status "abc'), /字符串缺少结束引号/);
+    assert.throws(() => commandConsole.parse(`status ${'00'.repeat(256)}`), /负载长度超过最大限制: 256 > 255/);
+    assert.throws(() => commandConsole.parse('   '), /输入为空/);
+});
+
+test('> 开头的输入为文本命令并处理转义', () => {
+    assert.deepStrictEqual(commandConsole.parse('> frame_enable'), { type: 'text', text: 'frame_enable' });
+    assert.deepStrictEqual(commandConsole.parse('>at\\r\\x41\\\\'), { type: 'text', text: 'at\rA\\' });
+});
@@ -0,0 +1,123 @@
+/**
+ * @file FirmwareUpdater 固件升级测试
+ * @description 通过模拟设备完成一次带分块CRC错误的固件升级，并验证bootloader偏移不前进或回退时升级失败。
+ *              运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各模块在浏览器中通过全局对象互相引用，这里按 index.html 的加载顺序放到 Node.js 的全局对象上
+Object.assign(globalThis,
+    require('../transport.js'),
+    require('../linkstats.js'),
+    require('../frameparser.js'),
+    require('../protocol.js'));
+Object.assign(globalThis, require('../serial.js'));
+Object.assign(globalThis, require('../simulator.js'));
+const { FirmwareImage, FirmwareUpdater } = require('../firmware.js');
+
+// 测试中不需要串口和模拟器日志
+console.log = () => {};
+console.warn = () => {};
+
+// 模拟器按 Math.random 产生分块错误，固定随机序列（mulberry32）使每次运行的结果相同
+let seed = 1;
+Math.random = () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+};
+
+/**
+ * 生成测试固件
+ * @param {number} size - 字节数
+ * @returns {FirmwareImage} 固件
+ */
+function createImage(size) {
+    const bytes = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+        bytes[i] = (i * 31 + 7) & 0xFF;
+    }
+    return new FirmwareImage('test.bin', bytes);
+}
+
+/**
+ * 连接模拟设备并创建固件升级器，测试结束时断开
+ * @param {TestContext} t - 测试上下文
+ * @param {Object} options - 模拟器配置
+ * @returns {Promise<{simulator: GloveSimulator, updater: FirmwareUpdater}>}
+ */
+async function connectSimulator(t, options = {}) {
+    const simulator = new GloveSimulator({ rate: 10, ...options });
+    const manager = new SerialManager();
+    manager.updateSerialConfig({ timeout: 200 });
+    t.after(() => manager.disconnect());
+    assert.strictEqual(await manager.connect(simulator.createTransport()), true);
+    manager.startReading();
+
+    const updater = new FirmwareUpdater(manager);
+    updater.HANDSHAKE_INTERVAL = 10;
+    updater.REBOOT_DELAY = 0;
+    return { simulator, updater };
+}
+
+/**
+ * 让bootloader对超过 limit 的分块应答固定的下一偏移（不写入数据）
+ * @param {GloveSimulator} simulator - 模拟设备
+ * @param {number} limit - 开始异常应答的偏移
+ * @param {number} nextOffset - 应答的下一偏移
+ */
+function replyFixedOffset(simulator, limit, nextOffset) {
+    const bootloader = simulator.bootloader;
+    const execute = bootloader.executeCommand.bind(bootloader);
+    const C = simulator.COMMANDS;
+    bootloader.executeCommand = (cmd, data) => {
+        if (cmd === C.CMD_DFU_DATA && simulator.decodeRequest(cmd, data).offset >= limit) {
+            return [C.RESULT_SUCCESS, ...simulator.protocol.encodeResponse('DFU_DATA', { nextOffset: nextOffset })];
+        }
+        return execute(cmd, data);
+    };
+}
+
+test('分块CRC错误时重试并完成升级', async t => {
+    const { simulator, updater } = await connectSimulator(t, { dfuErrorRate: 0.3 });
+    const image = createImage(1000);
+
+    // 统计bootloader应答的分块CRC错误
+    const bootloader = simulator.bootloader;
+    const execute = bootloader.executeCommand.bind(bootloader);
+    let checksumErrors = 0;
+    bootloader.executeCommand = (cmd, data) => {
+        const result = execute(cmd, data);
+        if (result === simulator.COMMANDS.RESULT_CHECKSUM_ERROR) {
+            checksumErrors++;
+        }
+        return result;
+    };
+
+    assert.strictEqual(await updater.start(image), 'done', updater.message);
+    assert.ok(checksumErrors > 0);
+    assert.deepStrictEqual(bootloader.installed, { size: image.size, crc: image.crc });
+    assert.strictEqual(simulator.state.inBootloader, false);
+});
+
+test('bootloader偏移连续不前进时升级失败', async t => {
+    const { simulator, updater } = await connectSimulator(t);
+    replyFixedOffset(simulator, 256, 256);
+
+    assert.strictEqual(await updater.start(createImage(1000)), 'failed');
+    assert.match(updater.message, new RegExp(`连续 ${updater.MAX_STALLS} 次未接收偏移 256`));
+    assert.strictEqual(updater.offset, 256);
+    assert.strictEqual(simulator.bootloader.installed, null);
+});
+
+test('bootloader偏移回退时升级失败', async t => {
+    const { simulator, updater } = await connectSimulator(t);
+    replyFixedOffset(simulator, 256, 128);
+
+    assert.strictEqual(await updater.start(createImage(1000)), 'failed');
+    assert.match(updater.message, /偏移回退: 128（已确认到 256）/);
+    assert.strictEqual(simulator.bootloader.installed, null);
+});
@@ -0,0 +1,167 @@
+/**
+ * @file FrameParser 环形缓冲区解析测试
+ * @description 验证跨越缓冲区末尾和跨数据块的帧、被拒绝的帧（帧尾错误/校验和错误/超长）以及丢弃字节的原因。
+ *              运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { FrameParser } = require('../frameparser.js');
+
+/**
+ * 构建数据帧
+ * @param {number} cmd - 命令类型
+ * @param {Array<number>} data - 数据
+ * @param {Object} options - 构造错误帧用：checksum 覆盖校验和，tail 覆盖帧尾
+ * @returns {Array<number>} 帧字节
+ */
+function buildFrame(cmd, data, options = {}) {
+    const sum = data.reduce((total, byte) => total + byte, cmd + data.length);
+    const checksum = options.checksum !== undefined ? options.checksum : (~sum + 1) & 0xFF;
+    const tail = options.tail !== undefined ? options.tail : 0x55;
+    return [0xAA, cmd, data.length, ...data, checksum, tail];
+}
+
+/**
+ * 创建记录所有回调的处理对象
+ * @param {FrameParser} parser - 解析器（判断数据是否位于暂存区）
+ * @returns {Object} 处理对象，frames 为解析出的帧，events 为拒绝和丢弃记录
+ */
+function createRecorder(parser) {
+    return {
+        frames: [],
+        events: [],
+        onFrame(frame) {
+            this.frames.push({
+                cmd: frame.cmd,
+                data: Array.from(frame.bytes.subarray(frame.offset, frame.offset + frame.length)),
+                scratch: frame.bytes === parser.scratch
+            });
+        },
+        onReject(status, frame) {
+            this.events.push(`reject:${status}:0x${frame.cmd.toString(16)}`);
+        },
+        onDiscard(count, reason) {
+            this.events.push(`discard:${reason}:${count}`);
+        }
+    };
+}
+
+/**
+ * 写入数据并解析
+ * @param {FrameParser} parser - 解析器
+ * @param {Object} handler - 处理对象
+ * @param {Array<number>} bytes - 数据
+ * @returns {number} 解析出的有效帧数
+ */
+function feed(parser, handler, bytes) {
+    parser.push(Uint8Array.from(bytes), handler);
+    return parser.parse(handler);
+}
+
+const DATA = Array.from({ length: 20 }, (_, i) => i + 1);
+
+test('数据跨越缓冲区末尾时经暂存区解码', () => {
+    const parser = new FrameParser({ capacity: 1024 });
+    const handler = createRecorder(parser);
+
+    // 先用无帧头的数据把读位置推进到缓冲区末尾附近
+    feed(parser, handler, new Array(1015).fill(0));
+    assert.deepStrictEqual(handler.events, ['discard:no-header:1015']);
+
+    assert.strictEqual(feed(parser, handler, buildFrame(0x20, DATA)), 1);
+    assert.deepStrictEqual(handler.frames, [{ cmd: 0x20, data: DATA, scratch: true }]);
+    assert.strictEqual(parser.getLength(), 0);
+});
+
+test('只有校验和和帧尾跨越缓冲区末尾时直接读取环形缓冲区', () => {
+    const parser = new FrameParser({ capacity: 1024 });
+    const handler = createRecorder(parser);
+
+    feed(parser, handler, new Array(1024 - 3 - DATA.length).fill(0));
+    assert.strictEqual(feed(parser, handler, buildFrame(0x21, DATA)), 1);
+    assert.deepStrictEqual(handler.frames, [{ cmd: 0x21, data: DATA, scratch: false }]);
+
+    // 回绕后的下一帧从缓冲区开头连续存放
+    assert.strictEqual(feed(parser, handler, buildFrame(0x20, [7, 8])), 1);
+    assert.deepStrictEqual(handler.frames[1], { cmd: 0x20, data: [7, 8], scratch: false });
+});
+
+test('帧跨多个数据块到达时等待完整后解析', () => {
+    const parser = new FrameParser({ capacity: 1024 });
+    const handler = createRecorder(parser);
+    const bytes = [...buildFrame(0x20, DATA), ...buildFrame(0x0B, [0x00, 1, 0, 1])];
+
+    // 逐字节写入
+    let frames = 0;
+    for (const byte of bytes) {
+        frames += feed(parser, handler, [byte]);
+    }
+    assert.strictEqual(frames, 2);
+
+    // 在帧头、长度和数据中间任意切分
+    [2, 3, 17, 26, 29].reduce((start, end) => {
+        frames += feed(parser, handler, bytes.slice(start, end));
+        return end;
+    }, 0);
+    frames += feed(parser, handler, bytes.slice(29));
+    assert.strictEqual(frames, 4);
+
+    assert.deepStrictEqual(handler.frames.map(frame => frame.cmd), [0x20, 0x0B, 0x20, 0x0B]);
+    assert.deepStrictEqual(handler.frames[2].data, DATA);
+    assert.deepStrictEqual(handler.events, []);
+});
+
+test('帧尾错误的帧被拒绝，跳过帧头后继续查找', () => {
+    const parser = new FrameParser({ capacity: 1024 });
+    const handler = createRecorder(parser);
+    const bad = buildFrame(0x20, [1, 2, 3], { tail: 0x00 });
+
+    assert.strictEqual(feed(parser, handler, [...bad, ...buildFrame(0x21, [4])]), 1);
+    assert.deepStrictEqual(handler.events, ['reject:bad-tail:0x20', 'discard:skip:1', `discard:garbage:${bad.length - 1}`]);
+    assert.deepStrictEqual(handler.frames, [{ cmd: 0x21, data: [4], scratch: false }]);
+});
+
+test('校验和错误的帧被拒绝', () => {
+    const parser = new FrameParser({ capacity: 1024 });
+    const handler = createRecorder(parser);
+    const bad = buildFrame(0x20, [1, 2, 3], { checksum: 0x00 });
+
+    assert.strictEqual(feed(parser, handler, [...bad, ...buildFrame(0x21, [4])]), 1);
+    assert.deepStrictEqual(handler.events, ['reject:bad-checksum:0x20', 'discard:skip:1', `discard:garbage:${bad.length - 1}`]);
+    assert.deepStrictEqual(handler.frames.map(frame => frame.cmd), [0x21]);
+});
+
+test('数据长度超过上限的帧不等待数据直接拒绝', () => {
+    const parser = new FrameParser({ capacity: 1024, maxDataLength: 16 });
+    const handler = createRecorder(parser);
+
+    // 只收到帧头、命令类型和长度时就能判断
+    assert.strictEqual(feed(parser, handler, [0xAA, 0x20, 17]), 0);
+    assert.deepStrictEqual(handler.events, ['reject:overlong:0x20', 'discard:skip:1', 'discard:no-header:2']);
+    assert.strictEqual(parser.getLength(), 0);
+
+    assert.strictEqual(feed(parser, handler, buildFrame(0x20, new Array(16).fill(1))), 1);
+});
+
+test('丢弃原因：帧头前的杂散数据、无帧头数据和缓冲区溢出', () => {
+    const parser = new FrameParser({ capacity: 1024 });
+    const handler = createRecorder(parser);
+
+    // 文本输出夹在帧之间
+    const text = Array.from('OK\r\n', char => char.charCodeAt(0));
+    assert.strictEqual(feed(parser, handler, [...text, ...buildFrame(0x20, [1])]), 1);
+    assert.deepStrictEqual(handler.events, [`discard:garbage:${text.length}`]);
+
+    handler.events = [];
+    feed(parser, handler, text);
+    assert.deepStrictEqual(handler.events, [`discard:no-header:${text.length}`]);
+
+    // 未完成的帧留在缓冲区中，写入超过剩余空间时清空旧数据；超过容量的数据块只保留末尾
+    handler.events = [];
+    feed(parser, handler, [0xAA, 0x20, 200]);
+    parser.push(new Uint8Array(2000), handler);
+    assert.deepStrictEqual(handler.events, ['discard:overflow:3', 'discard:overflow:976']);
+    assert.strictEqual(parser.getLength(), 1024);
+});
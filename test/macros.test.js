@@ -0,0 +1,107 @@
+/**
+ * @file MacroRunner 宏解析和执行测试
+ * @description 验证脚本解析（嵌套块、命令参数、错误位置）、条件解析（引号中的逗号和 and）以及中止后的结束状态。
+ *              运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MacroRunner } = require('../macros.js');
+
+test('parseScript 解析命令、等待和嵌套的 if/repeat', () => {
+    const runner = new MacroRunner();
+    const steps = runner.parseScript([
+        '# 质检清单',
+        'enable',
+        'try anchor start left 1 3   # 可失败',
+        'wait 1.5s',
+        'query status',
+        'if canEnabled = false',
+        '    enable can',
+        'else',
+        '    log CAN已启用',
+        'end',
+        'repeat 3 until quickCalibrating = false',
+        '    status',
+        '    wait 500',
+        'end'
+    ].join('\n'));
+
+    assert.deepStrictEqual(steps.map(step => step.type), ['command', 'command', 'wait', 'command', 'if', 'repeat']);
+    assert.strictEqual(steps[0].command, 'enable');
+    assert.deepStrictEqual(steps[1].args, [1, [1, 3]]);
+    assert.strictEqual(steps[1].continueOnError, true);
+    assert.strictEqual(steps[1].line, 3);
+    assert.strictEqual(steps[2].ms, 1500);
+    assert.strictEqual(steps[3].command, 'status');
+
+    assert.deepStrictEqual(steps[4].conditions, [{ field: 'canEnabled', op: '=', value: false }]);
+    assert.deepStrictEqual(steps[4].steps.map(step => step.command), ['enable can']);
+    assert.deepStrictEqual(steps[4].elseSteps.map(step => step.message), ['CAN已启用']);
+
+    assert.strictEqual(steps[5].count, 3);
+    assert.deepStrictEqual(steps[5].until, [{ field: 'quickCalibrating', op: '=', value: false }]);
+    assert.deepStrictEqual(steps[5].steps.map(step => step.type), ['command', 'wait']);
+    assert.strictEqual(steps[5].steps[1].ms, 500);
+});
+
+test('parseScript 报告出错的行', () => {
+    const runner = new MacroRunner();
+    assert.throws(() => runner.parseScript('enable\nfly away'), /第2行: 未知的命令 “fly away”/);
+    assert.throws(() => runner.parseScript('status\nelse'), /第2行: else 没有对应的 if/);
+    assert.throws(() => runner.parseScript('end'), /第1行: end 没有对应的 if\/repeat/);
+    assert.throws(() => runner.parseScript('repeat 2\nstatus'), /第1行的 repeat 缺少 end/);
+    assert.throws(() => runner.parseScript('anchor start right 5'), /第1行: 手指序号应为1-4/);
+    assert.throws(() => runner.parseScript('status now'), /第1行: 命令 “status” 不需要参数/);
+    assert.throws(() => runner.parseScript('wait soon'), /第1行: 无效的等待时长/);
+});
+
+test('parseConditions 按 and 和逗号拆分并转换值', () => {
+    const runner = new MacroRunner();
+    assert.deepStrictEqual(runner.parseConditions('sensorSend = true and result != 0x01, data.0 >= -2.5', '第1行'), [
+        { field: 'sensorSend', op: '=', value: true },
+        { field: 'result', op: '!=', value: 1 },
+        { field: 'data.0', op: '>=', value: -2.5 }
+    ]);
+    assert.throws(() => runner.parseConditions('', '第1行'), /第1行: 缺少条件/);
+    assert.throws(() => runner.parseConditions('sensorSend', '第1行'), /第1行: 无效的条件 “sensorSend”/);
+});
+
+test('parseConditions 不拆分引号中的逗号和 and', () => {
+    const runner = new MacroRunner();
+    assert.deepStrictEqual(runner.parseConditions('model = "EXHand, rev B" and serialNumber = \'A and B\'', '第1行'), [
+        { field: 'model', op: '=', value: 'EXHand, rev B' },
+        { field: 'serialNumber', op: '=', value: 'A and B' }
+    ]);
+    assert.throws(() => runner.parseConditions('model = "EXHand, rev B', '第1行'), /第1行: 条件中的引号不成对/);
+});
+
+test('run 按应答检查条件', async () => {
+    const runner = new MacroRunner();
+    const serialManager = {
+        getStatus: async () => ({ canEnabled: false, model: 'EXHand, rev B' }),
+        enableCAN: async () => ({ result: 0 })
+    };
+    const macro = runner.parse('status\nexpect model = "EXHand, rev B"\nif canEnabled = false\nenable can\nend');
+
+    assert.strictEqual(await runner.run(macro, serialManager), 'done');
+    assert.strictEqual(runner.message, '宏执行完成');
+
+    const failing = runner.parse('status\nexpect canEnabled = true');
+    assert.strictEqual(await runner.run(failing, serialManager), 'failed');
+    assert.match(runner.message, /检查未通过: canEnabled = true（实际为 false）/);
+});
+
+test('最后一个命令执行期间中止时结束状态为 aborted', async () => {
+    const runner = new MacroRunner();
+    const serialManager = {
+        enable: async () => {
+            runner.abort();
+            return true;
+        }
+    };
+
+    assert.strictEqual(await runner.run(runner.parse('enable'), serialManager), 'aborted');
+    assert.strictEqual(runner.message, '宏已中止');
+});
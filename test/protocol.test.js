@@ -0,0 +1,103 @@
+/**
+ * @file ProtocolSchema 编解码测试
+ * @description 验证数据通知解码（有无序列号）、请求编码的枚举和范围校验，以及CRC32。
+ *              运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ProtocolSchema } = require('../protocol.js');
+
+const protocol = new ProtocolSchema();
+
+/**
+ * 按协议描述解码一个数据通知
+ * @param {number} code - 命令码
+ * @param {Array<number>} bytes - 负载字节
+ * @returns {Object|null} 字段值，数据不足时为null
+ */
+function decodeNotification(code, bytes) {
+    const command = protocol.getCommand(code);
+    const data = Uint8Array.from(bytes);
+    const decoded = protocol.decodeFields(command.payload, new DataView(data.buffer), 0, data.length);
+    return decoded ? decoded.values : null;
+}
+
+/**
+ * 按小端写入一个值
+ * @param {string} type - DataView 类型名（如 Uint16、Float32）
+ * @param {number} size - 字节数
+ * @param {number} value - 值
+ * @returns {Array<number>} 字节
+ */
+function littleEndian(type, size, value) {
+    const view = new DataView(new ArrayBuffer(size));
+    view[`set${type}`](0, value, true);
+    return Array.from(new Uint8Array(view.buffer));
+}
+
+const SENSOR_VALUES = Array.from({ length: 15 }, (_, i) => 1000 + i * 257);
+const MAPPING_VALUES = Array.from({ length: 15 }, (_, i) => i * 0.5 - 3);
+
+test('0x20 传感器数据通知：不带序列号', () => {
+    const bytes = [1, ...SENSOR_VALUES.flatMap(value => littleEndian('Uint16', 2, value))];
+    const values = decodeNotification(0x20, bytes);
+
+    assert.strictEqual(values.hand, 1);
+    assert.deepStrictEqual(values.values, SENSOR_VALUES);
+    assert.strictEqual(values.sequence, undefined);
+});
+
+test('0x20 传感器数据通知：带序列号', () => {
+    const bytes = [0, ...SENSOR_VALUES.flatMap(value => littleEndian('Uint16', 2, value)), ...littleEndian('Uint16', 2, 0xBEEF)];
+    const values = decodeNotification(0x20, bytes);
+
+    assert.strictEqual(values.hand, 0);
+    assert.deepStrictEqual(values.values, SENSOR_VALUES);
+    assert.strictEqual(values.sequence, 0xBEEF);
+});
+
+test('0x21 映射数据通知：有无序列号', () => {
+    const payload = [0, ...MAPPING_VALUES.flatMap(value => littleEndian('Float32', 4, value))];
+
+    const plain = decodeNotification(0x21, payload);
+    assert.deepStrictEqual(plain.values, MAPPING_VALUES);
+    assert.strictEqual(plain.sequence, undefined);
+
+    const sequenced = decodeNotification(0x21, [...payload, ...littleEndian('Uint16', 2, 7)]);
+    assert.deepStrictEqual(sequenced.values, MAPPING_VALUES);
+    assert.strictEqual(sequenced.sequence, 7);
+});
+
+test('数据通知长度不足时返回null', () => {
+    const bytes = [0, ...SENSOR_VALUES.flatMap(value => littleEndian('Uint16', 2, value))];
+    assert.strictEqual(decodeNotification(0x20, bytes.slice(0, -1)), null);
+});
+
+test('encodeRequest 编码合法参数', () => {
+    assert.deepStrictEqual(protocol.encodeRequest('ANCHOR_START', { hand: 1, fingers: [1, 4] }), [1, 2, 1, 4]);
+    assert.deepStrictEqual(protocol.encodeRequest('DFU_START', { imageSize: 0x1234, imageCrc: 0xCBF43926 }),
+        [0x34, 0x12, 0x00, 0x00, 0x26, 0x39, 0xF4, 0xCB]);
+});
+
+test('encodeRequest 拒绝枚举之外的值', () => {
+    assert.throws(() => protocol.encodeRequest('SET_PROTOCOL', { protocolId: 3 }), /协议ID无效: 3（可选/);
+    assert.throws(() => protocol.encodeRequest('ANCHOR_START', { hand: 0, fingers: [1, 5] }), /手指无效: 5/);
+});
+
+test('encodeRequest 拒绝超出范围的值和个数', () => {
+    assert.throws(() => protocol.encodeRequest('SET_PROTOCOL', { protocolId: 256 }), /范围 0 ~ 255/);
+    assert.throws(() => protocol.encodeRequest('SET_PROTOCOL', { protocolId: 1.5 }), /协议ID无效/);
+    assert.throws(() => protocol.encodeRequest('DFU_START', { imageSize: 0, imageCrc: 0 }), /固件大小无效: 0（范围 1 ~/);
+    assert.throws(() => protocol.encodeRequest('ANCHOR_START', { hand: 0, fingers: [] }), /手指个数无效: 0/);
+    assert.throws(() => protocol.encodeRequest('SET_PROTOCOL', {}), /缺少参数 协议ID/);
+});
+
+test('crc32 已知向量', () => {
+    const bytes = Array.from('123456789', char => char.charCodeAt(0));
+    assert.strictEqual(ProtocolSchema.crc32(bytes), 0xCBF43926);
+    // 分段计算与整体计算一致
+    assert.strictEqual(ProtocolSchema.crc32(bytes.slice(4), ProtocolSchema.crc32(bytes.slice(0, 4))), 0xCBF43926);
+    assert.strictEqual(ProtocolSchema.crc32([]), 0);
+});
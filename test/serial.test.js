@@ -0,0 +1,155 @@
+/**
+ * @file SerialManager 回环测试
+ * @description 通过内存回环传输连接一个最小的应答端，验证数据帧的发送、应答通知和数据通知的解析，
+ *              以及 sendCommand 的应答匹配、错误结果和超时重试。
+ *              运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各模块在浏览器中通过全局对象互相引用，这里按 index.html 的加载顺序放到 Node.js 的全局对象上
+Object.assign(globalThis,
+    require('../transport.js'),
+    require('../linkstats.js'),
+    require('../frameparser.js'),
+    require('../protocol.js'));
+const { SerialManager, CommandError, CommandTimeoutError } = require('../serial.js');
+
+// 测试中不需要串口日志
+console.log = () => {};
+console.warn = () => {};
+
+/**
+ * 构建数据帧（按协议独立实现，用于核对 SerialManager 的编码）
+ * @param {number} cmd - 命令类型
+ * @param {Array<number>} data - 数据
+ * @returns {Array<number>} 帧字节
+ */
+function buildFrame(cmd, data = []) {
+    const sum = data.reduce((total, byte) => total + byte, cmd + data.length);
+    return [0xAA, cmd, data.length, ...data, (~sum + 1) & 0xFF, 0x55];
+}
+
+/**
+ * 等待条件成立
+ * @param {Function} condition - 条件函数
+ * @param {number} timeout - 最长等待时间（ms）
+ */
+async function waitFor(condition, timeout = 1000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('等待超时');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * 连接一个按 respond 应答命令的回环设备
+ * @param {Function} respond - (cmd, data) => 应答数据（第一个字节为结果码），返回null时不应答
+ * @returns {Promise<{manager: SerialManager, transport: LoopbackTransport, received: Array<number>}>} 串口管理器、传输通道和设备收到的命令码
+ */
+async function connectLoopback(respond = () => null) {
+    const manager = new SerialManager();
+    const received = [];
+    const transport = new LoopbackTransport(frame => {
+        // 连接时发送的 frame_enable 等文本命令不应答
+        if (frame[0] !== 0xAA) {
+            return;
+        }
+        // 帧头(1) + 命令类型(1) + 数据长度(1) + 数据(N) + 校验和(1) + 帧尾(1)
+        const cmd = frame[1];
+        const data = Array.from(frame.subarray(3, 3 + frame[2]));
+        assert.deepStrictEqual(Array.from(frame), buildFrame(cmd, data));
+        received.push(cmd);
+        const reply = respond(cmd, data);
+        if (reply) {
+            setTimeout(() => transport.receive(buildFrame(cmd, reply)), 0);
+        }
+    });
+    assert.strictEqual(await manager.connect(transport), true);
+    manager.startReading();
+    return { manager, transport, received };
+}
+
+test('sendFrame 写出带校验和与帧尾的数据帧', async () => {
+    const { manager, received } = await connectLoopback();
+
+    assert.strictEqual(await manager.sendFrame(0x13, [0x01]), true);
+    assert.deepStrictEqual(received, [0x13]);
+    assert.deepStrictEqual(buildFrame(0x13, [0x01]), [0xAA, 0x13, 0x01, 0x01, 0xEB, 0x55]);
+
+    await manager.disconnect();
+});
+
+test('设备应答通过 responseCallback 通知结果和附加数据', async () => {
+    const { manager } = await connectLoopback(cmd => (cmd === 0x0B ? [0x00, 0x01, 0x00] : [0x01]));
+    const responses = [];
+    manager.setResponseCallback((status, cmd, data) => responses.push([status, cmd, data]));
+
+    await manager.sendFrame(0x0B);
+    await manager.sendFrame(0x08);
+    await waitFor(() => responses.length === 2);
+    assert.deepStrictEqual(responses, [['ok', 0x0B, [0x01, 0x00]], ['error', 0x08, []]]);
+
+    await manager.disconnect();
+});
+
+test('分块到达并夹杂文本的数据通知解析为关节数据', async () => {
+    const { manager, transport } = await connectLoopback();
+    const samples = [];
+    manager.setDataCallback(jointData => samples.push(jointData));
+
+    const values = Array.from({ length: 15 }, (_, i) => 1000 + i * 257);
+    const frame = buildFrame(0x20, [1, ...values.flatMap(value => [value & 0xFF, value >> 8])]);
+    const text = Array.from('OK\r\n', char => char.charCodeAt(0));
+    transport.receive([...text, ...frame.slice(0, 10)]);
+    transport.receive(frame.slice(10));
+
+    await waitFor(() => samples.length === 1);
+    assert.strictEqual(samples[0].hand, 1);
+    assert.deepStrictEqual(samples[0].sensorData, values);
+    assert.strictEqual(samples[0].thumbYaw, values[0]);
+    assert.strictEqual(samples[0].pinkyTip, values[14]);
+
+    await manager.disconnect();
+});
+
+test('sendCommand 收到对应命令码的应答', async () => {
+    const { manager, received } = await connectLoopback(() => [0x00, 0x12, 0x34]);
+    const C = manager.COMMANDS;
+
+    const response = await manager.sendCommand(C.CMD_CAN_ENABLE);
+    assert.strictEqual(response.cmd, C.CMD_CAN_ENABLE);
+    assert.strictEqual(response.result, C.RESULT_SUCCESS);
+    assert.deepStrictEqual(response.data, [0x12, 0x34]);
+    assert.deepStrictEqual(received, [C.CMD_CAN_ENABLE]);
+
+    await manager.disconnect();
+});
+
+test('sendCommand 在设备返回错误结果时抛出 CommandError', async () => {
+    const { manager } = await connectLoopback(() => [0x01]);
+    const C = manager.COMMANDS;
+
+    await assert.rejects(manager.sendCommand(C.CMD_CAN_ENABLE), error => {
+        assert.ok(error instanceof CommandError);
+        assert.strictEqual(error.cmdType, C.CMD_CAN_ENABLE);
+        assert.strictEqual(error.resultCode, C.RESULT_FAIL);
+        return true;
+    });
+
+    await manager.disconnect();
+});
+
+test('sendCommand 无应答时按 retries 重发后超时', async () => {
+    const { manager, received } = await connectLoopback(() => null);
+    const C = manager.COMMANDS;
+
+    await assert.rejects(manager.sendCommand(C.CMD_CAN_ENABLE, [], { timeout: 20, retries: 2 }), CommandTimeoutError);
+    assert.deepStrictEqual(received, [C.CMD_CAN_ENABLE, C.CMD_CAN_ENABLE, C.CMD_CAN_ENABLE]);
+
+    await manager.disconnect();
+});
@@ -0,0 +1,695 @@
+/**
+ * @file 传输层模块
+ * @description 抽象串口字节流的打开、关闭、读取和写入，使数据帧协议可以运行在
+ *              Web Serial、内存回环或WebSocket桥接之上
+ */
+
+/**
+ * 传输层基类
+ * 子类需实现 open/close/write，读取默认使用内部队列：
+ * 收到的数据通过 enqueue() 放入队列，read() 按顺序取出
+ */
+class Transport {
+    constructor() {
+        this.isOpen = false;
+        this.disconnectCallback = null;
+
+        // 读取队列
+        this.readQueue = [];
+        this.pendingReads = [];
+        this.streamEnded = false;
+    }
+
+    /**
+     * 打开传输通道
+     * @param {Object} config - 串口配置（波特率等，部分传输方式会忽略）
+     * @returns {Promise<void>}
+     */
+    async open(config) {
+        throw new Error(`${this.constructor.name} 未实现 open()`);
+    }
+
+    /**
+     * 关闭传输通道
+     * @returns {Promise<void>}
+     */
+    async close() {
+        throw new Error(`${this.constructor.name} 未实现 close()`);
+    }
+
+    /**
+     * 写入数据
+     * @param {Uint8Array} data - 要发送的字节
+     * @returns {Promise<void>}
+     */
+    async write(data) {
+        throw new Error(`${this.constructor.name} 未实现 write()`);
+    }
+
+    /**
+     * 意外断开后重新打开同一设备（自动重连时调用，不得弹出选择界面）
+     * 设备尚不可用时应抛出错误，由调用方稍后重试
+     * @param {Object} config - 串口配置
+     * @returns {Promise<void>}
+     */
+    async reopen(config) {
+        await this.open(config);
+    }
+
+    /**
+     * 读取下一段数据，语义与 ReadableStreamDefaultReader.read() 一致
+     * @returns {Promise<{value: Uint8Array|undefined, done: boolean}>}
+     */
+    read() {
+        if (this.readQueue.length > 0) {
+            return Promise.resolve({ value: this.readQueue.shift(), done: false });
+        }
+        if (this.streamEnded) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => this.pendingReads.push(resolve));
+    }
+
+    /**
+     * 取消挂起的读取（读取方会收到 done=true）
+     * @returns {Promise<void>}
+     */
+    async cancelRead() {
+        this.endStream();
+    }
+
+    /**
+     * 获取传输通道信息，格式与 SerialPort.getInfo() 相同
+     * @returns {Object} 设备信息
+     */
+    getInfo() {
+        return {};
+    }
+
+    /**
+     * 设置断开回调函数（对端关闭或设备拔出时调用）
+     * @param {Function} callback - 断开回调函数
+     */
+    setDisconnectCallback(callback) {
+        this.disconnectCallback = callback;
+    }
+
+    /**
+     * 将收到的数据放入读取队列
+     * @param {Uint8Array} chunk - 收到的数据
+     */
+    enqueue(chunk) {
+        if (this.streamEnded || !chunk || chunk.length === 0) {
+            return;
+        }
+        if (this.pendingReads.length > 0) {
+            this.pendingReads.shift()({ value: chunk, done: false });
+        } else {
+            this.readQueue.push(chunk);
+        }
+    }
+
+    /**
+     * 结束读取流，唤醒所有挂起的读取
+     */
+    endStream() {
+        this.streamEnded = true;
+        while (this.pendingReads.length > 0) {
+            this.pendingReads.shift()({ value: undefined, done: true });
+        }
+    }
+
+    /**
+     * 重置读取队列（重新打开前调用）
+     */
+    resetStream() {
+        this.readQueue = [];
+        this.pendingReads = [];
+        this.streamEnded = false;
+    }
+}
+
+/**
+ * Web Serial 传输
+ * 使用浏览器 navigator.serial 访问物理串口
+ */
+class WebSerialTransport extends Transport {
+    /**
+     * @param {SerialPort|null} port - 已授权的端口，为空时打开时弹出端口选择器
+     */
+    constructor(port = null) {
+        super();
+        this.port = port;
+        this.reader = null;
+        this.writer = null;
+        this.handleDisconnectEvent = () => {
+            console.warn('串口设备已断开');
+            if (this.disconnectCallback) {
+                this.disconnectCallback();
+            }
+        };
+    }
+
+    async open(config) {
+        // 检查浏览器是否支持Web Serial API
+        if (typeof navigator === 'undefined' || !('serial' in navigator)) {
+            throw new Error('浏览器不支持Web Serial API，请使用Chrome、Edge或Opera浏览器');
+        }
+
+        // 请求用户选择串口
+        if (!this.port) {
+            this.port = await navigator.serial.requestPort();
+        }
+
+        await this.port.open({
+            baudRate: config.baudRate,
+            dataBits: config.dataBits,
+            stopBits: config.stopBits,
+            parity: config.parity,
+            flowControl: config.flowControl
+        });
+
+        // 获取读写器
+        this.reader = this.port.readable.getReader();
+        this.writer = this.port.writable.getWriter();
+        this.port.addEventListener('disconnect', this.handleDisconnectEvent);
+        this.isOpen = true;
+    }
+
+    async close() {
+        this.isOpen = false;
+
+        if (this.port) {
+            this.port.removeEventListener('disconnect', this.handleDisconnectEvent);
+        }
+
+        // 停止读取
+        if (this.reader) {
+            try {
+                await this.reader.cancel();
+                await this.reader.releaseLock();
+            } catch (error) {
+                console.warn('释放读取器时出错:', error);
+            }
+            this.reader = null;
+        }
+
+        // 关闭写入器
+        if (this.writer) {
+            try {
+                await this.writer.close();
+                await this.writer.releaseLock();
+            } catch (error) {
+                console.warn('释放写入器时出错:', error);
+            }
+            this.writer = null;
+        }
+
+        // 关闭端口
+        if (this.port) {
+            try {
+                await this.port.close();
+            } catch (error) {
+                console.warn('关闭端口时出错:', error);
+            }
+        }
+    }
+
+    async write(data) {
+        if (!this.writer) {
+            throw new Error('串口未打开');
+        }
+        await this.writer.write(data);
+    }
+
+    /**
+     * 通过 navigator.serial.getPorts() 找回之前授权的设备并重新打开，不弹出端口选择器
+     * 同一端口对象仍可用时直接使用，否则按USB厂商ID/产品ID匹配重新插入的设备
+     * @param {Object} config - 串口配置
+     */
+    async reopen(config) {
+        this.port = await this.findAuthorizedPort();
+        await this.open(config);
+    }
+
+    /**
+     * 在已授权的端口中找回当前设备（同一端口对象或USB厂商ID/产品ID相同的设备）
+     * @returns {Promise<SerialPort>} 端口
+     */
+    async findAuthorizedPort() {
+        const previous = this.port ? this.port.getInfo() : {};
+        const ports = await navigator.serial.getPorts();
+        const port = ports.find(p => p === this.port) || ports.find(p => {
+            const info = p.getInfo();
+            return info.usbVendorId !== undefined &&
+                info.usbVendorId === previous.usbVendorId &&
+                info.usbProductId === previous.usbProductId;
+        });
+        
+        if (!port) {
+            throw new Error('未找到已授权的设备，等待设备重新插入');
+        }
+        return port;
+    }
+
+    read() {
+        if (!this.reader) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return this.reader.read();
+    }
+
+    async cancelRead() {
+        if (this.reader) {
+            await this.reader.cancel();
+        }
+    }
+
+    getInfo() {
+        return this.port ? this.port.getInfo() : {};
+    }
+}
+
+/**
+ * 内存回环传输
+ * 不依赖任何硬件：写入的数据交给 writeHandler（例如设备模拟器），
+ * 对端通过 receive() 把数据送回读取方
+ */
+class LoopbackTransport extends Transport {
+    /**
+     * @param {Function|null} writeHandler - 写入处理函数 (data: Uint8Array) => void，为空时原样回显
+     */
+    constructor(writeHandler = null) {
+        super();
+        this.writeHandler = writeHandler;
+        this.info = { name: '回环设备' };
+    }
+
+    async open(config) {
+        this.resetStream();
+        this.isOpen = true;
+    }
+
+    async close() {
+        this.isOpen = false;
+        this.endStream();
+    }
+
+    async write(data) {
+        if (!this.isOpen) {
+            throw new Error('回环通道未打开');
+        }
+        const copy = new Uint8Array(data);
+        if (this.writeHandler) {
+            this.writeHandler(copy);
+        } else {
+            this.receive(copy);
+        }
+    }
+
+    /**
+     * 从对端送入数据（读取方将收到这些字节）
+     * @param {Uint8Array|Array<number>} data - 对端发送的数据
+     */
+    receive(data) {
+        if (!this.isOpen) {
+            return;
+        }
+        this.enqueue(data instanceof Uint8Array ? data : new Uint8Array(data));
+    }
+
+    /**
+     * 模拟对端断开
+     */
+    hangUp() {
+        this.isOpen = false;
+        this.endStream();
+        if (this.disconnectCallback) {
+            this.disconnectCallback();
+        }
+    }
+
+    getInfo() {
+        return { ...this.info };
+    }
+}
+
+/**
+ * WebSocket 桥接传输
+ * 通过远端串口桥接服务访问设备，WebSocket 二进制消息即串口原始字节
+ */
+class WebSocketTransport extends Transport {
+    /**
+     * @param {string} url - 桥接服务地址，例如 ws://192.168.1.10:8765
+     */
+    constructor(url) {
+        super();
+        this.url = url;
+        this.socket = null;
+    }
+
+    open(config) {
+        return new Promise((resolve, reject) => {
+            if (typeof WebSocket === 'undefined') {
+                reject(new Error('当前环境不支持WebSocket'));
+                return;
+            }
+            if (!this.url) {
+                reject(new Error('未配置WebSocket桥接地址'));
+                return;
+            }
+
+            this.resetStream();
+            const socket = new WebSocket(this.url);
+            socket.binaryType = 'arraybuffer';
+            let opened = false;
+
+            socket.onopen = () => {
+                opened = true;
+                this.socket = socket;
+                this.isOpen = true;
+                // 将串口参数告知桥接服务，由服务端打开实际串口
+                socket.send(JSON.stringify({ type: 'open', config: config }));
+                resolve();
+            };
+
+            socket.onmessage = (event) => {
+                // 文本消息为桥接服务的控制信息，不属于串口数据
+                if (typeof event.data === 'string') {
+                    console.log('WebSocket桥接消息:', event.data);
+                    return;
+                }
+                this.enqueue(new Uint8Array(event.data));
+            };
+
+            socket.onerror = () => {
+                if (!opened) {
+                    reject(new Error(`无法连接WebSocket桥接: ${this.url}`));
+                }
+            };
+
+            socket.onclose = () => {
+                const wasOpen = this.isOpen;
+                this.isOpen = false;
+                this.socket = null;
+                this.endStream();
+                if (!opened) {
+                    reject(new Error(`WebSocket桥接连接已关闭: ${this.url}`));
+                } else if (wasOpen && this.disconnectCallback) {
+                    this.disconnectCallback();
+                }
+            };
+        });
+    }
+
+    async close() {
+        this.isOpen = false;
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        this.endStream();
+    }
+
+    async write(data) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            throw new Error('WebSocket桥接未连接');
+        }
+        this.socket.send(data);
+    }
+
+    getInfo() {
+        return { name: `WebSocket桥接 (${this.url})`, url: this.url };
+    }
+}
+
+/**
+ * Worker 解析传输
+ * 把读取和数据帧解析放到专用 Worker（serialworker.js）中，主线程只接收解码好的关节数据：
+ * Web Serial 和 WebSocket 桥接由 Worker 直接打开和读取；模拟器、回环等只能在主线程运行的传输
+ * 仍在主线程读取，收到的数据块转交 Worker 解析。
+ * Worker 每送来一批数据都需要 ack() 确认，未确认的批次达到上限时 Worker 暂停发送并合并积压的数据
+ */
+class WorkerTransport extends Transport {
+    /**
+     * @param {Worker} worker - 解析 Worker
+     * @param {Transport} inner - 实际的传输通道（决定由 Worker 打开哪种设备）
+     * @param {Object} handler - 解码结果回调对象
+     * @param {Function} handler.onBatch - (message) => void，一批解码结果，处理完后需调用 ack()
+     * @param {Function} handler.onStats - (message) => void，周期性的链路统计
+     */
+    constructor(worker, inner, handler) {
+        super();
+        this.worker = worker;
+        this.inner = inner;
+        this.handler = handler;
+        this.decodesFrames = true;  // 数据帧由 Worker 解析，SerialManager 不启动读取循环
+        this.external = false;      // 为 true 时 inner 在主线程读取，数据块转交 Worker
+        this.REQUEST_TIMEOUT = 5000;
+        this.requests = new Map();  // 请求ID -> { resolve, reject, timer }
+        this.nextRequestId = 1;
+        this.handleMessage = (event) => this.onMessage(event.data);
+        this.handleError = (event) => {
+            const error = new Error(`解析Worker出错: ${event.message || '脚本加载失败'}，可在串口设置中关闭Worker解析`);
+            this.requests.forEach(request => {
+                clearTimeout(request.timer);
+                request.reject(error);
+            });
+            this.requests.clear();
+        };
+    }
+
+    async open(config) {
+        this.attach();
+        try {
+            await this.openSource(config);
+        } catch (error) {
+            this.detach();
+            throw error;
+        }
+        this.isOpen = true;
+    }
+
+    /**
+     * 由 Worker 打开设备，Worker 不支持该设备时改为在主线程打开 inner
+     * @param {Object} config - 串口配置
+     */
+    async openSource(config) {
+        this.external = false;
+
+        let source = { source: 'external' };
+        if (this.inner instanceof WebSerialTransport) {
+            if (typeof navigator === 'undefined' || !('serial' in navigator)) {
+                throw new Error('浏览器不支持Web Serial API，请使用Chrome、Edge或Opera浏览器');
+            }
+            // 端口只能在主线程由用户选择，Worker 按 getPorts() 中的位置找到同一端口
+            if (!this.inner.port) {
+                this.inner.port = await navigator.serial.requestPort();
+            }
+            const ports = await navigator.serial.getPorts();
+            source = { source: 'webserial', portIndex: ports.indexOf(this.inner.port), info: this.inner.port.getInfo() };
+        } else if (this.inner instanceof WebSocketTransport) {
+            source = { source: 'websocket', url: this.inner.url };
+        }
+
+        try {
+            await this.request({ type: 'open', config: config, ...source });
+        } catch (error) {
+            if (!error.unsupported) {
+                throw error;
+            }
+            console.warn('Worker中无法打开该传输通道，改为主线程读取、Worker解析:', error.message);
+            source = { source: 'external' };
+        }
+
+        if (source.source === 'external') {
+            this.inner.setDisconnectCallback(() => this.handleLost('设备已断开'));
+            await this.inner.open(config);
+            try {
+                await this.request({ type: 'open', config: config, source: 'external' });
+            } catch (error) {
+                await this.inner.close().catch(() => {});
+                throw error;
+            }
+            this.external = true;
+            this.pump();
+        }
+    }
+
+    async close() {
+        const wasExternal = this.external;
+        this.isOpen = false;
+        this.external = false;
+        if (wasExternal) {
+            await this.inner.close();
+        }
+        try {
+            await this.request({ type: 'close' });
+        } finally {
+            this.detach();
+        }
+    }
+
+    async write(data) {
+        if (this.external) {
+            await this.inner.write(data);
+            this.worker.postMessage({ type: 'tx', count: data.length });
+            return;
+        }
+        await this.request({ type: 'write', bytes: new Uint8Array(data) });
+    }
+
+    async reopen(config) {
+        if (this.inner instanceof WebSerialTransport) {
+            this.inner.port = await this.inner.findAuthorizedPort();
+        }
+        await this.open(config);
+    }
+
+    read() {
+        // 数据由 Worker 解析后通过 handler 送出，不提供原始字节读取
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    getInfo() {
+        return this.inner.getInfo();
+    }
+
+    /**
+     * 开始接收 Worker 消息（重复调用无副作用）
+     */
+    attach() {
+        this.worker.addEventListener('message', this.handleMessage);
+        this.worker.addEventListener('error', this.handleError);
+    }
+
+    /**
+     * 停止接收 Worker 消息（同一 Worker 会被之后新建的传输通道复用）
+     */
+    detach() {
+        this.worker.removeEventListener('message', this.handleMessage);
+        this.worker.removeEventListener('error', this.handleError);
+    }
+
+    /**
+     * 确认已处理完一批解码结果，Worker 据此继续发送
+     */
+    ack() {
+        this.worker.postMessage({ type: 'ack' });
+    }
+
+    /**
+     * 向 Worker 发送不需要应答的控制消息（解析选项、统计重置等）
+     * @param {Object} message - 控制消息
+     */
+    postControl(message) {
+        this.worker.postMessage(message);
+    }
+
+    /**
+     * 在主线程读取 inner 并把数据块转交 Worker（转移所有权，不额外拷贝）
+     */
+    async pump() {
+        const inner = this.inner;
+        while (this.external && this.inner === inner) {
+            let chunk;
+            try {
+                chunk = await inner.read();
+            } catch (error) {
+                this.handleLost('读取出错: ' + error.message);
+                return;
+            }
+            if (chunk.done) {
+                if (this.external) {
+                    this.handleLost('读取流已结束');
+                }
+                return;
+            }
+            if (chunk.value && chunk.value.length > 0) {
+                const bytes = chunk.value.slice();
+                this.worker.postMessage({ type: 'chunk', bytes: bytes }, [bytes.buffer]);
+            }
+        }
+    }
+
+    /**
+     * 发送需要应答的请求
+     * @param {Object} message - 请求消息
+     * @returns {Promise<void>} Worker 应答后完成，出错时拒绝
+     */
+    request(message) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            const timer = setTimeout(() => {
+                this.requests.delete(id);
+                reject(new Error(`解析Worker未响应: ${message.type}`));
+            }, this.REQUEST_TIMEOUT);
+            this.requests.set(id, { resolve, reject, timer });
+            this.attach();
+            this.worker.postMessage({ ...message, id: id });
+        });
+    }
+
+    /**
+     * 处理 Worker 消息
+     * @param {Object} message - Worker 消息
+     */
+    onMessage(message) {
+        switch (message.type) {
+            case 'done':
+            case 'failed': {
+                const request = this.requests.get(message.id);
+                if (!request) {
+                    return;
+                }
+                this.requests.delete(message.id);
+                clearTimeout(request.timer);
+                if (message.type === 'done') {
+                    request.resolve();
+                } else {
+                    const error = new Error(message.message);
+                    error.name = message.name || 'Error';
+                    error.unsupported = message.unsupported === true;
+                    request.reject(error);
+                }
+                break;
+            }
+            case 'batch':
+                this.handler.onBatch(message);
+                break;
+            case 'stats':
+                this.handler.onStats(message);
+                break;
+            case 'lost':
+                this.handleLost(message.reason);
+                break;
+        }
+    }
+
+    /**
+     * 设备断开或读取流结束
+     * @param {string} reason - 原因
+     */
+    handleLost(reason) {
+        if (!this.isOpen) {
+            return;
+        }
+        console.warn('传输通道已断开:', reason);
+        this.isOpen = false;
+        if (this.disconnectCallback) {
+            this.disconnectCallback();
+        }
+    }
+}
+
+// 导出传输层类（浏览器和Worker中挂到全局对象；Node.js中通过 module.exports 导出，便于脱离浏览器测试协议代码）
+if (typeof window !== 'undefined') {
+    window.Transport = Transport;
+    window.WebSerialTransport = WebSerialTransport;
+    window.LoopbackTransport = LoopbackTransport;
+    window.WebSocketTransport = WebSocketTransport;
+    window.WorkerTransport = WorkerTransport;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Transport, WebSerialTransport, LoopbackTransport, WebSocketTransport, WorkerTransport };
+}